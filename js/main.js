@@ -32,6 +32,10 @@
             navigation: true,
             audioSync: true,
             glossary: true,
+            review: true,
+            dictation: true,
+            transcriptMask: true,
+            vocabularyExport: true,
             wordFrequency: true,
             analytics: false
         },
@@ -370,8 +374,7 @@
             return new Promise(function(resolve) {
                 try {
                     var resources = [
-                        { type: 'data', url: 'data/navigation.json', critical: true },
-                        { type: 'data', url: 'data/terms/common.json', critical: false }
+                        { type: 'data', url: 'data/navigation.json', critical: true }
                     ];
                     
                     var criticalResources = resources.filter(function(r) { return r.critical; });
@@ -505,6 +508,7 @@
                     contentArea: 'content-area',
                     audioPlayer: 'audio-player',
                     srtText: '', // 动态加载
+                    clipPanelContainer: 'audio-clip-container', // 片段书签列表，随章节切换
                     enableTouch: true,
                     enableKeyboard: true
                 };
@@ -516,7 +520,35 @@
                     triggerEvent: 'click',
                     enableTouch: true,
                     enableAudio: true,
-                    dataUrl: 'data/terms/common.json'
+                    dataUrl: null, // 暂无通用词典，词汇全部按章节加载
+                    chapterDataUrl: 'data/terms_{chapterId}.json', // 章节词汇，导航时按需加载
+                    dictionaryUrl: 'data/dictionary.json', // 离线词典包，用于正文任意单词查词
+                    translationDataUrl: 'data/translations_{chapterId}.json' // 正文段落的中文译文
+                };
+            }
+            
+            if (APP_CONFIG.features.review && APP_CONFIG.features.glossary) {
+                configs.review = {
+                    newPerSession: 20
+                };
+            }
+            
+            if (APP_CONFIG.features.dictation && APP_CONFIG.features.audioSync) {
+                configs.dictation = {
+                    contentArea: 'content-area'
+                };
+            }
+            
+            if (APP_CONFIG.features.transcriptMask) {
+                configs.transcriptMask = {
+                    contentArea: 'content-area',
+                    mode: 'full' // 默认显示全文，用户在工具栏切换
+                };
+            }
+            
+            if (APP_CONFIG.features.vocabularyExport && APP_CONFIG.features.glossary) {
+                configs.vocabularyExport = {
+                    fileName: 'learner-vocabulary'
                 };
             }
             
@@ -536,7 +568,8 @@
                     updateLoadingProgress('启动应用模块...', 80);
                     
                     appController.start({
-                        modules: moduleConfigs
+                        modules: moduleConfigs,
+                        studyToolbar: 'study-toolbar'
                     });
                     
                     // 设置应用事件处理
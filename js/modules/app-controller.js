@@ -17,6 +17,14 @@
     var DEBUG_WARN = IS_PRODUCTION ? function(){} : console.warn;
     var DEBUG_ERROR = IS_PRODUCTION ? function(){} : console.error;
 
+    // 原文遮罩模式在学习工具栏上的显示名称
+    var MASK_MODE_LABELS = {
+        'hidden': '隐藏',
+        'first-letter': '首字母',
+        'gapped': '填空',
+        'full': '全文'
+    };
+
     // 🔧 安全工具函数
     function safeJSONStringify(obj, fallback) {
         try {
@@ -119,7 +127,11 @@
         var coreModules = {
             NavigationCore: null,
             AudioSyncCore: null,
-            GlossaryCore: null
+            GlossaryCore: null,
+            ReviewCore: null,
+            DictationCore: null,
+            TranscriptMaskCore: null,
+            VocabularyExportCore: null
         };
         
         // 定时器和监控
@@ -127,6 +139,9 @@
         var startupTimer = null;
         var performanceMonitor = null;
         var visibilityHandler = null;
+        var studyToolbarHandler = null;
+        var studyImportHandler = null;
+        var noticeTimer = null;
         
         // 用户界面元素
         var uiElements = {
@@ -764,6 +779,7 @@
                     coreModules.GlossaryCore = new global.EnglishSite.GlossaryCore(
                         moduleConfigs.glossary.container,
                         Object.assign({}, moduleConfigs.glossary, {
+                            audioSync: coreModules.AudioSyncCore || null,
                             stateManager: foundation.StateManager,
                             eventHub: foundation.EventHub,
                             cacheManager: foundation.CacheManager,
@@ -774,6 +790,63 @@
                     appState.performance.moduleLoadTime.GlossaryCore = Date.now();
                 }
                 
+                // 初始化ReviewCore（复习卡片来自GlossaryCore的书签）
+                if (global.EnglishSite && global.EnglishSite.ReviewCore && moduleConfigs.review && coreModules.GlossaryCore) {
+                    coreModules.ReviewCore = new global.EnglishSite.ReviewCore(
+                        coreModules.GlossaryCore,
+                        Object.assign({}, moduleConfigs.review, {
+                            stateManager: foundation.StateManager,
+                            eventHub: foundation.EventHub,
+                            errorBoundary: foundation.ErrorBoundary
+                        })
+                    );
+                    moduleInstances.ReviewCore = coreModules.ReviewCore;
+                    appState.performance.moduleLoadTime.ReviewCore = Date.now();
+                }
+                
+                // 初始化DictationCore（逐句播放依赖AudioSyncCore的字幕）
+                if (global.EnglishSite && global.EnglishSite.DictationCore && moduleConfigs.dictation && coreModules.AudioSyncCore) {
+                    coreModules.DictationCore = new global.EnglishSite.DictationCore(
+                        coreModules.AudioSyncCore,
+                        Object.assign({}, moduleConfigs.dictation, {
+                            stateManager: foundation.StateManager,
+                            eventHub: foundation.EventHub,
+                            errorBoundary: foundation.ErrorBoundary
+                        })
+                    );
+                    moduleInstances.DictationCore = coreModules.DictationCore;
+                    appState.performance.moduleLoadTime.DictationCore = Date.now();
+                }
+                
+                // 初始化TranscriptMaskCore（随播放逐句揭示需要AudioSyncCore）
+                if (global.EnglishSite && global.EnglishSite.TranscriptMaskCore && moduleConfigs.transcriptMask) {
+                    coreModules.TranscriptMaskCore = new global.EnglishSite.TranscriptMaskCore(
+                        moduleConfigs.transcriptMask.contentArea,
+                        Object.assign({}, moduleConfigs.transcriptMask, {
+                            audioSync: coreModules.AudioSyncCore || null,
+                            stateManager: foundation.StateManager,
+                            eventHub: foundation.EventHub,
+                            errorBoundary: foundation.ErrorBoundary
+                        })
+                    );
+                    moduleInstances.TranscriptMaskCore = coreModules.TranscriptMaskCore;
+                    appState.performance.moduleLoadTime.TranscriptMaskCore = Date.now();
+                }
+                
+                // 初始化VocabularyExportCore（导出书签，音频时间戳取自AudioSyncCore）
+                if (global.EnglishSite && global.EnglishSite.VocabularyExportCore && moduleConfigs.vocabularyExport && coreModules.GlossaryCore) {
+                    coreModules.VocabularyExportCore = new global.EnglishSite.VocabularyExportCore(
+                        coreModules.GlossaryCore,
+                        Object.assign({}, moduleConfigs.vocabularyExport, {
+                            audioSync: coreModules.AudioSyncCore || null,
+                            eventHub: foundation.EventHub,
+                            errorBoundary: foundation.ErrorBoundary
+                        })
+                    );
+                    moduleInstances.VocabularyExportCore = coreModules.VocabularyExportCore;
+                    appState.performance.moduleLoadTime.VocabularyExportCore = Date.now();
+                }
+                
                 return true;
             } catch (error) {
                 throw new Error('Core modules initialization failed: ' + error.message);
@@ -793,6 +866,9 @@
                 // 设置错误处理集成
                 setupErrorHandlingIntegration();
                 
+                // 绑定学习工具栏
+                setupStudyToolbar(options);
+                
                 return true;
             } catch (error) {
                 throw new Error('Module integration setup failed: ' + error.message);
@@ -1085,6 +1161,38 @@
                 }
             });
             
+            foundation.EventHub.on('navigation:changed', function(data) {
+                var item = data && data.item;
+                var chapterId = data && data.chapterId || 
+                    (item && item.type === 'chapter' ? item.id : null);
+                
+                // 收听进度、片段书签和锁屏信息按章节保存，切换时先保存上一章
+                if (chapterId && coreModules.AudioSyncCore && typeof coreModules.AudioSyncCore.setChapter === 'function') {
+                    try {
+                        coreModules.AudioSyncCore.setChapter(chapterId);
+                    } catch (error) {
+                        DEBUG_WARN('[AppController] 音频章节切换失败:', error);
+                    }
+                }
+                
+                // 听写进度按章节记录，切换章节会结束进行中的听写
+                if (chapterId && coreModules.DictationCore) {
+                    coreModules.DictationCore.setChapter(chapterId);
+                }
+                
+                // 遮罩模式按章节记忆
+                if (chapterId && coreModules.TranscriptMaskCore) {
+                    coreModules.TranscriptMaskCore.setChapter(chapterId);
+                }
+                
+                // 切换章节时加载对应的词汇表
+                if (chapterId && coreModules.GlossaryCore && typeof coreModules.GlossaryCore.loadChapterTerms === 'function') {
+                    coreModules.GlossaryCore.loadChapterTerms(chapterId).catch(function(error) {
+                        DEBUG_WARN('[AppController] 章节词汇加载失败:', error);
+                    });
+                }
+            });
+            
             foundation.EventHub.on('audioSync:timeUpdate', function(data) {
                 // 同步字幕高亮到导航
                 if (foundation.StateManager) {
@@ -1092,6 +1200,19 @@
                 }
             });
             
+            // 听写也可以从面板里结束，按钮状态跟随模块事件
+            foundation.EventHub.on('dictation:started', function() {
+                setStudyButtonPressed('dictation', true);
+            });
+            
+            foundation.EventHub.on('dictation:stopped', function() {
+                setStudyButtonPressed('dictation', false);
+            });
+            
+            foundation.EventHub.on('transcriptMask:modeChanged', function(data) {
+                updateMaskButton(data.mode);
+            });
+            
             foundation.EventHub.on('glossary:bookmarkChanged', function(data) {
                 // 同步书签到缓存
                 if (foundation.CacheManager) {
@@ -1216,6 +1337,182 @@
             }
         }
         
+        function setupStudyToolbar(options) {
+            if (typeof document === 'undefined' || !options.studyToolbar) return;
+            
+            var toolbar = typeof options.studyToolbar === 'string' ?
+                document.getElementById(options.studyToolbar) : options.studyToolbar;
+            if (!toolbar) return;
+            
+            // 只显示已加载模块对应的按钮，一个都没有时隐藏整个工具栏
+            var buttons = toolbar.querySelectorAll('[data-study-action]');
+            var availableCount = 0;
+            for (var i = 0; i < buttons.length; i++) {
+                buttons[i].hidden = !isStudyActionAvailable(buttons[i].getAttribute('data-study-action'));
+                if (!buttons[i].hidden) availableCount++;
+            }
+            toolbar.hidden = availableCount === 0;
+            
+            studyToolbarHandler = function(event) {
+                var button = event.target && event.target.closest ?
+                    event.target.closest('[data-study-action]') : null;
+                if (!button || !toolbar.contains(button)) return;
+                
+                handleStudyAction(button.getAttribute('data-study-action'), button);
+            };
+            
+            toolbar.addEventListener('click', studyToolbarHandler);
+            uiElements.studyToolbar = toolbar;
+            
+            // 导入通过隐藏的文件选择框完成
+            var importInput = toolbar.querySelector('[data-study-input="import"]');
+            if (importInput) {
+                studyImportHandler = function() {
+                    var file = importInput.files && importInput.files[0];
+                    importInput.value = '';
+                    if (file) {
+                        importVocabulary(file);
+                    }
+                };
+                
+                importInput.addEventListener('change', studyImportHandler);
+                uiElements.studyImportInput = importInput;
+            }
+            
+            if (coreModules.TranscriptMaskCore) {
+                updateMaskButton(coreModules.TranscriptMaskCore.getMode());
+            }
+        }
+        
+        function isStudyActionAvailable(action) {
+            switch (action) {
+                case 'review':
+                    return !!coreModules.ReviewCore;
+                case 'dictation':
+                    return !!coreModules.DictationCore;
+                case 'mask':
+                    return !!coreModules.TranscriptMaskCore;
+                case 'export':
+                case 'import':
+                    return !!coreModules.VocabularyExportCore;
+                default:
+                    return false;
+            }
+        }
+        
+        function handleStudyAction(action, button) {
+            try {
+                switch (action) {
+                    case 'review':
+                        // 队列为空时ReviewCore不打开面板，需要给用户一个反馈
+                        if (coreModules.ReviewCore.startSession() === 0) {
+                            showNotice('暂无需要复习的生词', '收藏生词后会按记忆曲线安排复习');
+                        }
+                        break;
+                    case 'dictation':
+                        if (coreModules.DictationCore.getState().isActive) {
+                            coreModules.DictationCore.stop();
+                        } else if (!coreModules.AudioSyncCore.getSRTData().length) {
+                            showNotice('当前章节没有字幕', '打开带音频字幕的章节后再开始听写');
+                        } else {
+                            coreModules.DictationCore.start();
+                        }
+                        break;
+                    case 'mask':
+                        coreModules.TranscriptMaskCore.cycleMode();
+                        break;
+                    case 'export':
+                        if (!coreModules.GlossaryCore.getBookmarks().length) {
+                            showNotice('还没有收藏的生词', '在正文中点击单词并收藏后即可导出');
+                        } else if (!coreModules.VocabularyExportCore.download(button.getAttribute('data-study-format') || 'csv')) {
+                            showNotice('导出失败', '当前浏览器不支持文件下载', 'error');
+                        }
+                        break;
+                    case 'import':
+                        if (uiElements.studyImportInput) {
+                            uiElements.studyImportInput.click();
+                        }
+                        break;
+                    default:
+                        return;
+                }
+                
+                trackUserInteraction('study_action', action);
+            } catch (error) {
+                DEBUG_WARN('[AppController] 学习工具操作失败:', action, error);
+            }
+        }
+        
+        function setStudyButtonPressed(action, pressed) {
+            if (!uiElements.studyToolbar) return;
+            
+            var button = uiElements.studyToolbar.querySelector('[data-study-action="' + action + '"]');
+            if (button) {
+                button.setAttribute('aria-pressed', pressed ? 'true' : 'false');
+            }
+        }
+        
+        function importVocabulary(file) {
+            coreModules.VocabularyExportCore.importFile(file).then(function(result) {
+                showNotice('已导入 ' + result.imported + ' 个生词',
+                    '已收藏跳过 ' + result.skipped + ' 个，无法识别 ' + result.invalid + ' 行');
+            }).catch(function(error) {
+                DEBUG_WARN('[AppController] 生词导入失败:', error);
+                showNotice('导入失败', '请选择从本站导出的 CSV、TSV 或 Anki 文件', 'error');
+            });
+        }
+        
+        function updateMaskButton(mode) {
+            if (!uiElements.studyToolbar) return;
+            
+            var value = uiElements.studyToolbar.querySelector('[data-study-action="mask"] .study-toolbar-value');
+            if (value) {
+                value.textContent = MASK_MODE_LABELS[mode] || mode;
+            }
+        }
+        
+        function showNotice(title, message, type) {
+            hideNotice();
+            
+            var notice = document.createElement('div');
+            notice.className = 'notification notification-' + (type || 'success');
+            notice.setAttribute('role', 'status');
+            
+            var titleElement = document.createElement('div');
+            titleElement.className = 'notification-title';
+            titleElement.textContent = title;
+            notice.appendChild(titleElement);
+            
+            if (message) {
+                var messageElement = document.createElement('div');
+                messageElement.className = 'notification-message';
+                messageElement.textContent = message;
+                notice.appendChild(messageElement);
+            }
+            
+            document.body.appendChild(notice);
+            uiElements.notice = notice;
+            
+            // 下一帧再加show，让滑入过渡生效
+            setTimeout(function() {
+                notice.classList.add('show');
+            }, 0);
+            
+            noticeTimer = setTimeout(hideNotice, 3000);
+        }
+        
+        function hideNotice() {
+            if (noticeTimer) {
+                clearTimeout(noticeTimer);
+                noticeTimer = null;
+            }
+            
+            if (uiElements.notice && uiElements.notice.parentNode) {
+                uiElements.notice.parentNode.removeChild(uiElements.notice);
+            }
+            uiElements.notice = null;
+        }
+        
         function addAppStyles() {
             if (document.getElementById('app-controller-styles')) return;
             
@@ -1283,6 +1580,18 @@
                     uiElements.loadingIndicator.parentNode.removeChild(uiElements.loadingIndicator);
                 }
                 
+                if (uiElements.studyToolbar && studyToolbarHandler) {
+                    uiElements.studyToolbar.removeEventListener('click', studyToolbarHandler);
+                    studyToolbarHandler = null;
+                }
+                
+                if (uiElements.studyImportInput && studyImportHandler) {
+                    uiElements.studyImportInput.removeEventListener('change', studyImportHandler);
+                    studyImportHandler = null;
+                }
+                
+                hideNotice();
+                
                 var styles = document.getElementById('app-controller-styles');
                 if (styles && styles.parentNode) {
                     styles.parentNode.removeChild(styles);
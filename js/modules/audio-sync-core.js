@@ -36,9 +36,644 @@
         }
     }
 
+    function escapeHTML(str) {
+        return String(str === null || str === undefined ? '' : str)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // 🎯 字幕格式解析器注册表
+    // 每个解析器提供 detect(content) 与 parse(content)，parse 返回
+    // [{start, end, text, id?, speaker?, sequence?}]，时间单位为毫秒
+    // 可选的 serialize(cues, options) 把同样结构的字幕写回文本，用于导出
+    // 自动识别按注册顺序依次尝试
+    var cueParsers = {};
+    var cueParserOrder = [];
+
+    function registerCueParser(format, parser) {
+        if (!format || typeof format !== 'string') {
+            throw new Error('Cue parser format must be a string');
+        }
+        if (!parser || typeof parser.parse !== 'function') {
+            throw new Error('Cue parser must provide a parse function');
+        }
+
+        var name = format.toLowerCase();
+        if (!cueParsers[name]) {
+            cueParserOrder.push(name);
+        }
+        cueParsers[name] = parser;
+    }
+
+    function detectCueFormat(content) {
+        if (content && typeof content === 'object') {
+            return 'json';
+        }
+        if (typeof content !== 'string') {
+            return null;
+        }
+
+        for (var i = 0; i < cueParserOrder.length; i++) {
+            var parser = cueParsers[cueParserOrder[i]];
+            try {
+                if (typeof parser.detect === 'function' && parser.detect(content)) {
+                    return cueParserOrder[i];
+                }
+            } catch (error) {
+                DEBUG_WARN('[AudioSyncCore] 格式检测失败:', cueParserOrder[i], error.message);
+            }
+        }
+        return null;
+    }
+
+    function normalizeLineBreaks(content) {
+        return String(content).replace(/^﻿/, '').replace(/\r\n/g, '\n').replace(/\r/g, '\n');
+    }
+
+    // 支持 hh:mm:ss.mmm、mm:ss.mmm 以及SRT的逗号分隔
+    function parseTimestamp(value) {
+        if (typeof value === 'number') {
+            return value;
+        }
+
+        var match = String(value).trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{2})(?:[.,](\d{1,3}))?$/);
+        if (!match) {
+            return NaN;
+        }
+
+        var fraction = match[4] ? parseInt((match[4] + '00').slice(0, 3), 10) : 0;
+        return parseInt(match[1] || '0', 10) * 3600000 +
+               parseInt(match[2], 10) * 60000 +
+               parseInt(match[3], 10) * 1000 +
+               fraction;
+    }
+
+    // 毫秒 -> hh:mm:ss.mmm（SRT使用逗号分隔）
+    function formatTimestamp(ms, separator) {
+        ms = Math.max(0, Math.round(ms));
+
+        var hours = Math.floor(ms / 3600000);
+        var minutes = Math.floor(ms % 3600000 / 60000);
+        var seconds = Math.floor(ms % 60000 / 1000);
+
+        return pad(hours, 2) + ':' + pad(minutes, 2) + ':' + pad(seconds, 2) +
+               (separator || '.') + pad(ms % 1000, 3);
+    }
+
+    // 面向学习者的时间显示：2:31 或 1:02:31
+    function formatClock(ms) {
+        var totalSeconds = Math.max(0, Math.floor(ms / 1000));
+        var hours = Math.floor(totalSeconds / 3600);
+        var minutes = Math.floor(totalSeconds % 3600 / 60);
+        var seconds = totalSeconds % 60;
+
+        return (hours > 0 ? hours + ':' + pad(minutes, 2) : String(minutes)) + ':' + pad(seconds, 2);
+    }
+
+    function pad(value, length) {
+        var str = String(value);
+        while (str.length < length) {
+            str = '0' + str;
+        }
+        return str;
+    }
+
+    function splitBlocks(content) {
+        return normalizeLineBreaks(content).split(/\n\s*\n/).filter(function(block) {
+            return block.trim().length > 0;
+        });
+    }
+
+    // WebVTT
+    var VTT_ENTITIES = { amp: '&', lt: '<', gt: '>', nbsp: ' ', lrm: '', rlm: '' };
+
+    registerCueParser('vtt', {
+        detect: function(content) {
+            return /^(﻿)?WEBVTT/.test(content);
+        },
+        parse: function(content) {
+            var cues = [];
+            var blocks = splitBlocks(content);
+
+            blocks.forEach(function(block, index) {
+                var lines = block.split('\n');
+
+                // 跳过文件头、注释、样式和区域定义
+                if (index === 0 && /^WEBVTT/.test(lines[0])) return;
+                if (/^(NOTE|STYLE|REGION)(\s|$)/.test(lines[0])) return;
+
+                var id = null;
+                if (lines[0].indexOf('-->') === -1) {
+                    id = lines.shift().trim();
+                }
+
+                var timing = lines[0] && lines[0].match(/^\s*(\S+)\s+-->\s+(\S+)(.*)$/);
+                if (!timing) {
+                    DEBUG_WARN('[AudioSyncCore] Invalid VTT cue at block ' + index);
+                    return;
+                }
+
+                var rawText = lines.slice(1).join('\n').trim();
+                var voice = rawText.match(/<v(?:\.[^\s>]+)*\s+([^>]+)>/);
+
+                var start = parseTimestamp(timing[1]);
+                var end = parseTimestamp(timing[2]);
+
+                cues.push({
+                    id: id,
+                    start: start,
+                    end: end,
+                    settings: parseVTTSettings(timing[3]),
+                    speaker: voice ? decodeVTTText(voice[1].trim()) : null,
+                    wordTimings: parseVTTWordTimings(rawText, start, end),
+                    text: decodeVTTText(rawText.replace(/<[^>]*>/g, ''))
+                });
+            });
+
+            return cues;
+        },
+        serialize: function(cues, options) {
+            var speakerLabels = !options || options.speakerLabels !== false;
+            var blocks = ['WEBVTT'];
+
+            cues.forEach(function(cue) {
+                var lines = [];
+                if (cue.id) {
+                    lines.push(cue.id);
+                }
+
+                var settings = Object.keys(cue.settings || {}).map(function(key) {
+                    return key + ':' + cue.settings[key];
+                }).join(' ');
+
+                lines.push(formatTimestamp(cue.start) + ' --> ' + formatTimestamp(cue.end) +
+                    (settings ? ' ' + settings : ''));
+                lines.push((speakerLabels && cue.speaker ? '<v ' + encodeVTTText(cue.speaker) + '>' : '') +
+                    encodeVTTText(cue.text));
+
+                blocks.push(lines.join('\n'));
+            });
+
+            return blocks.join('\n\n') + '\n';
+        }
+    });
+
+    // 字幕文本中的字符引用（&amp; &lt; 等）还原为字符，需在去掉标签之后进行
+    function decodeVTTText(text) {
+        return text.replace(/&(amp|lt|gt|nbsp|lrm|rlm);/g, function(all, name) {
+            return VTT_ENTITIES[name];
+        });
+    }
+
+    // 导出时转义，否则 & 和 < 会被当作字符引用或标签
+    function encodeVTTText(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+
+    // 解析卡拉OK式内联时间戳 <00:00:01.200>，返回带时间的文本片段
+    function parseVTTWordTimings(rawText, start, end) {
+        if (!/<\d/.test(rawText)) {
+            return null;
+        }
+
+        var parts = rawText.replace(/<(?!\d)[^>]*>/g, '').split(/<([\d:.]+)>/);
+        var segments = [];
+        var segmentStart = start;
+
+        for (var i = 0; i < parts.length; i += 2) {
+            var nextStamp = i + 1 < parts.length ? parseTimestamp(parts[i + 1]) : end;
+            if (isNaN(nextStamp)) nextStamp = end;
+
+            if (parts[i].trim()) {
+                segments.push({ text: decodeVTTText(parts[i].trim()), start: segmentStart, end: nextStamp });
+            }
+            segmentStart = nextStamp;
+        }
+
+        return segments.length > 0 ? segments : null;
+    }
+
+    function parseVTTSettings(settingsText) {
+        var settings = {};
+        (settingsText || '').trim().split(/\s+/).forEach(function(pair) {
+            var separator = pair.indexOf(':');
+            if (separator > 0) {
+                settings[pair.slice(0, separator)] = pair.slice(separator + 1);
+            }
+        });
+        return settings;
+    }
+
+    // JSON：[{start, end, text, speaker?, id?}] 或 {cues: [...]}
+    // 数字时间为毫秒，字符串时间按时间戳解析
+    registerCueParser('json', {
+        detect: function(content) {
+            var trimmed = content.trim();
+            if (trimmed.charAt(0) !== '[' && trimmed.charAt(0) !== '{') return false;
+            
+            // 静默尝试，LRC等以[开头的内容不应产生解析警告
+            try {
+                return JSON.parse(trimmed) !== null;
+            } catch (error) {
+                return false;
+            }
+        },
+        parse: function(content) {
+            var data = typeof content === 'string' ? safeJSONParse(content, null) : content;
+            var list = Array.isArray(data) ? data : (data && Array.isArray(data.cues) ? data.cues : null);
+
+            if (!list) {
+                throw new Error('JSON cues must be an array or an object with a cues array');
+            }
+
+            var cues = [];
+            list.forEach(function(item, index) {
+                if (!item || typeof item !== 'object') return;
+
+                var start = parseTimestamp(item.start);
+                var end = parseTimestamp(item.end);
+                if (isNaN(start) || isNaN(end)) {
+                    DEBUG_WARN('[AudioSyncCore] Invalid JSON cue at index ' + index);
+                    return;
+                }
+
+                cues.push({
+                    id: item.id !== undefined && item.id !== null ? String(item.id) : null,
+                    sequence: typeof item.sequence === 'number' ? item.sequence : undefined,
+                    start: start,
+                    end: end,
+                    speaker: item.speaker || null,
+                    wordTimings: Array.isArray(item.words) ? normalizeWordTimingList(item.words) : null,
+                    text: String(item.text || '')
+                });
+            });
+
+            return cues;
+        },
+        serialize: function(cues, options) {
+            var speakerLabels = !options || options.speakerLabels !== false;
+
+            var list = cues.map(function(cue, index) {
+                var item = {
+                    sequence: index + 1,
+                    start: cue.start,
+                    end: cue.end,
+                    text: cue.text
+                };
+
+                if (cue.id) item.id = cue.id;
+                if (speakerLabels && cue.speaker) item.speaker = cue.speaker;
+
+                // 只导出真实的单词时间，估算值加载时会重新生成
+                if (cue.wordTimings && cue.wordTimings.some(function(timing) { return !timing.estimated; })) {
+                    item.words = cue.wordTimings.map(function(timing) {
+                        return { text: timing.text, start: timing.start, end: timing.end };
+                    });
+                }
+
+                return item;
+            });
+
+            return JSON.stringify({ cues: list }, null, 2) + '\n';
+        }
+    });
+
+    // [{text|word, start, end}] -> [{text, start, end}]，忽略无效项
+    function normalizeWordTimingList(list) {
+        var timings = [];
+
+        list.forEach(function(item) {
+            if (!item || typeof item !== 'object') return;
+
+            var start = parseTimestamp(item.start);
+            var end = parseTimestamp(item.end);
+            var text = String(item.text || item.word || '').trim();
+
+            if (text && !isNaN(start) && !isNaN(end)) {
+                timings.push({ text: text, start: start, end: end });
+            }
+        });
+
+        return timings.length > 0 ? timings : null;
+    }
+
+    // 粗略的英语音节计数，用于估算单词时长
+    function countSyllables(word) {
+        var normalized = String(word).toLowerCase().replace(/[^a-z]/g, '');
+        if (!normalized) {
+            return 0;
+        }
+        if (normalized.length <= 3) {
+            return 1;
+        }
+
+        normalized = normalized.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '').replace(/^y/, '');
+        var groups = normalized.match(/[aeiouy]{1,2}/g);
+        return Math.max(1, groups ? groups.length : 1);
+    }
+
+    // LRC 歌词格式：[mm:ss.xx]文本，结束时间取下一行开始时间
+    registerCueParser('lrc', {
+        detect: function(content) {
+            return /^\s*\[\d{1,3}:\d{2}(?:[.:]\d{1,3})?\]/m.test(content);
+        },
+        parse: function(content) {
+            var lines = normalizeLineBreaks(content).split('\n');
+            var offset = 0;
+            var totalLength = 0;
+            var entries = [];
+
+            lines.forEach(function(line) {
+                var meta = line.match(/^\s*\[(offset|length):\s*([^\]]+)\]\s*$/i);
+                if (meta) {
+                    if (meta[1].toLowerCase() === 'offset') {
+                        offset = parseInt(meta[2], 10) || 0;
+                    } else {
+                        totalLength = parseTimestamp(meta[2].trim()) || 0;
+                    }
+                    return;
+                }
+
+                var stamps = [];
+                var rest = line.replace(/\[(\d{1,3}):(\d{2})(?:[.:](\d{1,3}))?\]/g, function(all, mm, ss, fraction) {
+                    stamps.push(parseTimestamp(mm + ':' + ss + (fraction ? '.' + fraction : '')));
+                    return '';
+                });
+
+                stamps.forEach(function(stamp) {
+                    entries.push({ start: stamp, text: rest.trim() });
+                });
+            });
+
+            entries.sort(function(a, b) {
+                return a.start - b.start;
+            });
+
+            var cues = [];
+            for (var i = 0; i < entries.length; i++) {
+                // 空行仅作为上一句的结束标记
+                if (!entries[i].text) continue;
+
+                var end = i + 1 < entries.length ? entries[i + 1].start :
+                    Math.max(entries[i].start + 5000, totalLength);
+
+                // LRC的offset为正时歌词提前显示
+                cues.push({
+                    start: Math.max(0, entries[i].start - offset),
+                    end: Math.max(0, end - offset),
+                    text: entries[i].text
+                });
+            }
+
+            return cues;
+        }
+    });
+
+    // SRT
+    // 说话人前缀：大写开头、最多三个单词的名字加冒号
+    var SRT_SPEAKER_PATTERN = /^([A-Z][\w.'-]*(?: [A-Z][\w.'-]*){0,2}):\s+/;
+
+    registerCueParser('srt', {
+        detect: function(content) {
+            return /\d{1,2}:\d{2}:\d{2},\d{3}\s*-->/.test(content);
+        },
+        parse: function(content) {
+            var cues = [];
+
+            splitBlocks(content).forEach(function(block, index) {
+                var lines = block.trim().split('\n');
+
+                // 序号可选：第一行不是数字时补齐
+                var sequenceNumber = parseInt(lines[0], 10);
+                if (isNaN(sequenceNumber) || lines[0].indexOf('-->') !== -1) {
+                    lines.unshift(String(index + 1));
+                    sequenceNumber = index + 1;
+                }
+
+                if (lines.length < 3) {
+                    DEBUG_WARN('[AudioSyncCore] Invalid SRT block at index ' + index);
+                    return;
+                }
+
+                var timeMatch = lines[1].match(/(\d{2}):(\d{2}):(\d{2}),(\d{3})\s*-->\s*(\d{2}):(\d{2}):(\d{2}),(\d{3})/);
+                if (!timeMatch) {
+                    DEBUG_WARN('[AudioSyncCore] Invalid time format at index ' + index);
+                    return;
+                }
+
+                // 开头的 "Name: " 视为说话人，与导出时的写法对应
+                var text = lines.slice(2).join('\n').trim();
+                var speaker = text.match(SRT_SPEAKER_PATTERN);
+
+                cues.push({
+                    sequence: sequenceNumber,
+                    start: parseTimestamp(timeMatch[1] + ':' + timeMatch[2] + ':' + timeMatch[3] + ',' + timeMatch[4]),
+                    end: parseTimestamp(timeMatch[5] + ':' + timeMatch[6] + ':' + timeMatch[7] + ',' + timeMatch[8]),
+                    speaker: speaker ? speaker[1] : null,
+                    text: speaker ? text.slice(speaker[0].length) : text
+                });
+            });
+
+            return cues;
+        },
+        serialize: function(cues, options) {
+            var speakerLabels = !options || options.speakerLabels !== false;
+
+            return cues.map(function(cue, index) {
+                // SRT没有说话人字段，按惯例写成 "Name: 文本"
+                return [
+                    index + 1,
+                    formatTimestamp(cue.start, ',') + ' --> ' + formatTimestamp(cue.end, ','),
+                    (speakerLabels && cue.speaker ? cue.speaker + ': ' : '') + cue.text
+                ].join('\n');
+            }).join('\n\n') + '\n';
+        }
+    });
+
+    /**
+     * 把字幕写成指定格式的文本
+     * @param {Array} cues - [{start, end, text, id?, speaker?, settings?, wordTimings?}]
+     * @param {string} format - 已注册且支持导出的格式
+     * @param {Object} options - {speakerLabels: 是否写出说话人，默认true}
+     */
+    function serializeCues(cues, format, options) {
+        var parser = cueParsers[String(format || '').toLowerCase()];
+        if (!parser || typeof parser.serialize !== 'function') {
+            throw new Error('Export not supported for format: ' + format);
+        }
+        return parser.serialize(cues, options || {});
+    }
+
+    /**
+     * 由句子列表和开始时间生成字幕
+     * 结束时间取下一句开始时间；最后一句按单词数估算，或使用 options.lastEnd
+     * @param {Array} sentences - [{id, text, speaker?}]
+     * @param {Array|Object} startTimes - 按顺序的开始时间数组，或 {句子ID: 开始时间}
+     * @param {Object} options - {lastEnd, msPerWord, minDuration}
+     * @returns {Array} [{id, start, end, text, speaker}]
+     */
+    function buildCuesFromSentences(sentences, startTimes, options) {
+        options = options || {};
+
+        var msPerWord = options.msPerWord || 400;
+        var minDuration = options.minDuration || 1000;
+        var timed = [];
+
+        sentences.forEach(function(sentence, index) {
+            var value = Array.isArray(startTimes) ? startTimes[index] :
+                (startTimes ? startTimes[sentence.id] : undefined);
+            if (value === undefined || value === null) return;
+
+            var start = parseTimestamp(value);
+            if (isNaN(start)) {
+                DEBUG_WARN('[AudioSyncCore] Invalid start time for sentence ' + sentence.id);
+                return;
+            }
+
+            timed.push({ sentence: sentence, start: start });
+        });
+
+        timed.sort(function(a, b) {
+            return a.start - b.start;
+        });
+
+        return timed.map(function(item, index) {
+            var next = timed[index + 1];
+            var wordCount = item.sentence.text.split(/\s+/).filter(Boolean).length;
+            var end = next ? next.start :
+                (typeof options.lastEnd === 'number' ? options.lastEnd :
+                    item.start + Math.max(minDuration, wordCount * msPerWord));
+
+            return {
+                id: item.sentence.id,
+                start: item.start,
+                end: Math.max(item.start, end),
+                text: item.sentence.text,
+                speaker: item.sentence.speaker || null
+            };
+        });
+    }
+
+    // 🎯 播放器适配
+    // <audio>/<video> 元素直接使用；其他播放器（如嵌入式视频）通过适配器接入，需实现：
+    //   play(), pause(), getCurrentTime(), setCurrentTime(seconds), getDuration(), on(type, handler), off(type, handler)
+    // 可选：isPaused(), getPlaybackRate()/setPlaybackRate(rate), getVolume()/setVolume(volume),
+    //   isMuted()/setMuted(muted), element（用于叠加字幕的DOM元素）
+    // 事件沿用媒体元素的名称：play, pause, ended, timeupdate, loadedmetadata, durationchange, error, canplay, waiting
+    var REQUIRED_ADAPTER_METHODS = ['play', 'pause', 'getCurrentTime', 'setCurrentTime', 'getDuration', 'on', 'off'];
+
+    function isMediaElement(player) {
+        return !!player && typeof player.addEventListener === 'function' &&
+               typeof player.play === 'function' && 'currentTime' in player;
+    }
+
+    /**
+     * 把播放器适配器包装成媒体元素的接口，AudioSyncCore 内部只面向这一套接口
+     * @param {Object} adapter - 播放器适配器或媒体元素
+     * @returns {Object} 媒体元素或兼容对象
+     */
+    function createPlayerAdapter(adapter) {
+        if (isMediaElement(adapter)) return adapter;
+
+        var missing = REQUIRED_ADAPTER_METHODS.filter(function(method) {
+            return !adapter || typeof adapter[method] !== 'function';
+        });
+        if (missing.length > 0) {
+            throw new Error('Player adapter is missing: ' + missing.join(', '));
+        }
+
+        // 适配器不提供 isPaused 时由事件推断
+        var paused = true;
+        var pauseTracking = {
+            play: function() { paused = false; },
+            pause: function() { paused = true; },
+            ended: function() { paused = true; }
+        };
+        Object.keys(pauseTracking).forEach(function(type) {
+            adapter.on(type, pauseTracking[type]);
+        });
+
+        var player = {
+            isAdapter: true,
+            adapter: adapter,
+            element: adapter.element || null,
+            play: function() {
+                return adapter.play();
+            },
+            pause: function() {
+                return adapter.pause();
+            },
+            addEventListener: function(type, handler) {
+                adapter.on(type, handler);
+            },
+            removeEventListener: function(type, handler) {
+                adapter.off(type, handler);
+            },
+            release: function() {
+                Object.keys(pauseTracking).forEach(function(type) {
+                    adapter.off(type, pauseTracking[type]);
+                });
+            }
+        };
+
+        Object.defineProperties(player, {
+            currentTime: {
+                get: function() { return adapter.getCurrentTime() || 0; },
+                set: function(value) { adapter.setCurrentTime(value); }
+            },
+            duration: {
+                get: function() { return adapter.getDuration() || 0; }
+            },
+            paused: {
+                get: function() {
+                    return typeof adapter.isPaused === 'function' ? adapter.isPaused() : paused;
+                }
+            },
+            readyState: {
+                // 已知时长即视为元数据就绪（HAVE_METADATA）
+                get: function() { return adapter.getDuration() > 0 ? 1 : 0; }
+            },
+            // 不支持的能力返回 undefined，与旧浏览器的媒体元素行为一致
+            playbackRate: {
+                get: function() {
+                    if (typeof adapter.setPlaybackRate !== 'function') return undefined;
+                    return typeof adapter.getPlaybackRate === 'function' ? adapter.getPlaybackRate() : 1;
+                },
+                set: function(value) {
+                    if (typeof adapter.setPlaybackRate === 'function') adapter.setPlaybackRate(value);
+                }
+            },
+            volume: {
+                get: function() {
+                    return typeof adapter.getVolume === 'function' ? adapter.getVolume() : 1;
+                },
+                set: function(value) {
+                    if (typeof adapter.setVolume === 'function') adapter.setVolume(value);
+                }
+            },
+            muted: {
+                get: function() {
+                    return typeof adapter.isMuted === 'function' ? adapter.isMuted() : false;
+                },
+                set: function(value) {
+                    if (typeof adapter.setMuted === 'function') adapter.setMuted(value);
+                }
+            }
+        });
+
+        return player;
+    }
+
+    // 说话人默认配色，按出现顺序分配
+    var SPEAKER_PALETTE = ['#007AFF', '#FF9500', '#34C759', '#AF52DE', '#FF2D55', '#5AC8FA', '#A2845E'];
+
     /**
      * 🎯 AudioSyncCore - 音频同步核心
      * 功能：SRT解析、实时高亮、智能滚动、多策略查找、播放控制
+     * 播放器：<audio>、<video>（带叠加字幕）或实现适配器接口的对象，见 createPlayerAdapter
      * 兼容：iOS Safari 12+, Android Chrome 80+
      */
     function AudioSyncCore(contentArea, srtText, audioPlayer, options) {
@@ -51,16 +686,55 @@
             scrollOffset: options.scrollOffset || 100,
             scrollBehavior: options.scrollBehavior || 'smooth',
             syncTolerance: options.syncTolerance || 200, // 200ms容错
-            updateInterval: options.updateInterval || 100, // 100ms更新间隔
+            updateInterval: options.updateInterval || 100, // 100ms更新间隔（定时器模式）
+            syncMode: options.syncMode === 'interval' ? 'interval' : 'raf', // raf | interval
+            stateUpdateInterval: options.stateUpdateInterval || 250, // 播放中写入StateManager的最短间隔
             preloadBuffer: options.preloadBuffer || 3, // 预加载3个字幕
             enableTouch: options.enableTouch !== false,
             enableKeyboard: options.enableKeyboard !== false,
             enableWheel: options.enableWheel !== false,
+            sentenceSelector: options.sentenceSelector || '[data-sentence-id]',
+            sentenceIdAttribute: options.sentenceIdAttribute || 'data-sentence-id',
+            speakerSelector: options.speakerSelector || '.speaker',
+            speakerAttribute: options.speakerAttribute || 'data-speaker',
+            speakerColors: options.speakerColors || {}, // {说话人: 颜色}，未指定的从调色板分配
+            colorSpeakers: options.colorSpeakers === true,
+            speakerColoredClass: options.speakerColoredClass || 'speaker-colored',
+            rolePlayLineClass: options.rolePlayLineClass || 'role-play-line',
+            rolePlayTurnClass: options.rolePlayTurnClass || 'role-play-turn',
+            alignmentThreshold: options.alignmentThreshold || 0.5, // 对齐最低相似度
+            enableWordHighlight: options.enableWordHighlight !== false,
+            wordHighlightClass: options.wordHighlightClass || 'highlighted-word',
+            wordClass: options.wordClass || 'sync-word',
+            wordTimingWeight: options.wordTimingWeight || 'syllable', // syllable | character
+            shadowPauseMultiplier: options.shadowPauseMultiplier || 1.2, // 跟读停顿 = 字幕时长 × 倍数
+            shadowMinPause: options.shadowMinPause || 1000, // 最短停顿（毫秒）
+            shadowTolerance: options.shadowTolerance || 1000, // 超出句尾过多视为跳转而非播放到句尾
+            retimeLatency: typeof options.retimeLatency === 'number' ? options.retimeLatency : 150, // 按键反应延迟补偿
+            retimeTargetClass: options.retimeTargetClass || 'retime-target',
+            chapterId: options.chapterId || null,
+            clipStateKey: options.clipStateKey || 'audioClips', // 按章节保存：audioClips.<chapterId>
+            clipPanelContainer: options.clipPanelContainer || null,
+            clipDefaultLength: options.clipDefaultLength || 5000, // 不在字幕内时片段的默认长度
+            enableMediaSession: options.enableMediaSession !== false,
+            mediaSeekBackward: options.mediaSeekBackward || 10, // 耳机/锁屏后退秒数
+            mediaSeekForward: options.mediaSeekForward || 10, // 耳机/锁屏前进秒数
+            navigationDataUrl: options.navigationDataUrl || 'data/navigation.json', // 章节标题与封面来源，也可直接传 navigationData
+            progressStateKey: options.progressStateKey || 'audioProgress', // 按章节保存：audioProgress.<chapterId>
+            progressSaveInterval: options.progressSaveInterval || 5000, // 播放中保存进度的间隔
+            autoResume: options.autoResume !== false,
+            resumeRewind: typeof options.resumeRewind === 'number' ? options.resumeRewind : 2, // 续播时回退秒数
+            resumeMinTime: options.resumeMinTime || 5, // 少于该秒数不算开始收听
+            completeThreshold: options.completeThreshold || 0.95, // 超过该比例视为听完
+            subtitleOverlay: options.subtitleOverlay, // 视频上叠加字幕，默认仅 <video> 开启
+            overlayClass: options.overlayClass || 'sync-subtitle-overlay',
+            overlayContainerClass: options.overlayContainerClass || 'sync-video-container',
             cacheKey: 'audio_sync_data'
         };
         
         // 私有变量
         var srtData = [];
+        var cueFormat = null;
         var currentIndex = -1;
         var nextIndex = -1;
         var isPlaying = false;
@@ -78,6 +752,56 @@
         var scrollTimeout = null;
         var updateTimer = null;
         
+        // 字幕-句子对齐
+        var alignment = createEmptyAlignment();
+        var sentenceElements = {};
+        
+        // 时间校正：实际时间 = 原始时间 × timingScale + timingOffset
+        var timingOffset = 0;
+        var timingScale = 1;
+        var sourceTimings = [];
+        
+        // 重新打点
+        var retimeState = createEmptyRetime();
+        
+        // A-B循环
+        var loopState = createEmptyLoop();
+        var loopGapTimer = null;
+        
+        // 跟读模式
+        var shadowState = createEmptyShadow();
+        var shadowTimer = null;
+        
+        // 说话人：按小写名称索引
+        var speakers = {};
+        var speakerFilter = null;
+        var rolePlayState = createEmptyRolePlay();
+        
+        // 片段书签
+        var clips = [];
+        var clipCounter = 0;
+        var clipPanel = null;
+        
+        // 媒体会话（锁屏、耳机控制）
+        var mediaMetadataOverride = null;
+        var mediaMetadataInfo = null;
+        var mediaNavigationData = Array.isArray(options.navigationData) ? options.navigationData : null;
+        var mediaNavigationRequested = false;
+        
+        // 章节续播
+        var progressDirty = false;
+        var lastProgressSave = 0;
+        var pendingResume = null;
+        var continuePanel = null;
+        
+        // 视频叠加字幕
+        var subtitleOverlay = null;
+        
+        // 单词级高亮
+        var currentWordIndex = -1;
+        var wordElementCache = {};
+        var lastHighlightedWord = null;
+        
         // 🔧 事件监听器管理
         var boundEventHandlers = {};
         var isDestroyed = false;
@@ -87,9 +811,21 @@
             syncCount: 0,
             missedSyncs: 0,
             searchTime: 0,
-            renderTime: 0
+            renderTime: 0,
+            lookupCount: 0,
+            lookupTime: 0,
+            indexBuildTime: 0,
+            frameCount: 0,
+            frameTime: 0,
+            benchmark: null
         };
         
+        // 字幕时间索引：按开始时间排序，maxEnds[i] 为前 i 条字幕的最大结束时间
+        var cueIndex = null;
+        var frameRequestId = null;
+        var activeSyncMode = null;
+        var lastStateUpdate = 0;
+        
         // 依赖注入
         var stateManager = null;
         var eventHub = null;
@@ -128,7 +864,7 @@
                 elements.contentArea = typeof contentArea === 'string' ? 
                     document.getElementById(contentArea) : contentArea;
                 elements.audioPlayer = typeof audioPlayer === 'string' ? 
-                    document.getElementById(audioPlayer) : audioPlayer;
+                    document.getElementById(audioPlayer) : createPlayerAdapter(audioPlayer);
                 
                 if (!elements.contentArea) {
                     throw new Error('Content area not found');
@@ -143,17 +879,38 @@
                 
                 // 解析SRT数据
                 if (srtText) {
-                    parseSRTData(srtText);
+                    parseCueData(srtText, options.cueFormat || 'auto');
                 }
                 
+                // 建立字幕-句子对齐
+                buildAlignment();
+                
                 // 绑定音频事件
                 bindAudioEvents();
                 
                 // 绑定交互事件
                 bindInteractionEvents();
                 
+                // 锁屏与耳机控制
+                setupMediaSession();
+                
+                // 视频叠加字幕
+                if (typeof config.subtitleOverlay === 'boolean' ? config.subtitleOverlay : getPlayerType() === 'video') {
+                    createSubtitleOverlay();
+                }
+                
                 // 恢复状态
                 restoreState();
+                loadClips();
+                bindProgressEvents();
+                
+                if (config.autoResume && config.chapterId) {
+                    resumeChapterProgress();
+                }
+                
+                if (config.clipPanelContainer) {
+                    self.showClipPanel(config.clipPanelContainer);
+                }
                 
                 DEBUG_LOG('[AudioSyncCore] 初始化成功');
                 
@@ -174,40 +931,68 @@
         // 🔑 公开API
         
         /**
-         * 加载SRT字幕数据
-         * @param {string} srtContent - SRT字幕内容
+         * 加载SRT字幕数据（自动识别SRT/VTT/LRC/JSON格式）
+         * @param {string} srtContent - 字幕内容
          */
         this.loadSRT = function(srtContent) {
+            if (isDestroyed) return false;
+            
+            if (typeof srtContent !== 'string') {
+                handleError('loadSRT', new Error('SRT content must be a string'));
+                return false;
+            }
+            
+            return loadCueContent(srtContent, 'auto', 'loadSRT');
+        };
+        
+        /**
+         * 加载任意格式的字幕数据
+         * @param {string|Object|Array} content - 字幕内容，JSON格式可直接传入对象
+         * @param {string} format - 'srt' | 'vtt' | 'lrc' | 'json' | 'auto'（默认）
+         */
+        this.loadCues = function(content, format) {
+            if (isDestroyed) return false;
+            
+            if (typeof content !== 'string' && (!content || typeof content !== 'object')) {
+                handleError('loadCues', new Error('Cue content must be a string or an object'));
+                return false;
+            }
+            
+            return loadCueContent(content, format || 'auto', 'loadCues');
+        };
+        
+        /**
+         * 加载单词级时间数据
+         * 支持平铺列表 [{word, start, end}]（按开始时间归入字幕），
+         * 或按字幕分组 {cues: [{sequence|id, words: [{word, start, end}]}]}
+         * @param {string|Object|Array} data - JSON字符串或对象
+         */
+        this.loadWordTimings = function(data) {
+            if (isDestroyed) return 0;
+            
             try {
-                if (isDestroyed) return false;
-                
-                if (typeof srtContent !== 'string') {
-                    throw new Error('SRT content must be a string');
+                if (typeof data === 'string') {
+                    data = safeJSONParse(data, null);
                 }
                 
-                parseSRTData(srtContent);
-                
-                // 缓存SRT数据
-                if (cacheManager) {
-                    cacheManager.cache(config.cacheKey + ':srt', srtContent, 24 * 60 * 60 * 1000);
+                if (!data || typeof data !== 'object') {
+                    throw new Error('Word timings must be JSON array or object');
                 }
                 
-                // 重新初始化同步
-                resetSync();
+                var updated = Array.isArray(data) ?
+                    assignWordTimingsByTime(data) : assignWordTimingsByCue(data.cues || []);
+                
+                wordElementCache = {};
+                clearWordHighlight();
                 
-                // 触发加载事件
                 if (eventHub) {
-                    eventHub.emit('audioSync:loaded', {
-                        srtCount: srtData.length,
-                        firstTimestamp: srtData.length > 0 ? srtData[0].start : 0,
-                        lastTimestamp: srtData.length > 0 ? srtData[srtData.length - 1].end : 0
-                    });
+                    eventHub.emit('audioSync:wordTimingsLoaded', { cueCount: updated });
                 }
                 
-                return true;
+                return updated;
             } catch (error) {
-                handleError('loadSRT', error);
-                return false;
+                handleError('loadWordTimings', error);
+                return 0;
             }
         };
         
@@ -297,8 +1082,17 @@
                 elements.audioPlayer.currentTime = time;
                 currentTime = time;
                 
+                // 跳转后由新位置重新确定跟读目标
+                if (shadowState.active && !shadowState.pausing) {
+                    shadowState.subtitleIndex = -1;
+                }
+                
+                pendingResume = null;
+                progressDirty = true;
+                
                 // 更新同步状态
                 updateSyncState();
+                updateMediaPosition();
                 
                 // 触发跳转事件
                 if (eventHub) {
@@ -330,6 +1124,7 @@
                 if (elements.audioPlayer.playbackRate !== undefined) {
                     elements.audioPlayer.playbackRate = rate;
                     playbackRate = rate;
+                    updateMediaPosition();
                     
                     // 触发速率变化事件
                     if (eventHub) {
@@ -381,7 +1176,7 @@
             
             try {
                 isMuted = !isMuted;
-                elements.audioPlayer.muted = isMuted;
+                elements.audioPlayer.muted = isMuted || rolePlayState.muting;
                 
                 // 触发静音状态变化事件
                 if (eventHub) {
@@ -428,848 +1223,4331 @@
                 duration: duration,
                 currentIndex: currentIndex,
                 nextIndex: nextIndex,
+                currentWordIndex: currentWordIndex,
+                loop: getLoopInfo(),
+                shadowing: getShadowInfo(),
+                chapterId: config.chapterId,
+                clipCount: clips.length,
+                resumePending: !!pendingResume,
+                player: {
+                    type: getPlayerType(),
+                    overlay: !!subtitleOverlay
+                },
+                mediaSession: {
+                    supported: !!getMediaSession(),
+                    metadata: mediaMetadataInfo ? Object.assign({}, mediaMetadataInfo) : null
+                },
+                speakers: {
+                    list: self.getSpeakers(),
+                    coloring: config.colorSpeakers,
+                    filter: speakerFilter ? getSpeakerFilterNames() : null,
+                    rolePlay: {
+                        active: rolePlayState.active,
+                        speaker: rolePlayState.speaker,
+                        muting: rolePlayState.muting
+                    }
+                },
+                timing: {
+                    offset: timingOffset,
+                    scale: timingScale
+                },
+                retiming: {
+                    active: retimeState.active,
+                    index: retimeState.index,
+                    tappedCount: Object.keys(retimeState.taps).length
+                },
                 playbackRate: playbackRate,
                 volume: volume,
                 isMuted: isMuted,
                 srtCount: srtData.length,
-                performance: performanceStats,
+                cueFormat: cueFormat,
+                performance: getPerformanceStats(),
+                syncMode: activeSyncMode,
                 isDestroyed: isDestroyed
             };
         };
         
         /**
-         * 获取字幕数据
+         * 设置A-B循环
+         * @param {number} startMs - 循环起点（毫秒）
+         * @param {number} endMs - 循环终点（毫秒）
+         * @param {Object} loopOptions - {repeat: 播放次数（默认无限）, gapMs: 每遍之间的停顿, pauseOnComplete: 播完后暂停}
          */
-        this.getSRTData = function() {
-            return srtData.slice(); // 返回副本
+        this.setLoop = function(startMs, endMs, loopOptions) {
+            if (isDestroyed) return false;
+            
+            try {
+                loopOptions = loopOptions || {};
+                
+                if (typeof startMs !== 'number' || typeof endMs !== 'number' ||
+                    startMs < 0 || endMs <= startMs) {
+                    throw new Error('Invalid loop range');
+                }
+                
+                var repeat = loopOptions.repeat;
+                if (typeof repeat !== 'number' || repeat <= 0) {
+                    repeat = Infinity;
+                }
+                
+                clearLoopGapTimer();
+                loopState = createEmptyLoop();
+                loopState.active = true;
+                loopState.start = startMs;
+                loopState.end = endMs;
+                loopState.repeat = repeat;
+                loopState.gapMs = Math.max(0, loopOptions.gapMs || 0);
+                loopState.pauseOnComplete = !!loopOptions.pauseOnComplete;
+                
+                // 当前位置不在循环区间内时跳到起点
+                var currentTimeMs = currentTime * 1000;
+                if (currentTimeMs < startMs || currentTimeMs >= endMs) {
+                    this.seekTo(startMs / 1000);
+                }
+                
+                if (eventHub) {
+                    eventHub.emit('audioSync:loopSet', getLoopInfo());
+                }
+                
+                return true;
+            } catch (error) {
+                handleError('setLoop', error);
+                return false;
+            }
         };
         
         /**
-         * 销毁实例
+         * 循环播放指定字幕
+         * @param {number} index - 字幕索引
+         * @param {number} repeat - 播放次数（默认无限）
+         * @param {Object} loopOptions - 其余循环选项，如 gapMs
          */
-        this.destroy = function() {
-            if (isDestroyed) {
-                return true;
+        this.loopSubtitle = function(index, repeat, loopOptions) {
+            if (isDestroyed) return false;
+            
+            if (typeof index !== 'number' || index < 0 || index >= srtData.length) {
+                handleError('loopSubtitle', new Error('Invalid subtitle index'));
+                return false;
             }
             
+            var subtitle = srtData[index];
+            return this.setLoop(subtitle.start, subtitle.end, Object.assign({}, loopOptions, {
+                repeat: repeat
+            }));
+        };
+        
+        /**
+         * 播放包含指定句子的字幕片段，播完后暂停
+         * @param {string} sentenceId - 句子ID
+         * @param {Object} playOptions - {repeat: 播放次数（默认1）}
+         * @returns {boolean} 是否找到对应字幕并开始播放
+         */
+        this.playSentence = function(sentenceId, playOptions) {
+            if (isDestroyed) return false;
+            
             try {
-                // 标记为已销毁
-                isDestroyed = true;
-                
-                // 停止播放
-                this.stop();
+                playOptions = playOptions || {};
                 
-                // 清理定时器
-                clearUpdateTimer();
-                if (scrollTimeout) {
-                    clearTimeout(scrollTimeout);
-                    scrollTimeout = null;
+                var index = findSubtitleIndexForSentence(String(sentenceId));
+                if (index === -1) {
+                    DEBUG_WARN('[AudioSyncCore] 句子没有对应的字幕:', sentenceId);
+                    return false;
                 }
                 
-                // 移除事件监听器
-                unbindAudioEvents();
-                unbindInteractionEvents();
+                if (!this.loopSubtitle(index, playOptions.repeat || 1, { pauseOnComplete: true })) {
+                    return false;
+                }
                 
-                // 清理高亮
-                clearAllHighlights();
+                this.play();
                 
-                // 清理缓存
-                elementCache = {};
+                if (eventHub) {
+                    eventHub.emit('audioSync:sentencePlayed', {
+                        sentenceId: String(sentenceId),
+                        index: index
+                    });
+                }
                 
-                // 重置变量
-                srtData = [];
-                currentIndex = -1;
-                nextIndex = -1;
-                lastHighlightedElement = null;
+                return true;
+            } catch (error) {
+                handleError('playSentence', error);
+                return false;
+            }
+        };
+        
+        /**
+         * 取消循环
+         */
+        this.clearLoop = function() {
+            if (isDestroyed || !loopState.active) return false;
+            
+            endLoop('cleared');
+            return true;
+        };
+        
+        /**
+         * 开启跟读模式：每句播放完自动暂停，留出跟读时间后继续
+         * @param {Object} shadowOptions - {multiplier: 停顿倍数, minPause: 最短停顿}
+         */
+        this.enableShadowing = function(shadowOptions) {
+            if (isDestroyed) return false;
+            
+            try {
+                shadowOptions = shadowOptions || {};
                 
-                // 清理状态
-                if (stateManager) {
-                    stateManager.clearState('audioSync');
-                }
+                clearShadowTimer();
+                shadowState = createEmptyShadow();
+                shadowState.active = true;
+                shadowState.multiplier = shadowOptions.multiplier || config.shadowPauseMultiplier;
+                shadowState.minPause = shadowOptions.minPause || config.shadowMinPause;
+                shadowState.subtitleIndex = findCueAtTime(currentTime * 1000);
                 
-                // 触发销毁事件
                 if (eventHub) {
-                    eventHub.emit('audioSync:destroyed');
+                    eventHub.emit('audioSync:shadowingEnabled', getShadowInfo());
                 }
                 
-                DEBUG_LOG('[AudioSyncCore] 实例已销毁');
                 return true;
             } catch (error) {
-                handleError('destroy', error);
+                handleError('enableShadowing', error);
                 return false;
             }
         };
         
-        // 🔧 内部方法
+        /**
+         * 关闭跟读模式
+         */
+        this.disableShadowing = function() {
+            if (isDestroyed || !shadowState.active) return false;
+            
+            var wasPausing = shadowState.pausing;
+            clearShadowTimer();
+            shadowState = createEmptyShadow();
+            
+            if (eventHub) {
+                eventHub.emit('audioSync:shadowingDisabled', {});
+            }
+            
+            // 停顿中关闭时继续播放
+            if (wasPausing) {
+                self.play();
+            }
+            
+            return true;
+        };
         
-        function injectDependencies() {
-            // 尝试获取全局依赖
-            if (typeof global.EnglishSite !== 'undefined') {
-                stateManager = global.EnglishSite.StateManager ? 
-                    new global.EnglishSite.StateManager() : null;
-                eventHub = global.EnglishSite.EventHub ? 
-                    new global.EnglishSite.EventHub() : null;
-                cacheManager = global.EnglishSite.CacheManager ? 
-                    new global.EnglishSite.CacheManager() : null;
-                errorBoundary = global.EnglishSite.ErrorBoundary ? 
-                    new global.EnglishSite.ErrorBoundary() : null;
+        /**
+         * 切换跟读模式
+         */
+        this.toggleShadowing = function() {
+            return shadowState.active ? this.disableShadowing() : this.enableShadowing();
+        };
+        
+        /**
+         * 跟读：跳过停顿或当前句，直接进入下一句
+         */
+        this.shadowSkip = function() {
+            if (isDestroyed || !shadowState.active) return false;
+            
+            try {
+                var index = shadowState.pausing ? shadowState.subtitleIndex : currentIndex;
+                resumeShadowing(index + 1, 'skip');
+                return true;
+            } catch (error) {
+                handleError('shadowSkip', error);
+                return false;
             }
+        };
+        
+        /**
+         * 跟读：重播刚才的句子
+         */
+        this.shadowRedo = function() {
+            if (isDestroyed || !shadowState.active) return false;
             
-            // 如果用户传入了依赖，则使用用户提供的
-            if (options.stateManager) stateManager = options.stateManager;
-            if (options.eventHub) eventHub = options.eventHub;
-            if (options.cacheManager) cacheManager = options.cacheManager;
-            if (options.errorBoundary) errorBoundary = options.errorBoundary;
-        }
+            try {
+                var index = shadowState.pausing ? shadowState.subtitleIndex : currentIndex;
+                resumeShadowing(Math.max(0, index), 'redo');
+                return true;
+            } catch (error) {
+                handleError('shadowRedo', error);
+                return false;
+            }
+        };
         
-        function createBoundHandler(handler, context) {
-            return function boundHandler() {
-                if (isDestroyed) return;
-                try {
-                    return handler.apply(context || self, arguments);
-                } catch (error) {
-                    handleError('eventHandler', error);
-                }
-            };
-        }
+        /**
+         * 获取说话人列表
+         * @returns {Array} [{name, color, cueCount}]
+         */
+        this.getSpeakers = function() {
+            return Object.keys(speakers).map(function(key) {
+                return {
+                    name: speakers[key].name,
+                    color: speakers[key].color,
+                    cueCount: speakers[key].cueCount
+                };
+            });
+        };
+        
+        /**
+         * 设置说话人颜色
+         * @param {string} speaker - 说话人名称
+         * @param {string} color - CSS颜色值
+         */
+        this.setSpeakerColor = function(speaker, color) {
+            if (isDestroyed) return false;
+            
+            var entry = speakers[speakerKey(speaker)];
+            if (!entry || !color) return false;
+            
+            entry.color = color;
+            config.speakerColors[entry.name] = color;
+            applySpeakerDecorations();
+            
+            if (eventHub) {
+                eventHub.emit('audioSync:speakersUpdated', { speakers: self.getSpeakers() });
+            }
+            
+            return true;
+        };
+        
+        /**
+         * 开关说话人配色
+         * @param {boolean} enabled - 是否按说话人着色
+         */
+        this.setSpeakerColoring = function(enabled) {
+            if (isDestroyed) return false;
+            
+            config.colorSpeakers = !!enabled;
+            applySpeakerDecorations();
+            return true;
+        };
         
-        function parseSRTData(srtContent) {
+        /**
+         * 只听指定说话人：播放时跳过其他说话人的字幕
+         * @param {string|Array|null} names - 说话人名称，传null取消过滤
+         */
+        this.setSpeakerFilter = function(names) {
+            if (isDestroyed) return false;
+            
             try {
-                srtData = [];
-                
-                if (!srtContent || typeof srtContent !== 'string') {
-                    return;
+                if (names === null || typeof names === 'undefined') {
+                    return this.clearSpeakerFilter();
                 }
                 
-                // 标准化换行符
-                var normalizedContent = srtContent.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
-                
-                // 分割字幕块
-                var blocks = normalizedContent.split('\n\n').filter(function(block) {
-                    return block.trim().length > 0;
-                });
+                names = Array.isArray(names) ? names : [names];
                 
-                blocks.forEach(function(block, index) {
-                    var subtitle = parseSRTBlock(block, index);
-                    if (subtitle) {
-                        srtData.push(subtitle);
+                var filter = {};
+                names.forEach(function(name) {
+                    var key = speakerKey(name);
+                    if (!speakers[key]) {
+                        throw new Error('Unknown speaker: ' + name);
                     }
+                    filter[key] = true;
                 });
                 
-                // 按时间排序
-                srtData.sort(function(a, b) {
-                    return a.start - b.start;
-                });
+                if (Object.keys(filter).length === 0) {
+                    throw new Error('Speaker filter is empty');
+                }
                 
-                // 验证时间重叠
-                validateSRTTiming();
+                speakerFilter = filter;
                 
-                DEBUG_LOG('[AudioSyncCore] SRT解析完成，共' + srtData.length + '条字幕');
+                if (eventHub) {
+                    eventHub.emit('audioSync:speakerFilterChanged', {
+                        speakers: getSpeakerFilterNames()
+                    });
+                }
                 
+                return true;
             } catch (error) {
-                handleError('parseSRTData', error);
-                srtData = [];
+                handleError('setSpeakerFilter', error);
+                return false;
             }
-        }
+        };
+        
+        /**
+         * 取消说话人过滤
+         */
+        this.clearSpeakerFilter = function() {
+            if (isDestroyed || !speakerFilter) return false;
+            
+            speakerFilter = null;
+            
+            if (eventHub) {
+                eventHub.emit('audioSync:speakerFilterChanged', { speakers: null });
+            }
+            
+            return true;
+        };
         
-        function parseSRTBlock(block, index) {
+        /**
+         * 开始角色扮演：静音指定说话人的字幕，由学习者在空档中朗读
+         * @param {string} speaker - 学习者扮演的说话人
+         */
+        this.startRolePlay = function(speaker) {
+            if (isDestroyed) return false;
+            
             try {
-                var lines = block.trim().split('\n');
-                
-                if (lines.length < 3) {
-                    DEBUG_WARN('[AudioSyncCore] Invalid SRT block at index ' + index);
-                    return null;
-                }
-                
-                // 解析序号（可选）
-                var sequenceNumber = parseInt(lines[0], 10);
-                if (isNaN(sequenceNumber)) {
-                    // 如果第一行不是数字，可能缺少序号
-                    lines.unshift(String(index + 1));
-                    sequenceNumber = index + 1;
+                var entry = speakers[speakerKey(speaker)];
+                if (!entry) {
+                    throw new Error('Unknown speaker: ' + speaker);
                 }
                 
-                // 解析时间轴
-                var timeString = lines[1];
-                var timeMatch = timeString.match(/(\d{2}):(\d{2}):(\d{2}),(\d{3})\s*-->\s*(\d{2}):(\d{2}):(\d{2}),(\d{3})/);
-                
-                if (!timeMatch) {
-                    DEBUG_WARN('[AudioSyncCore] Invalid time format at index ' + index);
-                    return null;
+                if (rolePlayState.active) {
+                    endRolePlay();
                 }
                 
-                var startTime = parseTimeToMilliseconds(timeMatch[1], timeMatch[2], timeMatch[3], timeMatch[4]);
-                var endTime = parseTimeToMilliseconds(timeMatch[5], timeMatch[6], timeMatch[7], timeMatch[8]);
-                
-                // 解析文本内容
-                var text = lines.slice(2).join('\n').trim();
+                rolePlayState = createEmptyRolePlay();
+                rolePlayState.active = true;
+                rolePlayState.speaker = entry.name;
                 
-                // 清理HTML标签和特殊字符
-                text = cleanSubtitleText(text);
+                markRolePlayLines();
+                updateRolePlay(currentTime * 1000);
                 
-                return {
-                    index: index,
-                    sequence: sequenceNumber,
-                    start: startTime,
-                    end: endTime,
-                    duration: endTime - startTime,
-                    text: text,
-                    words: text.split(/\s+/).filter(function(word) { return word.length > 0; })
-                };
+                if (eventHub) {
+                    eventHub.emit('audioSync:rolePlayStarted', {
+                        speaker: entry.name,
+                        cueCount: entry.cueCount
+                    });
+                }
                 
+                return true;
             } catch (error) {
-                DEBUG_WARN('[AudioSyncCore] Error parsing SRT block at index ' + index + ':', error);
-                return null;
+                handleError('startRolePlay', error);
+                return false;
             }
-        }
-        
-        function parseTimeToMilliseconds(hours, minutes, seconds, milliseconds) {
-            return parseInt(hours, 10) * 3600000 + 
-                   parseInt(minutes, 10) * 60000 + 
-                   parseInt(seconds, 10) * 1000 + 
-                   parseInt(milliseconds, 10);
-        }
+        };
         
-        function cleanSubtitleText(text) {
-            // 移除HTML标签
-            text = text.replace(/<[^>]*>/g, '');
+        /**
+         * 结束角色扮演
+         */
+        this.stopRolePlay = function() {
+            if (isDestroyed || !rolePlayState.active) return false;
+            
+            var speaker = rolePlayState.speaker;
+            endRolePlay();
+            
+            if (eventHub) {
+                eventHub.emit('audioSync:rolePlayStopped', { speaker: speaker });
+            }
+            
+            return true;
+        };
+        
+        /**
+         * 切换章节：片段书签和收听进度按章节分别保存
+         * @param {string} chapterId - 章节ID
+         */
+        this.setChapter = function(chapterId) {
+            if (isDestroyed) return false;
+            
+            // 先保存上一章的进度
+            saveChapterProgress(false);
+            pendingResume = null;
+            progressDirty = false;
+            
+            config.chapterId = chapterId || null;
+            loadClips();
+            renderClipPanel();
+            refreshMediaMetadata();
+            renderContinuePanel();
+            
+            if (config.autoResume && config.chapterId) {
+                resumeChapterProgress();
+            }
+            
+            return true;
+        };
+        
+        /**
+         * 添加片段书签
+         * @param {number} startMs - 起点（毫秒）
+         * @param {number} endMs - 终点（毫秒），省略时取起点所在字幕的结尾
+         * @param {string} note - 备注
+         * @returns {Object|null} 新片段
+         */
+        this.addClip = function(startMs, endMs, note) {
+            if (isDestroyed) return null;
+            
+            try {
+                if (typeof startMs !== 'number' || isNaN(startMs) || startMs < 0) {
+                    throw new Error('Invalid clip start');
+                }
+                
+                if (typeof endMs !== 'number') {
+                    var cueIndex = findCueAtTime(startMs);
+                    endMs = cueIndex >= 0 ? srtData[cueIndex].end : startMs + config.clipDefaultLength;
+                }
+                
+                if (isNaN(endMs) || endMs <= startMs) {
+                    throw new Error('Clip end must be after its start');
+                }
+                
+                var timestamp = Date.now();
+                var clip = {
+                    id: 'clip-' + timestamp.toString(36) + '-' + (++clipCounter),
+                    start: Math.round(startMs),
+                    end: Math.round(endMs),
+                    note: note ? String(note) : '',
+                    text: getClipText(startMs, endMs),
+                    subtitleIndex: findCurrentSubtitleIndex(startMs),
+                    createdAt: timestamp,
+                    updatedAt: timestamp
+                };
+                
+                clips.push(clip);
+                sortClips();
+                saveClips();
+                renderClipPanel();
+                
+                if (eventHub) {
+                    eventHub.emit('audioSync:clipAdded', {
+                        chapterId: config.chapterId,
+                        clip: Object.assign({}, clip)
+                    });
+                }
+                
+                return Object.assign({}, clip);
+            } catch (error) {
+                handleError('addClip', error);
+                return null;
+            }
+        };
+        
+        /**
+         * 收藏当前句；没有字幕时收藏最近一段
+         * @param {string} note - 备注
+         */
+        this.clipCurrent = function(note) {
+            if (isDestroyed) return null;
+            
+            var timeMs = currentTime * 1000;
+            var index = findCueAtTime(timeMs);
+            
+            if (index < 0 && currentIndex >= 0) {
+                index = currentIndex;
+            }
+            
+            if (index >= 0) {
+                return this.addClip(srtData[index].start, srtData[index].end, note);
+            }
+            
+            var startMs = Math.max(0, timeMs - config.clipDefaultLength);
+            return this.addClip(startMs, Math.max(timeMs, startMs + 1), note);
+        };
+        
+        /**
+         * 修改片段
+         * @param {string} clipId - 片段ID
+         * @param {Object} changes - {note, start, end}
+         */
+        this.updateClip = function(clipId, changes) {
+            if (isDestroyed) return false;
+            
+            try {
+                var clip = findClip(clipId);
+                if (!clip) {
+                    throw new Error('Clip not found: ' + clipId);
+                }
+                
+                changes = changes || {};
+                
+                var start = typeof changes.start === 'number' ? changes.start : clip.start;
+                var end = typeof changes.end === 'number' ? changes.end : clip.end;
+                if (start < 0 || end <= start) {
+                    throw new Error('Clip end must be after its start');
+                }
+                
+                if (start !== clip.start || end !== clip.end) {
+                    clip.start = Math.round(start);
+                    clip.end = Math.round(end);
+                    clip.text = getClipText(clip.start, clip.end);
+                    clip.subtitleIndex = findCurrentSubtitleIndex(clip.start);
+                    sortClips();
+                }
+                
+                if (typeof changes.note !== 'undefined') {
+                    clip.note = changes.note ? String(changes.note) : '';
+                }
+                
+                clip.updatedAt = Date.now();
+                saveClips();
+                renderClipPanel();
+                
+                if (eventHub) {
+                    eventHub.emit('audioSync:clipUpdated', {
+                        chapterId: config.chapterId,
+                        clip: Object.assign({}, clip)
+                    });
+                }
+                
+                return true;
+            } catch (error) {
+                handleError('updateClip', error);
+                return false;
+            }
+        };
+        
+        /**
+         * 删除片段
+         * @param {string} clipId - 片段ID
+         */
+        this.removeClip = function(clipId) {
+            if (isDestroyed) return false;
+            
+            var clip = findClip(clipId);
+            if (!clip) return false;
+            
+            clips.splice(clips.indexOf(clip), 1);
+            saveClips();
+            renderClipPanel();
+            
+            if (eventHub) {
+                eventHub.emit('audioSync:clipRemoved', {
+                    chapterId: config.chapterId,
+                    clipId: clipId
+                });
+            }
+            
+            return true;
+        };
+        
+        /**
+         * 获取当前章节的全部片段
+         */
+        this.getClips = function() {
+            return clips.map(function(clip) {
+                return Object.assign({}, clip);
+            });
+        };
+        
+        /**
+         * 跳转到片段
+         * @param {string} clipId - 片段ID
+         * @param {Object} jumpOptions - {loop: true或循环次数, play: 是否播放（默认true）}
+         */
+        this.jumpToClip = function(clipId, jumpOptions) {
+            if (isDestroyed) return false;
+            
+            try {
+                var clip = findClip(clipId);
+                if (!clip) {
+                    throw new Error('Clip not found: ' + clipId);
+                }
+                
+                jumpOptions = jumpOptions || {};
+                
+                if (jumpOptions.loop) {
+                    this.setLoop(clip.start, clip.end, {
+                        repeat: jumpOptions.loop === true ? Infinity : jumpOptions.loop
+                    });
+                } else {
+                    if (loopState.active) {
+                        endLoop('cleared');
+                    }
+                    this.seekTo(clip.start / 1000);
+                }
+                
+                if (jumpOptions.play !== false) {
+                    this.play();
+                }
+                
+                if (eventHub) {
+                    eventHub.emit('audioSync:clipJump', {
+                        chapterId: config.chapterId,
+                        clip: Object.assign({}, clip)
+                    });
+                }
+                
+                return true;
+            } catch (error) {
+                handleError('jumpToClip', error);
+                return false;
+            }
+        };
+        
+        /**
+         * 导出片段及其原文
+         * @param {string} format - markdown | json
+         * @returns {string|null}
+         */
+        this.exportClips = function(format) {
+            if (isDestroyed) return null;
+            
+            try {
+                format = (format || 'markdown').toLowerCase();
+                
+                if (format === 'json') {
+                    return JSON.stringify({
+                        chapterId: config.chapterId,
+                        exportedAt: new Date().toISOString(),
+                        clips: clips.map(function(clip) {
+                            return {
+                                start: clip.start,
+                                end: clip.end,
+                                time: formatClock(clip.start) + '–' + formatClock(clip.end),
+                                note: clip.note,
+                                text: clip.text,
+                                createdAt: new Date(clip.createdAt).toISOString()
+                            };
+                        })
+                    }, null, 2);
+                }
+                
+                if (format === 'markdown' || format === 'md') {
+                    return serializeClipsMarkdown();
+                }
+                
+                throw new Error('Unsupported clip export format: ' + format);
+            } catch (error) {
+                handleError('exportClips', error);
+                return null;
+            }
+        };
+        
+        /**
+         * 显示片段列表面板
+         * @param {string|Element} container - 容器元素或ID
+         */
+        this.showClipPanel = function(container) {
+            if (isDestroyed) return false;
+            
+            try {
+                var parent = typeof container === 'string' ? 
+                    document.getElementById(container) : container;
+                if (!parent) {
+                    throw new Error('Clip panel container not found');
+                }
+                
+                this.hideClipPanel();
+                
+                clipPanel = document.createElement('div');
+                clipPanel.className = 'audio-clip-panel';
+                clipPanel.addEventListener('click', handleClipPanelClick);
+                parent.appendChild(clipPanel);
+                
+                renderClipPanel();
+                return true;
+            } catch (error) {
+                handleError('showClipPanel', error);
+                return false;
+            }
+        };
+        
+        /**
+         * 移除片段列表面板
+         */
+        this.hideClipPanel = function() {
+            if (!clipPanel) return false;
+            
+            clipPanel.removeEventListener('click', handleClipPanelClick);
+            if (clipPanel.parentNode) {
+                clipPanel.parentNode.removeChild(clipPanel);
+            }
+            clipPanel = null;
+            
+            return true;
+        };
+        
+        /**
+         * 设置锁屏显示的媒体信息，覆盖从导航数据得到的章节信息
+         * @param {Object|null} metadata - {title, artist, album, artwork: [{src, sizes, type}]}，传null恢复自动获取
+         */
+        this.setMediaMetadata = function(metadata) {
+            if (isDestroyed) return false;
+            
+            mediaMetadataOverride = metadata ? Object.assign({}, metadata) : null;
+            refreshMediaMetadata();
+            
+            return true;
+        };
+        
+        /**
+         * 立即保存当前章节的收听进度
+         */
+        this.saveProgress = function() {
+            if (isDestroyed || !config.chapterId) return false;
+            
+            progressDirty = true;
+            return saveChapterProgress(false);
+        };
+        
+        /**
+         * 从保存的位置继续收听当前章节
+         */
+        this.resumeProgress = function() {
+            if (isDestroyed || !config.chapterId) return false;
+            
+            return resumeChapterProgress();
+        };
+        
+        /**
+         * 获取章节收听进度
+         * @param {string} chapterId - 章节ID，默认当前章节
+         * @returns {Object|null} {chapterId, time, index, playbackRate, loop, duration, percent, completed, updatedAt}
+         */
+        this.getChapterProgress = function(chapterId) {
+            var entry = readProgress(chapterId || config.chapterId);
+            return entry ? Object.assign({}, entry) : null;
+        };
+        
+        /**
+         * "继续收听"：未听完的章节，最近收听的在前
+         * @param {number} limit - 最多返回条数
+         */
+        this.getContinueListening = function(limit) {
+            if (!stateManager) return [];
+            
+            var all = stateManager.getState(config.progressStateKey) || {};
+            var list = Object.keys(all).map(function(chapterId) {
+                return all[chapterId];
+            }).filter(function(entry) {
+                return entry && !entry.completed && entry.time >= config.resumeMinTime;
+            }).sort(function(a, b) {
+                return b.updatedAt - a.updatedAt;
+            }).map(function(entry) {
+                return Object.assign({}, entry);
+            });
+            
+            return limit > 0 ? list.slice(0, limit) : list;
+        };
+        
+        /**
+         * 清除章节收听进度
+         * @param {string} chapterId - 章节ID，默认当前章节
+         */
+        this.clearChapterProgress = function(chapterId) {
+            chapterId = chapterId || config.chapterId;
+            if (isDestroyed || !stateManager || !chapterId) return false;
+            
+            stateManager.clearState(config.progressStateKey + '.' + chapterId);
+            if (chapterId === config.chapterId) {
+                progressDirty = false;
+                pendingResume = null;
+            }
+            renderContinuePanel();
+            
+            return true;
+        };
+        
+        /**
+         * 显示"继续收听"列表，点击条目触发 audioSync:continueListening
+         * @param {string|Element} container - 容器元素或ID
+         */
+        this.showContinueListening = function(container) {
+            if (isDestroyed) return false;
+            
+            try {
+                var parent = typeof container === 'string' ? 
+                    document.getElementById(container) : container;
+                if (!parent) {
+                    throw new Error('Continue listening container not found');
+                }
+                
+                this.hideContinueListening();
+                
+                continuePanel = document.createElement('div');
+                continuePanel.className = 'continue-listening';
+                continuePanel.addEventListener('click', handleContinuePanelClick);
+                parent.appendChild(continuePanel);
+                
+                renderContinuePanel();
+                return true;
+            } catch (error) {
+                handleError('showContinueListening', error);
+                return false;
+            }
+        };
+        
+        /**
+         * 移除"继续收听"列表
+         */
+        this.hideContinueListening = function() {
+            if (!continuePanel) return false;
+            
+            continuePanel.removeEventListener('click', handleContinuePanelClick);
+            if (continuePanel.parentNode) {
+                continuePanel.parentNode.removeChild(continuePanel);
+            }
+            continuePanel = null;
+            
+            return true;
+        };
+        
+        /**
+         * 开关视频叠加字幕
+         * @param {boolean} enabled - 是否显示
+         */
+        this.setSubtitleOverlay = function(enabled) {
+            if (isDestroyed) return false;
+            
+            config.subtitleOverlay = !!enabled;
+            
+            if (!enabled) {
+                removeSubtitleOverlay();
+                return true;
+            }
+            
+            if (!subtitleOverlay && !createSubtitleOverlay()) {
+                return false;
+            }
+            
+            renderSubtitleOverlay(currentIndex);
+            return true;
+        };
+        
+        /**
+         * 设置整体时间偏移
+         * @param {number} offsetMs - 偏移毫秒数，正数表示字幕推后
+         */
+        this.setTimingOffset = function(offsetMs) {
+            if (isDestroyed) return false;
+            
+            try {
+                if (typeof offsetMs !== 'number' || isNaN(offsetMs)) {
+                    throw new Error('Invalid timing offset');
+                }
+                
+                timingOffset = Math.round(offsetMs);
+                applyTimingTransform();
+                return true;
+            } catch (error) {
+                handleError('setTimingOffset', error);
+                return false;
+            }
+        };
+        
+        /**
+         * 设置时间缩放，校正字幕与音频之间的线性漂移
+         * @param {number} scale - 缩放系数，如 1.002 表示字幕每分钟慢约120ms
+         */
+        this.setTimingScale = function(scale) {
+            if (isDestroyed) return false;
+            
+            try {
+                if (typeof scale !== 'number' || !(scale > 0.5 && scale < 2)) {
+                    throw new Error('Invalid timing scale');
+                }
+                
+                timingScale = scale;
+                applyTimingTransform();
+                return true;
+            } catch (error) {
+                handleError('setTimingScale', error);
+                return false;
+            }
+        };
+        
+        /**
+         * 开始重新打点：播放时每句开始处按 T/回车 记录新的开始时间
+         * @param {Object} retimeOptions - {startIndex: 起始字幕, latency: 反应延迟补偿毫秒}
+         */
+        this.startRetiming = function(retimeOptions) {
+            if (isDestroyed) return false;
+            
+            try {
+                retimeOptions = retimeOptions || {};
+                
+                if (!srtData.length) {
+                    throw new Error('No cues to retime');
+                }
+                
+                clearRetimeTarget();
+                retimeState = createEmptyRetime();
+                retimeState.active = true;
+                retimeState.index = Math.max(0, Math.min(srtData.length - 1, retimeOptions.startIndex || 0));
+                retimeState.latency = typeof retimeOptions.latency === 'number' ?
+                    retimeOptions.latency : config.retimeLatency;
+                
+                markRetimeTarget();
+                
+                if (eventHub) {
+                    eventHub.emit('audioSync:retimeStarted', {
+                        index: retimeState.index,
+                        cueCount: srtData.length
+                    });
+                }
+                
+                return true;
+            } catch (error) {
+                handleError('startRetiming', error);
+                return false;
+            }
+        };
+        
+        /**
+         * 记录当前字幕的新开始时间并前进到下一句
+         */
+        this.tapRetime = function() {
+            if (isDestroyed || !retimeState.active || retimeState.index >= srtData.length) return false;
+            
+            var index = retimeState.index;
+            var time = Math.max(0, Math.round(currentTime * 1000 - retimeState.latency));
+            
+            retimeState.taps[index] = time;
+            retimeState.index++;
+            markRetimeTarget();
+            
+            if (eventHub) {
+                eventHub.emit('audioSync:retimeTap', {
+                    index: index,
+                    time: time,
+                    delta: time - srtData[index].start,
+                    remaining: srtData.length - retimeState.index
+                });
+            }
+            
+            return true;
+        };
+        
+        /**
+         * 撤销上一次打点
+         */
+        this.undoRetimeTap = function() {
+            if (isDestroyed || !retimeState.active || retimeState.index <= 0) return false;
+            
+            retimeState.index--;
+            delete retimeState.taps[retimeState.index];
+            markRetimeTarget();
+            
+            if (eventHub) {
+                eventHub.emit('audioSync:retimeUndo', { index: retimeState.index });
+            }
+            
+            return true;
+        };
+        
+        /**
+         * 结束重新打点
+         * 未打点的字幕按前后打点的偏移线性插值
+         * @param {boolean} apply - 是否应用到当前字幕（默认应用）
+         * @returns {Array|null} 校正后的字幕
+         */
+        this.finishRetiming = function(apply) {
+            if (isDestroyed || !retimeState.active) return null;
+            
+            try {
+                var tappedCount = Object.keys(retimeState.taps).length;
+                var retimed = computeRetimedCues(retimeState.taps);
+                
+                clearRetimeTarget();
+                retimeState = createEmptyRetime();
+                
+                if (apply !== false && tappedCount > 0) {
+                    applyRetimedCues(retimed);
+                }
+                
+                if (eventHub) {
+                    eventHub.emit('audioSync:retimed', {
+                        tappedCount: tappedCount,
+                        cueCount: retimed.length,
+                        applied: apply !== false && tappedCount > 0
+                    });
+                }
+                
+                return retimed;
+            } catch (error) {
+                handleError('finishRetiming', error);
+                return null;
+            }
+        };
+        
+        /**
+         * 放弃重新打点
+         */
+        this.cancelRetiming = function() {
+            if (isDestroyed || !retimeState.active) return false;
+            
+            clearRetimeTarget();
+            retimeState = createEmptyRetime();
+            
+            if (eventHub) {
+                eventHub.emit('audioSync:retimeCancelled', {});
+            }
+            
+            return true;
+        };
+        
+        /**
+         * 修改单条字幕（文本、说话人或时间），导出时包含这些修改
+         * @param {number} index - 字幕索引
+         * @param {Object} changes - {text, speaker, start, end}
+         */
+        this.updateCue = function(index, changes) {
+            if (isDestroyed) return false;
+            
+            try {
+                var subtitle = srtData[index];
+                if (!subtitle) {
+                    throw new Error('Invalid subtitle index');
+                }
+                
+                changes = changes || {};
+                
+                var start = changes.start !== undefined ? parseTimestamp(changes.start) : subtitle.start;
+                var end = changes.end !== undefined ? parseTimestamp(changes.end) : subtitle.end;
+                if (isNaN(start) || isNaN(end) || end < start) {
+                    throw new Error('Invalid cue timing');
+                }
+                
+                if (typeof changes.speaker !== 'undefined') {
+                    subtitle.speaker = changes.speaker || null;
+                    buildSpeakers();
+                }
+                
+                if (typeof changes.text === 'string') {
+                    subtitle.text = cleanSubtitleText(changes.text);
+                    subtitle.words = subtitle.text.split(/\s+/).filter(function(word) { return word.length > 0; });
+                    subtitle.start = start;
+                    subtitle.end = end;
+                    subtitle.duration = end - start;
+                    subtitle.wordTimings = estimateWordTimings(start, end, subtitle.text);
+                    delete wordElementCache[subtitle.index];
+                    invalidateCueIndex();
+                } else if (start !== subtitle.start || end !== subtitle.end) {
+                    shiftCueTimes(subtitle, start, end);
+                }
+                
+                // 修改后的时间按当前校正反推回原始时间
+                sourceTimings[index] = {
+                    start: (subtitle.start - timingOffset) / timingScale,
+                    end: (subtitle.end - timingOffset) / timingScale
+                };
+                
+                resetSync();
+                updateSyncState();
+                
+                if (eventHub) {
+                    eventHub.emit('audioSync:cueUpdated', {
+                        index: index,
+                        subtitle: subtitle
+                    });
+                }
+                
+                return true;
+            } catch (error) {
+                handleError('updateCue', error);
+                return false;
+            }
+        };
+        
+        /**
+         * 导出当前字幕（含时间校正和运行时修改）
+         * @param {string} format - srt | vtt | json，默认沿用加载时的格式
+         * @param {Object} exportOptions - {speakerLabels: 是否写出说话人，默认true}
+         * @returns {string|null} 字幕文本
+         */
+        this.exportCues = function(format, exportOptions) {
+            if (isDestroyed) return null;
+            
+            try {
+                format = String(format || cueFormat || 'srt').toLowerCase();
+                return serializeCues(srtData.map(function(subtitle) {
+                    return {
+                        id: subtitle.cueId,
+                        start: subtitle.start,
+                        end: subtitle.end,
+                        text: subtitle.text,
+                        speaker: subtitle.speaker,
+                        settings: subtitle.settings,
+                        wordTimings: subtitle.wordTimings
+                    };
+                }), format, exportOptions);
+            } catch (error) {
+                handleError('exportCues', error);
+                return null;
+            }
+        };
+        
+        /**
+         * 由正文的句子（data-sentence-id）和开始时间生成字幕文件
+         * 句子ID写入字幕ID，加载后可直接按ID对齐
+         * @param {Array|Object} startTimes - 按句子顺序的开始时间数组（毫秒或时间戳），或 {句子ID: 开始时间}
+         * @param {Object} generateOptions - {format: 导出格式（默认vtt）, lastEnd, msPerWord, load: 是否立即加载}
+         * @returns {string|null} 字幕文本
+         */
+        this.generateCues = function(startTimes, generateOptions) {
+            if (isDestroyed) return null;
+            
+            try {
+                generateOptions = generateOptions || {};
+                
+                if (!startTimes || typeof startTimes !== 'object') {
+                    throw new Error('Start times must be an array or an object');
+                }
+                
+                var cues = buildCuesFromSentences(collectTranscriptSentences(), startTimes, {
+                    lastEnd: typeof generateOptions.lastEnd === 'number' ? generateOptions.lastEnd :
+                        (duration > 0 ? duration * 1000 : undefined),
+                    msPerWord: generateOptions.msPerWord,
+                    minDuration: generateOptions.minDuration
+                });
+                
+                if (!cues.length) {
+                    throw new Error('No sentences matched the given start times');
+                }
+                
+                var format = String(generateOptions.format || 'vtt').toLowerCase();
+                var content = serializeCues(cues, format, generateOptions);
+                
+                if (generateOptions.load) {
+                    loadCueContent(content, format, 'generateCues');
+                }
+                
+                if (eventHub) {
+                    eventHub.emit('audioSync:cuesGenerated', {
+                        format: format,
+                        cueCount: cues.length
+                    });
+                }
+                
+                return content;
+            } catch (error) {
+                handleError('generateCues', error);
+                return null;
+            }
+        };
+        
+        /**
+         * 对比线性查找与索引查找的耗时，结果写入 getState().performance.benchmark
+         * @param {number} iterations - 查找次数（默认10000）
+         */
+        this.runLookupBenchmark = function(iterations) {
+            if (isDestroyed) return null;
+            
+            try {
+                iterations = Math.max(1, Math.min(1000000, iterations || 10000));
+                
+                var lastEnd = srtData.length > 0 ? srtData[srtData.length - 1].end : 0;
+                var times = [];
+                for (var i = 0; i < iterations; i++) {
+                    times.push(Math.random() * (lastEnd + config.syncTolerance));
+                }
+                
+                var linearStart = now();
+                times.forEach(function(time) {
+                    linearFindSubtitleIndex(time);
+                });
+                var linearTime = now() - linearStart;
+                
+                var indexedStart = now();
+                times.forEach(function(time) {
+                    searchCueIndex(time, config.syncTolerance, false);
+                });
+                var indexedTime = now() - indexedStart;
+                
+                performanceStats.benchmark = {
+                    cueCount: srtData.length,
+                    iterations: iterations,
+                    linearTime: Math.round(linearTime * 1000) / 1000,
+                    indexedTime: Math.round(indexedTime * 1000) / 1000,
+                    speedup: indexedTime > 0 ? Math.round(linearTime / indexedTime * 10) / 10 : null,
+                    timestamp: Date.now()
+                };
+                
+                return performanceStats.benchmark;
+            } catch (error) {
+                handleError('runLookupBenchmark', error);
+                return null;
+            }
+        };
+        
+        /**
+         * 获取字幕数据
+         */
+        this.getSRTData = function() {
+            return srtData.slice(); // 返回副本
+        };
+        
+        /**
+         * 获取字幕-句子对齐结果
+         * 包含对齐策略、映射表以及未匹配的字幕和句子，便于内容作者修正
+         */
+        this.getAlignment = function() {
+            return {
+                strategy: alignment.strategy,
+                cueCount: alignment.cueCount,
+                sentenceCount: alignment.sentenceCount,
+                matchedCount: alignment.entries.length,
+                entries: alignment.entries.map(function(entry) {
+                    return {
+                        index: entry.index,
+                        sequence: entry.sequence,
+                        sentenceIds: entry.sentenceIds.slice(),
+                        score: entry.score,
+                        source: entry.source
+                    };
+                }),
+                unmatchedCues: alignment.unmatchedCues.slice(),
+                unmatchedSentences: alignment.unmatchedSentences.slice()
+            };
+        };
+        
+        /**
+         * 重新建立对齐（内容区域替换章节后调用）
+         */
+        this.rebuildAlignment = function() {
+            if (isDestroyed) return false;
+            
+            try {
+                buildAlignment();
+                resetSync();
+                return true;
+            } catch (error) {
+                handleError('rebuildAlignment', error);
+                return false;
+            }
+        };
+        
+        /**
+         * 销毁实例
+         */
+        this.destroy = function() {
+            if (isDestroyed) {
+                return true;
+            }
+            
+            try {
+                // 销毁前保存收听进度
+                saveChapterProgress(false);
+                
+                // 标记为已销毁
+                isDestroyed = true;
+                
+                // 停止播放
+                this.stop();
+                
+                // 清理定时器
+                clearUpdateTimer();
+                clearLoopGapTimer();
+                clearShadowTimer();
+                clearRetimeTarget();
+                endRolePlay();
+                clearSpeakerDecorations();
+                self.hideClipPanel();
+                self.hideContinueListening();
+                removeSubtitleOverlay();
+                unbindProgressEvents();
+                teardownMediaSession();
+                if (scrollTimeout) {
+                    clearTimeout(scrollTimeout);
+                    scrollTimeout = null;
+                }
+                
+                // 移除事件监听器
+                unbindAudioEvents();
+                unbindInteractionEvents();
+                if (elements.audioPlayer && elements.audioPlayer.isAdapter) {
+                    elements.audioPlayer.release();
+                }
+                
+                // 清理高亮
+                clearAllHighlights();
+                
+                // 清理缓存
+                elementCache = {};
+                sentenceElements = {};
+                wordElementCache = {};
+                alignment = createEmptyAlignment();
+                
+                // 重置变量
+                srtData = [];
+                invalidateCueIndex();
+                currentIndex = -1;
+                nextIndex = -1;
+                lastHighlightedElement = null;
+                
+                // 清理状态
+                if (stateManager) {
+                    stateManager.clearState('audioSync');
+                }
+                
+                // 触发销毁事件
+                if (eventHub) {
+                    eventHub.emit('audioSync:destroyed');
+                }
+                
+                DEBUG_LOG('[AudioSyncCore] 实例已销毁');
+                return true;
+            } catch (error) {
+                handleError('destroy', error);
+                return false;
+            }
+        };
+        
+        // 🔧 内部方法
+        
+        function injectDependencies() {
+            // 尝试获取全局依赖
+            if (typeof global.EnglishSite !== 'undefined') {
+                stateManager = global.EnglishSite.StateManager ? 
+                    new global.EnglishSite.StateManager() : null;
+                eventHub = global.EnglishSite.EventHub ? 
+                    new global.EnglishSite.EventHub() : null;
+                cacheManager = global.EnglishSite.CacheManager ? 
+                    new global.EnglishSite.CacheManager() : null;
+                errorBoundary = global.EnglishSite.ErrorBoundary ? 
+                    new global.EnglishSite.ErrorBoundary() : null;
+            }
+            
+            // 如果用户传入了依赖，则使用用户提供的
+            if (options.stateManager) stateManager = options.stateManager;
+            if (options.eventHub) eventHub = options.eventHub;
+            if (options.cacheManager) cacheManager = options.cacheManager;
+            if (options.errorBoundary) errorBoundary = options.errorBoundary;
+        }
+        
+        function createBoundHandler(handler, context) {
+            return function boundHandler() {
+                if (isDestroyed) return;
+                try {
+                    return handler.apply(context || self, arguments);
+                } catch (error) {
+                    handleError('eventHandler', error);
+                }
+            };
+        }
+        
+        function loadCueContent(content, format, context) {
+            try {
+                parseCueData(content, format);
+                
+                if (!cueFormat) {
+                    return false;
+                }
+                
+                buildAlignment();
+                
+                // 缓存字幕数据
+                if (cacheManager) {
+                    cacheManager.cache(config.cacheKey + ':cues', {
+                        format: cueFormat,
+                        content: typeof content === 'string' ? content : safeJSONStringify(content)
+                    }, 24 * 60 * 60 * 1000);
+                }
+                
+                // 重新初始化同步
+                resetSync();
+                
+                // 触发加载事件
+                if (eventHub) {
+                    eventHub.emit('audioSync:loaded', {
+                        format: cueFormat,
+                        srtCount: srtData.length,
+                        firstTimestamp: srtData.length > 0 ? srtData[0].start : 0,
+                        lastTimestamp: srtData.length > 0 ? srtData[srtData.length - 1].end : 0
+                    });
+                }
+                
+                return true;
+            } catch (error) {
+                handleError(context, error);
+                return false;
+            }
+        }
+        
+        function parseCueData(content, format) {
+            try {
+                srtData = [];
+                invalidateCueIndex();
+                cueFormat = null;
+                
+                if (!content) {
+                    return;
+                }
+                
+                var resolvedFormat = (!format || format === 'auto') ?
+                    detectCueFormat(content) : String(format).toLowerCase();
+                var parser = resolvedFormat ? cueParsers[resolvedFormat] : null;
+                
+                if (!parser) {
+                    throw new Error('Unsupported cue format: ' + (format && format !== 'auto' ? format : 'unknown'));
+                }
+                
+                var rawCues = parser.parse(content) || [];
+                
+                rawCues.forEach(function(rawCue, index) {
+                    var subtitle = normalizeCue(rawCue, index);
+                    if (subtitle) {
+                        srtData.push(subtitle);
+                    }
+                });
+                
+                cueFormat = resolvedFormat;
+                
+                // 按时间排序
+                srtData.sort(function(a, b) {
+                    return a.start - b.start;
+                });
+                
+                // 排序后重新编号，保证 index 与数组位置一致
+                srtData.forEach(function(subtitle, i) {
+                    subtitle.index = i;
+                });
+                
+                // 验证时间重叠
+                validateSRTTiming();
+                
+                // 新字幕以文件中的时间为准，清除之前的时间校正
+                timingOffset = 0;
+                timingScale = 1;
+                snapshotSourceTimings();
+                invalidateCueIndex();
+                
+                DEBUG_LOG('[AudioSyncCore] ' + resolvedFormat.toUpperCase() + '解析完成，共' + srtData.length + '条字幕');
+                
+            } catch (error) {
+                handleError('parseCueData', error);
+                srtData = [];
+                invalidateCueIndex();
+            }
+        }
+        
+        function normalizeCue(rawCue, index) {
+            if (!rawCue || typeof rawCue.start !== 'number' || typeof rawCue.end !== 'number' ||
+                isNaN(rawCue.start) || isNaN(rawCue.end)) {
+                DEBUG_WARN('[AudioSyncCore] Invalid cue at index ' + index);
+                return null;
+            }
+            
+            // 清理HTML标签和特殊字符
+            var text = cleanSubtitleText(rawCue.text || '');
+            
+            return {
+                index: index,
+                sequence: typeof rawCue.sequence === 'number' ? rawCue.sequence : index + 1,
+                cueId: rawCue.id || null,
+                start: rawCue.start,
+                end: rawCue.end,
+                duration: rawCue.end - rawCue.start,
+                text: text,
+                speaker: rawCue.speaker || null,
+                settings: rawCue.settings || null,
+                words: text.split(/\s+/).filter(function(word) { return word.length > 0; }),
+                wordTimings: buildWordTimings(rawCue.start, rawCue.end, text, rawCue.wordTimings)
+            };
+        }
+        
+        // 有内联时间时按片段拆分，否则按音节/字符数比例分配字幕时长
+        function buildWordTimings(start, end, text, segments) {
+            if (!segments || segments.length === 0) {
+                return estimateWordTimings(start, end, text);
+            }
+            
+            var timings = [];
+            segments.forEach(function(segment) {
+                var segmentText = cleanSubtitleText(segment.text);
+                estimateWordTimings(segment.start, segment.end, segmentText).forEach(function(timing) {
+                    // 单词独占一个时间片段时视为精确时间
+                    timing.estimated = timing.estimated && segmentText.indexOf(' ') !== -1;
+                    timings.push(timing);
+                });
+            });
+            
+            // 时间数据未覆盖的剩余单词按估算补齐
+            var words = String(text).split(/\s+/).filter(function(word) { return word.length > 0; });
+            if (timings.length < words.length) {
+                var lastEnd = timings.length > 0 ? timings[timings.length - 1].end : start;
+                timings = timings.concat(estimateWordTimings(
+                    Math.min(lastEnd, end), end, words.slice(timings.length).join(' ')
+                ));
+            }
+            return timings;
+        }
+        
+        function estimateWordTimings(start, end, text) {
+            var words = String(text).split(/\s+/).filter(function(word) { return word.length > 0; });
+            var weights = words.map(function(word) {
+                var weight = config.wordTimingWeight === 'character' ?
+                    word.replace(/[^\w']/g, '').length : countSyllables(word);
+                return Math.max(weight, 1);
+            });
+            var totalWeight = weights.reduce(function(sum, weight) { return sum + weight; }, 0);
+            var span = Math.max(0, end - start);
+            var cursor = start;
+            
+            return words.map(function(word, i) {
+                var wordEnd = i === words.length - 1 ? end : cursor + span * weights[i] / totalWeight;
+                var timing = {
+                    text: word,
+                    start: Math.round(cursor),
+                    end: Math.round(wordEnd),
+                    estimated: true
+                };
+                cursor = wordEnd;
+                return timing;
+            });
+        }
+        
+        function cleanSubtitleText(text) {
+            // 移除HTML标签
+            text = text.replace(/<[^>]*>/g, '');
+            
+            // 移除SRT样式标签
+            text = text.replace(/\{[^}]*\}/g, '');
+            
+            // 标准化空白字符
+            text = text.replace(/\s+/g, ' ').trim();
+            
+            return text;
+        }
+        
+        function validateSRTTiming() {
+            for (var i = 0; i < srtData.length - 1; i++) {
+                var current = srtData[i];
+                var next = srtData[i + 1];
+                
+                // 检查时间重叠
+                if (current.end > next.start) {
+                    DEBUG_WARN('[AudioSyncCore] Timing overlap detected between subtitle ' + 
+                               current.sequence + ' and ' + next.sequence);
+                    
+                    // 自动修正：调整结束时间
+                    current.end = next.start - 1;
+                    current.duration = current.end - current.start;
+                }
+                
+                // 检查无效时间
+                if (current.start >= current.end) {
+                    DEBUG_WARN('[AudioSyncCore] Invalid timing for subtitle ' + current.sequence);
+                }
+            }
+        }
+        
+        function initializeSearchStrategies() {
+            searchStrategies = [
+                // 策略1：精确文本匹配
+                function(text) {
+                    return elements.contentArea.querySelector('[data-text="' + text + '"]');
+                },
+                
+                // 策略2：部分文本匹配
+                function(text) {
+                    var words = text.split(/\s+/).slice(0, 3); // 取前3个词
+                    var selector = words.map(function(word) {
+                        return '[data-text*="' + word + '"]';
+                    }).join('');
+                    return elements.contentArea.querySelector(selector);
+                },
+                
+                // 策略3：文本内容查找
+                function(text) {
+                    var elements = Array.prototype.slice.call(
+                        elements.contentArea.querySelectorAll('p, span, div')
+                    );
+                    
+                    return elements.find(function(el) {
+                        return el.textContent && el.textContent.indexOf(text) !== -1;
+                    });
+                },
+                
+                // 策略4：单词级匹配
+                function(text) {
+                    var words = text.split(/\s+/);
+                    var firstWord = words[0];
+                    
+                    if (firstWord) {
+                        return elements.contentArea.querySelector('[data-word="' + firstWord + '"]');
+                    }
+                    return null;
+                },
+                
+                // 策略5：模糊匹配
+                function(text) {
+                    var elements = Array.prototype.slice.call(
+                        elements.contentArea.querySelectorAll('[data-text]')
+                    );
+                    
+                    return elements.find(function(el) {
+                        var elementText = el.getAttribute('data-text') || '';
+                        return calculateSimilarity(text, elementText) > 0.7;
+                    });
+                }
+            ];
+        }
+        
+        function calculateSimilarity(str1, str2) {
+            var longer = str1.length > str2.length ? str1 : str2;
+            var shorter = str1.length > str2.length ? str2 : str1;
+            
+            if (longer.length === 0) {
+                return 1.0;
+            }
+            
+            var editDistance = calculateLevenshteinDistance(longer, shorter);
+            return (longer.length - editDistance) / longer.length;
+        }
+        
+        function calculateLevenshteinDistance(str1, str2) {
+            var matrix = [];
+            
+            for (var i = 0; i <= str2.length; i++) {
+                matrix[i] = [i];
+            }
+            
+            for (var j = 0; j <= str1.length; j++) {
+                matrix[0][j] = j;
+            }
+            
+            for (i = 1; i <= str2.length; i++) {
+                for (j = 1; j <= str1.length; j++) {
+                    if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
+                        matrix[i][j] = matrix[i - 1][j - 1];
+                    } else {
+                        matrix[i][j] = Math.min(
+                            matrix[i - 1][j - 1] + 1,
+                            matrix[i][j - 1] + 1,
+                            matrix[i - 1][j] + 1
+                        );
+                    }
+                }
+            }
+            
+            return matrix[str2.length][str1.length];
+        }
+        
+        // 🎯 字幕-句子对齐
+        
+        function findSubtitleIndexForSentence(sentenceId) {
+            for (var i = 0; i < alignment.entries.length; i++) {
+                if (alignment.entries[i].sentenceIds.indexOf(sentenceId) !== -1) {
+                    return alignment.entries[i].index;
+                }
+            }
+            return -1;
+        }
+        
+        function createEmptyAlignment() {
+            return {
+                strategy: 'none',
+                cueCount: 0,
+                sentenceCount: 0,
+                entries: [],
+                bySubtitle: {},
+                unmatchedCues: [],
+                unmatchedSentences: []
+            };
+        }
+        
+        function buildAlignment() {
+            alignment = createEmptyAlignment();
+            sentenceElements = {};
+            elementCache = {};
+            wordElementCache = {};
+            
+            if (!elements.contentArea) return;
+            
+            try {
+                var sentences = collectSentences();
+                alignment.cueCount = srtData.length;
+                alignment.sentenceCount = sentences.length;
+                
+                if (srtData.length === 0 || sentences.length === 0) {
+                    buildSpeakers();
+                    return;
+                }
+                
+                var cues = srtData.map(function(subtitle) {
+                    return {
+                        subtitle: subtitle,
+                        tokens: tokenizeForAlignment(subtitle.text)
+                    };
+                });
+                
+                // 策略1：显式字幕ID（如VTT cue标识符）
+                var remainingCues = [];
+                var takenSentences = {};
+                cues.forEach(function(cue) {
+                    var cueId = cue.subtitle.cueId;
+                    if (cueId && sentenceElements[cueId] && !takenSentences[cueId]) {
+                        addAlignmentEntry(cue.subtitle, [cueId], 1, 'cue-id');
+                        takenSentences[cueId] = true;
+                    } else {
+                        remainingCues.push(cue);
+                    }
+                });
+                
+                var remainingSentences = sentences.filter(function(sentence) {
+                    return !takenSentences[sentence.id];
+                });
+                
+                if (remainingCues.length > 0 && remainingSentences.length > 0) {
+                    // 策略2：数量一致时按SRT序号对应
+                    if (!alignBySequence(remainingCues, remainingSentences)) {
+                        // 策略3：数量不一致时进行序列比对
+                        alignBySequenceAlignment(remainingCues, remainingSentences);
+                    }
+                }
+                
+                alignment.strategy = summarizeStrategy();
+                collectUnmatched(sentences);
+                buildSpeakers();
+                
+                if (alignment.unmatchedCues.length > 0 || alignment.unmatchedSentences.length > 0) {
+                    DEBUG_WARN('[AudioSyncCore] 对齐不完整: ' + alignment.unmatchedCues.length +
+                               '条字幕、' + alignment.unmatchedSentences.length + '个句子未匹配');
+                }
+                
+                if (eventHub) {
+                    eventHub.emit('audioSync:alignmentBuilt', {
+                        strategy: alignment.strategy,
+                        matchedCount: alignment.entries.length,
+                        unmatchedCues: alignment.unmatchedCues.length,
+                        unmatchedSentences: alignment.unmatchedSentences.length
+                    });
+                }
+                
+            } catch (error) {
+                handleError('buildAlignment', error);
+                alignment = createEmptyAlignment();
+            }
+        }
+        
+        function collectSentences() {
+            var nodes = elements.contentArea.querySelectorAll(config.sentenceSelector);
+            var sentences = [];
+            
+            for (var i = 0; i < nodes.length; i++) {
+                var id = nodes[i].getAttribute(config.sentenceIdAttribute);
+                if (!id || sentenceElements[id]) continue; // 忽略缺失或重复的ID
+                
+                sentenceElements[id] = nodes[i];
+                sentences.push({
+                    id: id,
+                    text: cleanSubtitleText(nodes[i].textContent || ''),
+                    tokens: tokenizeForAlignment(nodes[i].textContent || '')
+                });
+            }
+            
+            return sentences;
+        }
+        
+        function alignBySequence(cues, sentences) {
+            if (cues.length !== sentences.length) return false;
+            
+            var pairs = [];
+            var totalScore = 0;
+            
+            for (var i = 0; i < cues.length; i++) {
+                var sentenceId = String(cues[i].subtitle.sequence);
+                var sentence = null;
+                
+                for (var j = 0; j < sentences.length; j++) {
+                    if (sentences[j].id === sentenceId) {
+                        sentence = sentences[j];
+                        break;
+                    }
+                }
+                
+                if (!sentence) return false;
+                
+                var score = calculateTokenOverlap(cues[i].tokens, sentence.tokens);
+                pairs.push({ cue: cues[i], sentence: sentence, score: score });
+                totalScore += score;
+            }
+            
+            // 序号对应但文本差异过大时，改用序列比对
+            if (totalScore / pairs.length < config.alignmentThreshold) {
+                return false;
+            }
+            
+            pairs.forEach(function(pair) {
+                addAlignmentEntry(pair.cue.subtitle, [pair.sentence.id], pair.score, 'sequence');
+            });
+            
+            return true;
+        }
+        
+        function alignBySequenceAlignment(cues, sentences) {
+            var rows = cues.length;
+            var cols = sentences.length;
+            var scores = [];
+            var choices = [];
+            var i, j;
+            
+            // 动态规划：字幕按顺序对应到单调不减的句子，多条字幕可对应同一句子
+            for (i = 0; i <= rows; i++) {
+                scores[i] = [];
+                choices[i] = [];
+                for (j = 0; j <= cols; j++) {
+                    if (i === 0 || j === 0) {
+                        scores[i][j] = 0;
+                        choices[i][j] = i === 0 ? 'left' : 'up';
+                        continue;
+                    }
+                    
+                    var best = scores[i][j - 1];
+                    var choice = 'left';
+                    
+                    if (scores[i - 1][j] > best) {
+                        best = scores[i - 1][j];
+                        choice = 'up';
+                    }
+                    
+                    var score = calculateTokenOverlap(cues[i - 1].tokens, sentences[j - 1].tokens);
+                    if (score >= config.alignmentThreshold && scores[i - 1][j] + score > best) {
+                        best = scores[i - 1][j] + score;
+                        choice = 'match';
+                    }
+                    
+                    scores[i][j] = best;
+                    choices[i][j] = choice;
+                }
+            }
+            
+            // 回溯
+            var matches = [];
+            i = rows;
+            j = cols;
+            while (i > 0 && j > 0) {
+                var step = choices[i][j];
+                if (step === 'match') {
+                    matches.unshift({
+                        cue: cues[i - 1],
+                        sentenceIndex: j - 1,
+                        score: calculateTokenOverlap(cues[i - 1].tokens, sentences[j - 1].tokens)
+                    });
+                    i--;
+                } else if (step === 'up') {
+                    i--;
+                } else {
+                    j--;
+                }
+            }
+            
+            matches.forEach(function(match) {
+                addAlignmentEntry(match.cue.subtitle, [sentences[match.sentenceIndex].id], match.score, 'alignment');
+            });
+            
+            attachSpannedSentences(matches, sentences);
+        }
+        
+        // 一条字幕跨越多个句子时，把相邻的未匹配句子附加到覆盖度更高的字幕
+        function attachSpannedSentences(matches, sentences) {
+            for (var m = 0; m <= matches.length; m++) {
+                var prev = m > 0 ? matches[m - 1] : null;
+                var next = m < matches.length ? matches[m] : null;
+                var from = prev ? prev.sentenceIndex + 1 : 0;
+                var to = next ? next.sentenceIndex : sentences.length;
+                var leading = [];
+                
+                for (var s = from; s < to; s++) {
+                    var prevCoverage = prev ? calculateTokenOverlap(sentences[s].tokens, prev.cue.tokens) : 0;
+                    var nextCoverage = next ? calculateTokenOverlap(sentences[s].tokens, next.cue.tokens) : 0;
+                    
+                    if (Math.max(prevCoverage, nextCoverage) < config.alignmentThreshold) continue;
+                    
+                    if (prevCoverage >= nextCoverage) {
+                        alignment.bySubtitle[prev.cue.subtitle.index].sentenceIds.push(sentences[s].id);
+                    } else {
+                        leading.push(sentences[s].id);
+                    }
+                }
+                
+                // 字幕从更早的句子开始时，首个句子作为高亮目标
+                if (leading.length > 0) {
+                    var entry = alignment.bySubtitle[next.cue.subtitle.index];
+                    entry.sentenceIds = leading.concat(entry.sentenceIds);
+                }
+            }
+        }
+        
+        function addAlignmentEntry(subtitle, sentenceIds, score, source) {
+            var entry = {
+                index: subtitle.index,
+                sequence: subtitle.sequence,
+                sentenceIds: sentenceIds,
+                score: Math.round(score * 1000) / 1000,
+                source: source
+            };
+            
+            alignment.entries.push(entry);
+            alignment.bySubtitle[subtitle.index] = entry;
+        }
+        
+        function summarizeStrategy() {
+            var sources = {};
+            alignment.entries.forEach(function(entry) {
+                sources[entry.source] = true;
+            });
+            
+            var names = Object.keys(sources);
+            if (names.length === 0) return 'none';
+            return names.length === 1 ? names[0] : 'mixed';
+        }
+        
+        function collectUnmatched(sentences) {
+            var matchedSentences = {};
+            
+            alignment.entries.forEach(function(entry) {
+                entry.sentenceIds.forEach(function(id) {
+                    matchedSentences[id] = true;
+                });
+            });
+            
+            // 按时间顺序输出
+            alignment.entries.sort(function(a, b) {
+                return a.index - b.index;
+            });
+            
+            srtData.forEach(function(subtitle) {
+                if (!alignment.bySubtitle[subtitle.index]) {
+                    alignment.unmatchedCues.push({
+                        index: subtitle.index,
+                        sequence: subtitle.sequence,
+                        start: subtitle.start,
+                        text: subtitle.text
+                    });
+                }
+            });
+            
+            sentences.forEach(function(sentence) {
+                if (!matchedSentences[sentence.id]) {
+                    alignment.unmatchedSentences.push({
+                        id: sentence.id,
+                        text: sentence.text
+                    });
+                }
+            });
+        }
+        
+        function tokenizeForAlignment(text) {
+            if (!text) return [];
+            
+            return String(text)
+                .toLowerCase()
+                .replace(/[‘’]/g, "'")
+                .replace(/[^a-z0-9'\s]/g, ' ')
+                .split(/\s+/)
+                .map(function(word) { return word.replace(/^'+|'+$/g, ''); })
+                .filter(function(word) { return word.length > 0; });
+        }
+        
+        // a中有多少比例的词出现在b中
+        function calculateTokenOverlap(a, b) {
+            if (a.length === 0 || b.length === 0) return 0;
+            
+            var lookup = {};
+            for (var i = 0; i < b.length; i++) {
+                lookup[b[i]] = (lookup[b[i]] || 0) + 1;
+            }
+            
+            var hits = 0;
+            for (var j = 0; j < a.length; j++) {
+                if (lookup[a[j]] > 0) {
+                    lookup[a[j]]--;
+                    hits++;
+                }
+            }
+            
+            return hits / a.length;
+        }
+        
+        function getAlignedElement(subtitle) {
+            var entry = alignment.bySubtitle[subtitle.index];
+            if (!entry) return null;
+            
+            var element = sentenceElements[entry.sentenceIds[0]];
+            if (element && element.parentNode) {
+                return element;
+            }
+            
+            // 句子节点已被替换，按ID重新查询
+            element = elements.contentArea.querySelector(
+                '[' + config.sentenceIdAttribute + '="' + entry.sentenceIds[0] + '"]'
+            );
+            if (element) {
+                sentenceElements[entry.sentenceIds[0]] = element;
+            }
+            return element;
+        }
+        
+        function bindAudioEvents() {
+            if (!elements.audioPlayer || isDestroyed) return;
+            
+            // 创建绑定的处理器
+            boundEventHandlers.timeupdate = createBoundHandler(handleTimeUpdate);
+            boundEventHandlers.play = createBoundHandler(handlePlayStart);
+            boundEventHandlers.pause = createBoundHandler(handlePlayPause);
+            boundEventHandlers.ended = createBoundHandler(handlePlayEnd);
+            boundEventHandlers.loadedmetadata = createBoundHandler(handleMetadataLoaded);
+            boundEventHandlers.durationchange = createBoundHandler(handleDurationChange);
+            boundEventHandlers.error = createBoundHandler(handleAudioError);
+            boundEventHandlers.canplay = createBoundHandler(handleCanPlay);
+            boundEventHandlers.waiting = createBoundHandler(handleWaiting);
+            
+            // 绑定事件
+            for (var eventType in boundEventHandlers) {
+                if (boundEventHandlers.hasOwnProperty(eventType)) {
+                    elements.audioPlayer.addEventListener(eventType, boundEventHandlers[eventType]);
+                }
+            }
+        }
+        
+        function unbindAudioEvents() {
+            if (!elements.audioPlayer || !boundEventHandlers) return;
+            
+            for (var eventType in boundEventHandlers) {
+                if (boundEventHandlers.hasOwnProperty(eventType)) {
+                    try {
+                        elements.audioPlayer.removeEventListener(eventType, boundEventHandlers[eventType]);
+                    } catch (error) {
+                        DEBUG_WARN('[AudioSyncCore] 移除事件监听器失败:', eventType, error);
+                    }
+                }
+            }
+            
+            boundEventHandlers = {};
+        }
+        
+        function bindInteractionEvents() {
+            if (!elements.contentArea || isDestroyed) return;
+            
+            // 点击字幕跳转
+            boundEventHandlers.contentClick = createBoundHandler(handleContentClick);
+            elements.contentArea.addEventListener('click', boundEventHandlers.contentClick);
+            
+            // 键盘快捷键
+            if (config.enableKeyboard && typeof document !== 'undefined') {
+                boundEventHandlers.keydown = createBoundHandler(handleKeyDown);
+                document.addEventListener('keydown', boundEventHandlers.keydown);
+            }
+            
+            // 滚轮控制（桌面端）
+            if (config.enableWheel) {
+                boundEventHandlers.wheel = createBoundHandler(handleWheel);
+                elements.contentArea.addEventListener('wheel', boundEventHandlers.wheel, 
+                    checkPassiveSupport() ? { passive: false } : false);
+            }
+            
+            // 触摸控制（移动端）
+            if (config.enableTouch && 'ontouchstart' in window) {
+                bindTouchControls();
+            }
+        }
+        
+        function unbindInteractionEvents() {
+            if (!elements.contentArea) return;
+            
+            // 移除内容区域事件
+            if (boundEventHandlers.contentClick) {
+                elements.contentArea.removeEventListener('click', boundEventHandlers.contentClick);
+            }
+            
+            if (boundEventHandlers.wheel) {
+                elements.contentArea.removeEventListener('wheel', boundEventHandlers.wheel);
+            }
+            
+            // 移除文档级事件
+            if (typeof document !== 'undefined' && boundEventHandlers.keydown) {
+                document.removeEventListener('keydown', boundEventHandlers.keydown);
+            }
+            
+            // 移除触摸事件
+            if (boundEventHandlers.touchstart) {
+                elements.contentArea.removeEventListener('touchstart', boundEventHandlers.touchstart);
+            }
+            if (boundEventHandlers.touchend) {
+                elements.contentArea.removeEventListener('touchend', boundEventHandlers.touchend);
+            }
+        }
+        
+        function bindTouchControls() {
+            var touchStartX = 0;
+            var touchStartY = 0;
+            var touchStartTime = 0;
+            
+            var touchOptions = checkPassiveSupport() ? { passive: true } : false;
+            
+            boundEventHandlers.touchstart = createBoundHandler(function(e) {
+                touchStartX = e.touches[0].clientX;
+                touchStartY = e.touches[0].clientY;
+                touchStartTime = Date.now();
+            });
+            
+            boundEventHandlers.touchend = createBoundHandler(function(e) {
+                var touchEndX = e.changedTouches[0].clientX;
+                var touchEndY = e.changedTouches[0].clientY;
+                var touchEndTime = Date.now();
+                
+                var deltaX = touchEndX - touchStartX;
+                var deltaY = touchEndY - touchStartY;
+                var deltaTime = touchEndTime - touchStartTime;
+                
+                // 水平滑动手势
+                if (Math.abs(deltaX) > Math.abs(deltaY) && Math.abs(deltaX) > 50 && deltaTime < 500) {
+                    if (deltaX > 0) {
+                        // 右滑：后退10秒
+                        self.seekTo(Math.max(0, currentTime - 10));
+                    } else {
+                        // 左滑：前进10秒
+                        self.seekTo(Math.min(duration, currentTime + 10));
+                    }
+                }
+                
+                // 双击手势
+                if (Math.abs(deltaX) < 10 && Math.abs(deltaY) < 10 && deltaTime < 300) {
+                    // 检查是否为双击
+                    var now = Date.now();
+                    if (self._lastTouchTime && now - self._lastTouchTime < 300) {
+                        // 双击：播放/暂停
+                        if (isPlaying) {
+                            self.pause();
+                        } else {
+                            self.play();
+                        }
+                    }
+                    self._lastTouchTime = now;
+                }
+            });
+            
+            elements.contentArea.addEventListener('touchstart', boundEventHandlers.touchstart, touchOptions);
+            elements.contentArea.addEventListener('touchend', boundEventHandlers.touchend, touchOptions);
+        }
+        
+        function handleTimeUpdate() {
+            try {
+                currentTime = elements.audioPlayer.currentTime;
+                updateSyncState();
+            } catch (error) {
+                handleError('handleTimeUpdate', error);
+            }
+        }
+        
+        function handlePlayStart() {
+            isPlaying = true;
+            isPaused = false;
+            
+            // 跟读停顿中手动播放：放弃本次停顿，从当前位置继续
+            if (shadowState.pausing) {
+                clearShadowTimer();
+                shadowState.pausing = false;
+                shadowState.subtitleIndex = -1;
+                
+                if (eventHub) {
+                    eventHub.emit('audioSync:shadowResume', {
+                        subtitleIndex: currentIndex,
+                        reason: 'manual'
+                    });
+                }
+            }
+            
+            startUpdateTimer();
+            updateMediaPlaybackState('playing');
+            
+            // 更新状态
+            updateState();
+            
+            // 触发播放事件
+            if (eventHub) {
+                eventHub.emit('audioSync:play', { currentTime: currentTime });
+            }
+        }
+        
+        function handlePlayPause() {
+            isPlaying = false;
+            isPaused = true;
+            
+            clearUpdateTimer();
+            updateMediaPlaybackState('paused');
+            saveChapterProgress(false);
+            
+            // 更新状态
+            updateState();
+            
+            // 触发暂停事件
+            if (eventHub) {
+                eventHub.emit('audioSync:pause', { currentTime: currentTime });
+            }
+        }
+        
+        function handlePlayEnd() {
+            isPlaying = false;
+            isPaused = false;
+            
+            clearUpdateTimer();
+            clearAllHighlights();
+            updateMediaPlaybackState('paused');
+            progressDirty = true;
+            saveChapterProgress(true);
+            
+            // 重置索引
+            currentIndex = -1;
+            nextIndex = -1;
+            
+            // 更新状态
+            updateState();
+            
+            // 触发结束事件
+            if (eventHub) {
+                eventHub.emit('audioSync:ended', { duration: duration });
+            }
+        }
+        
+        function handlePlayStop() {
+            isPlaying = false;
+            isPaused = false;
+            currentTime = 0;
+            currentIndex = -1;
+            nextIndex = -1;
+            progressDirty = false; // 主动停止不覆盖已保存的进度
+            
+            clearUpdateTimer();
+            clearAllHighlights();
+            
+            // 更新状态
+            updateState();
+            
+            // 触发停止事件
+            if (eventHub) {
+                eventHub.emit('audioSync:stop');
+            }
+        }
+        
+        function handleMetadataLoaded() {
+            duration = elements.audioPlayer.duration || 0;
+            updateMediaPosition();
+            
+            if (pendingResume) {
+                applyResume(pendingResume);
+            }
+            
+            // 触发元数据加载事件
+            if (eventHub) {
+                eventHub.emit('audioSync:metadataLoaded', { duration: duration });
+            }
+        }
+        
+        function handleDurationChange() {
+            duration = elements.audioPlayer.duration || 0;
+            
+            // 触发时长变化事件
+            if (eventHub) {
+                eventHub.emit('audioSync:durationChange', { duration: duration });
+            }
+        }
+        
+        function handleAudioError(e) {
+            var error = new Error('Audio error: ' + (e.target.error ? e.target.error.message : 'Unknown error'));
+            handleError('audio', error);
+        }
+        
+        function handleCanPlay() {
+            // 触发可播放事件
+            if (eventHub) {
+                eventHub.emit('audioSync:canPlay', { duration: duration });
+            }
+        }
+        
+        function handleWaiting() {
+            // 触发缓冲事件
+            if (eventHub) {
+                eventHub.emit('audioSync:waiting', { currentTime: currentTime });
+            }
+        }
+        
+        function handleContentClick(e) {
+            var clickedElement = e.target;
+            
+            // 查找包含时间信息的元素
+            var timeElement = clickedElement.closest('[data-time]') || 
+                             clickedElement.closest('[data-start]') ||
+                             clickedElement.closest('[data-subtitle-index]');
+            
+            if (timeElement) {
+                e.preventDefault();
+                
+                var time = timeElement.getAttribute('data-time') || 
+                          timeElement.getAttribute('data-start');
+                var index = timeElement.getAttribute('data-subtitle-index');
+                
+                if (time) {
+                    self.seekTo(parseFloat(time));
+                } else if (index) {
+                    self.seekToSubtitle(parseInt(index, 10));
+                }
+            }
+        }
+        
+        function handleKeyDown(e) {
+            // 输入框内的按键留给输入本身
+            if (isEditableTarget(e.target)) return;
+            
+            // 空格键：播放/暂停
+            if (e.code === 'Space' || e.keyCode === 32) {
+                e.preventDefault();
+                if (isPlaying) {
+                    self.pause();
+                } else {
+                    self.play();
+                }
+            }
+            
+            // 左箭头：后退5秒
+            if (e.code === 'ArrowLeft' || e.keyCode === 37) {
+                e.preventDefault();
+                self.seekTo(Math.max(0, currentTime - 5));
+            }
+            
+            // 右箭头：前进5秒
+            if (e.code === 'ArrowRight' || e.keyCode === 39) {
+                e.preventDefault();
+                self.seekTo(Math.min(duration, currentTime + 5));
+            }
+            
+            // 上箭头：音量增加
+            if (e.code === 'ArrowUp' || e.keyCode === 38) {
+                e.preventDefault();
+                self.setVolume(Math.min(1, volume + 0.1));
+            }
+            
+            // 下箭头：音量减少
+            if (e.code === 'ArrowDown' || e.keyCode === 40) {
+                e.preventDefault();
+                self.setVolume(Math.max(0, volume - 0.1));
+            }
+            
+            // M键：静音切换
+            if (e.code === 'KeyM' || e.keyCode === 77) {
+                e.preventDefault();
+                self.toggleMute();
+            }
+            
+            // L键：循环当前句 / 取消循环
+            if (e.code === 'KeyL' || e.keyCode === 76) {
+                if (e.ctrlKey || e.metaKey || e.altKey) return; // 保留浏览器快捷键
+                e.preventDefault();
+                if (loopState.active) {
+                    self.clearLoop();
+                } else if (currentIndex >= 0) {
+                    self.loopSubtitle(currentIndex);
+                }
+            }
+            
+            // [键：设置循环起点A
+            if (e.code === 'BracketLeft' || e.keyCode === 219) {
+                if (e.ctrlKey || e.metaKey || e.altKey) return; // 保留浏览器快捷键
+                e.preventDefault();
+                loopState.pointA = currentTime * 1000;
+                
+                if (eventHub) {
+                    eventHub.emit('audioSync:loopPointSet', { point: 'A', time: loopState.pointA });
+                }
+            }
+            
+            // ]键：设置循环终点B并开始循环
+            if (e.code === 'BracketRight' || e.keyCode === 221) {
+                if (e.ctrlKey || e.metaKey || e.altKey) return; // 保留浏览器快捷键
+                e.preventDefault();
+                var pointB = currentTime * 1000;
+                if (loopState.pointA !== null && pointB > loopState.pointA) {
+                    self.setLoop(loopState.pointA, pointB);
+                }
+            }
+            
+            // 重新打点模式：T/回车记录，退格撤销
+            if (retimeState.active) {
+                if (e.code === 'KeyT' || e.code === 'Enter' || e.keyCode === 84 || e.keyCode === 13) {
+                    e.preventDefault();
+                    self.tapRetime();
+                    return;
+                }
+                if (e.code === 'Backspace' || e.keyCode === 8) {
+                    e.preventDefault();
+                    self.undoRetimeTap();
+                    return;
+                }
+            }
+            
+            // C键：收藏当前句为片段
+            if (e.code === 'KeyC' || e.keyCode === 67) {
+                if (e.ctrlKey || e.metaKey || e.altKey) return; // 保留复制等浏览器快捷键
+                e.preventDefault();
+                self.clipCurrent();
+            }
+            
+            // S键：跟读模式开关
+            if (e.code === 'KeyS' || e.keyCode === 83) {
+                if (e.ctrlKey || e.metaKey || e.altKey) return; // 保留浏览器快捷键
+                e.preventDefault();
+                self.toggleShadowing();
+            }
+            
+            // N键：跟读时跳到下一句
+            if (shadowState.active && (e.code === 'KeyN' || e.keyCode === 78)) {
+                if (e.ctrlKey || e.metaKey || e.altKey) return; // 保留浏览器快捷键
+                e.preventDefault();
+                self.shadowSkip();
+            }
+            
+            // R键：跟读时重播本句
+            if (shadowState.active && (e.code === 'KeyR' || e.keyCode === 82)) {
+                if (e.ctrlKey || e.metaKey || e.altKey) return; // 保留浏览器快捷键
+                e.preventDefault();
+                self.shadowRedo();
+            }
+        }
+        
+        function isEditableTarget(target) {
+            if (!target || !target.tagName) return false;
+            
+            var tagName = target.tagName.toLowerCase();
+            return tagName === 'input' || tagName === 'textarea' || 
+                   tagName === 'select' || !!target.isContentEditable;
+        }
+        
+        function handleWheel(e) {
+            if (e.ctrlKey || e.metaKey) {
+                e.preventDefault();
+                
+                // Ctrl+滚轮：调整播放速度
+                var delta = e.deltaY > 0 ? -0.1 : 0.1;
+                var newRate = Math.max(0.5, Math.min(2.0, playbackRate + delta));
+                self.setPlaybackRate(newRate);
+            }
+        }
+        
+        function startUpdateTimer() {
+            if (isDestroyed) return;
+            
+            clearUpdateTimer();
+            
+            var scheduler = getFrameScheduler();
+            
+            if (scheduler) {
+                // 播放时逐帧读取音频时间，只在时间变化时同步
+                activeSyncMode = 'raf';
+                var lastFrameTime = -1;
+                
+                var frame = function() {
+                    frameRequestId = null;
+                    if (!isPlaying || isDestroyed) return;
+                    
+                    var frameStart = now();
+                    var playerTime = elements.audioPlayer.currentTime;
+                    
+                    if (playerTime !== lastFrameTime) {
+                        lastFrameTime = playerTime;
+                        currentTime = playerTime;
+                        updateSyncState();
+                    }
+                    
+                    performanceStats.frameCount++;
+                    performanceStats.frameTime += now() - frameStart;
+                    
+                    if (isPlaying && !isDestroyed && frameRequestId === null) {
+                        frameRequestId = scheduler.request(frame);
+                    }
+                };
+                
+                frameRequestId = scheduler.request(frame);
+                return;
+            }
+            
+            activeSyncMode = 'interval';
+            updateTimer = setInterval(function() {
+                if (isPlaying && !isDestroyed) {
+                    currentTime = elements.audioPlayer.currentTime;
+                    updateSyncState();
+                }
+            }, config.updateInterval);
+        }
+        
+        function clearUpdateTimer() {
+            if (updateTimer) {
+                clearInterval(updateTimer);
+                updateTimer = null;
+            }
+            
+            if (frameRequestId !== null) {
+                var scheduler = getFrameScheduler();
+                if (scheduler) {
+                    scheduler.cancel(frameRequestId);
+                }
+                frameRequestId = null;
+            }
+        }
+        
+        // 优先使用 raf.js 提供的动画帧管理，没有时退回定时器
+        function getFrameScheduler() {
+            if (config.syncMode !== 'raf') return null;
+            
+            var site = global.EnglishSite || {};
+            var request = site.requestAnimationFrame || global.requestAnimationFrame;
+            var cancel = site.cancelAnimationFrame || global.cancelAnimationFrame;
+            
+            if (typeof request !== 'function' || typeof cancel !== 'function') {
+                return null;
+            }
+            
+            return {
+                request: function(callback) {
+                    return request.call(global, callback);
+                },
+                cancel: function(id) {
+                    cancel.call(global, id);
+                }
+            };
+        }
+        
+        function updateSyncState() {
+            if (isDestroyed) return;
+            
+            try {
+                var currentTimeMs = currentTime * 1000;
+                
+                // A-B循环：到达终点时回到起点
+                if (loopState.active && !loopState.waiting && currentTimeMs >= loopState.end) {
+                    handleLoopBoundary();
+                    return;
+                }
+                
+                // 只听指定说话人：跳过其他说话人的字幕（循环中不跳）
+                if (speakerFilter && isPlaying && !loopState.active && skipFilteredCue(currentTimeMs)) {
+                    return;
+                }
+                
+                // 角色扮演：学习者的台词静音
+                if (rolePlayState.active) {
+                    updateRolePlay(currentTimeMs);
+                }
+                
+                var newIndex = findCurrentSubtitleIndex(currentTimeMs);
+                var newNextIndex = findNextSubtitleIndex(currentTimeMs);
+                
+                // 跟读模式：播放到句尾时暂停
+                if (shadowState.active && !shadowState.pausing && checkShadowBoundary(currentTimeMs)) {
+                    return;
+                }
+                
+                // 检查是否需要更新高亮
+                var indexChanged = newIndex !== currentIndex || newNextIndex !== nextIndex;
+                if (indexChanged) {
+                    updateHighlights(newIndex, newNextIndex);
+                    currentIndex = newIndex;
+                    nextIndex = newNextIndex;
+                    
+                    // 更新滚动位置
+                    updateScrollPosition();
+                    
+                    // 更新性能统计
+                    performanceStats.syncCount++;
+                }
+                
+                // 单词级高亮
+                if (config.enableWordHighlight) {
+                    updateWordHighlight(currentTimeMs);
+                }
+                
+                // 更新状态（逐帧同步时限制写入频率）
+                var timestamp = Date.now();
+                if (indexChanged || !isPlaying || timestamp - lastStateUpdate >= config.stateUpdateInterval) {
+                    lastStateUpdate = timestamp;
+                    updateState();
+                }
+                
+                // 定期保存章节进度
+                if (isPlaying) {
+                    progressDirty = true;
+                    if (timestamp - lastProgressSave >= config.progressSaveInterval) {
+                        saveChapterProgress(false);
+                    }
+                }
+                
+            } catch (error) {
+                handleError('updateSyncState', error);
+                performanceStats.missedSyncs++;
+            }
+        }
+        
+        function findCurrentSubtitleIndex(timeMs) {
+            var lookupStart = now();
+            var index = searchCueIndex(timeMs, config.syncTolerance, false);
+            
+            performanceStats.lookupCount++;
+            performanceStats.lookupTime += now() - lookupStart;
+            return index;
+        }
+        
+        function findNextSubtitleIndex(timeMs) {
+            var index = getCueIndex();
+            
+            if (!index.sorted) {
+                for (var i = 0; i < srtData.length; i++) {
+                    if (timeMs < srtData[i].start) {
+                        return i;
+                    }
+                }
+                return -1;
+            }
+            
+            // 第一个开始时间晚于 timeMs 的字幕
+            var low = 0;
+            var high = index.starts.length;
+            while (low < high) {
+                var mid = (low + high) >>> 1;
+                if (index.starts[mid] > timeMs) {
+                    high = mid;
+                } else {
+                    low = mid + 1;
+                }
+            }
+            
+            return low < index.starts.length ? low : -1;
+        }
+        
+        // 🎯 字幕时间索引
+        
+        function getCueIndex() {
+            if (cueIndex) return cueIndex;
+            
+            var buildStart = now();
+            var starts = [];
+            var maxEnds = [];
+            var sorted = true;
+            var maxEnd = -Infinity;
+            
+            srtData.forEach(function(subtitle, i) {
+                if (i > 0 && subtitle.start < starts[i - 1]) {
+                    sorted = false;
+                }
+                maxEnd = Math.max(maxEnd, subtitle.end);
+                starts.push(subtitle.start);
+                maxEnds.push(maxEnd);
+            });
+            
+            cueIndex = { starts: starts, maxEnds: maxEnds, sorted: sorted };
+            performanceStats.indexBuildTime = now() - buildStart;
+            
+            return cueIndex;
+        }
+        
+        function invalidateCueIndex() {
+            cueIndex = null;
+        }
+        
+        /**
+         * 查找时间点所在的第一条字幕
+         * 二分定位第一条（累计）结束时间够得着 timeMs 的字幕，再向后检查开始时间
+         * @param {number} tolerance - 起止两端的容错
+         * @param {boolean} strictEnd - 结束时间是否为开区间
+         */
+        function searchCueIndex(timeMs, tolerance, strictEnd) {
+            var index = getCueIndex();
+            
+            if (!index.sorted) {
+                return linearFindSubtitleIndex(timeMs, tolerance, strictEnd);
+            }
+            
+            var low = 0;
+            var high = index.maxEnds.length;
+            while (low < high) {
+                var mid = (low + high) >>> 1;
+                var reached = strictEnd ? index.maxEnds[mid] + tolerance > timeMs :
+                    index.maxEnds[mid] + tolerance >= timeMs;
+                if (reached) {
+                    high = mid;
+                } else {
+                    low = mid + 1;
+                }
+            }
+            
+            for (var i = low; i < srtData.length && srtData[i].start - tolerance <= timeMs; i++) {
+                var end = srtData[i].end + tolerance;
+                if (strictEnd ? timeMs < end : timeMs <= end) {
+                    return i;
+                }
+            }
+            
+            return -1;
+        }
+        
+        // 线性查找：字幕未排序时的回退，以及基准测试的对照组
+        function linearFindSubtitleIndex(timeMs, tolerance, strictEnd) {
+            if (typeof tolerance !== 'number') {
+                tolerance = config.syncTolerance;
+            }
+            
+            for (var i = 0; i < srtData.length; i++) {
+                var subtitle = srtData[i];
+                var end = subtitle.end + tolerance;
+                if (timeMs >= subtitle.start - tolerance && (strictEnd ? timeMs < end : timeMs <= end)) {
+                    return i;
+                }
+            }
+            return -1;
+        }
+        
+        function getPerformanceStats() {
+            return Object.assign({}, performanceStats, {
+                averageLookupTime: performanceStats.lookupCount > 0 ?
+                    performanceStats.lookupTime / performanceStats.lookupCount : 0,
+                averageFrameTime: performanceStats.frameCount > 0 ?
+                    performanceStats.frameTime / performanceStats.frameCount : 0,
+                benchmark: performanceStats.benchmark ? Object.assign({}, performanceStats.benchmark) : null
+            });
+        }
+        
+        function now() {
+            return typeof performance !== 'undefined' && performance.now ? performance.now() : Date.now();
+        }
+        
+        function updateHighlights(newIndex, newNextIndex) {
+            if (isDestroyed) return;
+            
+            var startTime = performance.now ? performance.now() : Date.now();
+            
+            try {
+                // 清除旧高亮
+                clearAllHighlights();
+                
+                // 设置当前高亮
+                if (newIndex >= 0 && newIndex < srtData.length) {
+                    var currentElement = findElementForSubtitle(srtData[newIndex]);
+                    if (currentElement) {
+                        highlightElement(currentElement, config.highlightClass);
+                        lastHighlightedElement = currentElement;
+                    }
+                }
+                
+                // 设置下一个高亮（预告）
+                if (newNextIndex >= 0 && newNextIndex < srtData.length) {
+                    var nextElement = findElementForSubtitle(srtData[newNextIndex]);
+                    if (nextElement && nextElement !== lastHighlightedElement) {
+                        highlightElement(nextElement, config.nextHighlightClass);
+                    }
+                }
+                
+                renderSubtitleOverlay(newIndex);
+                
+                // 触发高亮更新事件
+                if (eventHub) {
+                    eventHub.emit('audioSync:highlightUpdated', {
+                        currentIndex: newIndex,
+                        nextIndex: newNextIndex,
+                        currentSubtitle: newIndex >= 0 ? srtData[newIndex] : null,
+                        nextSubtitle: newNextIndex >= 0 ? srtData[newNextIndex] : null
+                    });
+                }
+                
+            } catch (error) {
+                handleError('updateHighlights', error);
+            } finally {
+                var endTime = performance.now ? performance.now() : Date.now();
+                performanceStats.renderTime += endTime - startTime;
+            }
+        }
+        
+        function findElementForSubtitle(subtitle) {
+            var startTime = performance.now ? performance.now() : Date.now();
+            
+            try {
+                // 先检查缓存
+                var cacheKey = 'subtitle_' + subtitle.index;
+                if (elementCache[cacheKey]) {
+                    var cachedElement = elementCache[cacheKey];
+                    // 验证缓存的元素是否仍在DOM中
+                    if (cachedElement.parentNode) {
+                        return cachedElement;
+                    } else {
+                        delete elementCache[cacheKey];
+                    }
+                }
+                
+                // 优先使用字幕-句子对齐结果
+                var element = getAlignedElement(subtitle);
+                
+                // 使用搜索策略查找元素
+                for (var i = 0; !element && i < searchStrategies.length; i++) {
+                    element = searchStrategies[i](subtitle.text);
+                    if (element) {
+                        break;
+                    }
+                }
+                
+                // 缓存找到的元素
+                if (element) {
+                    elementCache[cacheKey] = element;
+                }
+                
+                return element;
+                
+            } catch (error) {
+                handleError('findElementForSubtitle', error);
+                return null;
+            } finally {
+                var endTime = performance.now ? performance.now() : Date.now();
+                performanceStats.searchTime += endTime - startTime;
+            }
+        }
+        
+        function highlightElement(element, className) {
+            if (element && className) {
+                element.classList.add(className);
+                element.setAttribute('aria-current', 'true');
+            }
+        }
+        
+        function clearAllHighlights() {
+            if (isDestroyed || !elements.contentArea) return;
+            
+            // 清除当前高亮
+            var currentHighlights = elements.contentArea.querySelectorAll('.' + config.highlightClass);
+            for (var i = 0; i < currentHighlights.length; i++) {
+                currentHighlights[i].classList.remove(config.highlightClass);
+                currentHighlights[i].removeAttribute('aria-current');
+            }
+            
+            // 清除下一个高亮
+            var nextHighlights = elements.contentArea.querySelectorAll('.' + config.nextHighlightClass);
+            for (var j = 0; j < nextHighlights.length; j++) {
+                nextHighlights[j].classList.remove(config.nextHighlightClass);
+            }
+            
+            lastHighlightedElement = null;
+            clearWordHighlight();
+            renderSubtitleOverlay(-1);
+        }
+        
+        // 🎯 单词级高亮
+        
+        function assignWordTimingsByTime(list) {
+            var timings = normalizeWordTimingList(list) || [];
+            var grouped = {};
+            
+            timings.forEach(function(timing) {
+                var position = findCueAtTime(timing.start);
+                if (position === -1) return;
+                (grouped[position] = grouped[position] || []).push(timing);
+            });
+            
+            var updated = 0;
+            for (var position in grouped) {
+                if (grouped.hasOwnProperty(position)) {
+                    applyWordTimings(srtData[position], grouped[position]);
+                    updated++;
+                }
+            }
+            return updated;
+        }
+        
+        function assignWordTimingsByCue(cueList) {
+            var updated = 0;
+            
+            cueList.forEach(function(item) {
+                if (!item || !Array.isArray(item.words)) return;
+                
+                var subtitle = null;
+                for (var i = 0; i < srtData.length && !subtitle; i++) {
+                    if ((item.id !== undefined && srtData[i].cueId === String(item.id)) ||
+                        (item.sequence !== undefined && srtData[i].sequence === item.sequence)) {
+                        subtitle = srtData[i];
+                    }
+                }
+                
+                var timings = subtitle ? normalizeWordTimingList(item.words) : null;
+                if (timings) {
+                    applyWordTimings(subtitle, timings);
+                    updated++;
+                }
+            });
+            
+            return updated;
+        }
+        
+        function applyWordTimings(subtitle, timings) {
+            timings.sort(function(a, b) {
+                return a.start - b.start;
+            });
+            subtitle.wordTimings = buildWordTimings(subtitle.start, subtitle.end, subtitle.text, timings);
+        }
+        
+        function findCueAtTime(timeMs) {
+            return searchCueIndex(timeMs, 0, true);
+        }
+        
+        function updateWordHighlight(timeMs) {
+            var subtitle = currentIndex >= 0 ? srtData[currentIndex] : null;
+            var timings = subtitle ? subtitle.wordTimings : null;
+            var wordIndex = -1;
+            
+            if (timings && timings.length > 0) {
+                for (var i = timings.length - 1; i >= 0; i--) {
+                    if (timeMs >= timings[i].start) {
+                        wordIndex = i;
+                        break;
+                    }
+                }
+            }
+            
+            // 切换字幕时clearAllHighlights会重置currentWordIndex
+            if (wordIndex === currentWordIndex) {
+                return;
+            }
+            
+            clearWordHighlight();
+            currentWordIndex = wordIndex;
+            
+            if (wordIndex === -1) return;
+            
+            var wordElements = getWordElements(subtitle);
+            var wordElement = wordElements[wordIndex];
+            if (wordElement) {
+                wordElement.classList.add(config.wordHighlightClass);
+                lastHighlightedWord = wordElement;
+            }
+            
+            if (eventHub) {
+                eventHub.emit('audioSync:wordChanged', {
+                    subtitleIndex: currentIndex,
+                    wordIndex: wordIndex,
+                    word: timings[wordIndex].text,
+                    start: timings[wordIndex].start,
+                    end: timings[wordIndex].end,
+                    estimated: timings[wordIndex].estimated,
+                    element: wordElement || null
+                });
+            }
+        }
+        
+        function clearWordHighlight() {
+            if (lastHighlightedWord) {
+                lastHighlightedWord.classList.remove(config.wordHighlightClass);
+                lastHighlightedWord = null;
+            }
+            currentWordIndex = -1;
+        }
+        
+        // 把字幕中的单词对应到句子内的单词节点
+        function getWordElements(subtitle) {
+            if (wordElementCache[subtitle.index]) {
+                return wordElementCache[subtitle.index];
+            }
+            
+            var entry = alignment.bySubtitle[subtitle.index];
+            var domWords = [];
+            
+            if (entry) {
+                entry.sentenceIds.forEach(function(sentenceId) {
+                    var sentence = sentenceElements[sentenceId];
+                    if (sentence) {
+                        domWords = domWords.concat(wrapSentenceWords(sentence));
+                    }
+                });
+            }
+            
+            var domTokens = domWords.map(function(element) {
+                return tokenizeForAlignment(element.textContent).join(' ');
+            });
+            var cueTokens = subtitle.wordTimings.map(function(timing) {
+                return tokenizeForAlignment(timing.text).join(' ');
+            });
+            
+            var mapped = [];
+            var cursor = findWordRunStart(domTokens, cueTokens);
+            
+            for (var i = 0; i < cueTokens.length; i++) {
+                mapped[i] = null;
+                
+                // 允许跳过少量不一致的词
+                for (var j = cursor; j < Math.min(domTokens.length, cursor + 4); j++) {
+                    if (domTokens[j] && domTokens[j] === cueTokens[i]) {
+                        mapped[i] = domWords[j];
+                        cursor = j + 1;
+                        break;
+                    }
+                }
+            }
+            
+            wordElementCache[subtitle.index] = mapped;
+            return mapped;
+        }
+        
+        // 多条字幕对应同一句子时，找到本条字幕在句子中的起点
+        function findWordRunStart(domTokens, cueTokens) {
+            if (cueTokens.length === 0) return 0;
+            
+            var firstOnly = -1;
+            for (var k = 0; k < domTokens.length; k++) {
+                if (domTokens[k] !== cueTokens[0]) continue;
+                if (cueTokens.length < 2 || domTokens[k + 1] === cueTokens[1]) {
+                    return k;
+                }
+                if (firstOnly === -1) firstOnly = k;
+            }
+            return Math.max(firstOnly, 0);
+        }
+        
+        // 将句子的文本节点拆成单词节点（保留词汇表等嵌套元素）
+        function wrapSentenceWords(sentence) {
+            var existing = sentence.querySelectorAll('.' + config.wordClass);
+            if (existing.length > 0) {
+                return Array.prototype.slice.call(existing);
+            }
             
-            // 移除SRT样式标签
-            text = text.replace(/\{[^}]*\}/g, '');
+            var textNodes = [];
+            var walker = document.createTreeWalker(sentence, NodeFilter.SHOW_TEXT, null, false);
+            while (walker.nextNode()) {
+                textNodes.push(walker.currentNode);
+            }
             
-            // 标准化空白字符
-            text = text.replace(/\s+/g, ' ').trim();
+            textNodes.forEach(function(node) {
+                var parts = node.nodeValue.split(/(\s+)/);
+                if (parts.length === 1 && !parts[0].trim()) return;
+                
+                var fragment = document.createDocumentFragment();
+                parts.forEach(function(part) {
+                    if (!part) return;
+                    if (/^\s+$/.test(part)) {
+                        fragment.appendChild(document.createTextNode(part));
+                    } else {
+                        var span = document.createElement('span');
+                        span.className = config.wordClass;
+                        span.textContent = part;
+                        fragment.appendChild(span);
+                    }
+                });
+                node.parentNode.replaceChild(fragment, node);
+            });
             
-            return text;
+            return Array.prototype.slice.call(sentence.querySelectorAll('.' + config.wordClass));
         }
         
-        function validateSRTTiming() {
-            for (var i = 0; i < srtData.length - 1; i++) {
-                var current = srtData[i];
-                var next = srtData[i + 1];
-                
-                // 检查时间重叠
-                if (current.end > next.start) {
-                    DEBUG_WARN('[AudioSyncCore] Timing overlap detected between subtitle ' + 
-                               current.sequence + ' and ' + next.sequence);
-                    
-                    // 自动修正：调整结束时间
-                    current.end = next.start - 1;
-                    current.duration = current.end - current.start;
-                }
+        // 🎯 时间校正
+        
+        function snapshotSourceTimings() {
+            sourceTimings = srtData.map(function(subtitle) {
+                return { start: subtitle.start, end: subtitle.end };
+            });
+        }
+        
+        function mapSourceTime(time) {
+            return Math.max(0, Math.round(time * timingScale + timingOffset));
+        }
+        
+        function transformCueTimes() {
+            srtData.forEach(function(subtitle, i) {
+                var source = sourceTimings[i];
+                if (!source) return;
                 
-                // 检查无效时间
-                if (current.start >= current.end) {
-                    DEBUG_WARN('[AudioSyncCore] Invalid timing for subtitle ' + current.sequence);
-                }
+                shiftCueTimes(subtitle, mapSourceTime(source.start), mapSourceTime(source.end));
+            });
+        }
+        
+        // 设置字幕新的起止时间，单词时间按比例随之移动
+        function shiftCueTimes(subtitle, start, end) {
+            var oldStart = subtitle.start;
+            var oldSpan = subtitle.end - subtitle.start;
+            var ratio = oldSpan > 0 ? (end - start) / oldSpan : 1;
+            
+            if (subtitle.wordTimings) {
+                subtitle.wordTimings.forEach(function(timing) {
+                    timing.start = Math.round(start + (timing.start - oldStart) * ratio);
+                    timing.end = Math.round(start + (timing.end - oldStart) * ratio);
+                });
             }
+            
+            subtitle.start = start;
+            subtitle.end = end;
+            subtitle.duration = end - start;
+            invalidateCueIndex();
         }
         
-        function initializeSearchStrategies() {
-            searchStrategies = [
-                // 策略1：精确文本匹配
-                function(text) {
-                    return elements.contentArea.querySelector('[data-text="' + text + '"]');
-                },
+        function applyTimingTransform() {
+            transformCueTimes();
+            resetSync();
+            updateSyncState();
+            
+            if (eventHub) {
+                eventHub.emit('audioSync:timingChanged', {
+                    offset: timingOffset,
+                    scale: timingScale
+                });
+            }
+        }
+        
+        // 从正文收集句子：文本与所在段落的说话人
+        function collectTranscriptSentences() {
+            var sentences = elements.contentArea.querySelectorAll(config.sentenceSelector);
+            
+            return Array.prototype.map.call(sentences, function(sentence) {
+                var speakerElement = findSpeakerElement(sentence);
                 
-                // 策略2：部分文本匹配
-                function(text) {
-                    var words = text.split(/\s+/).slice(0, 3); // 取前3个词
-                    var selector = words.map(function(word) {
-                        return '[data-text*="' + word + '"]';
-                    }).join('');
-                    return elements.contentArea.querySelector(selector);
-                },
+                return {
+                    id: sentence.getAttribute(config.sentenceIdAttribute),
+                    text: sentence.textContent.replace(/\s+/g, ' ').trim(),
+                    speaker: speakerElement ? getSpeakerLabel(speakerElement) : null
+                };
+            });
+        }
+        
+        // 说话人标签位于句子所在段落内
+        function findSpeakerElement(sentence) {
+            var paragraph = sentence.parentNode;
+            return paragraph && paragraph.querySelector ?
+                paragraph.querySelector(config.speakerSelector) : null;
+        }
+        
+        function getSpeakerLabel(speakerElement) {
+            return speakerElement.textContent.replace(/[:：]\s*$/, '').trim() || null;
+        }
+        
+        // 🎯 重新打点
+        
+        function createEmptyRetime() {
+            return {
+                active: false,
+                index: 0,
+                latency: 0,
+                taps: {}
+            };
+        }
+        
+        function computeRetimedCues(taps) {
+            var tapped = Object.keys(taps).map(Number).sort(function(a, b) {
+                return a - b;
+            });
+            
+            var deltas = srtData.map(function(subtitle, i) {
+                if (taps.hasOwnProperty(i)) {
+                    return taps[i] - subtitle.start;
+                }
                 
-                // 策略3：文本内容查找
-                function(text) {
-                    var elements = Array.prototype.slice.call(
-                        elements.contentArea.querySelectorAll('p, span, div')
-                    );
-                    
-                    return elements.find(function(el) {
-                        return el.textContent && el.textContent.indexOf(text) !== -1;
-                    });
-                },
+                var previous = -1;
+                var next = -1;
+                tapped.forEach(function(index) {
+                    if (index < i) previous = index;
+                    if (index > i && next === -1) next = index;
+                });
                 
-                // 策略4：单词级匹配
-                function(text) {
-                    var words = text.split(/\s+/);
-                    var firstWord = words[0];
-                    
-                    if (firstWord) {
-                        return elements.contentArea.querySelector('[data-word="' + firstWord + '"]');
-                    }
-                    return null;
-                },
+                if (previous === -1 && next === -1) return 0;
                 
-                // 策略5：模糊匹配
-                function(text) {
-                    var elements = Array.prototype.slice.call(
-                        elements.contentArea.querySelectorAll('[data-text]')
-                    );
-                    
-                    return elements.find(function(el) {
-                        var elementText = el.getAttribute('data-text') || '';
-                        return calculateSimilarity(text, elementText) > 0.7;
-                    });
+                var previousDelta = previous !== -1 ? taps[previous] - srtData[previous].start : null;
+                var nextDelta = next !== -1 ? taps[next] - srtData[next].start : null;
+                
+                if (previousDelta === null) return nextDelta;
+                if (nextDelta === null) return previousDelta;
+                
+                // 两次打点之间按时间位置线性插值
+                var span = srtData[next].start - srtData[previous].start;
+                var position = span > 0 ? (subtitle.start - srtData[previous].start) / span : 0;
+                return Math.round(previousDelta + (nextDelta - previousDelta) * position);
+            });
+            
+            var retimed = srtData.map(function(subtitle, i) {
+                return {
+                    index: i,
+                    id: subtitle.cueId,
+                    start: Math.max(0, subtitle.start + deltas[i]),
+                    end: Math.max(0, subtitle.end + deltas[i]),
+                    text: subtitle.text,
+                    speaker: subtitle.speaker,
+                    settings: subtitle.settings,
+                    tapped: taps.hasOwnProperty(i)
+                };
+            });
+            
+            // 结束时间不超过下一句的新开始时间
+            for (var i = 0; i < retimed.length - 1; i++) {
+                if (retimed[i].end > retimed[i + 1].start) {
+                    retimed[i].end = Math.max(retimed[i].start, retimed[i + 1].start - 1);
                 }
-            ];
+            }
+            
+            return retimed;
         }
         
-        function calculateSimilarity(str1, str2) {
-            var longer = str1.length > str2.length ? str1 : str2;
-            var shorter = str1.length > str2.length ? str2 : str1;
+        function applyRetimedCues(retimed) {
+            retimed.forEach(function(cue) {
+                shiftCueTimes(srtData[cue.index], cue.start, cue.end);
+            });
             
-            if (longer.length === 0) {
-                return 1.0;
+            // 打点时间就是音频的实际时间，以此作为新的原始时间
+            timingOffset = 0;
+            timingScale = 1;
+            snapshotSourceTimings();
+            
+            resetSync();
+            updateSyncState();
+        }
+        
+        function markRetimeTarget() {
+            clearRetimeTarget();
+            
+            var subtitle = srtData[retimeState.index];
+            var element = subtitle ? getAlignedElement(subtitle) : null;
+            if (element) {
+                element.classList.add(config.retimeTargetClass);
             }
+        }
+        
+        function clearRetimeTarget() {
+            if (!elements.contentArea) return;
             
-            var editDistance = calculateLevenshteinDistance(longer, shorter);
-            return (longer.length - editDistance) / longer.length;
+            var marked = elements.contentArea.querySelectorAll('.' + config.retimeTargetClass);
+            Array.prototype.forEach.call(marked, function(element) {
+                element.classList.remove(config.retimeTargetClass);
+            });
         }
         
-        function calculateLevenshteinDistance(str1, str2) {
-            var matrix = [];
+        // 🎯 A-B循环
+        
+        function createEmptyLoop() {
+            return {
+                active: false,
+                start: 0,
+                end: 0,
+                repeat: Infinity,
+                gapMs: 0,
+                played: 0,
+                waiting: false,
+                pauseOnComplete: false,
+                pointA: null
+            };
+        }
+        
+        function getLoopInfo() {
+            return {
+                active: loopState.active,
+                start: loopState.start,
+                end: loopState.end,
+                repeat: loopState.repeat,
+                gapMs: loopState.gapMs,
+                played: loopState.played,
+                remaining: loopState.active ? loopState.repeat - loopState.played : 0,
+                waiting: loopState.waiting,
+                pointA: loopState.pointA
+            };
+        }
+        
+        function handleLoopBoundary() {
+            loopState.played++;
             
-            for (var i = 0; i <= str2.length; i++) {
-                matrix[i] = [i];
+            if (loopState.played >= loopState.repeat) {
+                if (loopState.pauseOnComplete) {
+                    self.pause();
+                }
+                endLoop('completed');
+                return;
             }
             
-            for (var j = 0; j <= str1.length; j++) {
-                matrix[0][j] = j;
+            if (eventHub) {
+                eventHub.emit('audioSync:loopIteration', getLoopInfo());
             }
             
-            for (i = 1; i <= str2.length; i++) {
-                for (j = 1; j <= str1.length; j++) {
-                    if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
-                        matrix[i][j] = matrix[i - 1][j - 1];
-                    } else {
-                        matrix[i][j] = Math.min(
-                            matrix[i - 1][j - 1] + 1,
-                            matrix[i][j - 1] + 1,
-                            matrix[i - 1][j] + 1
-                        );
-                    }
+            if (loopState.gapMs > 0) {
+                // 停顿后再重播
+                loopState.waiting = true;
+                self.pause();
+                
+                loopGapTimer = setTimeout(function() {
+                    loopGapTimer = null;
+                    if (isDestroyed || !loopState.active) return;
+                    
+                    loopState.waiting = false;
+                    self.seekTo(loopState.start / 1000);
+                    self.play();
+                }, loopState.gapMs / playbackRate);
+            } else {
+                self.seekTo(loopState.start / 1000);
+            }
+        }
+        
+        function endLoop(reason) {
+            clearLoopGapTimer();
+            
+            var wasWaiting = loopState.waiting;
+            var info = getLoopInfo();
+            loopState = createEmptyLoop();
+            
+            if (eventHub) {
+                eventHub.emit('audioSync:loopCleared', Object.assign(info, { reason: reason }));
+            }
+            
+            // 停顿期间取消循环时恢复播放
+            if (wasWaiting && reason === 'cleared') {
+                self.play();
+            }
+        }
+        
+        function clearLoopGapTimer() {
+            if (loopGapTimer) {
+                clearTimeout(loopGapTimer);
+                loopGapTimer = null;
+            }
+        }
+        
+        // 🎯 跟读模式
+        
+        function createEmptyShadow() {
+            return {
+                active: false,
+                multiplier: config.shadowPauseMultiplier,
+                minPause: config.shadowMinPause,
+                pausing: false,
+                subtitleIndex: -1,
+                pauseDuration: 0,
+                resumeAt: 0
+            };
+        }
+        
+        function getShadowInfo() {
+            return {
+                active: shadowState.active,
+                multiplier: shadowState.multiplier,
+                pausing: shadowState.pausing,
+                subtitleIndex: shadowState.subtitleIndex,
+                pauseDuration: shadowState.pauseDuration,
+                remaining: shadowState.pausing ? Math.max(0, shadowState.resumeAt - Date.now()) : 0
+            };
+        }
+        
+        function checkShadowBoundary(currentTimeMs) {
+            var target = srtData[shadowState.subtitleIndex];
+            
+            if (target && currentTimeMs >= target.end) {
+                // 离句尾太远说明是跳转，重新确定目标即可
+                if (currentTimeMs - target.end <= config.shadowTolerance) {
+                    startShadowPause(target);
+                    return true;
                 }
+                shadowState.subtitleIndex = -1;
             }
             
-            return matrix[str2.length][str1.length];
+            // 高亮索引带有容错，跟读目标按严格时间区间确定
+            var index = findCueAtTime(currentTimeMs);
+            if (index >= 0 && index !== shadowState.subtitleIndex) {
+                shadowState.subtitleIndex = index;
+            }
+            
+            return false;
         }
         
-        function bindAudioEvents() {
-            if (!elements.audioPlayer || isDestroyed) return;
+        function startShadowPause(subtitle) {
+            // 停顿按实际听到的时长计算，慢速播放时相应延长
+            var pauseDuration = Math.max(
+                shadowState.minPause,
+                Math.round(subtitle.duration / playbackRate * shadowState.multiplier)
+            );
             
-            // 创建绑定的处理器
-            boundEventHandlers.timeupdate = createBoundHandler(handleTimeUpdate);
-            boundEventHandlers.play = createBoundHandler(handlePlayStart);
-            boundEventHandlers.pause = createBoundHandler(handlePlayPause);
-            boundEventHandlers.ended = createBoundHandler(handlePlayEnd);
-            boundEventHandlers.loadedmetadata = createBoundHandler(handleMetadataLoaded);
-            boundEventHandlers.durationchange = createBoundHandler(handleDurationChange);
-            boundEventHandlers.error = createBoundHandler(handleAudioError);
-            boundEventHandlers.canplay = createBoundHandler(handleCanPlay);
-            boundEventHandlers.waiting = createBoundHandler(handleWaiting);
+            shadowState.pausing = true;
+            shadowState.pauseDuration = pauseDuration;
+            shadowState.resumeAt = Date.now() + pauseDuration;
             
-            // 绑定事件
-            for (var eventType in boundEventHandlers) {
-                if (boundEventHandlers.hasOwnProperty(eventType)) {
-                    elements.audioPlayer.addEventListener(eventType, boundEventHandlers[eventType]);
-                }
+            self.pause();
+            
+            if (eventHub) {
+                eventHub.emit('audioSync:shadowPause', {
+                    subtitleIndex: subtitle.index,
+                    subtitle: subtitle,
+                    pauseDuration: pauseDuration,
+                    resumeAt: shadowState.resumeAt
+                });
             }
+            
+            shadowTimer = setTimeout(function() {
+                shadowTimer = null;
+                if (isDestroyed || !shadowState.active) return;
+                
+                resumeShadowing(subtitle.index + 1, 'auto');
+            }, pauseDuration);
         }
         
-        function unbindAudioEvents() {
-            if (!elements.audioPlayer || !boundEventHandlers) return;
+        function resumeShadowing(index, reason) {
+            clearShadowTimer();
             
-            for (var eventType in boundEventHandlers) {
-                if (boundEventHandlers.hasOwnProperty(eventType)) {
-                    try {
-                        elements.audioPlayer.removeEventListener(eventType, boundEventHandlers[eventType]);
-                    } catch (error) {
-                        DEBUG_WARN('[AudioSyncCore] 移除事件监听器失败:', eventType, error);
-                    }
-                }
+            shadowState.pausing = false;
+            shadowState.pauseDuration = 0;
+            shadowState.resumeAt = 0;
+            
+            if (index < srtData.length) {
+                self.seekTo(srtData[index].start / 1000);
+                shadowState.subtitleIndex = index;
             }
             
-            boundEventHandlers = {};
+            self.play();
+            
+            if (eventHub) {
+                eventHub.emit('audioSync:shadowResume', {
+                    subtitleIndex: index < srtData.length ? index : -1,
+                    reason: reason
+                });
+            }
         }
         
-        function bindInteractionEvents() {
-            if (!elements.contentArea || isDestroyed) return;
+        function clearShadowTimer() {
+            if (shadowTimer) {
+                clearTimeout(shadowTimer);
+                shadowTimer = null;
+            }
+        }
+        
+        // 🎯 说话人
+        
+        function createEmptyRolePlay() {
+            return {
+                active: false,
+                speaker: null,
+                muting: false,
+                subtitleIndex: -1
+            };
+        }
+        
+        function speakerKey(name) {
+            return String(name || '').trim().toLowerCase();
+        }
+        
+        /**
+         * 汇总字幕说话人：字幕自身没有时（如SRT）取对齐句子所在段落的说话人标签
+         */
+        function buildSpeakers() {
+            var previous = speakers;
+            speakers = {};
             
-            // 点击字幕跳转
-            boundEventHandlers.contentClick = createBoundHandler(handleContentClick);
-            elements.contentArea.addEventListener('click', boundEventHandlers.contentClick);
+            srtData.forEach(function(subtitle) {
+                if (!subtitle.speaker) {
+                    var element = getAlignedElement(subtitle);
+                    var speakerElement = element ? findSpeakerElement(element) : null;
+                    subtitle.speaker = speakerElement ? getSpeakerLabel(speakerElement) : null;
+                }
+                
+                if (!subtitle.speaker) return;
+                
+                var key = speakerKey(subtitle.speaker);
+                if (!speakers[key]) {
+                    var order = Object.keys(speakers).length;
+                    speakers[key] = {
+                        name: subtitle.speaker,
+                        color: config.speakerColors[subtitle.speaker] ||
+                            (previous[key] && previous[key].color) ||
+                            SPEAKER_PALETTE[order % SPEAKER_PALETTE.length],
+                        cueCount: 0
+                    };
+                }
+                speakers[key].cueCount++;
+            });
             
-            // 键盘快捷键
-            if (config.enableKeyboard && typeof document !== 'undefined') {
-                boundEventHandlers.keydown = createBoundHandler(handleKeyDown);
-                document.addEventListener('keydown', boundEventHandlers.keydown);
+            // 过滤和角色扮演只保留仍然存在的说话人
+            if (speakerFilter) {
+                Object.keys(speakerFilter).forEach(function(key) {
+                    if (!speakers[key]) delete speakerFilter[key];
+                });
+                if (Object.keys(speakerFilter).length === 0) {
+                    speakerFilter = null;
+                }
             }
             
-            // 滚轮控制（桌面端）
-            if (config.enableWheel) {
-                boundEventHandlers.wheel = createBoundHandler(handleWheel);
-                elements.contentArea.addEventListener('wheel', boundEventHandlers.wheel, 
-                    checkPassiveSupport() ? { passive: false } : false);
+            if (rolePlayState.active && !speakers[speakerKey(rolePlayState.speaker)]) {
+                endRolePlay();
             }
             
-            // 触摸控制（移动端）
-            if (config.enableTouch && 'ontouchstart' in window) {
-                bindTouchControls();
+            applySpeakerDecorations();
+            
+            if (rolePlayState.active) {
+                markRolePlayLines();
+            }
+            
+            if (eventHub && Object.keys(speakers).length > 0) {
+                eventHub.emit('audioSync:speakersUpdated', { speakers: self.getSpeakers() });
             }
         }
         
-        function unbindInteractionEvents() {
+        function applySpeakerDecorations() {
             if (!elements.contentArea) return;
             
-            // 移除内容区域事件
-            if (boundEventHandlers.contentClick) {
-                elements.contentArea.removeEventListener('click', boundEventHandlers.contentClick);
+            if (elements.contentArea.classList) {
+                elements.contentArea.classList.toggle(config.speakerColoredClass, config.colorSpeakers);
             }
             
-            if (boundEventHandlers.wheel) {
-                elements.contentArea.removeEventListener('wheel', boundEventHandlers.wheel);
-            }
+            srtData.forEach(function(subtitle) {
+                var element = getAlignedElement(subtitle);
+                if (!element) return;
+                
+                decorateSpeakerElement(element, subtitle.speaker);
+                
+                var speakerElement = findSpeakerElement(element);
+                if (speakerElement) {
+                    decorateSpeakerElement(speakerElement, getSpeakerLabel(speakerElement));
+                }
+            });
+        }
+        
+        function decorateSpeakerElement(element, name) {
+            var entry = name ? speakers[speakerKey(name)] : null;
             
-            // 移除文档级事件
-            if (typeof document !== 'undefined' && boundEventHandlers.keydown) {
-                document.removeEventListener('keydown', boundEventHandlers.keydown);
+            if (!entry) {
+                element.removeAttribute(config.speakerAttribute);
+                element.style.removeProperty('--speaker-color');
+                return;
             }
             
-            // 移除触摸事件
-            if (boundEventHandlers.touchstart) {
-                elements.contentArea.removeEventListener('touchstart', boundEventHandlers.touchstart);
-            }
-            if (boundEventHandlers.touchend) {
-                elements.contentArea.removeEventListener('touchend', boundEventHandlers.touchend);
+            element.setAttribute(config.speakerAttribute, entry.name);
+            if (config.colorSpeakers) {
+                element.style.setProperty('--speaker-color', entry.color);
+            } else {
+                element.style.removeProperty('--speaker-color');
             }
         }
         
-        function bindTouchControls() {
-            var touchStartX = 0;
-            var touchStartY = 0;
-            var touchStartTime = 0;
-            
-            var touchOptions = checkPassiveSupport() ? { passive: true } : false;
+        function clearSpeakerDecorations() {
+            if (!elements.contentArea) return;
             
-            boundEventHandlers.touchstart = createBoundHandler(function(e) {
-                touchStartX = e.touches[0].clientX;
-                touchStartY = e.touches[0].clientY;
-                touchStartTime = Date.now();
+            var decorated = elements.contentArea.querySelectorAll('[' + config.speakerAttribute + ']');
+            Array.prototype.forEach.call(decorated, function(element) {
+                element.removeAttribute(config.speakerAttribute);
+                element.style.removeProperty('--speaker-color');
             });
             
-            boundEventHandlers.touchend = createBoundHandler(function(e) {
-                var touchEndX = e.changedTouches[0].clientX;
-                var touchEndY = e.changedTouches[0].clientY;
-                var touchEndTime = Date.now();
-                
-                var deltaX = touchEndX - touchStartX;
-                var deltaY = touchEndY - touchStartY;
-                var deltaTime = touchEndTime - touchStartTime;
-                
-                // 水平滑动手势
-                if (Math.abs(deltaX) > Math.abs(deltaY) && Math.abs(deltaX) > 50 && deltaTime < 500) {
-                    if (deltaX > 0) {
-                        // 右滑：后退10秒
-                        self.seekTo(Math.max(0, currentTime - 10));
-                    } else {
-                        // 左滑：前进10秒
-                        self.seekTo(Math.min(duration, currentTime + 10));
-                    }
-                }
-                
-                // 双击手势
-                if (Math.abs(deltaX) < 10 && Math.abs(deltaY) < 10 && deltaTime < 300) {
-                    // 检查是否为双击
-                    var now = Date.now();
-                    if (self._lastTouchTime && now - self._lastTouchTime < 300) {
-                        // 双击：播放/暂停
-                        if (isPlaying) {
-                            self.pause();
-                        } else {
-                            self.play();
-                        }
-                    }
-                    self._lastTouchTime = now;
-                }
+            if (elements.contentArea.classList) {
+                elements.contentArea.classList.remove(config.speakerColoredClass);
+            }
+        }
+        
+        function getSpeakerFilterNames() {
+            return Object.keys(speakerFilter).map(function(key) {
+                return speakers[key] ? speakers[key].name : key;
             });
-            
-            elements.contentArea.addEventListener('touchstart', boundEventHandlers.touchstart, touchOptions);
-            elements.contentArea.addEventListener('touchend', boundEventHandlers.touchend, touchOptions);
         }
         
-        function handleTimeUpdate() {
-            try {
-                currentTime = elements.audioPlayer.currentTime;
-                updateSyncState();
-            } catch (error) {
-                handleError('handleTimeUpdate', error);
-            }
+        function isSpeakerIncluded(subtitle) {
+            // 没有说话人的字幕（旁白、音乐）不在过滤范围内
+            return !speakerFilter || !subtitle.speaker || !!speakerFilter[speakerKey(subtitle.speaker)];
         }
         
-        function handlePlayStart() {
-            isPlaying = true;
-            isPaused = false;
+        function skipFilteredCue(currentTimeMs) {
+            var index = findCueAtTime(currentTimeMs);
+            if (index < 0 || isSpeakerIncluded(srtData[index])) return false;
             
-            startUpdateTimer();
-            
-            // 更新状态
-            updateState();
+            var target = -1;
+            for (var i = index + 1; i < srtData.length; i++) {
+                if (isSpeakerIncluded(srtData[i])) {
+                    target = i;
+                    break;
+                }
+            }
             
-            // 触发播放事件
             if (eventHub) {
-                eventHub.emit('audioSync:play', { currentTime: currentTime });
+                eventHub.emit('audioSync:speakerSkipped', {
+                    fromIndex: index,
+                    toIndex: target,
+                    speaker: srtData[index].speaker
+                });
+            }
+            
+            if (target >= 0) {
+                self.seekTo(srtData[target].start / 1000);
+            } else {
+                // 后面没有要听的字幕了
+                self.pause();
             }
+            
+            return true;
         }
         
-        function handlePlayPause() {
-            isPlaying = false;
-            isPaused = true;
+        function updateRolePlay(currentTimeMs) {
+            var index = findCueAtTime(currentTimeMs);
+            var subtitle = index >= 0 ? srtData[index] : null;
+            var isTurn = !!subtitle && speakerKey(subtitle.speaker) === speakerKey(rolePlayState.speaker);
             
-            clearUpdateTimer();
+            if (isTurn === rolePlayState.muting && (!isTurn || index === rolePlayState.subtitleIndex)) {
+                return;
+            }
             
-            // 更新状态
-            updateState();
+            if (rolePlayState.muting) {
+                finishRolePlayTurn();
+            }
             
-            // 触发暂停事件
-            if (eventHub) {
-                eventHub.emit('audioSync:pause', { currentTime: currentTime });
+            if (isTurn) {
+                rolePlayState.muting = true;
+                rolePlayState.subtitleIndex = index;
+                elements.audioPlayer.muted = true;
+                
+                var element = getAlignedElement(subtitle);
+                if (element && element.classList) {
+                    element.classList.add(config.rolePlayTurnClass);
+                }
+                
+                if (eventHub) {
+                    eventHub.emit('audioSync:rolePlayTurn', {
+                        subtitleIndex: index,
+                        subtitle: subtitle,
+                        speaker: rolePlayState.speaker,
+                        duration: subtitle.duration / playbackRate
+                    });
+                }
             }
         }
         
-        function handlePlayEnd() {
-            isPlaying = false;
-            isPaused = false;
+        function finishRolePlayTurn() {
+            var subtitle = srtData[rolePlayState.subtitleIndex];
+            var element = subtitle ? getAlignedElement(subtitle) : null;
             
-            clearUpdateTimer();
-            clearAllHighlights();
-            
-            // 重置索引
-            currentIndex = -1;
-            nextIndex = -1;
+            if (element && element.classList) {
+                element.classList.remove(config.rolePlayTurnClass);
+            }
             
-            // 更新状态
-            updateState();
+            rolePlayState.muting = false;
+            rolePlayState.subtitleIndex = -1;
+            elements.audioPlayer.muted = isMuted;
             
-            // 触发结束事件
-            if (eventHub) {
-                eventHub.emit('audioSync:ended', { duration: duration });
+            if (eventHub && subtitle) {
+                eventHub.emit('audioSync:rolePlayTurnEnd', {
+                    subtitleIndex: subtitle.index,
+                    speaker: rolePlayState.speaker
+                });
             }
         }
         
-        function handlePlayStop() {
-            isPlaying = false;
-            isPaused = false;
-            currentTime = 0;
-            currentIndex = -1;
-            nextIndex = -1;
-            
-            clearUpdateTimer();
-            clearAllHighlights();
+        function markRolePlayLines() {
+            var key = speakerKey(rolePlayState.speaker);
             
-            // 更新状态
-            updateState();
+            srtData.forEach(function(subtitle) {
+                var element = getAlignedElement(subtitle);
+                if (element && element.classList) {
+                    element.classList.toggle(config.rolePlayLineClass, speakerKey(subtitle.speaker) === key);
+                }
+            });
+        }
+        
+        function endRolePlay() {
+            if (rolePlayState.muting) {
+                finishRolePlayTurn();
+            }
             
-            // 触发停止事件
-            if (eventHub) {
-                eventHub.emit('audioSync:stop');
+            if (elements.contentArea) {
+                var lines = elements.contentArea.querySelectorAll('.' + config.rolePlayLineClass);
+                Array.prototype.forEach.call(lines, function(element) {
+                    element.classList.remove(config.rolePlayLineClass);
+                });
             }
+            
+            rolePlayState = createEmptyRolePlay();
         }
         
-        function handleMetadataLoaded() {
-            duration = elements.audioPlayer.duration || 0;
+        // 🎯 片段书签
+        
+        function getClipStatePath() {
+            return config.clipStateKey + '.' + (config.chapterId || 'default');
+        }
+        
+        function loadClips() {
+            clips = [];
+            if (!stateManager) return;
             
-            // 触发元数据加载事件
-            if (eventHub) {
-                eventHub.emit('audioSync:metadataLoaded', { duration: duration });
+            var saved = stateManager.getState(getClipStatePath());
+            if (Array.isArray(saved)) {
+                clips = saved.filter(function(clip) {
+                    return clip && typeof clip.start === 'number' && typeof clip.end === 'number';
+                }).map(function(clip) {
+                    return Object.assign({}, clip);
+                });
+                sortClips();
             }
         }
         
-        function handleDurationChange() {
-            duration = elements.audioPlayer.duration || 0;
-            
-            // 触发时长变化事件
-            if (eventHub) {
-                eventHub.emit('audioSync:durationChange', { duration: duration });
+        function saveClips() {
+            if (stateManager) {
+                stateManager.setState(getClipStatePath(), clips.map(function(clip) {
+                    return Object.assign({}, clip);
+                }));
             }
         }
         
-        function handleAudioError(e) {
-            var error = new Error('Audio error: ' + (e.target.error ? e.target.error.message : 'Unknown error'));
-            handleError('audio', error);
+        function sortClips() {
+            clips.sort(function(a, b) {
+                return a.start - b.start || a.createdAt - b.createdAt;
+            });
         }
         
-        function handleCanPlay() {
-            // 触发可播放事件
-            if (eventHub) {
-                eventHub.emit('audioSync:canPlay', { duration: duration });
+        function findClip(clipId) {
+            for (var i = 0; i < clips.length; i++) {
+                if (clips[i].id === clipId) return clips[i];
             }
+            return null;
         }
         
-        function handleWaiting() {
-            // 触发缓冲事件
-            if (eventHub) {
-                eventHub.emit('audioSync:waiting', { currentTime: currentTime });
+        // 片段原文：与片段时间重叠的所有字幕
+        function getClipText(startMs, endMs) {
+            return srtData.filter(function(subtitle) {
+                return subtitle.start < endMs && subtitle.end > startMs;
+            }).map(function(subtitle) {
+                return subtitle.text;
+            }).join(' ');
+        }
+        
+        function serializeClipsMarkdown() {
+            var lines = ['# ' + (config.chapterId ? config.chapterId + ' ' : '') + '片段书签', ''];
+            
+            clips.forEach(function(clip) {
+                lines.push('## ' + formatClock(clip.start) + ' – ' + formatClock(clip.end) +
+                           (clip.note ? ' ' + clip.note.replace(/\s+/g, ' ') : ''));
+                lines.push('');
+                if (clip.text) {
+                    lines.push('> ' + clip.text);
+                    lines.push('');
+                }
+            });
+            
+            return lines.join('\n');
+        }
+        
+        function renderClipPanel() {
+            if (!clipPanel) return;
+            
+            var items = clips.map(function(clip) {
+                return [
+                    '<li class="audio-clip-item" data-clip-id="' + escapeHTML(clip.id) + '">',
+                    '  <button type="button" class="audio-clip-time" data-action="jump">' + 
+                        formatClock(clip.start) + ' – ' + formatClock(clip.end) + '</button>',
+                    clip.note ? '  <div class="audio-clip-note">' + escapeHTML(clip.note) + '</div>' : '',
+                    '  <div class="audio-clip-text">' + escapeHTML(clip.text) + '</div>',
+                    '  <div class="audio-clip-actions">',
+                    '    <button type="button" data-action="loop">循环</button>',
+                    '    <button type="button" data-action="note">备注</button>',
+                    '    <button type="button" data-action="remove" aria-label="删除片段">删除</button>',
+                    '  </div>',
+                    '</li>'
+                ].join('');
+            }).join('');
+            
+            clipPanel.innerHTML = [
+                '<div class="audio-clip-header">',
+                '  <span class="audio-clip-title">片段书签（' + clips.length + '）</span>',
+                '  <button type="button" data-action="add">收藏当前句</button>',
+                '</div>',
+                clips.length > 0 ? 
+                    '<ol class="audio-clip-list">' + items + '</ol>' : 
+                    '<div class="audio-clip-empty">播放时按 C 键收藏当前句</div>',
+                '<div class="audio-clip-export">',
+                '  <button type="button" data-action="export-markdown">导出Markdown</button>',
+                '  <button type="button" data-action="export-json">导出JSON</button>',
+                '</div>'
+            ].join('');
+        }
+        
+        function handleClipPanelClick(e) {
+            var target = e.target.closest ? e.target.closest('[data-action]') : e.target;
+            if (!target || !target.getAttribute) return;
+            
+            var item = target.closest ? target.closest('[data-clip-id]') : null;
+            var clipId = item ? item.getAttribute('data-clip-id') : null;
+            
+            switch (target.getAttribute('data-action')) {
+                case 'add':
+                    self.clipCurrent();
+                    break;
+                case 'jump':
+                    self.jumpToClip(clipId);
+                    break;
+                case 'loop':
+                    self.jumpToClip(clipId, { loop: true });
+                    break;
+                case 'note':
+                    var clip = findClip(clipId);
+                    var note = clip && typeof window.prompt === 'function' ? 
+                        window.prompt('片段备注', clip.note) : null;
+                    if (note !== null) {
+                        self.updateClip(clipId, { note: note });
+                    }
+                    break;
+                case 'remove':
+                    self.removeClip(clipId);
+                    break;
+                case 'export-markdown':
+                    downloadClips('markdown');
+                    break;
+                case 'export-json':
+                    downloadClips('json');
+                    break;
             }
         }
         
-        function handleContentClick(e) {
-            var clickedElement = e.target;
+        function downloadClips(format) {
+            var content = self.exportClips(format);
+            if (content === null || typeof Blob === 'undefined' || !global.URL || !URL.createObjectURL) return;
             
-            // 查找包含时间信息的元素
-            var timeElement = clickedElement.closest('[data-time]') || 
-                             clickedElement.closest('[data-start]') ||
-                             clickedElement.closest('[data-subtitle-index]');
+            var blob = new Blob([content], {
+                type: format === 'json' ? 'application/json' : 'text/markdown'
+            });
+            var link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = (config.chapterId || 'clips') + '-clips.' + (format === 'json' ? 'json' : 'md');
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
             
-            if (timeElement) {
-                e.preventDefault();
-                
-                var time = timeElement.getAttribute('data-time') || 
-                          timeElement.getAttribute('data-start');
-                var index = timeElement.getAttribute('data-subtitle-index');
-                
-                if (time) {
-                    self.seekTo(parseFloat(time));
-                } else if (index) {
-                    self.seekToSubtitle(parseInt(index, 10));
+            setTimeout(function() {
+                URL.revokeObjectURL(link.href);
+            }, 0);
+        }
+        
+        // 🎯 媒体会话
+        
+        function getMediaSession() {
+            return config.enableMediaSession && typeof navigator !== 'undefined' && navigator.mediaSession ? 
+                navigator.mediaSession : null;
+        }
+        
+        function setupMediaSession() {
+            var session = getMediaSession();
+            if (!session) {
+                // 不支持时仍解析章节信息，供进度记录使用
+                refreshMediaMetadata();
+                return;
+            }
+            
+            var handlers = {
+                play: function() {
+                    self.play();
+                },
+                pause: function() {
+                    self.pause();
+                },
+                stop: function() {
+                    self.stop();
+                },
+                previoustrack: function() {
+                    seekToAdjacentSubtitle(-1);
+                },
+                nexttrack: function() {
+                    seekToAdjacentSubtitle(1);
+                },
+                seekbackward: function(details) {
+                    var offset = details && details.seekOffset || config.mediaSeekBackward;
+                    self.seekTo(Math.max(0, currentTime - offset));
+                },
+                seekforward: function(details) {
+                    var offset = details && details.seekOffset || config.mediaSeekForward;
+                    var target = currentTime + offset;
+                    self.seekTo(duration > 0 ? Math.min(duration, target) : target);
+                },
+                seekto: function(details) {
+                    if (!details || typeof details.seekTime !== 'number') return;
+                    
+                    if (details.fastSeek && typeof elements.audioPlayer.fastSeek === 'function') {
+                        elements.audioPlayer.fastSeek(details.seekTime);
+                        return;
+                    }
+                    self.seekTo(details.seekTime);
                 }
+            };
+            
+            Object.keys(handlers).forEach(function(action) {
+                setMediaActionHandler(session, action, handlers[action]);
+            });
+            
+            refreshMediaMetadata();
+        }
+        
+        function teardownMediaSession() {
+            var session = getMediaSession();
+            if (!session) return;
+            
+            ['play', 'pause', 'stop', 'previoustrack', 'nexttrack', 'seekbackward', 'seekforward', 'seekto']
+                .forEach(function(action) {
+                    setMediaActionHandler(session, action, null);
+                });
+            
+            session.metadata = null;
+            session.playbackState = 'none';
+        }
+        
+        // 浏览器不支持的动作会抛错，逐个忽略
+        function setMediaActionHandler(session, action, handler) {
+            try {
+                session.setActionHandler(action, handler);
+            } catch (error) {
+                DEBUG_WARN('[AudioSyncCore] 媒体会话不支持动作: ' + action);
             }
         }
         
-        function handleKeyDown(e) {
-            // 空格键：播放/暂停
-            if (e.code === 'Space' || e.keyCode === 32) {
-                e.preventDefault();
-                if (isPlaying) {
-                    self.pause();
-                } else {
-                    self.play();
+        // 上一句：句中超过1秒时先回到本句开头
+        function seekToAdjacentSubtitle(direction) {
+            if (srtData.length === 0) return;
+            
+            var timeMs = currentTime * 1000;
+            var index = findCueAtTime(timeMs);
+            
+            if (direction < 0) {
+                if (index >= 0 && timeMs - srtData[index].start > 1000) {
+                    self.seekToSubtitle(index);
+                    return;
+                }
+                if (index < 0) {
+                    var next = findNextSubtitleIndex(timeMs);
+                    index = next >= 0 ? next : srtData.length;
                 }
+                self.seekToSubtitle(Math.max(0, index - 1));
+                return;
             }
             
-            // 左箭头：后退5秒
-            if (e.code === 'ArrowLeft' || e.keyCode === 37) {
-                e.preventDefault();
-                self.seekTo(Math.max(0, currentTime - 5));
+            var target = findNextSubtitleIndex(timeMs);
+            if (target >= 0) {
+                self.seekToSubtitle(target);
             }
+        }
+        
+        function refreshMediaMetadata() {
+            var session = getMediaSession();
             
-            // 右箭头：前进5秒
-            if (e.code === 'ArrowRight' || e.keyCode === 39) {
-                e.preventDefault();
-                self.seekTo(Math.min(duration, currentTime + 5));
-            }
+            mediaMetadataInfo = mediaMetadataOverride || buildNavigationMetadata();
             
-            // 上箭头：音量增加
-            if (e.code === 'ArrowUp' || e.keyCode === 38) {
-                e.preventDefault();
-                self.setVolume(Math.min(1, volume + 0.1));
+            if (!mediaMetadataInfo && !mediaMetadataOverride) {
+                loadMediaNavigationData();
             }
             
-            // 下箭头：音量减少
-            if (e.code === 'ArrowDown' || e.keyCode === 40) {
-                e.preventDefault();
-                self.setVolume(Math.max(0, volume - 0.1));
+            if (!session || typeof global.MediaMetadata !== 'function') return;
+            
+            try {
+                session.metadata = mediaMetadataInfo ? new global.MediaMetadata(mediaMetadataInfo) : null;
+            } catch (error) {
+                DEBUG_WARN('[AudioSyncCore] 设置媒体信息失败:', error.message);
             }
+        }
+        
+        // 从原始导航数据查找当前章节，封面取章节或最近上级的缩略图
+        // （NavigationCore 处理后的数据不含 chapters 与 thumbnail，因此单独读取）
+        function buildNavigationMetadata() {
+            if (!config.chapterId || !Array.isArray(mediaNavigationData)) return null;
             
-            // M键：静音切换
-            if (e.code === 'KeyM' || e.keyCode === 77) {
-                e.preventDefault();
-                self.toggleMute();
+            var found = findNavigationChapter(mediaNavigationData, []);
+            if (!found) return null;
+            
+            var ancestors = found.ancestors;
+            var series = ancestors[ancestors.length - 1] || null;
+            var category = ancestors[ancestors.length - 2] || null;
+            var thumbnail = found.chapter.thumbnail;
+            
+            for (var i = ancestors.length - 1; i >= 0 && !thumbnail; i--) {
+                thumbnail = ancestors[i].thumbnail;
             }
+            
+            return {
+                title: found.chapter.title || config.chapterId,
+                artist: series ? series.title || series.series || '' : '',
+                album: category ? category.title || category.series || '' : '',
+                artwork: thumbnail ? [{ src: thumbnail, type: getImageType(thumbnail) }] : []
+            };
         }
         
-        function handleWheel(e) {
-            if (e.ctrlKey || e.metaKey) {
-                e.preventDefault();
+        function findNavigationChapter(items, ancestors) {
+            for (var i = 0; i < items.length; i++) {
+                var item = items[i];
+                if (!item) continue;
                 
-                // Ctrl+滚轮：调整播放速度
-                var delta = e.deltaY > 0 ? -0.1 : 0.1;
-                var newRate = Math.max(0.5, Math.min(2.0, playbackRate + delta));
-                self.setPlaybackRate(newRate);
+                if (item.id === config.chapterId && (item.type === 'chapter' || item.audio)) {
+                    return { chapter: item, ancestors: ancestors };
+                }
+                
+                var nested = (item.children || []).concat(item.chapters || []);
+                if (nested.length > 0) {
+                    var found = findNavigationChapter(nested, ancestors.concat(item));
+                    if (found) return found;
+                }
             }
+            return null;
         }
         
-        function startUpdateTimer() {
-            if (isDestroyed) return;
+        function getImageType(url) {
+            var match = /\.(png|webp|gif|jpe?g)(?:[?#]|$)/i.exec(url);
+            if (!match) return 'image/jpeg';
             
-            clearUpdateTimer();
+            var extension = match[1].toLowerCase();
+            return 'image/' + (extension === 'jpg' ? 'jpeg' : extension);
+        }
+        
+        // 章节标题也用于收听进度记录，不支持媒体会话时同样需要加载
+        function loadMediaNavigationData() {
+            if (mediaNavigationRequested || mediaNavigationData || !config.chapterId) return;
+            if (typeof fetch !== 'function') return;
             
-            updateTimer = setInterval(function() {
-                if (isPlaying && !isDestroyed) {
-                    updateSyncState();
-                }
-            }, config.updateInterval);
+            mediaNavigationRequested = true;
+            
+            fetch(config.navigationDataUrl)
+                .then(function(response) {
+                    if (!response.ok) {
+                        throw new Error('HTTP ' + response.status);
+                    }
+                    return response.json();
+                })
+                .then(function(data) {
+                    if (isDestroyed || !Array.isArray(data)) return;
+                    
+                    mediaNavigationData = data;
+                    refreshMediaMetadata();
+                })
+                .catch(function(error) {
+                    DEBUG_WARN('[AudioSyncCore] 导航数据加载失败:', error.message);
+                });
         }
         
-        function clearUpdateTimer() {
-            if (updateTimer) {
-                clearInterval(updateTimer);
-                updateTimer = null;
+        function updateMediaPlaybackState(state) {
+            var session = getMediaSession();
+            if (session) {
+                session.playbackState = state;
             }
+            updateMediaPosition();
         }
         
-        function updateSyncState() {
-            if (isDestroyed) return;
+        function updateMediaPosition() {
+            var session = getMediaSession();
+            if (!session || typeof session.setPositionState !== 'function') return;
+            if (!(duration > 0) || !isFinite(duration)) return;
             
             try {
-                var currentTimeMs = currentTime * 1000;
-                var newIndex = findCurrentSubtitleIndex(currentTimeMs);
-                var newNextIndex = findNextSubtitleIndex(currentTimeMs);
-                
-                // 检查是否需要更新高亮
-                if (newIndex !== currentIndex || newNextIndex !== nextIndex) {
-                    updateHighlights(newIndex, newNextIndex);
-                    currentIndex = newIndex;
-                    nextIndex = newNextIndex;
-                    
-                    // 更新滚动位置
-                    updateScrollPosition();
-                    
-                    // 更新性能统计
-                    performanceStats.syncCount++;
-                }
-                
-                // 更新状态
-                updateState();
-                
+                session.setPositionState({
+                    duration: duration,
+                    playbackRate: playbackRate,
+                    position: Math.min(Math.max(0, currentTime), duration)
+                });
             } catch (error) {
-                handleError('updateSyncState', error);
-                performanceStats.missedSyncs++;
+                DEBUG_WARN('[AudioSyncCore] 更新播放进度失败:', error.message);
             }
         }
         
-        function findCurrentSubtitleIndex(timeMs) {
-            for (var i = 0; i < srtData.length; i++) {
-                var subtitle = srtData[i];
-                if (timeMs >= subtitle.start - config.syncTolerance && 
-                    timeMs <= subtitle.end + config.syncTolerance) {
-                    return i;
+        // 🎯 章节续播
+        
+        function bindProgressEvents() {
+            if (typeof document === 'undefined') return;
+            
+            // 移动端切到后台后页面可能直接被回收，隐藏时立即写入存储
+            boundEventHandlers.visibilitychange = function() {
+                if (document.hidden || document.webkitHidden) {
+                    saveChapterProgress(false);
+                    if (stateManager && typeof stateManager.persist === 'function') {
+                        stateManager.persist();
+                    }
                 }
-            }
-            return -1;
+            };
+            boundEventHandlers.pagehide = function() {
+                saveChapterProgress(false);
+            };
+            
+            document.addEventListener('visibilitychange', boundEventHandlers.visibilitychange);
+            window.addEventListener('pagehide', boundEventHandlers.pagehide);
         }
         
-        function findNextSubtitleIndex(timeMs) {
-            for (var i = 0; i < srtData.length; i++) {
-                var subtitle = srtData[i];
-                if (timeMs < subtitle.start) {
-                    return i;
-                }
+        function unbindProgressEvents() {
+            if (typeof document === 'undefined') return;
+            
+            if (boundEventHandlers.visibilitychange) {
+                document.removeEventListener('visibilitychange', boundEventHandlers.visibilitychange);
+            }
+            if (boundEventHandlers.pagehide) {
+                window.removeEventListener('pagehide', boundEventHandlers.pagehide);
             }
-            return -1;
         }
         
-        function updateHighlights(newIndex, newNextIndex) {
-            if (isDestroyed) return;
+        function readProgress(chapterId) {
+            if (!stateManager || !chapterId) return null;
             
-            var startTime = performance.now ? performance.now() : Date.now();
+            var entry = stateManager.getState(config.progressStateKey + '.' + chapterId);
+            return entry && typeof entry.time === 'number' ? entry : null;
+        }
+        
+        function getKnownDuration() {
+            if (duration > 0 && isFinite(duration)) return duration;
+            return srtData.length > 0 ? srtData[srtData.length - 1].end / 1000 : 0;
+        }
+        
+        /**
+         * 保存当前章节进度；只有真正收听或跳转过才写入，避免新章节的0秒覆盖旧进度
+         * @param {boolean} completed - 是否已听完
+         */
+        function saveChapterProgress(completed) {
+            if (!stateManager || !config.chapterId || !progressDirty) return false;
             
             try {
-                // 清除旧高亮
-                clearAllHighlights();
+                var total = getKnownDuration();
+                var percent = total > 0 ? Math.min(100, Math.round(currentTime / total * 100)) : 0;
+                var isComplete = completed || (total > 0 && currentTime / total >= config.completeThreshold);
                 
-                // 设置当前高亮
-                if (newIndex >= 0 && newIndex < srtData.length) {
-                    var currentElement = findElementForSubtitle(srtData[newIndex]);
-                    if (currentElement) {
-                        highlightElement(currentElement, config.highlightClass);
-                        lastHighlightedElement = currentElement;
-                    }
-                }
-                
-                // 设置下一个高亮（预告）
-                if (newNextIndex >= 0 && newNextIndex < srtData.length) {
-                    var nextElement = findElementForSubtitle(srtData[newNextIndex]);
-                    if (nextElement && nextElement !== lastHighlightedElement) {
-                        highlightElement(nextElement, config.nextHighlightClass);
-                    }
-                }
+                var entry = {
+                    chapterId: config.chapterId,
+                    title: mediaMetadataInfo && mediaMetadataInfo.title || config.chapterId,
+                    time: isComplete ? 0 : Math.round(currentTime * 10) / 10,
+                    index: isComplete ? -1 : currentIndex,
+                    playbackRate: playbackRate,
+                    loop: loopState.active ? {
+                        start: loopState.start,
+                        end: loopState.end,
+                        repeat: isFinite(loopState.repeat) ? loopState.repeat : null,
+                        gapMs: loopState.gapMs
+                    } : null,
+                    duration: total,
+                    percent: isComplete ? 100 : percent,
+                    completed: isComplete,
+                    updatedAt: Date.now()
+                };
                 
-                // 触发高亮更新事件
-                if (eventHub) {
-                    eventHub.emit('audioSync:highlightUpdated', {
-                        currentIndex: newIndex,
-                        nextIndex: newNextIndex,
-                        currentSubtitle: newIndex >= 0 ? srtData[newIndex] : null,
-                        nextSubtitle: newNextIndex >= 0 ? srtData[newNextIndex] : null
-                    });
-                }
+                stateManager.setState(config.progressStateKey + '.' + config.chapterId, entry);
+                progressDirty = false;
+                lastProgressSave = entry.updatedAt;
+                renderContinuePanel();
                 
+                return true;
             } catch (error) {
-                handleError('updateHighlights', error);
-            } finally {
-                var endTime = performance.now ? performance.now() : Date.now();
-                performanceStats.renderTime += endTime - startTime;
+                handleError('saveChapterProgress', error);
+                return false;
             }
         }
         
-        function findElementForSubtitle(subtitle) {
-            var startTime = performance.now ? performance.now() : Date.now();
+        function resumeChapterProgress() {
+            var entry = readProgress(config.chapterId);
+            if (!entry || entry.completed || entry.time < config.resumeMinTime) return false;
             
-            try {
-                // 先检查缓存
-                var cacheKey = 'subtitle_' + subtitle.index;
-                if (elementCache[cacheKey]) {
-                    var cachedElement = elementCache[cacheKey];
-                    // 验证缓存的元素是否仍在DOM中
-                    if (cachedElement.parentNode) {
-                        return cachedElement;
-                    } else {
-                        delete elementCache[cacheKey];
-                    }
-                }
-                
-                // 使用搜索策略查找元素
-                var element = null;
-                for (var i = 0; i < searchStrategies.length; i++) {
-                    element = searchStrategies[i](subtitle.text);
-                    if (element) {
-                        break;
-                    }
-                }
-                
-                // 缓存找到的元素
-                if (element) {
-                    elementCache[cacheKey] = element;
-                }
-                
-                return element;
-                
-            } catch (error) {
-                handleError('findElementForSubtitle', error);
-                return null;
-            } finally {
-                var endTime = performance.now ? performance.now() : Date.now();
-                performanceStats.searchTime += endTime - startTime;
+            // 音频元数据就绪前设置位置可能无效，等 loadedmetadata 再跳转
+            if (elements.audioPlayer.readyState >= 1) {
+                applyResume(entry);
+            } else {
+                pendingResume = entry;
             }
+            
+            return true;
         }
         
-        function highlightElement(element, className) {
-            if (element && className) {
-                element.classList.add(className);
-                element.setAttribute('aria-current', 'true');
+        function applyResume(entry) {
+            pendingResume = null;
+            
+            if (entry.playbackRate && entry.playbackRate !== playbackRate) {
+                self.setPlaybackRate(entry.playbackRate);
+            }
+            
+            self.seekTo(Math.max(0, entry.time - config.resumeRewind));
+            
+            if (entry.loop && entry.loop.end > entry.loop.start) {
+                self.setLoop(entry.loop.start, entry.loop.end, {
+                    repeat: entry.loop.repeat || Infinity,
+                    gapMs: entry.loop.gapMs
+                });
+            }
+            
+            // 恢复位置本身不算新的收听
+            progressDirty = false;
+            
+            if (eventHub) {
+                eventHub.emit('audioSync:resumed', {
+                    chapterId: entry.chapterId,
+                    time: currentTime,
+                    progress: Object.assign({}, entry)
+                });
             }
         }
         
-        function clearAllHighlights() {
-            if (isDestroyed || !elements.contentArea) return;
+        function renderContinuePanel() {
+            if (!continuePanel) return;
             
-            // 清除当前高亮
-            var currentHighlights = elements.contentArea.querySelectorAll('.' + config.highlightClass);
-            for (var i = 0; i < currentHighlights.length; i++) {
-                currentHighlights[i].classList.remove(config.highlightClass);
-                currentHighlights[i].removeAttribute('aria-current');
+            var entries = self.getContinueListening();
+            
+            if (entries.length === 0) {
+                continuePanel.innerHTML = '';
+                continuePanel.hidden = true;
+                return;
             }
             
-            // 清除下一个高亮
-            var nextHighlights = elements.contentArea.querySelectorAll('.' + config.nextHighlightClass);
-            for (var j = 0; j < nextHighlights.length; j++) {
-                nextHighlights[j].classList.remove(config.nextHighlightClass);
+            continuePanel.hidden = false;
+            continuePanel.innerHTML = [
+                '<div class="continue-listening-title">继续收听</div>',
+                '<ul class="continue-listening-list">',
+                entries.map(function(entry) {
+                    return [
+                        '<li class="continue-listening-item' + 
+                            (entry.chapterId === config.chapterId ? ' is-current' : '') + 
+                            '" data-chapter-id="' + escapeHTML(entry.chapterId) + '">',
+                        '  <span class="continue-listening-name">' + escapeHTML(entry.title) + '</span>',
+                        '  <span class="continue-listening-meta">' + formatClock(entry.time * 1000) + 
+                            ' · ' + entry.percent + '%</span>',
+                        '  <span class="continue-listening-bar"><span style="width: ' + entry.percent + '%"></span></span>',
+                        '</li>'
+                    ].join('');
+                }).join(''),
+                '</ul>'
+            ].join('');
+        }
+        
+        function handleContinuePanelClick(e) {
+            var item = e.target.closest ? e.target.closest('[data-chapter-id]') : null;
+            if (!item) return;
+            
+            var chapterId = item.getAttribute('data-chapter-id');
+            var entry = readProgress(chapterId);
+            
+            // 当前章节直接续播，其他章节交给导航处理
+            if (chapterId === config.chapterId) {
+                if (entry) {
+                    applyResume(entry);
+                }
+                self.play();
             }
             
-            lastHighlightedElement = null;
+            if (eventHub) {
+                eventHub.emit('audioSync:continueListening', {
+                    chapterId: chapterId,
+                    progress: entry ? Object.assign({}, entry) : null
+                });
+            }
+        }
+        
+        // 🎯 视频叠加字幕
+        
+        function getPlayerElement() {
+            return elements.audioPlayer && elements.audioPlayer.isAdapter ? 
+                elements.audioPlayer.element : elements.audioPlayer;
+        }
+        
+        function getPlayerType() {
+            if (!elements.audioPlayer) return null;
+            if (elements.audioPlayer.isAdapter) return 'adapter';
+            
+            return elements.audioPlayer.tagName && elements.audioPlayer.tagName.toLowerCase() === 'video' ? 
+                'video' : 'audio';
+        }
+        
+        function createSubtitleOverlay() {
+            var playerElement = getPlayerElement();
+            if (!playerElement || !playerElement.parentNode) {
+                DEBUG_WARN('[AudioSyncCore] 没有可叠加字幕的播放器元素');
+                return false;
+            }
+            
+            var container = playerElement.parentNode;
+            if (container.classList) {
+                container.classList.add(config.overlayContainerClass);
+            }
+            
+            subtitleOverlay = document.createElement('div');
+            subtitleOverlay.className = config.overlayClass;
+            subtitleOverlay.hidden = true;
+            container.insertBefore(subtitleOverlay, playerElement.nextSibling);
+            
+            renderSubtitleOverlay(currentIndex);
+            return true;
+        }
+        
+        function renderSubtitleOverlay(index) {
+            if (!subtitleOverlay) return;
+            
+            var subtitle = index >= 0 ? srtData[index] : null;
+            if (!subtitle) {
+                subtitleOverlay.hidden = true;
+                subtitleOverlay.innerHTML = '';
+                return;
+            }
+            
+            subtitleOverlay.innerHTML = '<span class="sync-subtitle-text">' + 
+                (subtitle.speaker ? '<span class="sync-subtitle-speaker">' + escapeHTML(subtitle.speaker) + '</span> ' : '') + 
+                escapeHTML(subtitle.text) + '</span>';
+            subtitleOverlay.hidden = false;
+        }
+        
+        function removeSubtitleOverlay() {
+            if (!subtitleOverlay) return;
+            
+            var container = subtitleOverlay.parentNode;
+            if (container) {
+                container.removeChild(subtitleOverlay);
+                if (container.classList) {
+                    container.classList.remove(config.overlayContainerClass);
+                }
+            }
+            subtitleOverlay = null;
         }
         
         function updateScrollPosition() {
@@ -1397,6 +5675,16 @@
         initialize();
     }
     
+    // 字幕解析扩展点
+    AudioSyncCore.registerCueParser = registerCueParser;
+    AudioSyncCore.detectCueFormat = detectCueFormat;
+    AudioSyncCore.getCueFormats = function() {
+        return cueParserOrder.slice();
+    };
+    AudioSyncCore.serializeCues = serializeCues;
+    AudioSyncCore.buildCuesFromSentences = buildCuesFromSentences;
+    AudioSyncCore.createPlayerAdapter = createPlayerAdapter;
+    
     // 🔗 导出
     if (typeof module !== 'undefined' && module.exports) {
         module.exports = AudioSyncCore;
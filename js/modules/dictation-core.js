@@ -0,0 +1,989 @@
+// js/modules/dictation-core.js - iOS兼容版听写练习核心
+// 🚀 基于字幕的听写练习，确保iOS Safari 12+兼容性
+
+(function(global) {
+    'use strict';
+
+    // 🔧 环境检测和生产环境优化
+    var IS_PRODUCTION = typeof window !== 'undefined' && 
+        (window.location.hostname !== 'localhost' && 
+         window.location.hostname !== '127.0.0.1' && 
+         window.location.hostname !== '' && 
+         !window.location.hostname.startsWith('192.168.') && 
+         !window.location.hostname.startsWith('10.') && 
+         !window.location.hostname.startsWith('172.'));
+
+    var DEBUG_LOG = IS_PRODUCTION ? function(){} : console.log;
+    var DEBUG_WARN = IS_PRODUCTION ? function(){} : console.warn;
+    var DEBUG_ERROR = IS_PRODUCTION ? function(){} : console.error;
+
+    // 🔧 安全工具函数
+    function escapeHTML(str) {
+        return String(str === null || str === undefined ? '' : str)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // 🎯 答案比对
+
+    // 缩写整词展开
+    var CONTRACTION_WORDS = {
+        "won't": 'will not',
+        "can't": 'can not',
+        'cannot': 'can not',
+        "shan't": 'shall not',
+        "ain't": 'is not',
+        "let's": 'let us',
+        'gonna': 'going to',
+        'wanna': 'want to',
+        'gotta': 'got to'
+    };
+
+    // 缩写后缀展开（'d 既可能是 had 也可能是 would，两边统一展开即可）
+    var CONTRACTION_SUFFIXES = [
+        ["n't", ' not'],
+        ["'re", ' are'],
+        ["'ve", ' have'],
+        ["'ll", ' will'],
+        ["'d", ' would'],
+        ["'m", ' am']
+    ];
+
+    // 's 只在这些词后展开为 is，其余视为所有格
+    var IS_CONTRACTION_STEMS = [
+        'it', 'he', 'she', 'that', 'what', 'there', 'here', 'who', 'where',
+        'how', 'when', 'why', 'this', 'everything', 'nothing', 'something',
+        'everyone', 'someone', 'everybody', 'somebody'
+    ];
+
+    // 英式 -> 美式拼写（整词）
+    var SPELLING_WORDS = {
+        'grey': 'gray',
+        'greys': 'grays',
+        'mum': 'mom',
+        'mums': 'moms',
+        'tyre': 'tire',
+        'tyres': 'tires',
+        'cheque': 'check',
+        'cheques': 'checks',
+        'programme': 'program',
+        'programmes': 'programs',
+        'fulfil': 'fulfill',
+        'enrol': 'enroll',
+        'skilful': 'skillful',
+        'ageing': 'aging',
+        'judgement': 'judgment',
+        'jewellery': 'jewelry',
+        'aeroplane': 'airplane',
+        'aeroplanes': 'airplanes',
+        'pyjamas': 'pajamas',
+        'plough': 'plow',
+        'practise': 'practice',
+        'practised': 'practiced',
+        'practising': 'practicing'
+    };
+
+    // 英式 -> 美式拼写（词首，覆盖各种词形）
+    var SPELLING_PREFIXES = [
+        ['colour', 'color'], ['favour', 'favor'], ['flavour', 'flavor'],
+        ['honour', 'honor'], ['humour', 'humor'], ['labour', 'labor'],
+        ['neighbour', 'neighbor'], ['behaviour', 'behavior'], ['harbour', 'harbor'],
+        ['rumour', 'rumor'], ['vapour', 'vapor'], ['endeavour', 'endeavor'],
+        ['centre', 'center'], ['theatre', 'theater'], ['metre', 'meter'],
+        ['litre', 'liter'], ['fibre', 'fiber'], ['calibre', 'caliber'],
+        ['realis', 'realiz'], ['organis', 'organiz'], ['recognis', 'recogniz'],
+        ['apologis', 'apologiz'], ['criticis', 'criticiz'], ['memoris', 'memoriz'],
+        ['specialis', 'specializ'], ['summaris', 'summariz'], ['prioritis', 'prioritiz'],
+        ['emphasise', 'emphasize'], ['analyse', 'analyze'], ['paralyse', 'paralyze'],
+        ['travell', 'travel'], ['cancell', 'cancel'], ['labell', 'label'],
+        ['modell', 'model'], ['fuell', 'fuel'], ['jewell', 'jewel'],
+        ['defence', 'defense'], ['offence', 'offense'], ['licence', 'license'],
+        ['catalogue', 'catalog'], ['dialogue', 'dialog'], ['analogue', 'analog'],
+        ['mould', 'mold'], ['sceptic', 'skeptic'], ['moustache', 'mustache']
+    ];
+
+    // 数字统一为阿拉伯数字
+    var NUMBER_WORDS = {
+        'zero': '0', 'one': '1', 'two': '2', 'three': '3', 'four': '4',
+        'five': '5', 'six': '6', 'seven': '7', 'eight': '8', 'nine': '9',
+        'ten': '10', 'eleven': '11', 'twelve': '12', 'thirteen': '13',
+        'fourteen': '14', 'fifteen': '15', 'sixteen': '16', 'seventeen': '17',
+        'eighteen': '18', 'nineteen': '19', 'twenty': '20'
+    };
+
+    function expandContraction(word) {
+        if (CONTRACTION_WORDS[word]) {
+            return CONTRACTION_WORDS[word].split(' ');
+        }
+        
+        for (var i = 0; i < CONTRACTION_SUFFIXES.length; i++) {
+            var suffix = CONTRACTION_SUFFIXES[i][0];
+            if (word.length > suffix.length && word.slice(-suffix.length) === suffix) {
+                return (word.slice(0, -suffix.length) + CONTRACTION_SUFFIXES[i][1]).split(' ');
+            }
+        }
+        
+        if (word.slice(-2) === "'s") {
+            var stem = word.slice(0, -2);
+            if (IS_CONTRACTION_STEMS.indexOf(stem) !== -1) {
+                return [stem, 'is'];
+            }
+        }
+        
+        return [word];
+    }
+
+    function canonicalSpelling(word) {
+        if (NUMBER_WORDS[word]) {
+            return NUMBER_WORDS[word];
+        }
+        
+        if (SPELLING_WORDS[word]) {
+            return SPELLING_WORDS[word];
+        }
+        
+        for (var i = 0; i < SPELLING_PREFIXES.length; i++) {
+            var prefix = SPELLING_PREFIXES[i][0];
+            if (word.indexOf(prefix) === 0) {
+                return SPELLING_PREFIXES[i][1] + word.slice(prefix.length);
+            }
+        }
+        
+        return word;
+    }
+
+    /**
+     * 把文本拆成规范化的比对单元
+     * @returns {Object} {words: 原始单词（保留大小写）, tokens: [{word, source}]}
+     */
+    function tokenizeForDictation(text) {
+        var normalized = String(text || '')
+            .replace(/[‘’ʼ`]/g, "'")
+            .replace(/[–—]/g, ' ');
+        
+        var words = [];
+        var tokens = [];
+        
+        normalized.split(/\s+/).forEach(function(raw) {
+            // 连字符词拆开比对，"well-known" 与 "well known" 视为相同
+            raw.split('-').forEach(function(part) {
+                var display = part.replace(/^[^a-zA-Z0-9']+|[^a-zA-Z0-9']+$/g, '')
+                    .replace(/^'+|'+$/g, '');
+                if (!display) return;
+                
+                var source = words.length;
+                words.push(display);
+                
+                expandContraction(display.toLowerCase()).forEach(function(piece) {
+                    tokens.push({
+                        word: canonicalSpelling(piece.replace(/[^a-z0-9']/g, '')),
+                        source: source
+                    });
+                });
+            });
+        });
+        
+        return { words: words, tokens: tokens };
+    }
+
+    function levenshtein(a, b) {
+        if (a === b) return 0;
+        if (!a.length) return b.length;
+        if (!b.length) return a.length;
+        
+        var previous = [];
+        var current = [];
+        var i, j;
+        
+        for (j = 0; j <= b.length; j++) {
+            previous[j] = j;
+        }
+        
+        for (i = 1; i <= a.length; i++) {
+            current = [i];
+            for (j = 1; j <= b.length; j++) {
+                var cost = a.charAt(i - 1) === b.charAt(j - 1) ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            }
+            previous = current;
+        }
+        
+        return previous[b.length];
+    }
+
+    // 拼写接近算作笔误：短词允许1处差异，长词允许2处
+    function isTypo(expected, actual) {
+        var length = Math.min(expected.length, actual.length);
+        if (length < 4) return false;
+        
+        return levenshtein(expected, actual) <= (length >= 8 ? 2 : 1);
+    }
+
+    // 替换代价：相同为0，笔误为0.5，使对齐优先把相近的词配对
+    function substitutionCost(expected, actual) {
+        if (expected === actual) return 0;
+        return isTypo(expected, actual) ? 0.5 : 1;
+    }
+
+    /**
+     * 逐词比对听写答案
+     * @param {string} expected - 原文
+     * @param {string} actual - 学习者输入
+     * @returns {Object} 比对结果，包含得分和逐词状态
+     */
+    function compareDictation(expected, actual) {
+        var reference = tokenizeForDictation(expected);
+        var answer = tokenizeForDictation(actual);
+        var ref = reference.tokens;
+        var ans = answer.tokens;
+        var rows = ref.length;
+        var cols = ans.length;
+        var cost = [];
+        var i, j;
+        
+        // 编辑距离矩阵
+        for (i = 0; i <= rows; i++) {
+            cost[i] = [i];
+        }
+        for (j = 0; j <= cols; j++) {
+            cost[0][j] = j;
+        }
+        for (i = 1; i <= rows; i++) {
+            for (j = 1; j <= cols; j++) {
+                cost[i][j] = Math.min(
+                    cost[i - 1][j - 1] + substitutionCost(ref[i - 1].word, ans[j - 1].word),
+                    cost[i - 1][j] + 1,
+                    cost[i][j - 1] + 1
+                );
+            }
+        }
+        
+        // 回溯得到操作序列
+        var operations = [];
+        i = rows;
+        j = cols;
+        while (i > 0 || j > 0) {
+            if (i > 0 && j > 0) {
+                var substitution = substitutionCost(ref[i - 1].word, ans[j - 1].word);
+                if (cost[i][j] === cost[i - 1][j - 1] + substitution) {
+                    var type = substitution === 0 ? 'correct' : 
+                        (substitution < 1 ? 'typo' : 'wrong');
+                    operations.unshift({
+                        type: type,
+                        expected: ref[i - 1].word,
+                        actual: ans[j - 1].word,
+                        source: ref[i - 1].source
+                    });
+                    i--;
+                    j--;
+                    continue;
+                }
+            }
+            
+            if (i > 0 && cost[i][j] === cost[i - 1][j] + 1) {
+                operations.unshift({
+                    type: 'missing',
+                    expected: ref[i - 1].word,
+                    actual: null,
+                    source: ref[i - 1].source
+                });
+                i--;
+            } else {
+                operations.unshift({
+                    type: 'extra',
+                    expected: null,
+                    actual: ans[j - 1].word,
+                    source: -1
+                });
+                j--;
+            }
+        }
+        
+        var counts = { correct: 0, typo: 0, wrong: 0, missing: 0, extra: 0 };
+        operations.forEach(function(op) {
+            counts[op.type]++;
+        });
+        
+        // 笔误算半对，多写的词计入分母
+        var denominator = rows + counts.extra;
+        var score = denominator > 0 ? 
+            Math.round((counts.correct + counts.typo * 0.5) / denominator * 100) : 100;
+        
+        return {
+            score: score,
+            correct: counts.correct,
+            typos: counts.typo,
+            wrong: counts.wrong,
+            missing: counts.missing,
+            extra: counts.extra,
+            total: rows,
+            operations: operations,
+            words: buildWordStatus(reference.words, operations)
+        };
+    }
+
+    // 按原文单词汇总状态（缩写展开后的多个单元取最差状态）
+    function buildWordStatus(words, operations) {
+        var rank = { correct: 0, typo: 1, wrong: 2, missing: 2 };
+        var result = [];
+        var bySource = {};
+        
+        operations.forEach(function(op) {
+            if (op.type === 'extra') {
+                result.push({ text: op.actual, status: 'extra' });
+                return;
+            }
+            
+            var entry = bySource[op.source];
+            if (!entry) {
+                entry = { text: words[op.source], status: op.type, actual: op.actual };
+                bySource[op.source] = entry;
+                result.push(entry);
+            } else if (rank[op.type] > rank[entry.status]) {
+                entry.status = op.type;
+                entry.actual = op.actual;
+            }
+        });
+        
+        return result;
+    }
+
+    /**
+     * 🎯 DictationCore - 听写练习核心
+     * 功能：隐藏原文、逐句播放、输入比对、评分、错词记录
+     * 兼容：iOS Safari 12+, Android Chrome 80+
+     */
+    function DictationCore(audioSync, options) {
+        options = options || {};
+        
+        // 配置参数
+        var config = {
+            contentArea: options.contentArea || 'content-area',
+            panelContainer: options.panelContainer || null,
+            chapterId: options.chapterId || null,
+            playCount: Math.max(1, options.playCount || 1),
+            playGap: Math.max(0, options.playGap || 1500),
+            passScore: Math.max(0, Math.min(100, typeof options.passScore === 'number' ? options.passScore : 80)),
+            maxHistory: Math.max(10, Math.min(1000, options.maxHistory || 200)),
+            hiddenClass: options.hiddenClass || 'dictation-mode',
+            autoPlay: options.autoPlay !== false
+        };
+        
+        // 私有变量
+        var cues = [];
+        var currentCueIndex = -1;
+        var lastResult = null;
+        var isActive = false;
+        
+        // 🔧 清理和销毁相关
+        var isDestroyed = false;
+        var boundEventHandlers = {};
+        
+        // 依赖注入
+        var stateManager = null;
+        var eventHub = null;
+        var errorBoundary = null;
+        
+        var self = this;
+        
+        // DOM元素引用
+        var elements = {
+            contentArea: null,
+            panel: null,
+            progress: null,
+            input: null,
+            result: null
+        };
+        
+        // 🎯 初始化
+        function initialize() {
+            try {
+                // 注入依赖
+                injectDependencies();
+                
+                if (!audioSync || typeof audioSync.getSRTData !== 'function') {
+                    throw new Error('AudioSyncCore instance is required');
+                }
+                
+                elements.contentArea = typeof config.contentArea === 'string' ? 
+                    document.getElementById(config.contentArea) : config.contentArea;
+                
+                DEBUG_LOG('[DictationCore] 初始化成功');
+                
+                if (eventHub) {
+                    eventHub.emit('dictation:initialized', { config: config });
+                }
+            } catch (error) {
+                handleError('initialize', error);
+            }
+        }
+        
+        // 🔑 公开API
+        
+        /**
+         * 开始听写
+         * @param {number} startIndex - 起始字幕索引（默认接着上次进度）
+         */
+        this.start = function(startIndex) {
+            if (isDestroyed) return false;
+            
+            try {
+                cues = audioSync.getSRTData();
+                if (!cues.length) {
+                    throw new Error('No cues available for dictation');
+                }
+                
+                if (typeof startIndex !== 'number') {
+                    var progress = getProgress();
+                    startIndex = progress.lastIndex || 0;
+                }
+                
+                isActive = true;
+                
+                // 隐藏原文
+                if (elements.contentArea) {
+                    elements.contentArea.classList.add(config.hiddenClass);
+                }
+                
+                createPanel();
+                
+                if (eventHub) {
+                    eventHub.emit('dictation:started', {
+                        chapterId: config.chapterId,
+                        cueCount: cues.length
+                    });
+                }
+                
+                return this.goTo(startIndex);
+            } catch (error) {
+                handleError('start', error);
+                return false;
+            }
+        };
+        
+        /**
+         * 结束听写，恢复原文显示
+         */
+        this.stop = function() {
+            if (isDestroyed || !isActive) return false;
+            
+            try {
+                isActive = false;
+                
+                audioSync.clearLoop();
+                audioSync.pause();
+                
+                if (elements.contentArea) {
+                    elements.contentArea.classList.remove(config.hiddenClass);
+                }
+                
+                removePanel();
+                
+                if (eventHub) {
+                    eventHub.emit('dictation:stopped', {
+                        chapterId: config.chapterId,
+                        cueIndex: currentCueIndex
+                    });
+                }
+                
+                return true;
+            } catch (error) {
+                handleError('stop', error);
+                return false;
+            }
+        };
+        
+        /**
+         * 跳到指定句子
+         * @param {number} index - 字幕索引
+         */
+        this.goTo = function(index) {
+            if (isDestroyed || !isActive) return false;
+            
+            try {
+                if (typeof index !== 'number' || index < 0 || index >= cues.length) {
+                    throw new Error('Invalid cue index');
+                }
+                
+                currentCueIndex = index;
+                lastResult = null;
+                saveProgress({ lastIndex: index });
+                
+                renderPanel();
+                
+                if (eventHub) {
+                    eventHub.emit('dictation:cueChanged', {
+                        cueIndex: index,
+                        cueCount: cues.length
+                    });
+                }
+                
+                if (config.autoPlay) {
+                    this.playCurrent();
+                }
+                
+                return true;
+            } catch (error) {
+                handleError('goTo', error);
+                return false;
+            }
+        };
+        
+        /**
+         * 下一句
+         */
+        this.next = function() {
+            if (currentCueIndex + 1 >= cues.length) {
+                if (eventHub) {
+                    eventHub.emit('dictation:completed', { chapterId: config.chapterId });
+                }
+                return false;
+            }
+            return this.goTo(currentCueIndex + 1);
+        };
+        
+        /**
+         * 上一句
+         */
+        this.previous = function() {
+            return this.goTo(Math.max(0, currentCueIndex - 1));
+        };
+        
+        /**
+         * 播放当前句（播完自动暂停）
+         */
+        this.playCurrent = function() {
+            if (isDestroyed || !isActive) return false;
+            
+            try {
+                var cue = cues[currentCueIndex];
+                if (!cue) return false;
+                
+                audioSync.seekTo(cue.start / 1000);
+                audioSync.setLoop(cue.start, cue.end, {
+                    repeat: config.playCount,
+                    gapMs: config.playGap,
+                    pauseOnComplete: true
+                });
+                audioSync.play();
+                
+                if (elements.input) {
+                    elements.input.focus();
+                }
+                
+                return true;
+            } catch (error) {
+                handleError('playCurrent', error);
+                return false;
+            }
+        };
+        
+        /**
+         * 提交答案
+         * @param {string} answer - 学习者输入（默认读取输入框）
+         * @returns {Object|null} 比对结果
+         */
+        this.submit = function(answer) {
+            if (isDestroyed || !isActive) return null;
+            
+            try {
+                var cue = cues[currentCueIndex];
+                if (!cue) return null;
+                
+                if (typeof answer !== 'string') {
+                    answer = elements.input ? elements.input.value : '';
+                }
+                
+                var result = compareDictation(cue.text, answer);
+                result.cueIndex = currentCueIndex;
+                result.text = cue.text;
+                result.answer = answer;
+                result.passed = result.score >= config.passScore;
+                
+                lastResult = result;
+                recordResult(cue, result);
+                renderResult(result);
+                
+                if (eventHub) {
+                    eventHub.emit('dictation:checked', result);
+                }
+                
+                return result;
+            } catch (error) {
+                handleError('submit', error);
+                return null;
+            }
+        };
+        
+        /**
+         * 显示当前句原文
+         */
+        this.reveal = function() {
+            if (isDestroyed || !isActive || !elements.result) return false;
+            
+            var cue = cues[currentCueIndex];
+            if (!cue) return false;
+            
+            elements.result.innerHTML = '<div class="dictation-answer">' + escapeHTML(cue.text) + '</div>';
+            return true;
+        };
+        
+        /**
+         * 切换章节（历史与进度按章节记录）
+         * @param {string} chapterId - 章节ID
+         */
+        this.setChapter = function(chapterId) {
+            if (isDestroyed) return false;
+            
+            if (isActive) {
+                this.stop();
+            }
+            config.chapterId = chapterId || null;
+            return true;
+        };
+        
+        /**
+         * 获取听写历史
+         * @param {string} chapterId - 只返回指定章节（可选）
+         */
+        this.getHistory = function(chapterId) {
+            var history = (stateManager && stateManager.getState('dictation.history')) || [];
+            
+            if (!chapterId) return history.slice();
+            
+            return history.filter(function(item) {
+                return item.chapterId === chapterId;
+            });
+        };
+        
+        /**
+         * 获取错词统计，按出错次数排序
+         * @param {number} limit - 返回数量
+         */
+        this.getMistakes = function(limit) {
+            var mistakes = (stateManager && stateManager.getState('dictation.mistakes')) || {};
+            
+            var list = Object.keys(mistakes).map(function(word) {
+                return Object.assign({ word: word }, mistakes[word]);
+            }).sort(function(a, b) {
+                return b.count - a.count || b.lastSeen - a.lastSeen;
+            });
+            
+            return limit ? list.slice(0, limit) : list;
+        };
+        
+        /**
+         * 清空听写历史和错词
+         */
+        this.clearHistory = function() {
+            if (isDestroyed || !stateManager) return false;
+            
+            stateManager.setState('dictation.history', []);
+            stateManager.setState('dictation.mistakes', {});
+            stateManager.setState('dictation.progress', {});
+            return true;
+        };
+        
+        /**
+         * 获取当前状态
+         */
+        this.getState = function() {
+            return {
+                isActive: isActive,
+                chapterId: config.chapterId,
+                cueIndex: currentCueIndex,
+                cueCount: cues.length,
+                lastResult: lastResult,
+                progress: getProgress()
+            };
+        };
+        
+        /**
+         * 销毁实例
+         */
+        this.destroy = function() {
+            if (isDestroyed) return true;
+            
+            try {
+                if (isActive) {
+                    this.stop();
+                }
+                
+                isDestroyed = true;
+                cues = [];
+                lastResult = null;
+                
+                if (eventHub) {
+                    eventHub.emit('dictation:destroyed');
+                }
+                
+                DEBUG_LOG('[DictationCore] 实例已销毁');
+                return true;
+            } catch (error) {
+                handleError('destroy', error);
+                return false;
+            }
+        };
+        
+        // 🔧 内部方法
+        
+        function injectDependencies() {
+            // 尝试获取全局依赖
+            if (typeof global.EnglishSite !== 'undefined') {
+                stateManager = global.EnglishSite.StateManager ? 
+                    new global.EnglishSite.StateManager() : null;
+                eventHub = global.EnglishSite.EventHub ? 
+                    new global.EnglishSite.EventHub() : null;
+                errorBoundary = global.EnglishSite.ErrorBoundary ? 
+                    new global.EnglishSite.ErrorBoundary() : null;
+            }
+            
+            // 如果用户传入了依赖，则使用用户提供的
+            if (options.stateManager) stateManager = options.stateManager;
+            if (options.eventHub) eventHub = options.eventHub;
+            if (options.errorBoundary) errorBoundary = options.errorBoundary;
+        }
+        
+        // 🎯 面板
+        
+        function createPanel() {
+            if (elements.panel) return;
+            
+            var parent = config.panelContainer ? 
+                (typeof config.panelContainer === 'string' ? 
+                    document.getElementById(config.panelContainer) : config.panelContainer) : 
+                document.body;
+            
+            var panel = document.createElement('div');
+            panel.className = 'dictation-panel';
+            panel.innerHTML = [
+                '<div class="dictation-header">',
+                '  <span class="dictation-progress"></span>',
+                '  <button type="button" class="dictation-close" data-action="close" aria-label="结束听写">×</button>',
+                '</div>',
+                '<div class="dictation-controls">',
+                '  <button type="button" data-action="previous">上一句</button>',
+                '  <button type="button" data-action="replay">重播</button>',
+                '  <button type="button" data-action="next">下一句</button>',
+                '</div>',
+                '<textarea class="dictation-input" rows="3" placeholder="输入听到的内容，回车检查，Ctrl+空格重播"></textarea>',
+                '<div class="dictation-actions">',
+                '  <button type="button" data-action="check">检查</button>',
+                '  <button type="button" data-action="reveal">显示原文</button>',
+                '</div>',
+                '<div class="dictation-result" aria-live="polite"></div>'
+            ].join('');
+            
+            parent.appendChild(panel);
+            
+            elements.panel = panel;
+            elements.progress = panel.querySelector('.dictation-progress');
+            elements.input = panel.querySelector('.dictation-input');
+            elements.result = panel.querySelector('.dictation-result');
+            
+            boundEventHandlers.click = handlePanelClick;
+            boundEventHandlers.keydown = handleInputKeyDown;
+            panel.addEventListener('click', boundEventHandlers.click);
+            elements.input.addEventListener('keydown', boundEventHandlers.keydown);
+        }
+        
+        function removePanel() {
+            if (!elements.panel) return;
+            
+            elements.panel.removeEventListener('click', boundEventHandlers.click);
+            elements.input.removeEventListener('keydown', boundEventHandlers.keydown);
+            
+            if (elements.panel.parentNode) {
+                elements.panel.parentNode.removeChild(elements.panel);
+            }
+            
+            elements.panel = null;
+            elements.progress = null;
+            elements.input = null;
+            elements.result = null;
+            boundEventHandlers = {};
+        }
+        
+        function renderPanel() {
+            if (!elements.panel) return;
+            
+            var best = getProgress().best || {};
+            var bestScore = best[currentCueIndex];
+            
+            elements.progress.textContent = (currentCueIndex + 1) + ' / ' + cues.length + 
+                (typeof bestScore === 'number' ? '　最佳 ' + bestScore + '%' : '');
+            elements.input.value = '';
+            elements.result.innerHTML = '';
+        }
+        
+        function renderResult(result) {
+            if (!elements.result) return;
+            
+            var words = result.words.map(function(word) {
+                var title = word.status === 'wrong' || word.status === 'typo' ? 
+                    ' title="' + escapeHTML(word.actual) + '"' : '';
+                return '<span class="dictation-word dictation-' + word.status + '"' + title + '>' + 
+                    escapeHTML(word.text) + '</span>';
+            }).join(' ');
+            
+            elements.result.innerHTML = [
+                '<div class="dictation-score ' + (result.passed ? 'is-passed' : 'is-failed') + '">',
+                result.score + '%',
+                '</div>',
+                '<div class="dictation-diff">' + words + '</div>',
+                '<div class="dictation-answer">' + escapeHTML(result.text) + '</div>'
+            ].join('');
+        }
+        
+        function handlePanelClick(e) {
+            var target = e.target.closest ? e.target.closest('[data-action]') : e.target;
+            if (!target || !target.getAttribute) return;
+            
+            switch (target.getAttribute('data-action')) {
+                case 'close':
+                    self.stop();
+                    break;
+                case 'previous':
+                    self.previous();
+                    break;
+                case 'next':
+                    self.next();
+                    break;
+                case 'replay':
+                    self.playCurrent();
+                    break;
+                case 'check':
+                    self.submit();
+                    break;
+                case 'reveal':
+                    self.reveal();
+                    break;
+            }
+        }
+        
+        function handleInputKeyDown(e) {
+            // 回车：检查，已检查过则进入下一句
+            if ((e.key === 'Enter' || e.keyCode === 13) && !e.shiftKey) {
+                e.preventDefault();
+                if (lastResult) {
+                    self.next();
+                } else {
+                    self.submit();
+                }
+                return;
+            }
+            
+            // Ctrl+空格：重播
+            if ((e.code === 'Space' || e.keyCode === 32) && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                self.playCurrent();
+            }
+        }
+        
+        // 🎯 历史记录
+        
+        function recordResult(cue, result) {
+            if (!stateManager) return;
+            
+            var history = stateManager.getState('dictation.history') || [];
+            history = history.concat([{
+                chapterId: config.chapterId,
+                cueIndex: result.cueIndex,
+                text: cue.text,
+                answer: result.answer,
+                score: result.score,
+                timestamp: Date.now()
+            }]);
+            
+            if (history.length > config.maxHistory) {
+                history = history.slice(history.length - config.maxHistory);
+            }
+            stateManager.setState('dictation.history', history);
+            
+            // 错词统计
+            var mistakes = Object.assign({}, stateManager.getState('dictation.mistakes') || {});
+            result.operations.forEach(function(op) {
+                if (op.type !== 'wrong' && op.type !== 'missing' && op.type !== 'typo') return;
+                
+                var entry = mistakes[op.expected] || { count: 0, lastSeen: 0, answers: [] };
+                entry = {
+                    count: entry.count + 1,
+                    lastSeen: Date.now(),
+                    answers: op.actual ? entry.answers.concat([op.actual]).slice(-5) : entry.answers
+                };
+                mistakes[op.expected] = entry;
+            });
+            stateManager.setState('dictation.mistakes', mistakes);
+            
+            // 最佳成绩
+            var best = Object.assign({}, getProgress().best || {});
+            if (typeof best[result.cueIndex] !== 'number' || result.score > best[result.cueIndex]) {
+                best[result.cueIndex] = result.score;
+                saveProgress({ best: best });
+            }
+        }
+        
+        function getProgressKey() {
+            return 'dictation.progress.' + (config.chapterId || 'default');
+        }
+        
+        function getProgress() {
+            return (stateManager && stateManager.getState(getProgressKey())) || {};
+        }
+        
+        function saveProgress(changes) {
+            if (!stateManager) return;
+            
+            stateManager.setState(getProgressKey(), Object.assign({}, getProgress(), changes));
+        }
+        
+        function handleError(context, error) {
+            var errorInfo = {
+                context: 'DictationCore:' + context,
+                message: error.message || String(error),
+                timestamp: Date.now(),
+                cueIndex: currentCueIndex
+            };
+            
+            DEBUG_ERROR('[DictationCore:' + context + ']', error);
+            
+            // 使用错误边界处理
+            if (errorBoundary) {
+                errorBoundary.handle(error, errorInfo);
+            }
+            
+            // 触发错误事件
+            if (eventHub) {
+                eventHub.emit('dictation:error', errorInfo);
+            }
+        }
+        
+        // 立即初始化
+        initialize();
+    }
+
+    // 🔧 静态方法
+    DictationCore.compare = compareDictation;
+
+    // 🔗 导出
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = DictationCore;
+    } else if (typeof global !== 'undefined') {
+        global.DictationCore = DictationCore;
+        
+        // 添加到EnglishSite命名空间
+        if (typeof global.EnglishSite === 'undefined') {
+            global.EnglishSite = {};
+        }
+        
+        if (!global.EnglishSite.DictationCore) {
+            global.EnglishSite.DictationCore = DictationCore;
+        } else {
+            DEBUG_WARN('[DictationCore] EnglishSite.DictationCore 已存在，跳过覆盖');
+        }
+    }
+
+})(typeof window !== 'undefined' ? window : this);
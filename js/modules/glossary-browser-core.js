@@ -0,0 +1,1433 @@
+// js/modules/glossary-browser-core.js - iOS兼容版词汇表浏览核心
+// 🚀 汇总所有章节词汇文件，支持筛选、排序和跳转到章节原文播放，确保iOS Safari 12+兼容性
+
+(function(global) {
+    'use strict';
+
+    // 🔧 环境检测和生产环境优化
+    var IS_PRODUCTION = typeof window !== 'undefined' &&
+        (window.location.hostname !== 'localhost' &&
+         window.location.hostname !== '127.0.0.1' &&
+         window.location.hostname !== '' &&
+         !window.location.hostname.startsWith('192.168.') &&
+         !window.location.hostname.startsWith('10.') &&
+         !window.location.hostname.startsWith('172.'));
+
+    var DEBUG_LOG = IS_PRODUCTION ? function(){} : console.log;
+    var DEBUG_WARN = IS_PRODUCTION ? function(){} : console.warn;
+    var DEBUG_ERROR = IS_PRODUCTION ? function(){} : console.error;
+
+    // 🔧 安全工具函数
+    function escapeHTML(str) {
+        return String(str === null || str === undefined ? '' : str)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    function escapeRegExp(str) {
+        return String(str).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    // 🎯 筛选与排序
+
+    // 难度分级（词汇数据的 difficulty 为 1-5）
+    var DIFFICULTY_LEVELS = {
+        easy: { label: '简单', min: 1, max: 2 },
+        medium: { label: '中等', min: 3, max: 3 },
+        hard: { label: '困难', min: 4, max: 5 }
+    };
+
+    var DIFFICULTY_ORDER = ['easy', 'medium', 'hard'];
+
+    var STATUS_FILTERS = {
+        bookmarked: '已收藏',
+        lookedUp: '查询过',
+        unseen: '未接触'
+    };
+
+    var SORT_OPTIONS = {
+        alpha: '字母顺序',
+        frequency: '出现频次'
+    };
+
+    var DEFAULT_FILTERS = {
+        query: '',
+        partOfSpeech: '',
+        chapter: '',
+        difficulty: '',
+        status: ''
+    };
+
+    /**
+     * 词性归类：'verb (past tense)' → ['verb']，'adverb/adjective' → ['adverb', 'adjective']
+     */
+    function getBasePartsOfSpeech(partOfSpeech) {
+        if (!partOfSpeech) return [];
+        
+        return String(partOfSpeech).toLowerCase().split('/').map(function(part) {
+            return part.replace(/\(.*?\)/g, '').trim().split(/\s+/)[0];
+        }).filter(function(part, index, list) {
+            return part && list.indexOf(part) === index;
+        });
+    }
+
+    /**
+     * 未标注难度时按词长和词性估算（1-5）
+     */
+    function estimateDifficulty(word, partsOfSpeech) {
+        var letters = String(word).replace(/[^a-z]/gi, '').length;
+        var score = 1;
+        
+        if (letters >= 6) score++;
+        if (letters >= 9) score++;
+        if (letters >= 12) score++;
+        if (/\s/.test(word) || partsOfSpeech.indexOf('idiom') !== -1 || partsOfSpeech.indexOf('phrase') !== -1) {
+            score++;
+        }
+        
+        return Math.min(5, score);
+    }
+
+    function getDifficultyLevel(difficulty) {
+        for (var i = 0; i < DIFFICULTY_ORDER.length; i++) {
+            var level = DIFFICULTY_LEVELS[DIFFICULTY_ORDER[i]];
+            if (difficulty >= level.min && difficulty <= level.max) {
+                return DIFFICULTY_ORDER[i];
+            }
+        }
+        return 'hard';
+    }
+
+    function compareWords(a, b) {
+        return a.word.localeCompare(b.word, 'en', { sensitivity: 'base' });
+    }
+
+    /**
+     * 🎯 GlossaryBrowserCore - 词汇表浏览核心
+     * 功能：跨章节词汇索引、词性/章节/难度/学习状态筛选、字母和频次排序、出处定位与音频播放
+     * 兼容：iOS Safari 12+, Android Chrome 80+
+     */
+    function GlossaryBrowserCore(container, options) {
+        options = options || {};
+        
+        // 配置参数
+        var config = {
+            navigationUrl: options.navigationUrl || 'data/navigation.json',
+            chapters: Array.isArray(options.chapters) ? options.chapters : null, // 直接提供时不再读取导航数据
+            chapterDataUrl: options.chapterDataUrl || 'data/terms_{chapterId}.json',
+            chapterContentUrl: options.chapterContentUrl || 'chapters/{chapterId}.html',
+            cueUrl: options.cueUrl || 'srt/{chapterId}.srt',
+            glossaryStateKey: options.glossaryStateKey || 'glossary',
+            stateKey: options.stateKey || 'glossaryBrowser',
+            maxResults: Math.max(10, Math.min(10000, options.maxResults || 1000)),
+            requestTimeout: options.requestTimeout || 10000,
+            enableAudio: options.enableAudio !== false
+        };
+        
+        // 私有变量
+        var chapters = [];
+        var chapterDocs = {};
+        var terms = {};
+        var filters = Object.assign({}, DEFAULT_FILTERS);
+        var sort = 'alpha';
+        var expandedWord = null;
+        var loadPromise = null;
+        var isLoaded = false;
+        
+        // 阅读面板：当前章节和对应的音频同步实例
+        var reader = {
+            chapterId: null,
+            audioSync: null,
+            target: null
+        };
+        var cueLoads = {};
+        
+        // 🔧 清理和销毁相关
+        var isDestroyed = false;
+        var boundEventHandlers = {};
+        var eventSubscriptions = [];
+        var searchTimer = null;
+        
+        // 依赖注入
+        var stateManager = null;
+        var eventHub = null;
+        var errorBoundary = null;
+        var AudioSyncClass = null;
+        
+        var self = this;
+        
+        // DOM元素引用
+        var elements = {
+            container: null,
+            root: null,
+            toolbar: null,
+            summary: null,
+            list: null,
+            reader: null,
+            readerTitle: null,
+            readerContent: null,
+            audio: null
+        };
+        
+        // 🎯 初始化
+        function initialize() {
+            try {
+                // 注入依赖
+                injectDependencies();
+                
+                elements.container = typeof container === 'string' ?
+                    document.getElementById(container) : container;
+                
+                if (!elements.container) {
+                    throw new Error('Container element is required');
+                }
+                
+                restoreSettings();
+                createLayout();
+                
+                // 与词汇表同页使用时，收藏变化即时反映到列表
+                if (eventHub) {
+                    eventSubscriptions.push(eventHub.on('glossary:bookmarkChanged', function() {
+                        if (!isDestroyed && isLoaded) self.refreshStatus();
+                    }));
+                }
+                
+                DEBUG_LOG('[GlossaryBrowserCore] 初始化成功');
+                
+                if (eventHub) {
+                    eventHub.emit('glossaryBrowser:initialized', {
+                        config: config
+                    });
+                }
+            } catch (error) {
+                handleError('initialize', error);
+            }
+        }
+        
+        // 🔑 公开API
+        
+        /**
+         * 加载章节列表、所有章节词汇文件和章节原文，建立词汇索引
+         * @returns {Promise<number>} 词汇数量
+         */
+        this.load = function() {
+            if (isDestroyed) {
+                return Promise.reject(new Error('GlossaryBrowserCore has been destroyed'));
+            }
+            
+            if (loadPromise) return loadPromise;
+            
+            setSummary('正在加载词汇表…');
+            
+            loadPromise = loadChapterList().then(function(list) {
+                chapters = list;
+                
+                return Promise.all(chapters.map(loadChapter));
+            }).then(function(results) {
+                if (isDestroyed) {
+                    throw new Error('GlossaryBrowserCore has been destroyed');
+                }
+                
+                buildIndex(results);
+                isLoaded = true;
+                refreshStatus();
+                renderToolbar();
+                render();
+                
+                var termCount = Object.keys(terms).length;
+                
+                if (eventHub) {
+                    eventHub.emit('glossaryBrowser:loaded', {
+                        termCount: termCount,
+                        chapterCount: chapters.length
+                    });
+                }
+                
+                return termCount;
+            }).catch(function(error) {
+                loadPromise = null;
+                setSummary('词汇表加载失败');
+                handleError('load', error);
+                throw error;
+            });
+            
+            return loadPromise;
+        };
+        
+        /**
+         * 获取筛选、排序后的词汇列表
+         * @param {Object} overrides - 临时覆盖的筛选条件（不影响界面）
+         * @returns {Array} 词汇条目
+         */
+        this.getTerms = function(overrides) {
+            if (isDestroyed) return [];
+            
+            return queryTerms(Object.assign({}, filters, overrides || {}), sort).map(cloneTerm);
+        };
+        
+        /**
+         * 获取单个词汇条目
+         * @param {string} word - 词汇
+         */
+        this.getTerm = function(word) {
+            var term = terms[String(word || '').toLowerCase()];
+            return term ? cloneTerm(term) : null;
+        };
+        
+        /**
+         * 设置筛选条件
+         * @param {string} name - query | partOfSpeech | chapter | difficulty | status
+         * @param {string} value - 条件值，空字符串表示不限
+         */
+        this.setFilter = function(name, value) {
+            var changes = {};
+            changes[name] = value;
+            return this.setFilters(changes);
+        };
+        
+        /**
+         * 批量设置筛选条件
+         * @param {Object} changes - {query, partOfSpeech, chapter, difficulty, status}
+         */
+        this.setFilters = function(changes) {
+            if (isDestroyed || !changes) return false;
+            
+            try {
+                Object.keys(changes).forEach(function(name) {
+                    if (!DEFAULT_FILTERS.hasOwnProperty(name)) {
+                        throw new Error('Unknown filter: ' + name);
+                    }
+                    filters[name] = changes[name] ? String(changes[name]) : '';
+                });
+                
+                if (filters.difficulty && !DIFFICULTY_LEVELS[filters.difficulty]) {
+                    filters.difficulty = '';
+                }
+                if (filters.status && !STATUS_FILTERS[filters.status]) {
+                    filters.status = '';
+                }
+                
+                saveSettings();
+                syncToolbar();
+                render();
+                
+                if (eventHub) {
+                    eventHub.emit('glossaryBrowser:filtersChanged', {
+                        filters: this.getFilters()
+                    });
+                }
+                
+                return true;
+            } catch (error) {
+                handleError('setFilters', error);
+                return false;
+            }
+        };
+        
+        /**
+         * 搜索词汇、释义和译文
+         * @param {string} query - 搜索关键词
+         */
+        this.search = function(query) {
+            return this.setFilter('query', query);
+        };
+        
+        /**
+         * 清除所有筛选条件
+         */
+        this.resetFilters = function() {
+            return this.setFilters(Object.assign({}, DEFAULT_FILTERS));
+        };
+        
+        this.getFilters = function() {
+            return Object.assign({}, filters);
+        };
+        
+        /**
+         * 设置排序方式
+         * @param {string} value - alpha | frequency
+         */
+        this.setSort = function(value) {
+            if (isDestroyed || !SORT_OPTIONS[value]) return false;
+            
+            sort = value;
+            saveSettings();
+            syncToolbar();
+            render();
+            
+            if (eventHub) {
+                eventHub.emit('glossaryBrowser:sortChanged', { sort: sort });
+            }
+            
+            return true;
+        };
+        
+        this.getSort = function() {
+            return sort;
+        };
+        
+        /**
+         * 获取各筛选项的可选值及数量
+         * @returns {Object} {partsOfSpeech, chapters, difficulties, statuses}
+         */
+        this.getFacets = function() {
+            var list = Object.keys(terms).map(function(word) {
+                return terms[word];
+            });
+            var posCounts = {};
+            
+            list.forEach(function(term) {
+                term.partsOfSpeech.forEach(function(pos) {
+                    posCounts[pos] = (posCounts[pos] || 0) + 1;
+                });
+            });
+            
+            return {
+                partsOfSpeech: Object.keys(posCounts).sort().map(function(pos) {
+                    return { value: pos, label: pos, count: posCounts[pos] };
+                }),
+                chapters: chapters.map(function(chapter) {
+                    return {
+                        value: chapter.id,
+                        label: chapter.title || chapter.id,
+                        count: list.filter(function(term) {
+                            return term.chapters.indexOf(chapter.id) !== -1;
+                        }).length
+                    };
+                }),
+                difficulties: DIFFICULTY_ORDER.map(function(level) {
+                    return {
+                        value: level,
+                        label: DIFFICULTY_LEVELS[level].label,
+                        count: list.filter(function(term) {
+                            return term.difficultyLevel === level;
+                        }).length
+                    };
+                }),
+                statuses: Object.keys(STATUS_FILTERS).map(function(status) {
+                    return {
+                        value: status,
+                        label: STATUS_FILTERS[status],
+                        count: list.filter(function(term) {
+                            return matchesStatus(term, status);
+                        }).length
+                    };
+                })
+            };
+        };
+        
+        /**
+         * 展开或收起词汇详情
+         * @param {string} word - 词汇，省略时收起
+         */
+        this.expand = function(word) {
+            if (isDestroyed) return false;
+            
+            var key = word ? String(word).toLowerCase() : null;
+            if (key && !terms[key]) return false;
+            
+            expandedWord = key;
+            render();
+            return true;
+        };
+        
+        /**
+         * 在阅读面板中打开词汇的某处出处，可选从该句开始播放音频
+         * @param {string} word - 词汇
+         * @param {number} index - 出处序号
+         * @param {Object} openOptions - {play: 是否播放该句音频}
+         * @returns {Promise<boolean>} 是否开始播放（不播放时为是否定位成功）
+         */
+        this.openOccurrence = function(word, index, openOptions) {
+            if (isDestroyed) return Promise.resolve(false);
+            
+            openOptions = openOptions || {};
+            
+            var term = terms[String(word || '').toLowerCase()];
+            var occurrence = term && term.occurrences[index || 0];
+            if (!occurrence) {
+                DEBUG_WARN('[GlossaryBrowserCore] 出处不存在:', word, index);
+                return Promise.resolve(false);
+            }
+            
+            return showReader(occurrence.chapterId).then(function(audioSync) {
+                if (isDestroyed) return false;
+                
+                var target = highlightOccurrence(occurrence, term.word.toLowerCase());
+                var played = false;
+                
+                if (openOptions.play && occurrence.sentenceId && audioSync) {
+                    played = audioSync.playSentence(occurrence.sentenceId);
+                }
+                
+                if (eventHub) {
+                    eventHub.emit('glossaryBrowser:occurrenceOpened', {
+                        word: term.word,
+                        chapterId: occurrence.chapterId,
+                        sentenceId: occurrence.sentenceId,
+                        played: played
+                    });
+                }
+                
+                return openOptions.play ? played : !!target;
+            }).catch(function(error) {
+                handleError('openOccurrence', error);
+                return false;
+            });
+        };
+        
+        /**
+         * 关闭阅读面板并停止播放
+         */
+        this.closeReader = function() {
+            if (isDestroyed || !elements.reader) return false;
+            
+            if (reader.audioSync && typeof reader.audioSync.pause === 'function') {
+                reader.audioSync.pause();
+            }
+            
+            elements.reader.hidden = true;
+            return true;
+        };
+        
+        /**
+         * 重新读取收藏和查询记录
+         */
+        this.refreshStatus = function() {
+            if (isDestroyed) return false;
+            
+            refreshStatus();
+            render();
+            return true;
+        };
+        
+        /**
+         * 获取当前状态
+         */
+        this.getState = function() {
+            return {
+                loaded: isLoaded,
+                termCount: Object.keys(terms).length,
+                chapterCount: chapters.length,
+                filters: Object.assign({}, filters),
+                sort: sort,
+                expandedWord: expandedWord,
+                readerChapter: reader.chapterId,
+                isDestroyed: isDestroyed
+            };
+        };
+        
+        /**
+         * 销毁实例
+         */
+        this.destroy = function() {
+            if (isDestroyed) return true;
+            
+            try {
+                if (searchTimer) {
+                    clearTimeout(searchTimer);
+                    searchTimer = null;
+                }
+                
+                destroyReaderAudio();
+                removeLayout();
+                
+                eventSubscriptions.forEach(function(unsubscribe) {
+                    if (typeof unsubscribe === 'function') unsubscribe();
+                });
+                eventSubscriptions = [];
+                
+                isDestroyed = true;
+                
+                chapterDocs = {};
+                terms = {};
+                cueLoads = {};
+                
+                if (eventHub) {
+                    eventHub.emit('glossaryBrowser:destroyed');
+                }
+                
+                DEBUG_LOG('[GlossaryBrowserCore] 实例已销毁');
+                return true;
+            } catch (error) {
+                handleError('destroy', error);
+                return false;
+            }
+        };
+        
+        // 🔧 内部方法
+        
+        function injectDependencies() {
+            // 尝试获取全局依赖
+            if (typeof global.EnglishSite !== 'undefined') {
+                stateManager = global.EnglishSite.StateManager ?
+                    new global.EnglishSite.StateManager() : null;
+                eventHub = global.EnglishSite.EventHub ?
+                    new global.EnglishSite.EventHub() : null;
+                errorBoundary = global.EnglishSite.ErrorBoundary ?
+                    new global.EnglishSite.ErrorBoundary() : null;
+                AudioSyncClass = global.EnglishSite.AudioSyncCore || null;
+            }
+            
+            // 如果用户传入了依赖，则使用用户提供的
+            if (options.stateManager) stateManager = options.stateManager;
+            if (options.eventHub) eventHub = options.eventHub;
+            if (options.errorBoundary) errorBoundary = options.errorBoundary;
+            if (options.AudioSyncCore) AudioSyncClass = options.AudioSyncCore;
+        }
+        
+        function restoreSettings() {
+            if (!stateManager) return;
+            
+            var saved = stateManager.getState(config.stateKey + '.filters');
+            if (saved && typeof saved === 'object') {
+                Object.keys(DEFAULT_FILTERS).forEach(function(name) {
+                    if (typeof saved[name] === 'string') {
+                        filters[name] = saved[name];
+                    }
+                });
+            }
+            
+            var savedSort = stateManager.getState(config.stateKey + '.sort');
+            if (SORT_OPTIONS[savedSort]) {
+                sort = savedSort;
+            }
+        }
+        
+        function saveSettings() {
+            if (!stateManager) return;
+            
+            stateManager.setState(config.stateKey + '.filters', Object.assign({}, filters), true);
+            stateManager.setState(config.stateKey + '.sort', sort, true);
+        }
+        
+        // 🎯 数据加载
+        
+        function formatUrl(template, chapterId) {
+            return template.replace('{chapterId}', encodeURIComponent(chapterId));
+        }
+        
+        function loadResource(url, type) {
+            return new Promise(function(resolve, reject) {
+                var timeoutId = setTimeout(function() {
+                    reject(new Error('请求超时: ' + url));
+                }, config.requestTimeout);
+                
+                function done(error, text) {
+                    clearTimeout(timeoutId);
+                    
+                    if (error) {
+                        reject(error);
+                        return;
+                    }
+                    
+                    if (type !== 'json') {
+                        resolve(text);
+                        return;
+                    }
+                    
+                    try {
+                        resolve(JSON.parse(text));
+                    } catch (parseError) {
+                        reject(new Error('数据解析失败: ' + url));
+                    }
+                }
+                
+                if (typeof fetch !== 'undefined') {
+                    fetch(url).then(function(response) {
+                        if (!response.ok) {
+                            throw new Error('HTTP ' + response.status + ': ' + url);
+                        }
+                        return response.text();
+                    }).then(function(text) {
+                        done(null, text);
+                    }).catch(done);
+                    return;
+                }
+                
+                var xhr = new XMLHttpRequest();
+                xhr.open('GET', url, true);
+                xhr.onreadystatechange = function() {
+                    if (xhr.readyState !== 4) return;
+                    
+                    if (xhr.status === 200 || (xhr.status === 0 && xhr.responseText)) {
+                        done(null, xhr.responseText);
+                    } else {
+                        done(new Error('HTTP ' + xhr.status + ': ' + url));
+                    }
+                };
+                xhr.onerror = function() {
+                    done(new Error('网络错误: ' + url));
+                };
+                xhr.send();
+            });
+        }
+        
+        function loadChapterList() {
+            if (config.chapters) {
+                return Promise.resolve(config.chapters.map(normalizeChapter).filter(Boolean));
+            }
+            
+            return loadResource(config.navigationUrl, 'json').then(function(data) {
+                var list = [];
+                collectChapters(data, list);
+                return list;
+            });
+        }
+        
+        function collectChapters(items, list) {
+            if (!Array.isArray(items)) return;
+            
+            items.forEach(function(item) {
+                if (!item || typeof item !== 'object') return;
+                
+                if (item.type === 'chapter' && item.id) {
+                    var chapter = normalizeChapter(item);
+                    var exists = list.some(function(existing) {
+                        return existing.id === chapter.id;
+                    });
+                    if (!exists) list.push(chapter);
+                }
+                
+                collectChapters(item.children, list);
+                collectChapters(item.chapters, list);
+            });
+        }
+        
+        function normalizeChapter(item) {
+            if (!item || !item.id) return null;
+            
+            return {
+                id: String(item.id),
+                title: item.title || String(item.id),
+                audio: item.audio || null
+            };
+        }
+        
+        /**
+         * 加载单个章节的词汇文件和原文；缺少其中之一时该章节仍参与索引
+         */
+        function loadChapter(chapter) {
+            var termsLoad = loadResource(formatUrl(config.chapterDataUrl, chapter.id), 'json')
+                .catch(function(error) {
+                    DEBUG_WARN('[GlossaryBrowserCore] 章节词汇加载失败:', chapter.id, error);
+                    return null;
+                });
+            
+            var contentLoad = loadResource(formatUrl(config.chapterContentUrl, chapter.id), 'text')
+                .then(function(html) {
+                    chapterDocs[chapter.id] = parseChapterHTML(html);
+                    return chapterDocs[chapter.id];
+                })
+                .catch(function(error) {
+                    DEBUG_WARN('[GlossaryBrowserCore] 章节原文加载失败:', chapter.id, error);
+                    return null;
+                });
+            
+            return Promise.all([termsLoad, contentLoad]).then(function(results) {
+                return {
+                    chapter: chapter,
+                    terms: results[0],
+                    doc: results[1]
+                };
+            });
+        }
+        
+        function parseChapterHTML(html) {
+            if (typeof DOMParser !== 'undefined') {
+                return new DOMParser().parseFromString(html, 'text/html');
+            }
+            
+            var doc = document.implementation.createHTMLDocument('');
+            doc.body.innerHTML = html;
+            return doc;
+        }
+        
+        // 🎯 词汇索引
+        
+        function buildIndex(results) {
+            terms = {};
+            
+            results.forEach(function(result) {
+                if (!result.terms || typeof result.terms !== 'object') return;
+                
+                Object.keys(result.terms).forEach(function(word) {
+                    addTerm(word, result.terms[word], result.chapter.id);
+                });
+            });
+            
+            results.forEach(function(result) {
+                if (result.doc) {
+                    collectOccurrences(result.chapter.id, result.doc);
+                }
+            });
+            
+            Object.keys(terms).forEach(function(key) {
+                var term = terms[key];
+                term.frequency = term.occurrences.length;
+                if (!term.difficulty) {
+                    term.difficulty = estimateDifficulty(term.word, term.partsOfSpeech);
+                }
+                term.difficultyLevel = getDifficultyLevel(term.difficulty);
+                term.searchText = [
+                    term.word,
+                    term.title,
+                    term.senses.map(function(sense) {
+                        return [sense.definition, sense.contextualMeaning, sense.translation].join(' ');
+                    }).join(' ')
+                ].join(' ').toLowerCase();
+            });
+        }
+        
+        function addTerm(word, data, chapterId) {
+            if (!data || typeof data !== 'object') return;
+            
+            var key = word.toLowerCase();
+            var term = terms[key];
+            
+            if (!term) {
+                term = terms[key] = {
+                    word: word,
+                    title: null,
+                    partOfSpeech: null,
+                    partsOfSpeech: [],
+                    definition: null,
+                    difficulty: 0,
+                    chapters: [],
+                    senses: [],
+                    occurrences: [],
+                    frequency: 0,
+                    bookmarked: false,
+                    lookedUp: false,
+                    lookupCount: 0
+                };
+            }
+            
+            if (term.chapters.indexOf(chapterId) === -1) {
+                term.chapters.push(chapterId);
+            }
+            
+            getEntries(data).forEach(function(entry) {
+                var definition = entry.definition || (Array.isArray(entry.definitions) ? entry.definitions[0] : null);
+                var duplicate = term.senses.some(function(sense) {
+                    return sense.definition === definition;
+                });
+                if (duplicate) return;
+                
+                if (!term.title && entry.title) {
+                    term.title = entry.title;
+                }
+                
+                var zh = entry.translations && entry.translations.zh;
+                
+                term.senses.push({
+                    chapterId: chapterId,
+                    context: entry.context || 'default',
+                    partOfSpeech: entry.partOfSpeech || entry.pos || null,
+                    definition: definition,
+                    contextualMeaning: entry.contextualMeaning || null,
+                    example: entry.exampleSentence || entry.example || null,
+                    translation: zh ? (zh.definition || null) : null
+                });
+                
+                getBasePartsOfSpeech(entry.partOfSpeech || entry.pos).forEach(function(pos) {
+                    if (term.partsOfSpeech.indexOf(pos) === -1) {
+                        term.partsOfSpeech.push(pos);
+                    }
+                });
+                
+                if (typeof entry.difficulty === 'number' && entry.difficulty > term.difficulty) {
+                    term.difficulty = Math.max(1, Math.min(5, entry.difficulty));
+                }
+            });
+            
+            var primary = term.senses[0] || {};
+            term.title = term.title || data.title || null;
+            term.partOfSpeech = term.partOfSpeech || primary.partOfSpeech || null;
+            term.definition = term.definition || primary.definition || null;
+        }
+        
+        /**
+         * 词汇数据展开为条目列表：语境格式 {contexts: {name: [entry]}} 或扁平字段
+         */
+        function getEntries(data) {
+            var entries = [];
+            
+            if (data.contexts && typeof data.contexts === 'object') {
+                Object.keys(data.contexts).forEach(function(context) {
+                    var list = Array.isArray(data.contexts[context]) ?
+                        data.contexts[context] : [data.contexts[context]];
+                    list.forEach(function(entry) {
+                        if (entry && typeof entry === 'object') {
+                            entries.push(Object.assign({ context: context }, entry));
+                        }
+                    });
+                });
+            }
+            
+            if (!entries.length) {
+                entries.push(data);
+            }
+            
+            return entries;
+        }
+        
+        function collectOccurrences(chapterId, doc) {
+            var nodes = doc.querySelectorAll('[data-word]');
+            var seen = {};
+            var termIndexes = {};
+            
+            for (var i = 0; i < nodes.length; i++) {
+                var node = nodes[i];
+                var key = String(node.getAttribute('data-word') || '').toLowerCase();
+                var termIndex = termIndexes[key] = (termIndexes[key] || 0) + 1;
+                var term = terms[key];
+                if (!term) continue;
+                
+                var sentenceNode = node.closest('[data-sentence-id]');
+                var sentenceId = sentenceNode ? sentenceNode.getAttribute('data-sentence-id') : null;
+                
+                // 同一句中重复标注只记一次
+                var seenKey = key + '|' + (sentenceId || 'n' + termIndex);
+                if (seen[seenKey]) continue;
+                seen[seenKey] = true;
+                
+                var block = sentenceNode || node.closest('p, li, dd, dt') || node.parentNode;
+                
+                term.occurrences.push({
+                    chapterId: chapterId,
+                    sentenceId: sentenceId,
+                    termIndex: termIndex - 1,
+                    text: node.textContent.replace(/\s+/g, ' ').trim(),
+                    sentence: block ? block.textContent.replace(/\s+/g, ' ').trim() : ''
+                });
+                
+                if (term.chapters.indexOf(chapterId) === -1) {
+                    term.chapters.push(chapterId);
+                }
+            }
+        }
+        
+        /**
+         * 从词汇表持久化的状态中读取收藏和查询记录
+         */
+        function refreshStatus() {
+            var bookmarks = [];
+            var history = {};
+            
+            if (stateManager) {
+                bookmarks = stateManager.getState(config.glossaryStateKey + '.bookmarkedWords') || [];
+                history = stateManager.getState(config.glossaryStateKey + '.lookupHistory') || {};
+            }
+            
+            var bookmarked = {};
+            if (Array.isArray(bookmarks)) {
+                bookmarks.forEach(function(word) {
+                    bookmarked[String(word).toLowerCase()] = true;
+                });
+            }
+            
+            Object.keys(terms).forEach(function(key) {
+                var term = terms[key];
+                var lookup = history[key] || history[term.word];
+                
+                term.bookmarked = !!bookmarked[key];
+                term.lookedUp = !!lookup;
+                term.lookupCount = lookup ? lookup.count || 1 : 0;
+            });
+        }
+        
+        function matchesStatus(term, status) {
+            switch (status) {
+                case 'bookmarked':
+                    return term.bookmarked;
+                case 'lookedUp':
+                    return term.lookedUp;
+                case 'unseen':
+                    return !term.bookmarked && !term.lookedUp;
+                default:
+                    return true;
+            }
+        }
+        
+        function queryTerms(criteria, sortBy) {
+            var query = String(criteria.query || '').trim().toLowerCase();
+            
+            var list = Object.keys(terms).map(function(key) {
+                return terms[key];
+            }).filter(function(term) {
+                if (query && term.searchText.indexOf(query) === -1) return false;
+                if (criteria.partOfSpeech && term.partsOfSpeech.indexOf(criteria.partOfSpeech) === -1) return false;
+                if (criteria.chapter && term.chapters.indexOf(criteria.chapter) === -1) return false;
+                if (criteria.difficulty && term.difficultyLevel !== criteria.difficulty) return false;
+                return matchesStatus(term, criteria.status);
+            });
+            
+            list.sort(function(a, b) {
+                if (sortBy === 'frequency' && a.frequency !== b.frequency) {
+                    return b.frequency - a.frequency;
+                }
+                return compareWords(a, b);
+            });
+            
+            return list.slice(0, config.maxResults);
+        }
+        
+        function cloneTerm(term) {
+            return {
+                word: term.word,
+                title: term.title,
+                partOfSpeech: term.partOfSpeech,
+                partsOfSpeech: term.partsOfSpeech.slice(),
+                definition: term.definition,
+                difficulty: term.difficulty,
+                difficultyLevel: term.difficultyLevel,
+                chapters: term.chapters.slice(),
+                senses: term.senses.map(function(sense) {
+                    return Object.assign({}, sense);
+                }),
+                occurrences: term.occurrences.map(function(occurrence) {
+                    return Object.assign({}, occurrence);
+                }),
+                frequency: term.frequency,
+                bookmarked: term.bookmarked,
+                lookedUp: term.lookedUp,
+                lookupCount: term.lookupCount
+            };
+        }
+        
+        function getChapter(chapterId) {
+            for (var i = 0; i < chapters.length; i++) {
+                if (chapters[i].id === chapterId) return chapters[i];
+            }
+            return null;
+        }
+        
+        // 🎯 界面
+        
+        function createLayout() {
+            var root = document.createElement('div');
+            root.className = 'glossary-browser';
+            root.innerHTML = [
+                '<div class="glossary-browser-toolbar" role="search">',
+                '  <input type="search" class="glossary-browser-search" data-filter="query" placeholder="搜索词汇、释义或译文" aria-label="搜索词汇">',
+                '  <select data-filter="partOfSpeech" aria-label="词性"></select>',
+                '  <select data-filter="chapter" aria-label="章节"></select>',
+                '  <select data-filter="difficulty" aria-label="难度"></select>',
+                '  <select data-filter="status" aria-label="学习状态"></select>',
+                '  <select data-sort aria-label="排序"></select>',
+                '  <button type="button" class="glossary-browser-reset" data-action="reset">重置</button>',
+                '</div>',
+                '<p class="glossary-browser-summary" aria-live="polite"></p>',
+                '<ul class="glossary-browser-list"></ul>',
+                '<div class="glossary-browser-reader" role="region" aria-label="章节原文" hidden>',
+                '  <div class="glossary-browser-reader-header">',
+                '    <span class="glossary-browser-reader-title"></span>',
+                '    <button type="button" class="glossary-browser-reader-close" data-action="close-reader" aria-label="关闭原文">×</button>',
+                '  </div>',
+                '  <audio class="glossary-browser-audio" controls preload="none"></audio>',
+                '  <div class="glossary-browser-reader-content"></div>',
+                '</div>'
+            ].join('');
+            
+            elements.container.appendChild(root);
+            
+            elements.root = root;
+            elements.toolbar = root.querySelector('.glossary-browser-toolbar');
+            elements.summary = root.querySelector('.glossary-browser-summary');
+            elements.list = root.querySelector('.glossary-browser-list');
+            elements.reader = root.querySelector('.glossary-browser-reader');
+            elements.readerTitle = root.querySelector('.glossary-browser-reader-title');
+            elements.readerContent = root.querySelector('.glossary-browser-reader-content');
+            elements.audio = root.querySelector('.glossary-browser-audio');
+            
+            boundEventHandlers.click = handleClick;
+            boundEventHandlers.change = handleChange;
+            boundEventHandlers.input = handleInput;
+            root.addEventListener('click', boundEventHandlers.click);
+            root.addEventListener('change', boundEventHandlers.change);
+            root.addEventListener('input', boundEventHandlers.input);
+            
+            renderToolbar();
+        }
+        
+        function removeLayout() {
+            if (!elements.root) return;
+            
+            elements.root.removeEventListener('click', boundEventHandlers.click);
+            elements.root.removeEventListener('change', boundEventHandlers.change);
+            elements.root.removeEventListener('input', boundEventHandlers.input);
+            
+            if (elements.root.parentNode) {
+                elements.root.parentNode.removeChild(elements.root);
+            }
+            
+            Object.keys(elements).forEach(function(name) {
+                elements[name] = null;
+            });
+            boundEventHandlers = {};
+        }
+        
+        function renderToolbar() {
+            if (!elements.toolbar) return;
+            
+            var facets = self.getFacets();
+            
+            renderSelect('partOfSpeech', '全部词性', facets.partsOfSpeech);
+            renderSelect('chapter', '全部章节', facets.chapters);
+            renderSelect('difficulty', '全部难度', facets.difficulties);
+            renderSelect('status', '全部状态', facets.statuses);
+            
+            elements.toolbar.querySelector('[data-sort]').innerHTML = Object.keys(SORT_OPTIONS).map(function(value) {
+                return '<option value="' + value + '">' + SORT_OPTIONS[value] + '</option>';
+            }).join('');
+            
+            syncToolbar();
+        }
+        
+        function renderSelect(name, allLabel, items) {
+            var select = elements.toolbar.querySelector('[data-filter="' + name + '"]');
+            
+            select.innerHTML = '<option value="">' + allLabel + '</option>' + items.map(function(item) {
+                return '<option value="' + escapeHTML(item.value) + '">' +
+                    escapeHTML(item.label) + ' (' + item.count + ')</option>';
+            }).join('');
+        }
+        
+        function syncToolbar() {
+            if (!elements.toolbar) return;
+            
+            Object.keys(filters).forEach(function(name) {
+                var control = elements.toolbar.querySelector('[data-filter="' + name + '"]');
+                if (control && control.value !== filters[name]) {
+                    control.value = filters[name];
+                }
+            });
+            elements.toolbar.querySelector('[data-sort]').value = sort;
+        }
+        
+        function setSummary(text) {
+            if (elements.summary) {
+                elements.summary.textContent = text;
+            }
+        }
+        
+        function render() {
+            if (!elements.list || !isLoaded) return;
+            
+            var list = queryTerms(filters, sort);
+            var total = Object.keys(terms).length;
+            
+            setSummary(list.length === total ?
+                '共 ' + total + ' 个词汇' :
+                '显示 ' + list.length + ' / ' + total + ' 个词汇');
+            
+            if (!list.length) {
+                elements.list.innerHTML = '<li class="glossary-browser-empty">没有符合条件的词汇</li>';
+                return;
+            }
+            
+            elements.list.innerHTML = list.map(renderTerm).join('');
+        }
+        
+        function renderTerm(term) {
+            var key = term.word.toLowerCase();
+            var expanded = expandedWord === key;
+            var badges = [];
+            
+            if (term.bookmarked) {
+                badges.push('<span class="glossary-browser-badge is-bookmarked" title="已收藏">★</span>');
+            }
+            if (term.lookedUp) {
+                badges.push('<span class="glossary-browser-badge is-looked-up" title="查询 ' + term.lookupCount + ' 次">查 ' + term.lookupCount + '</span>');
+            }
+            badges.push('<span class="glossary-browser-badge difficulty-' + term.difficultyLevel + '">' +
+                DIFFICULTY_LEVELS[term.difficultyLevel].label + '</span>');
+            
+            var html = [
+                '<li class="glossary-browser-item' + (expanded ? ' is-expanded' : '') + '" data-term="' + escapeHTML(key) + '">',
+                '<button type="button" class="glossary-browser-term" data-action="toggle" aria-expanded="' + expanded + '">',
+                '<span class="glossary-browser-word">' + escapeHTML(term.title || term.word) + '</span>',
+                term.partOfSpeech ? '<span class="glossary-browser-pos">' + escapeHTML(term.partOfSpeech) + '</span>' : '',
+                '<span class="glossary-browser-badges">' + badges.join('') + '</span>',
+                '<span class="glossary-browser-frequency" title="出现次数">×' + term.frequency + '</span>',
+                '</button>',
+                term.definition ? '<p class="glossary-browser-definition">' + escapeHTML(term.definition) + '</p>' : ''
+            ];
+            
+            if (expanded) {
+                html.push(renderDetail(term));
+            }
+            
+            html.push('</li>');
+            return html.join('');
+        }
+        
+        function renderDetail(term) {
+            var html = ['<div class="glossary-browser-detail">'];
+            
+            term.senses.forEach(function(sense, index) {
+                html.push('<div class="glossary-browser-sense">');
+                if (index > 0) {
+                    html.push(
+                        sense.partOfSpeech ? '<span class="glossary-browser-pos">' + escapeHTML(sense.partOfSpeech) + '</span>' : '',
+                        sense.definition ? '<p class="glossary-browser-definition">' + escapeHTML(sense.definition) + '</p>' : ''
+                    );
+                }
+                html.push(
+                    sense.translation ? '<p class="glossary-browser-translation" lang="zh-CN">' + escapeHTML(sense.translation) + '</p>' : '',
+                    sense.contextualMeaning ? '<p class="glossary-browser-contextual">' + escapeHTML(sense.contextualMeaning) + '</p>' : '',
+                    sense.example ? '<p class="glossary-browser-example">' + escapeHTML(sense.example) + '</p>' : '',
+                    '</div>'
+                );
+            });
+            
+            if (!term.occurrences.length) {
+                html.push('<p class="glossary-browser-no-occurrence">章节原文中暂未标注该词</p>');
+            } else {
+                html.push('<ol class="glossary-browser-occurrences">');
+                term.occurrences.forEach(function(occurrence, index) {
+                    var chapter = getChapter(occurrence.chapterId);
+                    var canPlay = config.enableAudio && !!AudioSyncClass && !!occurrence.sentenceId &&
+                        !!(chapter && chapter.audio);
+                    
+                    html.push(
+                        '<li class="glossary-browser-occurrence">',
+                        '<span class="glossary-browser-chapter">' + escapeHTML(chapter ? chapter.title : occurrence.chapterId) + '</span>',
+                        '<p class="glossary-browser-sentence">' + highlightText(occurrence.sentence, occurrence.text) + '</p>',
+                        '<span class="glossary-browser-occurrence-actions">',
+                        canPlay ? '<button type="button" data-action="play" data-index="' + index + '" aria-label="播放该句">▶ 播放</button>' : '',
+                        '<button type="button" data-action="open" data-index="' + index + '">查看原文</button>',
+                        '</span>',
+                        '</li>'
+                    );
+                });
+                html.push('</ol>');
+            }
+            
+            html.push('</div>');
+            return html.join('');
+        }
+        
+        function highlightText(sentence, text) {
+            var escaped = escapeHTML(sentence);
+            if (!text) return escaped;
+            
+            var pattern = new RegExp('(' + escapeRegExp(escapeHTML(text)) + ')', 'i');
+            return escaped.replace(pattern, '<mark>$1</mark>');
+        }
+        
+        // 🎯 阅读面板
+        
+        /**
+         * 在阅读面板中显示章节原文；切换章节时重建音频同步
+         * @returns {Promise<Object|null>} 音频同步实例
+         */
+        function showReader(chapterId) {
+            var chapter = getChapter(chapterId);
+            var doc = chapterDocs[chapterId];
+            if (!chapter || !doc) {
+                return Promise.reject(new Error('Chapter content not loaded: ' + chapterId));
+            }
+            
+            elements.reader.hidden = false;
+            
+            if (reader.chapterId === chapterId) {
+                return Promise.resolve(reader.audioSync);
+            }
+            
+            destroyReaderAudio();
+            reader.chapterId = chapterId;
+            reader.target = null;
+            
+            elements.readerTitle.textContent = chapter.title;
+            elements.readerContent.innerHTML = '';
+            Array.prototype.forEach.call(doc.body.childNodes, function(node) {
+                elements.readerContent.appendChild(document.importNode(node, true));
+            });
+            
+            if (!config.enableAudio || !AudioSyncClass || !chapter.audio) {
+                elements.audio.hidden = true;
+                return Promise.resolve(null);
+            }
+            
+            elements.audio.hidden = false;
+            
+            return loadCues(chapterId).then(function(cueText) {
+                // 加载期间可能已切换到其他章节
+                if (isDestroyed || reader.chapterId !== chapterId) return null;
+                
+                elements.audio.src = chapter.audio;
+                reader.audioSync = new AudioSyncClass(elements.readerContent, cueText, elements.audio, {
+                    chapterId: chapterId,
+                    enableKeyboard: false,
+                    enableWheel: false,
+                    autoResume: false,
+                    enableMediaSession: false,
+                    // 在词汇表中试听不算章节收听进度，单独保存，避免覆盖正文页的续播位置
+                    progressStateKey: config.stateKey + '.progress',
+                    stateManager: stateManager,
+                    eventHub: eventHub,
+                    errorBoundary: errorBoundary
+                });
+                
+                return reader.audioSync;
+            }).catch(function(error) {
+                DEBUG_WARN('[GlossaryBrowserCore] 章节字幕加载失败:', chapterId, error);
+                elements.audio.hidden = true;
+                return null;
+            });
+        }
+        
+        function loadCues(chapterId) {
+            if (!cueLoads[chapterId]) {
+                cueLoads[chapterId] = loadResource(formatUrl(config.cueUrl, chapterId), 'text').catch(function(error) {
+                    delete cueLoads[chapterId];
+                    throw error;
+                });
+            }
+            return cueLoads[chapterId];
+        }
+        
+        function destroyReaderAudio() {
+            if (reader.audioSync && typeof reader.audioSync.destroy === 'function') {
+                reader.audioSync.destroy();
+            }
+            reader.audioSync = null;
+            reader.chapterId = null;
+            reader.target = null;
+        }
+        
+        function highlightOccurrence(occurrence, key) {
+            if (reader.target) {
+                reader.target.classList.remove('glossary-browser-target');
+                reader.target = null;
+            }
+            
+            var target = null;
+            if (occurrence.sentenceId) {
+                target = elements.readerContent.querySelector(
+                    '[data-sentence-id="' + String(occurrence.sentenceId).replace(/"/g, '\\"') + '"]');
+            }
+            
+            if (!target) {
+                var matches = Array.prototype.filter.call(elements.readerContent.querySelectorAll('[data-word]'), function(node) {
+                    return String(node.getAttribute('data-word')).toLowerCase() === key;
+                });
+                target = matches[occurrence.termIndex] || matches[0] || null;
+            }
+            
+            if (!target) return null;
+            
+            target.classList.add('glossary-browser-target');
+            reader.target = target;
+            
+            if (typeof target.scrollIntoView === 'function') {
+                target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            }
+            
+            return target;
+        }
+        
+        // 🎯 事件处理
+        
+        function handleClick(e) {
+            var target = e.target.closest ? e.target.closest('[data-action]') : e.target;
+            if (!target || !target.getAttribute) return;
+            
+            var item = target.closest ? target.closest('[data-term]') : null;
+            var word = item ? item.getAttribute('data-term') : null;
+            
+            switch (target.getAttribute('data-action')) {
+                case 'toggle':
+                    self.expand(expandedWord === word ? null : word);
+                    break;
+                case 'play':
+                    self.openOccurrence(word, parseInt(target.getAttribute('data-index'), 10), { play: true });
+                    break;
+                case 'open':
+                    self.openOccurrence(word, parseInt(target.getAttribute('data-index'), 10));
+                    break;
+                case 'close-reader':
+                    self.closeReader();
+                    break;
+                case 'reset':
+                    self.resetFilters();
+                    break;
+            }
+        }
+        
+        function handleChange(e) {
+            var target = e.target;
+            if (!target || !target.getAttribute) return;
+            
+            if (target.hasAttribute('data-sort')) {
+                self.setSort(target.value);
+            } else if (target.getAttribute('data-filter') && target.getAttribute('data-filter') !== 'query') {
+                self.setFilter(target.getAttribute('data-filter'), target.value);
+            }
+        }
+        
+        function handleInput(e) {
+            var target = e.target;
+            if (!target || !target.getAttribute || target.getAttribute('data-filter') !== 'query') return;
+            
+            // 输入防抖
+            if (searchTimer) clearTimeout(searchTimer);
+            searchTimer = setTimeout(function() {
+                searchTimer = null;
+                if (!isDestroyed) self.search(target.value);
+            }, 200);
+        }
+        
+        function handleError(context, error) {
+            var errorInfo = {
+                context: 'GlossaryBrowserCore:' + context,
+                message: error.message || String(error),
+                timestamp: Date.now(),
+                termCount: Object.keys(terms).length
+            };
+            
+            DEBUG_ERROR('[GlossaryBrowserCore:' + context + ']', error);
+            
+            // 使用错误边界处理
+            if (errorBoundary) {
+                errorBoundary.handle(error, errorInfo);
+            }
+            
+            // 触发错误事件
+            if (eventHub) {
+                eventHub.emit('glossaryBrowser:error', errorInfo);
+            }
+        }
+        
+        // 立即初始化
+        initialize();
+    }
+
+    // 🔧 静态方法
+    GlossaryBrowserCore.getBasePartsOfSpeech = getBasePartsOfSpeech;
+    GlossaryBrowserCore.estimateDifficulty = estimateDifficulty;
+
+    // 🔗 导出
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = GlossaryBrowserCore;
+    } else if (typeof global !== 'undefined') {
+        global.GlossaryBrowserCore = GlossaryBrowserCore;
+        
+        // 添加到EnglishSite命名空间
+        if (typeof global.EnglishSite === 'undefined') {
+            global.EnglishSite = {};
+        }
+        
+        if (!global.EnglishSite.GlossaryBrowserCore) {
+            global.EnglishSite.GlossaryBrowserCore = GlossaryBrowserCore;
+        } else {
+            DEBUG_WARN('[GlossaryBrowserCore] EnglishSite.GlossaryBrowserCore 已存在，跳过覆盖');
+        }
+    }
+
+})(typeof window !== 'undefined' ? window : this);
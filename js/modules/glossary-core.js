@@ -74,6 +74,198 @@
         };
     }
 
+    function escapeHTML(text) {
+        return String(text === null || text === undefined ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // 🔧 词形还原：不规则变化表与后缀规则
+    var IRREGULAR_FORMS = {
+        am: ['be', 'thirdPerson'], is: ['be', 'thirdPerson'], are: ['be', 'thirdPerson'],
+        was: ['be', 'past'], were: ['be', 'past'], been: ['be', 'pastParticiple'],
+        has: ['have', 'thirdPerson'], had: ['have', 'past'], does: ['do', 'thirdPerson'],
+        did: ['do', 'past'], done: ['do', 'pastParticiple'], went: ['go', 'past'],
+        gone: ['go', 'pastParticiple'], made: ['make', 'past'], took: ['take', 'past'],
+        taken: ['take', 'pastParticiple'], gave: ['give', 'past'], given: ['give', 'pastParticiple'],
+        came: ['come', 'past'], saw: ['see', 'past'], seen: ['see', 'pastParticiple'],
+        knew: ['know', 'past'], known: ['know', 'pastParticiple'], thought: ['think', 'past'],
+        brought: ['bring', 'past'], bought: ['buy', 'past'], caught: ['catch', 'past'],
+        taught: ['teach', 'past'], found: ['find', 'past'], told: ['tell', 'past'],
+        said: ['say', 'past'], felt: ['feel', 'past'], kept: ['keep', 'past'],
+        left: ['leave', 'past'], meant: ['mean', 'past'], met: ['meet', 'past'],
+        ran: ['run', 'past'], began: ['begin', 'past'], begun: ['begin', 'pastParticiple'],
+        ate: ['eat', 'past'], eaten: ['eat', 'pastParticiple'], wrote: ['write', 'past'],
+        written: ['write', 'pastParticiple'], spoke: ['speak', 'past'], spoken: ['speak', 'pastParticiple'],
+        chose: ['choose', 'past'], chosen: ['choose', 'pastParticiple'], grew: ['grow', 'past'],
+        grown: ['grow', 'pastParticiple'], fell: ['fall', 'past'], fallen: ['fall', 'pastParticiple'],
+        sold: ['sell', 'past'], sent: ['send', 'past'], spent: ['spend', 'past'],
+        stood: ['stand', 'past'], understood: ['understand', 'past'], won: ['win', 'past'],
+        children: ['child', 'plural'], people: ['person', 'plural'], men: ['man', 'plural'],
+        women: ['woman', 'plural'], feet: ['foot', 'plural'], teeth: ['tooth', 'plural'],
+        mice: ['mouse', 'plural'], geese: ['goose', 'plural'], phenomena: ['phenomenon', 'plural'],
+        criteria: ['criterion', 'plural'], better: ['good', 'comparative'], best: ['good', 'superlative'],
+        worse: ['bad', 'comparative'], worst: ['bad', 'superlative'], further: ['far', 'comparative'],
+        furthest: ['far', 'superlative'], more: ['much', 'comparative'], most: ['much', 'superlative'],
+        less: ['little', 'comparative'], least: ['little', 'superlative']
+    };
+
+    var SUFFIX_RULES = [
+        { suffix: 'ies', replace: 'y', type: 'plural' },
+        { suffix: 'ves', replace: 'f', type: 'plural' },
+        { suffix: 'ves', replace: 'fe', type: 'plural' },
+        { suffix: 'es', replace: '', type: 'plural' },
+        { suffix: 's', replace: '', type: 'plural' },
+        { suffix: 'ied', replace: 'y', type: 'pastTense' },
+        { suffix: 'ed', replace: 'e', type: 'pastTense' },
+        { suffix: 'ed', replace: '', type: 'pastTense' },
+        { suffix: 'ying', replace: 'ie', type: 'presentParticiple' },
+        { suffix: 'ing', replace: 'e', type: 'presentParticiple' },
+        { suffix: 'ing', replace: '', type: 'presentParticiple' },
+        { suffix: 'ier', replace: 'y', type: 'comparative' },
+        { suffix: 'er', replace: 'e', type: 'comparative' },
+        { suffix: 'er', replace: '', type: 'comparative' },
+        { suffix: 'iest', replace: 'y', type: 'superlative' },
+        { suffix: 'est', replace: 'e', type: 'superlative' },
+        { suffix: 'est', replace: '', type: 'superlative' }
+    ];
+
+    // 后缀规则只适用于对应词性，否则 brother 会还原成 broth、news 还原成 new
+    // -s 结尾既可能是名词复数，也可能是动词第三人称单数
+    var INFLECTION_PARTS_OF_SPEECH = {
+        plural: ['noun', 'verb'],
+        pastTense: ['verb'],
+        presentParticiple: ['verb'],
+        comparative: ['modifier'],
+        superlative: ['modifier']
+    };
+
+    var PART_OF_SPEECH_PATTERNS = {
+        noun: /\bnoun\b|^n\./i,
+        verb: /\bverb\b|^v[it]?\./i,
+        modifier: /\badj(ective)?\b|\badv(erb)?\b/i,
+        phrase: /\bphrase\b|\bidiom\b/i
+    };
+
+    var WORD_CHAR_PATTERN = /[A-Za-z'’\-]/;
+
+    // 短语中的占位成分：give (something) a twist
+    var PHRASE_PLACEHOLDERS = ['something', 'someone', 'somebody', 'sth', 'sb'];
+
+    // 语音合成可选口音
+    var SPEECH_ACCENTS = {
+        'en-GB': '英音',
+        'en-US': '美音',
+        'en-AU': '澳音',
+        'en-IE': '爱尔兰',
+        'en-IN': '印度',
+        'en-CA': '加拿大',
+        'en-NZ': '新西兰',
+        'en-ZA': '南非'
+    };
+
+    // 译文语言对应的 lang 属性
+    var LANGUAGE_TAGS = {
+        zh: 'zh-CN'
+    };
+
+    var INFLECTION_LABELS = {
+        plural: '复数',
+        thirdPerson: '第三人称单数',
+        past: '过去式',
+        pastParticiple: '过去分词',
+        pastTense: '过去式/过去分词',
+        presentParticiple: '现在分词',
+        comparative: '比较级',
+        superlative: '最高级'
+    };
+
+    /**
+     * 生成可能的原形候选（按可能性排序）
+     * @param {string} word - 小写词形
+     * @returns {Array} [{lemma, type}]
+     */
+    function getLemmaCandidates(word) {
+        var candidates = [];
+        var seen = {};
+        
+        function add(lemma, type, irregular) {
+            if (lemma && lemma.length > 1 && lemma !== word && !seen[lemma]) {
+                seen[lemma] = true;
+                candidates.push({ lemma: lemma, type: type, irregular: !!irregular });
+            }
+        }
+        
+        if (!word || /\s/.test(word)) {
+            return candidates;
+        }
+        
+        var irregular = IRREGULAR_FORMS[word];
+        if (irregular) {
+            add(irregular[0], irregular[1], true);
+        }
+        
+        for (var i = 0; i < SUFFIX_RULES.length; i++) {
+            var rule = SUFFIX_RULES[i];
+            if (word.length <= rule.suffix.length + 1 || word.slice(-rule.suffix.length) !== rule.suffix) {
+                continue;
+            }
+            
+            var stem = word.slice(0, -rule.suffix.length);
+            add(stem + rule.replace, rule.type);
+            
+            // 双写辅音：stopped → stop, bigger → big
+            if (rule.replace === '' && /([bdgklmnprt])\1$/.test(stem)) {
+                add(stem.slice(0, -1), rule.type);
+            }
+        }
+        
+        return candidates;
+    }
+
+    /**
+     * 判断后缀还原的候选是否符合词条词性
+     * 不规则变形表是逐词收录的，不做限制；词条未标注词性或是短语（首词词性未知）时也不限制
+     * @param {Object} candidate - getLemmaCandidates 的候选 {lemma, type, irregular}
+     * @param {Object} data - 候选原形对应的词条
+     * @returns {boolean}
+     */
+    function fitsPartOfSpeech(candidate, data) {
+        var allowed = INFLECTION_PARTS_OF_SPEECH[candidate.type];
+        if (candidate.irregular || !allowed || !data) {
+            return true;
+        }
+        
+        // 多语境词条的词性可能不同（record 既是名词也是动词），任一符合即可
+        var labels = [data.partOfSpeech];
+        for (var context in data.contexts || {}) {
+            if (data.contexts.hasOwnProperty(context)) {
+                labels = labels.concat(data.contexts[context].map(function(entry) {
+                    return entry.partOfSpeech;
+                }));
+            }
+        }
+        
+        labels = labels.filter(Boolean);
+        if (!labels.length) {
+            return true;
+        }
+        
+        var parts = allowed.concat(['phrase']);
+        for (var i = 0; i < labels.length; i++) {
+            for (var j = 0; j < parts.length; j++) {
+                if (PART_OF_SPEECH_PATTERNS[parts[j]].test(labels[i])) {
+                    return true;
+                }
+            }
+        }
+        
+        return false;
+    }
+
     /**
      * 🎯 GlossaryCore - 词汇表核心
      * 功能：智能弹窗、词汇管理、上下文显示、性能渲染、触摸优化
@@ -95,22 +287,58 @@
             enableTouch: options.enableTouch !== false,
             enableKeyboard: options.enableKeyboard !== false,
             enableAudio: options.enableAudio !== false,
+            enableSpeech: options.enableSpeech !== false, // 无音频文件时使用浏览器语音合成
+            speechAccent: options.speechAccent || 'en-GB',
+            speechVoice: options.speechVoice || null,
+            speechRate: Math.max(0.5, Math.min(1.5, options.speechRate || 0.9)),
             enableBookmark: options.enableBookmark !== false,
             autoClose: options.autoClose !== false,
             autoCloseDelay: Math.max(1000, Math.min(30000, options.autoCloseDelay || 5000)),
             preloadCount: Math.max(10, Math.min(100, options.preloadCount || 20)),
             cacheSize: Math.max(50, Math.min(500, options.cacheSize || 100)),
             searchThreshold: Math.max(0.5, Math.min(1.0, options.searchThreshold || 0.8)),
+            fuzzyCandidates: Math.max(5, Math.min(100, options.fuzzyCandidates || 20)),
+            wordLookup: options.wordLookup !== false, // 点击/长按正文任意单词查词
+            wordLookupSelector: options.wordLookupSelector || '[data-sentence-id]',
+            maxPhraseWords: Math.max(2, Math.min(10, options.maxPhraseWords || 6)),
+            dictionaryUrl: options.dictionaryUrl || null, // 离线词典包
+            autoTagPhrases: options.autoTagPhrases !== false, // 自动标注正文中的多词短语
+            phraseTagSelector: options.phraseTagSelector || '[data-sentence-id]',
+            phraseMaxGap: Math.max(1, Math.min(5, options.phraseMaxGap || 3)), // 占位成分最多跨越的单词数
             dataUrl: options.dataUrl || null,
+            chapterId: options.chapterId || null,
+            chapterDataUrl: options.chapterDataUrl || null, // 例如 'data/terms_{chapterId}.json'
+            maxChapterTerms: Math.max(1, Math.min(10, options.maxChapterTerms || 2)),
+            translationLanguage: options.translationLanguage || 'zh', // 学习者母语
+            showTranslations: options.showTranslations === true, // 默认隐藏译文，点击显示
+            translationDataUrl: options.translationDataUrl || null, // 例如 'data/translations_{chapterId}.json'
+            paragraphSelector: options.paragraphSelector || '.transcript-paragraph',
+            maxLookupHistory: Math.max(50, Math.min(5000, options.maxLookupHistory || 500)),
             cacheKey: 'glossary_data'
         };
         
         // 私有变量
         var glossaryData = {};
+        var commonData = {};
+        var dictionaryData = {};
+        var chapterTerms = {};
+        var chapterOrder = [];
+        var chapterLoads = {};
         var frequentWords = {};
         var bookmarkedWords = new Set();
+        var bookmarkSources = {};
+        var lookupHistory = {};
+        var paragraphTranslations = null;
+        var translationRequest = 0;
         var searchIndex = [];
+        var fuzzyIndex = {};
+        var lemmaIndex = {};
+        var phraseIndex = null;
+        var phraseStats = null;
+        var phraseTagTimer = null;
         var currentWord = null;
+        var currentContext = null;
+        var currentSource = null;
         var currentPopup = null;
         var isVisible = false;
         var isAnimating = false;
@@ -143,6 +371,7 @@
         var eventHub = null;
         var cacheManager = null;
         var errorBoundary = null;
+        var audioSync = null;
         
         var self = this;
         
@@ -185,6 +414,16 @@
                 // 加载词汇数据
                 loadGlossaryData();
                 
+                // 加载离线词典包
+                if (config.dictionaryUrl) {
+                    loadDictionary();
+                }
+                
+                // 加载当前章节词汇
+                if (config.chapterId) {
+                    self.loadChapterTerms(config.chapterId).catch(function() {});
+                }
+                
                 // 绑定事件
                 bindEvents();
                 
@@ -235,11 +474,133 @@
             }
         };
         
+        /**
+         * 加载章节词汇并与通用词典合并（章节词条优先）
+         * @param {string} chapterId - 章节ID，为空时只保留通用词典
+         * @param {Object} loadOptions - 选项（url: 覆盖默认地址, data: 直接提供词汇数据）
+         * @returns {Promise} 合并完成后返回词条总数
+         */
+        this.loadChapterTerms = function(chapterId, loadOptions) {
+            if (isDestroyed) {
+                return Promise.reject(new Error('GlossaryCore has been destroyed'));
+            }
+            
+            try {
+                loadOptions = loadOptions || {};
+                config.chapterId = chapterId || null;
+                
+                // 段落译文随章节切换
+                if (config.translationDataUrl) {
+                    self.loadTranslations(config.chapterId).catch(function(error) {
+                        DEBUG_WARN('[GlossaryCore] 段落译文加载失败:', error);
+                    });
+                }
+                
+                if (!config.chapterId) {
+                    activateChapterTerms(null, false);
+                    return Promise.resolve(Object.keys(glossaryData).length);
+                }
+                
+                // 直接提供的数据
+                if (loadOptions.data) {
+                    storeChapterTerms(chapterId, loadOptions.data);
+                    activateChapterTerms(chapterId, false);
+                    return Promise.resolve(Object.keys(glossaryData).length);
+                }
+                
+                // 内存中已有该章节
+                if (chapterTerms[chapterId]) {
+                    touchChapterTerms(chapterId);
+                    activateChapterTerms(chapterId, true);
+                    return Promise.resolve(Object.keys(glossaryData).length);
+                }
+                
+                // 缓存管理器中已有该章节
+                if (cacheManager) {
+                    var cachedData = cacheManager.cache(getChapterCacheKey(chapterId));
+                    if (cachedData) {
+                        statistics.cacheHits++;
+                        storeChapterTerms(chapterId, cachedData);
+                        activateChapterTerms(chapterId, true);
+                        return Promise.resolve(Object.keys(glossaryData).length);
+                    }
+                    statistics.cacheMisses++;
+                }
+                
+                var url = loadOptions.url || getChapterDataUrl(chapterId);
+                if (!url) {
+                    throw new Error('No term file configured for chapter: ' + chapterId);
+                }
+                
+                // 同一章节的并发请求复用
+                if (chapterLoads[chapterId]) {
+                    return chapterLoads[chapterId];
+                }
+                
+                if (eventHub) {
+                    eventHub.emit('glossary:chapterLoading', {
+                        chapterId: chapterId,
+                        url: url
+                    });
+                }
+                
+                chapterLoads[chapterId] = new Promise(function(resolve, reject) {
+                    var loadFunction = typeof fetch !== 'undefined' ? 
+                        loadWithFetch : loadWithXHR;
+                    var settled = false;
+                    
+                    loadFunction(url, function(data) {
+                        if (settled) return;
+                        settled = true;
+                        delete chapterLoads[chapterId];
+                        
+                        if (isDestroyed) {
+                            reject(new Error('GlossaryCore has been destroyed'));
+                            return;
+                        }
+                        
+                        if (cacheManager) {
+                            cacheManager.cache(getChapterCacheKey(chapterId), data, 24 * 60 * 60 * 1000); // 24小时
+                        }
+                        
+                        storeChapterTerms(chapterId, data);
+                        
+                        // 加载期间可能已切换到其他章节
+                        if (config.chapterId === chapterId) {
+                            activateChapterTerms(chapterId, false);
+                        }
+                        
+                        resolve(Object.keys(glossaryData).length);
+                    }, function(error) {
+                        if (settled) return;
+                        settled = true;
+                        delete chapterLoads[chapterId];
+                        
+                        if (eventHub) {
+                            eventHub.emit('glossary:chapterError', {
+                                chapterId: chapterId,
+                                url: url,
+                                message: error.message
+                            });
+                        }
+                        
+                        handleError('loadChapterTerms', error);
+                        reject(error);
+                    });
+                });
+                
+                return chapterLoads[chapterId];
+            } catch (error) {
+                handleError('loadChapterTerms', error);
+                return Promise.reject(error);
+            }
+        };
+        
         /**
          * 显示词汇弹窗
          * @param {string} word - 词汇
          * @param {HTMLElement} triggerElement - 触发元素
-         * @param {Object} options - 选项
+         * @param {Object} options - 选项（position, context, contextIndex, surface, fuzzy, source）
          */
         this.show = function(word, triggerElement, options) {
             if (isDestroyed) {
@@ -253,13 +614,33 @@
                     throw new Error('Invalid word parameter');
                 }
                 
-                // 查找词汇数据
-                var wordData = findWordData(word);
-                if (!wordData) {
-                    DEBUG_WARN('[GlossaryCore] Word not found:', word);
+                // 查找词汇数据（含词形还原）
+                var resolved = resolveWordData(word, options.fuzzy !== false);
+                if (!resolved) {
+                    if (options.source === 'lookup') {
+                        // 任意单词查词未命中：弹窗提示未收录，仍可朗读和收藏
+                        showNotFound(word, triggerElement, options);
+                        
+                        if (eventHub) {
+                            eventHub.emit('glossary:lookupMissed', { word: word });
+                        }
+                    } else {
+                        DEBUG_WARN('[GlossaryCore] Word not found:', word);
+                    }
                     return false;
                 }
                 
+                // 按触发元素的 data-context 选择语境条目
+                var context = options.context || getContextFromElement(triggerElement);
+                var wordData = selectContextData(resolved.data, context, options.contextIndex);
+                
+                // 词形提示：data-word 为变形，或 data-word 为原形而正文为变形
+                var inflection = resolved.inflection || 
+                    getInflection(options.surface || getSurfaceFromElement(triggerElement), resolved.key);
+                if (inflection) {
+                    wordData = extendWordData(wordData, { inflection: inflection });
+                }
+                
                 // 关闭当前弹窗
                 if (isVisible) {
                     this.hide();
@@ -267,6 +648,9 @@
                 
                 // 设置当前词汇
                 currentWord = word;
+                currentContext = wordData.context || null;
+                currentSource = getSourceInfo(options.sourceElement || triggerElement, currentContext);
+                currentSource.word = wordData.word;
                 
                 // 渲染弹窗内容
                 renderPopupContent(wordData);
@@ -279,6 +663,7 @@
                 
                 // 更新统计
                 updateWordFrequency(word);
+                recordLookup(wordData.word || word, currentSource);
                 statistics.lookups++;
                 
                 // 保存状态
@@ -289,6 +674,9 @@
                     eventHub.emit('glossary:shown', {
                         word: word,
                         data: wordData,
+                        context: currentContext,
+                        inflection: inflection,
+                        source: options.source || 'term',
                         position: position
                     });
                 }
@@ -317,6 +705,8 @@
                 
                 // 清理状态
                 currentWord = null;
+                currentContext = null;
+                currentSource = null;
                 
                 // 清理定时器
                 clearAutoCloseTimer();
@@ -382,8 +772,9 @@
         /**
          * 添加/移除书签
          * @param {string} word - 词汇
+         * @param {Object} source - 出处 {chapterId, sentenceId, sentence, context}（默认取当前弹窗的触发位置）
          */
-        this.toggleBookmark = function(word) {
+        this.toggleBookmark = function(word, source) {
             if (isDestroyed) {
                 return false;
             }
@@ -397,9 +788,16 @@
                 
                 if (isBookmarked) {
                     bookmarkedWords.delete(word);
+                    delete bookmarkSources[word];
                 } else {
                     bookmarkedWords.add(word);
                     statistics.bookmarks++;
+                    
+                    // 记录收藏时所在的章节和句子，供复习卡片使用
+                    var isCurrent = currentSource && (word === currentWord || word === currentSource.word);
+                    source = source || (isCurrent ? currentSource : null) || 
+                        { chapterId: config.chapterId };
+                    bookmarkSources[word] = extendWordData(source, { addedAt: Date.now() });
                 }
                 
                 // 更新弹窗中的书签状态
@@ -414,7 +812,8 @@
                 if (eventHub) {
                     eventHub.emit('glossary:bookmarkChanged', {
                         word: word,
-                        bookmarked: !isBookmarked
+                        bookmarked: !isBookmarked,
+                        source: bookmarkSources[word] || null
                     });
                 }
                 
@@ -425,6 +824,143 @@
             }
         };
         
+        /**
+         * 获取书签列表（含出处）
+         * @returns {Array} [{word, source}]
+         */
+        this.getBookmarks = function() {
+            return Array.from(bookmarkedWords).map(function(word) {
+                return {
+                    word: word,
+                    source: bookmarkSources[word] || null
+                };
+            });
+        };
+        
+        /**
+         * 加载章节正文的段落译文
+         * @param {string} chapterId - 章节ID
+         * @param {Object} loadOptions - {url, data}
+         * @returns {Promise} 解析为已显示的译文段落数
+         */
+        this.loadTranslations = function(chapterId, loadOptions) {
+            if (isDestroyed) {
+                return Promise.reject(new Error('GlossaryCore has been destroyed'));
+            }
+            
+            loadOptions = loadOptions || {};
+            
+            var request = ++translationRequest;
+            paragraphTranslations = null;
+            clearParagraphTranslations();
+            
+            if (loadOptions.data) {
+                paragraphTranslations = normalizeParagraphTranslations(loadOptions.data);
+                return Promise.resolve(renderParagraphTranslations());
+            }
+            
+            var url = loadOptions.url || (chapterId && config.translationDataUrl ? 
+                config.translationDataUrl.replace('{chapterId}', encodeURIComponent(chapterId)) : null);
+            if (!url) {
+                // 没有译文文件时仍显示正文中内联的 data-translation
+                return Promise.resolve(renderParagraphTranslations());
+            }
+            
+            return new Promise(function(resolve, reject) {
+                var loadFunction = typeof fetch !== 'undefined' ? 
+                    loadWithFetch : loadWithXHR;
+                var settled = false;
+                
+                loadFunction(url, function(data) {
+                    if (settled) return;
+                    settled = true;
+                    
+                    // 加载期间已切换到其他章节
+                    if (isDestroyed || request !== translationRequest) {
+                        resolve(0);
+                        return;
+                    }
+                    
+                    paragraphTranslations = normalizeParagraphTranslations(data);
+                    resolve(renderParagraphTranslations());
+                }, function(error) {
+                    if (settled) return;
+                    settled = true;
+                    
+                    if (request === translationRequest) {
+                        renderParagraphTranslations();
+                    }
+                    reject(error);
+                });
+            });
+        };
+        
+        /**
+         * 设置是否始终显示母语译文（词汇弹窗和正文段落）
+         * @param {boolean} show - 是否显示
+         */
+        this.setShowTranslations = function(show) {
+            if (isDestroyed) {
+                return false;
+            }
+            
+            config.showTranslations = !!show;
+            applyTranslationVisibility();
+            
+            if (stateManager) {
+                stateManager.setState('glossary.showTranslations', config.showTranslations, true);
+            }
+            
+            if (eventHub) {
+                eventHub.emit('glossary:translationsToggled', {
+                    show: config.showTranslations,
+                    language: config.translationLanguage
+                });
+            }
+            
+            return true;
+        };
+        
+        /**
+         * 是否始终显示母语译文
+         */
+        this.getShowTranslations = function() {
+            return config.showTranslations;
+        };
+        
+        /**
+         * 获取查词历史（按最近查询排序）
+         * @param {number} limit - 最大数量（可选）
+         * @returns {Array} [{word, count, firstLookedUp, lastLookedUp, source}]
+         */
+        this.getLookupHistory = function(limit) {
+            var history = Object.keys(lookupHistory).map(function(word) {
+                return lookupHistory[word];
+            }).sort(function(a, b) {
+                return b.lastLookedUp - a.lastLookedUp;
+            });
+            
+            return limit ? history.slice(0, limit) : history;
+        };
+        
+        /**
+         * 获取词汇数据（按语境选择条目）
+         * @param {string} word - 词汇
+         * @param {string} context - 语境键（可选）
+         * @returns {Object|null}
+         */
+        this.getWordData = function(word, context) {
+            if (isDestroyed || !word) return null;
+            
+            try {
+                var resolved = resolveWordData(word, false);
+                return resolved ? selectContextData(resolved.data, context) : null;
+            } catch (error) {
+                handleError('getWordData', error);
+                return null;
+            }
+        };
+        
         /**
          * 播放单词发音
          * @param {string} word - 词汇
@@ -446,9 +982,10 @@
                 }
                 
                 var wordData = findWordData(word);
+                
+                // 没有音频文件或词典未收录时朗读单词
                 if (!wordData || !wordData.audio) {
-                    DEBUG_WARN('[GlossaryCore] No audio available for word:', word);
-                    return false;
+                    return this.speak(wordData && wordData.word || word);
                 }
                 
                 playWordAudio(wordData.audio);
@@ -469,14 +1006,203 @@
             }
         };
         
+        /**
+         * 在原文中收听：播放当前弹窗词汇所在句子的章节音频
+         * 没有对齐的字幕时退回到单词发音
+         * @param {string} word - 词汇（默认当前弹窗词汇）
+         */
+        this.playInContext = function(word) {
+            if (isDestroyed) {
+                return false;
+            }
+            
+            try {
+                word = word || currentWord;
+                
+                var sentenceId = getContextSentenceId(word);
+                if (sentenceId && audioSync.playSentence(sentenceId)) {
+                    statistics.audioPlays++;
+                    
+                    if (eventHub) {
+                        eventHub.emit('glossary:contextPlayed', {
+                            word: word,
+                            sentenceId: sentenceId,
+                            chapterId: currentSource.chapterId
+                        });
+                    }
+                    
+                    return true;
+                }
+                
+                return this.playAudio(word);
+            } catch (error) {
+                handleError('playInContext', error);
+                return false;
+            }
+        };
+        
+        /**
+         * 使用浏览器语音合成朗读
+         * @param {string} text - 要朗读的单词或短语
+         */
+        this.speak = function(text) {
+            if (isDestroyed) {
+                return false;
+            }
+            
+            try {
+                var synth = getSpeechSynthesis();
+                if (!synth || !text) {
+                    DEBUG_WARN('[GlossaryCore] Speech synthesis unavailable:', text);
+                    return false;
+                }
+                
+                var utterance = new window.SpeechSynthesisUtterance(text);
+                var voice = pickVoice();
+                
+                utterance.lang = voice ? normalizeLang(voice.lang) : config.speechAccent;
+                utterance.rate = config.speechRate;
+                if (voice) {
+                    utterance.voice = voice;
+                }
+                
+                // 取消尚未读完的上一次朗读
+                synth.cancel();
+                synth.speak(utterance);
+                statistics.audioPlays++;
+                
+                if (eventHub) {
+                    eventHub.emit('glossary:speechPlayed', {
+                        text: text,
+                        voice: voice ? voice.name : null,
+                        lang: utterance.lang
+                    });
+                }
+                
+                return true;
+            } catch (error) {
+                handleError('speak', error);
+                return false;
+            }
+        };
+        
+        /**
+         * 获取可用的英语语音
+         * @returns {Array} [{name, lang, accent, selected}]
+         */
+        this.getVoices = function() {
+            var selected = pickVoice();
+            
+            return getEnglishVoices().map(function(voice) {
+                var lang = normalizeLang(voice.lang);
+                return {
+                    name: voice.name,
+                    lang: lang,
+                    accent: SPEECH_ACCENTS[lang] || lang,
+                    selected: !!selected && selected.name === voice.name
+                };
+            });
+        };
+        
+        /**
+         * 设置朗读口音
+         * @param {string} accent - 语言代码，如 en-GB、en-US
+         */
+        this.setSpeechAccent = function(accent) {
+            if (isDestroyed || !accent) {
+                return false;
+            }
+            
+            config.speechAccent = normalizeLang(accent);
+            config.speechVoice = null;
+            saveSpeechSettings();
+            return true;
+        };
+        
+        /**
+         * 设置朗读语音
+         * @param {string} name - 语音名称（见 getVoices）
+         */
+        this.setSpeechVoice = function(name) {
+            if (isDestroyed) {
+                return false;
+            }
+            
+            var voice = getEnglishVoices().filter(function(item) {
+                return item.name === name;
+            })[0];
+            
+            if (name && !voice) {
+                DEBUG_WARN('[GlossaryCore] Voice not found:', name);
+                return false;
+            }
+            
+            config.speechVoice = name || null;
+            if (voice) {
+                config.speechAccent = normalizeLang(voice.lang);
+            }
+            saveSpeechSettings();
+            return true;
+        };
+        
+        /**
+         * 关联音频同步模块，用于在原文中收听
+         * @param {Object} instance - AudioSyncCore 实例
+         */
+        this.setAudioSync = function(instance) {
+            audioSync = instance || null;
+        };
+        
+        /**
+         * 标注正文中的多词短语（允许词形变化和插入成分）
+         * @param {HTMLElement} root - 扫描范围，默认为容器
+         * @returns {Object|null} 覆盖率统计
+         */
+        this.tagPhrases = function(root) {
+            if (isDestroyed) return null;
+            
+            try {
+                return runPhraseTagging(root || elements.container);
+            } catch (error) {
+                handleError('tagPhrases', error);
+                return null;
+            }
+        };
+        
+        /**
+         * 移除自动标注的短语
+         */
+        this.clearPhraseTags = function() {
+            if (isDestroyed) return false;
+            
+            try {
+                clearPhraseTags(elements.container);
+                return true;
+            } catch (error) {
+                handleError('clearPhraseTags', error);
+                return false;
+            }
+        };
+        
+        /**
+         * 获取短语覆盖率统计（供内容作者检查遗漏）
+         */
+        this.getPhraseCoverage = function() {
+            return phraseStats;
+        };
+        
         /**
          * 获取词汇统计信息
          */
         this.getStats = function() {
             return {
                 wordCount: Object.keys(glossaryData).length,
+                commonWordCount: Object.keys(commonData).length,
+                chapterWordCount: config.chapterId && chapterTerms[config.chapterId] ? 
+                    Object.keys(chapterTerms[config.chapterId]).length : 0,
                 frequentWords: Object.keys(frequentWords).length,
                 bookmarkedWords: bookmarkedWords.size,
+                lookedUpWords: Object.keys(lookupHistory).length,
                 lookups: statistics.lookups,
                 bookmarks: statistics.bookmarks,
                 audioPlays: statistics.audioPlays,
@@ -494,6 +1220,9 @@
             return {
                 isVisible: isVisible,
                 currentWord: currentWord,
+                currentContext: currentContext,
+                chapterId: config.chapterId,
+                loadedChapters: chapterOrder.slice(),
                 bookmarkedWords: Array.from(bookmarkedWords),
                 statistics: statistics,
                 isDestroyed: isDestroyed
@@ -515,6 +1244,14 @@
                 // 隐藏弹窗
                 this.hide();
                 
+                // 移除自动标注的短语
+                if (phraseTagTimer) {
+                    phraseTagTimer.clear();
+                    phraseTagTimer = null;
+                }
+                clearPhraseTags(elements.container);
+                clearParagraphTranslations();
+                
                 // 移除事件监听器
                 unbindEvents();
                 
@@ -528,6 +1265,10 @@
                 elementCache = {};
                 templateCache = {};
                 renderQueue = [];
+                dictionaryData = {};
+                chapterTerms = {};
+                chapterOrder = [];
+                chapterLoads = {};
                 
                 // 清理状态
                 if (stateManager) {
@@ -567,6 +1308,7 @@
             if (options.eventHub) eventHub = options.eventHub;
             if (options.cacheManager) cacheManager = options.cacheManager;
             if (options.errorBoundary) errorBoundary = options.errorBoundary;
+            if (options.audioSync) audioSync = options.audioSync;
         }
         
         function createPopupStructure() {
@@ -624,10 +1366,13 @@
             templateCache.wordEntry = function(data) {
                 try {
                     var bookmarkClass = bookmarkedWords.has(data.word) ? 'bookmarked' : '';
-                    var audioButton = config.enableAudio && data.audio ? 
-                        '<button class="glossary-audio-btn" data-word="' + data.word + '">🔊</button>' : '';
+                    var audioButton = config.enableAudio && (data.audio || canSpeak()) ? 
+                        '<button class="glossary-audio-btn" data-word="' + data.word + '" title="单词发音">🔊</button>' : '';
+                    var contextButton = config.enableAudio && getContextSentenceId(currentWord) ? 
+                        '<button class="glossary-context-btn" title="在原文中收听">🎧</button>' : '';
                     var bookmarkButton = config.enableBookmark ? 
                         '<button class="glossary-bookmark-btn ' + bookmarkClass + '" data-word="' + data.word + '">★</button>' : '';
+                    var translation = (data.translations || {})[config.translationLanguage] || {};
                     
                     return [
                         '<div class="glossary-content">',
@@ -638,15 +1383,21 @@
                                     data.partOfSpeech ? '<span class="glossary-pos">' + data.partOfSpeech + '</span>' : '',
                                 '</div>',
                                 '<div class="glossary-actions">',
+                                    contextButton,
                                     audioButton,
                                     bookmarkButton,
                                     '<button class="glossary-close-btn">×</button>',
                                 '</div>',
                             '</div>',
                             '<div class="glossary-body">',
-                                renderDefinitions(data.definitions || []),
-                                renderExamples(data.examples || []),
+                                renderInflection(data.inflection),
+                                renderDefinitions(data.definitions || [], translation.definitions),
+                                renderContextualMeaning(data.contextualMeaning, translation.contextualMeaning),
+                                renderExamples(data.examples || [], translation.examples),
+                                renderEtymology(data.etymology),
                                 renderRelated(data.related || {}),
+                                data.audio ? '' : renderSpeechOptions(),
+                                renderTranslationToggle(hasTranslation(data, translation)),
                             '</div>',
                         '</div>'
                     ].join('');
@@ -666,6 +1417,34 @@
                 ].join('');
             };
             
+            // 词典未收录模板
+            templateCache.notFound = function(word) {
+                var safeWord = escapeHTML(word);
+                var bookmarkClass = bookmarkedWords.has(word) ? 'bookmarked' : '';
+                var audioButton = config.enableAudio && canSpeak() ? 
+                    '<button class="glossary-audio-btn" data-word="' + safeWord + '" title="单词发音">🔊</button>' : '';
+                var bookmarkButton = config.enableBookmark ? 
+                    '<button class="glossary-bookmark-btn ' + bookmarkClass + '" data-word="' + safeWord + '">★</button>' : '';
+                
+                return [
+                    '<div class="glossary-content glossary-not-found">',
+                        '<div class="glossary-header">',
+                            '<div class="glossary-word-info">',
+                                '<h3 class="glossary-word">' + safeWord + '</h3>',
+                            '</div>',
+                            '<div class="glossary-actions">',
+                                audioButton,
+                                bookmarkButton,
+                                '<button class="glossary-close-btn">×</button>',
+                            '</div>',
+                        '</div>',
+                        '<div class="glossary-body">',
+                            '<p class="glossary-not-found-message">词典中暂未收录这个词</p>',
+                        '</div>',
+                    '</div>'
+                ].join('');
+            };
+            
             // 错误模板
             templateCache.error = function(message) {
                 return [
@@ -677,7 +1456,7 @@
             };
         }
         
-        function renderDefinitions(definitions) {
+        function renderDefinitions(definitions, translations) {
             if (!definitions || definitions.length === 0) {
                 return '';
             }
@@ -689,7 +1468,8 @@
                     var def = definitions[i];
                     html.push('<div class="glossary-definition">');
                     html.push('<span class="glossary-def-number">' + (i + 1) + '.</span>');
-                    html.push('<span class="glossary-def-text">' + (def || '') + '</span>');
+                    html.push('<span class="glossary-def-text">' + (def || '') + 
+                        renderTranslation(translations && translations[i]) + '</span>');
                     html.push('</div>');
                 }
                 
@@ -701,7 +1481,7 @@
             }
         }
         
-        function renderExamples(examples) {
+        function renderExamples(examples, translations) {
             if (!examples || examples.length === 0) {
                 return '';
             }
@@ -712,10 +1492,14 @@
                 
                 for (var i = 0; i < Math.min(examples.length, 5); i++) { // 限制例句数量
                     var example = examples[i];
+                    var exampleTranslation = example.translation || 
+                        (example.translations && example.translations[config.translationLanguage]) || 
+                        (translations && translations[i]);
                     html.push('<div class="glossary-example">');
                     html.push('<p class="glossary-example-text">' + (example.text || '') + '</p>');
-                    if (example.translation) {
-                        html.push('<p class="glossary-example-translation">' + example.translation + '</p>');
+                    if (exampleTranslation) {
+                        html.push('<p class="glossary-example-translation glossary-translation" lang="' + 
+                            getLanguageTag() + '">' + escapeHTML(exampleTranslation) + '</p>');
                     }
                     html.push('</div>');
                 }
@@ -728,6 +1512,113 @@
             }
         }
         
+        function renderInflection(inflection) {
+            if (!inflection) {
+                return '';
+            }
+            
+            return [
+                '<div class="glossary-inflection">',
+                    '<span class="glossary-inflection-form">' + escapeHTML(inflection.form) + '</span>',
+                    ' 是 <span class="glossary-inflection-lemma">' + escapeHTML(inflection.lemma) + '</span> 的',
+                    inflection.label ? escapeHTML(inflection.label) : '变形',
+                '</div>'
+            ].join('');
+        }
+        
+        function renderContextualMeaning(meaning, translation) {
+            if (!meaning) {
+                return '';
+            }
+            
+            return [
+                '<div class="glossary-contextual">',
+                    '<h4>语境释义</h4>',
+                    '<p class="glossary-contextual-text">' + escapeHTML(meaning) + renderTranslation(translation) + '</p>',
+                '</div>'
+            ].join('');
+        }
+        
+        function renderTranslation(text) {
+            if (!text) {
+                return '';
+            }
+            
+            return '<span class="glossary-translation" lang="' + getLanguageTag() + '">' + escapeHTML(text) + '</span>';
+        }
+        
+        function renderTranslationToggle(available) {
+            if (!available) {
+                return '';
+            }
+            
+            return '<button type="button" class="glossary-translation-toggle">' + 
+                (config.showTranslations ? '隐藏译文' : '显示译文') + '</button>';
+        }
+        
+        function hasTranslation(data, translation) {
+            if ((translation.definitions && translation.definitions.length) || 
+                (translation.examples && translation.examples.length) || translation.contextualMeaning) {
+                return true;
+            }
+            
+            return (data.examples || []).some(function(example) {
+                return example && (example.translation || 
+                    (example.translations && example.translations[config.translationLanguage]));
+            });
+        }
+        
+        function getLanguageTag() {
+            return LANGUAGE_TAGS[config.translationLanguage] || config.translationLanguage;
+        }
+        
+        function renderEtymology(etymology) {
+            if (!etymology) {
+                return '';
+            }
+            
+            return [
+                '<div class="glossary-etymology">',
+                    '<h4>词源</h4>',
+                    '<p class="glossary-etymology-text">' + escapeHTML(etymology) + '</p>',
+                '</div>'
+            ].join('');
+        }
+        
+        function renderSpeechOptions() {
+            if (!config.enableAudio || !canSpeak()) {
+                return '';
+            }
+            
+            // 语音列表异步加载，尚未就绪时不显示
+            var accents = {};
+            getEnglishVoices().forEach(function(voice) {
+                accents[normalizeLang(voice.lang)] = true;
+            });
+            
+            var langs = Object.keys(accents).sort();
+            if (langs.length < 2) {
+                return '';
+            }
+            
+            var selected = pickVoice();
+            var current = selected ? normalizeLang(selected.lang) : config.speechAccent;
+            
+            return [
+                '<div class="glossary-speech">',
+                    '<label>朗读口音 ',
+                        '<select class="glossary-accent-select">',
+                            langs.map(function(lang) {
+                                return '<option value="' + escapeHTML(lang) + '"' + 
+                                    (lang === current ? ' selected' : '') + '>' + 
+                                    escapeHTML(SPEECH_ACCENTS[lang] || lang) + '</option>';
+                            }).join(''),
+                        '</select>',
+                    '</label>',
+                '</div>'
+            ].join('');
+        }
+        
         function renderRelated(related) {
             if (!related || Object.keys(related).length === 0) {
                 return '';
@@ -754,8 +1645,51 @@
                 html.push('</div>');
                 return html.join('');
             } catch (error) {
-                DEBUG_ERROR('[GlossaryCore] 相关词汇渲染失败:', error);
-                return '';
+                DEBUG_ERROR('[GlossaryCore] 相关词汇渲染失败:', error);
+                return '';
+            }
+        }
+        
+        function loadDictionary() {
+            try {
+                var cacheKey = config.cacheKey + '_dictionary';
+                
+                if (cacheManager) {
+                    var cachedData = cacheManager.cache(cacheKey);
+                    if (cachedData) {
+                        setDictionaryData(cachedData);
+                        return;
+                    }
+                }
+                
+                var loadFunction = typeof fetch !== 'undefined' ? 
+                    loadWithFetch : loadWithXHR;
+                
+                loadFunction(config.dictionaryUrl, function(data) {
+                    if (isDestroyed) return;
+                    
+                    setDictionaryData(data);
+                    
+                    if (cacheManager) {
+                        cacheManager.cache(cacheKey, data, 7 * 24 * 60 * 60 * 1000); // 7天
+                    }
+                }, function(error) {
+                    // 词典包缺失不影响已标注词汇
+                    DEBUG_WARN('[GlossaryCore] 离线词典加载失败:', error.message);
+                });
+            } catch (error) {
+                handleError('loadDictionary', error);
+            }
+        }
+        
+        function setDictionaryData(data) {
+            dictionaryData = processGlossaryData(data);
+            mergeGlossaryData();
+            
+            if (eventHub) {
+                eventHub.emit('glossary:dictionaryLoaded', {
+                    wordCount: Object.keys(dictionaryData).length
+                });
             }
         }
         
@@ -890,20 +1824,115 @@
         
         function setGlossaryData(data) {
             try {
-                glossaryData = processGlossaryData(data);
-                buildSearchIndex();
+                commonData = processGlossaryData(data);
+                mergeGlossaryData();
                 
                 // 触发数据加载事件
                 if (eventHub) {
                     eventHub.emit('glossary:loaded', {
-                        wordCount: Object.keys(glossaryData).length
+                        wordCount: Object.keys(glossaryData).length,
+                        chapterId: config.chapterId
                     });
                 }
                 
             } catch (error) {
                 handleError('setGlossaryData', error);
+                commonData = {};
                 glossaryData = {};
+                lemmaIndex = {};
+                fuzzyIndex = {};
+            }
+        }
+        
+        function mergeGlossaryData() {
+            var merged = {};
+            var word;
+            
+            // 优先级：章节词汇 > 通用词典 > 离线词典包
+            for (word in dictionaryData) {
+                if (dictionaryData.hasOwnProperty(word)) {
+                    merged[word] = dictionaryData[word];
+                }
+            }
+            
+            for (word in commonData) {
+                if (commonData.hasOwnProperty(word)) {
+                    merged[word] = commonData[word];
+                }
+            }
+            
+            // 章节词条覆盖通用词典中的同名词条
+            var chapterData = config.chapterId ? chapterTerms[config.chapterId] : null;
+            if (chapterData) {
+                for (word in chapterData) {
+                    if (chapterData.hasOwnProperty(word)) {
+                        merged[word] = chapterData[word];
+                    }
+                }
+            }
+            
+            glossaryData = merged;
+            buildSearchIndex();
+            buildLemmaIndex();
+            buildFuzzyIndex();
+            phraseIndex = null;
+            
+            if (config.autoTagPhrases) {
+                schedulePhraseTagging();
+            }
+        }
+        
+        function storeChapterTerms(chapterId, data) {
+            chapterTerms[chapterId] = processGlossaryData(data);
+            touchChapterTerms(chapterId);
+        }
+        
+        function touchChapterTerms(chapterId) {
+            var index = chapterOrder.indexOf(chapterId);
+            if (index !== -1) {
+                chapterOrder.splice(index, 1);
             }
+            chapterOrder.push(chapterId);
+        }
+        
+        function evictChapterTerms() {
+            // 按最近使用顺序淘汰，当前章节始终保留
+            var index = 0;
+            while (chapterOrder.length > config.maxChapterTerms && index < chapterOrder.length) {
+                var chapterId = chapterOrder[index];
+                if (chapterId === config.chapterId) {
+                    index++;
+                    continue;
+                }
+                
+                chapterOrder.splice(index, 1);
+                delete chapterTerms[chapterId];
+                DEBUG_LOG('[GlossaryCore] 已释放章节词汇:', chapterId);
+            }
+        }
+        
+        function activateChapterTerms(chapterId, fromCache) {
+            mergeGlossaryData();
+            evictChapterTerms();
+            
+            if (eventHub) {
+                eventHub.emit('glossary:chapterLoaded', {
+                    chapterId: chapterId,
+                    wordCount: Object.keys(glossaryData).length,
+                    chapterWordCount: chapterId && chapterTerms[chapterId] ? 
+                        Object.keys(chapterTerms[chapterId]).length : 0,
+                    fromCache: fromCache
+                });
+            }
+        }
+        
+        function getChapterDataUrl(chapterId) {
+            if (!config.chapterDataUrl) return null;
+            return config.chapterDataUrl.replace('{chapterId}', encodeURIComponent(chapterId));
+        }
+        
+        function getChapterCacheKey(chapterId) {
+            return config.cacheKey + '_' + chapterId;
         }
         
         function processGlossaryData(data) {
@@ -937,18 +1966,33 @@
         
         function normalizeWordData(data, word) {
             try {
+                // 语境格式 {contexts: {default: [{definition, contextualMeaning, ...}]}}，
+                // 扁平字段缺失时以首个语境条目作为默认显示内容
+                var contexts = normalizeContexts(data.contexts);
+                var primary = getContextMatch(contexts, null, 0);
+                var entry = primary ? primary.entry : {};
+                
                 return {
                     word: data.word || word,
+                    title: data.title || entry.title || null,
                     phonetic: data.phonetic || data.pronunciation || null,
-                    partOfSpeech: data.partOfSpeech || data.pos || null,
-                    definitions: Array.isArray(data.definitions) ? data.definitions.slice(0, 10) : 
-                               (data.definition ? [data.definition] : []),
-                    examples: Array.isArray(data.examples) ? data.examples.slice(0, 5) : 
-                             (data.example ? [{ text: data.example }] : []),
+                    partOfSpeech: data.partOfSpeech || data.pos || entry.partOfSpeech || null,
+                    definitions: Array.isArray(data.definitions) ? data.definitions.slice(0, 10) :
+                               (data.definition ? [data.definition] :
+                               (entry.definition ? [entry.definition] : [])),
+                    examples: Array.isArray(data.examples) ? data.examples.slice(0, 5) :
+                             (data.example ? [{ text: data.example }] :
+                             (entry.exampleSentence ? [{ text: entry.exampleSentence }] : [])),
+                    contextualMeaning: data.contextualMeaning || entry.contextualMeaning || null,
+                    translations: data.translations ? normalizeTranslations(data.translations) : (entry.translations || {}),
+                    etymology: data.etymology || entry.etymology || null,
                     related: {
-                        synonyms: Array.isArray(data.synonyms) ? data.synonyms.slice(0, 10) : [],
-                        antonyms: Array.isArray(data.antonyms) ? data.antonyms.slice(0, 10) : []
+                        synonyms: Array.isArray(data.synonyms) ? data.synonyms.slice(0, 10) : (entry.synonyms || []),
+                        antonyms: Array.isArray(data.antonyms) ? data.antonyms.slice(0, 10) : (entry.antonyms || [])
                     },
+                    contexts: contexts,
+                    context: primary ? primary.context : null,
+                    contextIndex: primary ? primary.index : 0,
                     audio: data.audio || data.audioUrl || null,
                     frequency: data.frequency || 0,
                     difficulty: data.difficulty || 1
@@ -957,11 +2001,18 @@
                 DEBUG_ERROR('[GlossaryCore] 词汇数据标准化失败:', error);
                 return {
                     word: word || 'unknown',
+                    title: null,
                     phonetic: null,
                     partOfSpeech: null,
                     definitions: [],
                     examples: [],
+                    contextualMeaning: null,
+                    translations: {},
+                    etymology: null,
                     related: { synonyms: [], antonyms: [] },
+                    contexts: {},
+                    context: null,
+                    contextIndex: 0,
                     audio: null,
                     frequency: 0,
                     difficulty: 1
@@ -969,6 +2020,148 @@
             }
         }
         
+        function normalizeContexts(contexts) {
+            var result = {};
+            
+            if (!contexts || typeof contexts !== 'object') {
+                return result;
+            }
+            
+            for (var key in contexts) {
+                if (!contexts.hasOwnProperty(key)) continue;
+                
+                var list = Array.isArray(contexts[key]) ? contexts[key] : [contexts[key]];
+                var entries = [];
+                
+                for (var i = 0; i < Math.min(list.length, 10); i++) { // 限制每个语境的条目数量
+                    var item = list[i];
+                    if (!item || typeof item !== 'object') continue;
+                    
+                    entries.push({
+                        title: item.title || null,
+                        partOfSpeech: item.partOfSpeech || item.pos || null,
+                        definition: item.definition || null,
+                        contextualMeaning: item.contextualMeaning || null,
+                        exampleSentence: item.exampleSentence || item.example || null,
+                        synonyms: Array.isArray(item.synonyms) ? item.synonyms.slice(0, 10) : [],
+                        antonyms: Array.isArray(item.antonyms) ? item.antonyms.slice(0, 10) : [],
+                        etymology: item.etymology || null,
+                        translations: normalizeTranslations(item.translations)
+                    });
+                }
+                
+                if (entries.length > 0) {
+                    result[key] = entries;
+                }
+            }
+            
+            return result;
+        }
+        
+        /**
+         * 标准化译文字段 {zh: '释义'} 或 {zh: {definition, example, contextualMeaning}}
+         */
+        function normalizeTranslations(translations) {
+            var result = {};
+            
+            if (!translations || typeof translations !== 'object') {
+                return result;
+            }
+            
+            for (var lang in translations) {
+                if (!translations.hasOwnProperty(lang)) continue;
+                
+                var item = typeof translations[lang] === 'string' ? 
+                    { definition: translations[lang] } : translations[lang];
+                if (!item || typeof item !== 'object') continue;
+                
+                result[lang] = {
+                    definitions: Array.isArray(item.definitions) ? item.definitions.slice(0, 10) :
+                               (item.definition ? [item.definition] : []),
+                    examples: Array.isArray(item.examples) ? item.examples.slice(0, 5) :
+                             (item.example ? [item.example] : []),
+                    contextualMeaning: item.contextualMeaning || null
+                };
+            }
+            
+            return result;
+        }
+        
+        function extendWordData(wordData, extra) {
+            var result = {};
+            var key;
+            
+            for (key in wordData) {
+                if (wordData.hasOwnProperty(key)) {
+                    result[key] = wordData[key];
+                }
+            }
+            
+            for (key in extra) {
+                if (extra.hasOwnProperty(key)) {
+                    result[key] = extra[key];
+                }
+            }
+            
+            return result;
+        }
+        
+        function getContextMatch(contexts, context, index) {
+            if (!contexts) return null;
+            
+            var keys = Object.keys(contexts);
+            if (keys.length === 0) return null;
+            
+            // 优先匹配指定语境，其次 default，最后取第一个语境
+            var key = context && contexts[context] ? context :
+                     (contexts['default'] ? 'default' : keys[0]);
+            var entries = contexts[key];
+            var entryIndex = Math.max(0, Math.min(entries.length - 1, parseInt(index, 10) || 0));
+            
+            return {
+                context: key,
+                index: entryIndex,
+                entry: entries[entryIndex]
+            };
+        }
+        
+        function selectContextData(wordData, context, index) {
+            try {
+                var match = getContextMatch(wordData.contexts, context, index);
+                if (!match) {
+                    return wordData;
+                }
+                
+                if (context && match.context !== context) {
+                    DEBUG_WARN('[GlossaryCore] 未找到语境，使用默认条目:', wordData.word, context);
+                }
+                
+                var entry = match.entry;
+                var selected = extendWordData(wordData, {});
+                
+                // 语境条目覆盖通用字段
+                selected.title = entry.title || wordData.title;
+                selected.partOfSpeech = entry.partOfSpeech || wordData.partOfSpeech;
+                selected.definitions = entry.definition ? [entry.definition] : wordData.definitions;
+                selected.examples = entry.exampleSentence ? [{ text: entry.exampleSentence }] : wordData.examples;
+                selected.contextualMeaning = entry.contextualMeaning || null;
+                // 译文跟随语境条目，避免显示其他语境的译文
+                selected.translations = entry.definition ? entry.translations : wordData.translations;
+                selected.etymology = entry.etymology || wordData.etymology;
+                selected.related = {
+                    synonyms: entry.synonyms.length > 0 ? entry.synonyms : wordData.related.synonyms,
+                    antonyms: entry.antonyms.length > 0 ? entry.antonyms : wordData.related.antonyms
+                };
+                selected.context = match.context;
+                selected.contextIndex = match.index;
+                
+                return selected;
+            } catch (error) {
+                DEBUG_ERROR('[GlossaryCore] 语境条目选择失败:', error);
+                return wordData;
+            }
+        }
+        
         function buildSearchIndex() {
             searchIndex = [];
             
@@ -1041,33 +2234,206 @@
         }
         
         function findWordData(word) {
+            var result = resolveWordData(word);
+            return result ? result.data : null;
+        }
+        
+        /**
+         * 解析词汇：精确匹配 → 词形还原 → 索引模糊匹配
+         * @returns {Object|null} {key, data, inflection}
+         */
+        function resolveWordData(word, allowFuzzy) {
             try {
-                var normalizedWord = word.toLowerCase();
+                var normalizedWord = String(word).toLowerCase().trim();
                 
                 // 精确匹配
                 if (glossaryData[normalizedWord]) {
-                    return glossaryData[normalizedWord];
+                    return { key: normalizedWord, data: glossaryData[normalizedWord], inflection: null };
+                }
+                
+                // 词形还原
+                var lemmaMatch = findLemmaMatch(normalizedWord);
+                if (lemmaMatch) {
+                    return lemmaMatch;
                 }
                 
-                // 模糊匹配
-                var bestMatch = null;
-                var bestScore = 0;
+                // 模糊匹配（任意单词查词时关闭，避免误配）
+                var fuzzyKey = allowFuzzy !== false ? findFuzzyMatch(normalizedWord) : null;
+                if (fuzzyKey) {
+                    return { key: fuzzyKey, data: glossaryData[fuzzyKey], inflection: null };
+                }
                 
+                return null;
+            } catch (error) {
+                DEBUG_ERROR('[GlossaryCore] 词汇查找失败:', error);
+                return null;
+            }
+        }
+        
+        function findLemmaMatch(normalizedWord) {
+            var parts = normalizedWord.split(/\s+/);
+            
+            // 短语只还原首词：gave ... a twist → give ... a twist
+            var head = parts[0];
+            var tail = parts.length > 1 ? ' ' + parts.slice(1).join(' ') : '';
+            var candidates = getLemmaCandidates(head);
+            
+            for (var i = 0; i < candidates.length; i++) {
+                var key = candidates[i].lemma + tail;
+                if (glossaryData[key] && fitsPartOfSpeech(candidates[i], glossaryData[key])) {
+                    return {
+                        key: key,
+                        data: glossaryData[key],
+                        inflection: createInflection(normalizedWord, key, candidates[i].type, glossaryData[key])
+                    };
+                }
+            }
+            
+            // 词条本身以变形收录（investigated、origins）时通过原形索引匹配
+            if (lemmaIndex[normalizedWord]) {
+                return { key: lemmaIndex[normalizedWord], data: glossaryData[lemmaIndex[normalizedWord]], inflection: null };
+            }
+            
+            for (var j = 0; j < candidates.length; j++) {
+                var indexedKey = lemmaIndex[candidates[j].lemma + tail];
+                if (indexedKey && fitsPartOfSpeech(candidates[j], glossaryData[indexedKey])) {
+                    return {
+                        key: indexedKey,
+                        data: glossaryData[indexedKey],
+                        inflection: createInflection(normalizedWord, candidates[j].lemma + tail, candidates[j].type, glossaryData[indexedKey])
+                    };
+                }
+            }
+            
+            return null;
+        }
+        
+        function buildLemmaIndex() {
+            lemmaIndex = {};
+            
+            try {
+                for (var key in glossaryData) {
+                    if (!glossaryData.hasOwnProperty(key)) continue;
+                    
+                    var parts = key.split(' ');
+                    var tail = parts.length > 1 ? ' ' + parts.slice(1).join(' ') : '';
+                    var candidates = getLemmaCandidates(parts[0]);
+                    
+                    for (var i = 0; i < candidates.length; i++) {
+                        var lemma = candidates[i].lemma + tail;
+                        if (candidates[i].lemma.length > 2 && !glossaryData[lemma] && !lemmaIndex[lemma] &&
+                            fitsPartOfSpeech(candidates[i], glossaryData[key])) {
+                            lemmaIndex[lemma] = key;
+                        }
+                    }
+                }
+            } catch (error) {
+                DEBUG_ERROR('[GlossaryCore] 词形索引构建失败:', error);
+            }
+        }
+        
+        function getInflection(surface, key) {
+            if (!surface || !key) return null;
+            
+            var normalizedSurface = String(surface).toLowerCase().trim();
+            if (normalizedSurface === key) return null;
+            
+            var match = findLemmaMatchFor(normalizedSurface, key);
+            return match ? createInflection(normalizedSurface, key, match.type, glossaryData[key]) : null;
+        }
+        
+        function findLemmaMatchFor(surface, key) {
+            var candidates = getLemmaCandidates(surface);
+            for (var i = 0; i < candidates.length; i++) {
+                if (candidates[i].lemma === key && fitsPartOfSpeech(candidates[i], glossaryData[key])) {
+                    return candidates[i];
+                }
+            }
+            return null;
+        }
+        
+        function createInflection(form, lemma, type, data) {
+            // -s 结尾的动词应为第三人称单数而非复数
+            if (type === 'plural' && data && PART_OF_SPEECH_PATTERNS.verb.test(data.partOfSpeech || '') && !IRREGULAR_FORMS[form]) {
+                type = 'thirdPerson';
+            }
+            
+            return {
+                form: form,
+                lemma: lemma,
+                type: type,
+                label: INFLECTION_LABELS[type] || ''
+            };
+        }
+        
+        function buildFuzzyIndex() {
+            fuzzyIndex = {};
+            
+            try {
                 for (var key in glossaryData) {
                     if (glossaryData.hasOwnProperty(key)) {
-                        var score = calculateSimilarity(normalizedWord, key);
-                        if (score > bestScore && score >= config.searchThreshold) {
-                            bestScore = score;
-                            bestMatch = glossaryData[key];
+                        var grams = getTrigrams(key);
+                        for (var i = 0; i < grams.length; i++) {
+                            (fuzzyIndex[grams[i]] = fuzzyIndex[grams[i]] || []).push(key);
                         }
                     }
                 }
-                
-                return bestMatch;
             } catch (error) {
-                DEBUG_ERROR('[GlossaryCore] 词汇查找失败:', error);
-                return null;
+                DEBUG_ERROR('[GlossaryCore] 模糊索引构建失败:', error);
+            }
+        }
+        
+        function getTrigrams(text) {
+            var padded = '  ' + text + ' ';
+            var grams = [];
+            var seen = {};
+            
+            for (var i = 0; i < padded.length - 2; i++) {
+                var gram = padded.substr(i, 3);
+                if (!seen[gram]) {
+                    seen[gram] = true;
+                    grams.push(gram);
+                }
+            }
+            
+            return grams;
+        }
+        
+        function findFuzzyMatch(normalizedWord) {
+            // 通过三元组索引挑选候选词，只对少量候选计算编辑距离
+            var grams = getTrigrams(normalizedWord);
+            var counts = {};
+            var candidates = [];
+            
+            for (var i = 0; i < grams.length; i++) {
+                var keys = fuzzyIndex[grams[i]];
+                if (!keys) continue;
+                
+                for (var j = 0; j < keys.length; j++) {
+                    if (!counts[keys[j]]) {
+                        counts[keys[j]] = 0;
+                        candidates.push(keys[j]);
+                    }
+                    counts[keys[j]]++;
+                }
+            }
+            
+            candidates.sort(function(a, b) {
+                return counts[b] - counts[a];
+            });
+            
+            var bestMatch = null;
+            var bestScore = 0;
+            
+            for (var k = 0; k < Math.min(candidates.length, config.fuzzyCandidates); k++) {
+                var score = calculateSimilarity(normalizedWord, candidates[k]);
+                if (score > bestScore && score >= config.searchThreshold) {
+                    bestScore = score;
+                    bestMatch = candidates[k];
+                }
             }
+            
+            return bestMatch;
         }
         
         function searchWords(query, limit) {
@@ -1187,6 +2553,10 @@
                     bindLongPressEvents();
                 }
                 
+                // 点击隐藏的段落译文显示
+                boundEventHandlers.translationClick = createBoundHandler(handleTranslationClick);
+                elements.container.addEventListener('click', boundEventHandlers.translationClick);
+                
                 // 键盘事件
                 if (config.enableKeyboard && typeof document !== 'undefined') {
                     boundEventHandlers.keydown = createBoundHandler(handleKeyDown);
@@ -1223,6 +2593,8 @@
                     if (word) {
                         self.show(word, wordElement);
                     }
+                } else if (config.wordLookup) {
+                    lookupAtPoint(e.target, e.clientX, e.clientY);
                 }
             });
             
@@ -1264,10 +2636,11 @@
             
             boundEventHandlers.touchstart = createBoundHandler(function(e) {
                 var wordElement = findWordElement(e.target);
+                var target = e.target;
+                touchStartX = e.touches[0].clientX;
+                touchStartY = e.touches[0].clientY;
+                
                 if (wordElement) {
-                    touchStartX = e.touches[0].clientX;
-                    touchStartY = e.touches[0].clientY;
-                    
                     longPressTimer = createSafeTimeout(function() {
                         if (!isDestroyed) {
                             var word = getWordFromElement(wordElement);
@@ -1276,6 +2649,15 @@
                             }
                         }
                     }, 500);
+                } else if (config.wordLookup && findLookupScope(target)) {
+                    var x = touchStartX;
+                    var y = touchStartY;
+                    
+                    longPressTimer = createSafeTimeout(function() {
+                        if (!isDestroyed) {
+                            lookupAtPoint(target, x, y);
+                        }
+                    }, 500);
                 }
             });
             
@@ -1310,6 +2692,9 @@
                     if (boundEventHandlers.click) {
                         elements.container.removeEventListener('click', boundEventHandlers.click);
                     }
+                    if (boundEventHandlers.translationClick) {
+                        elements.container.removeEventListener('click', boundEventHandlers.translationClick);
+                    }
                     if (boundEventHandlers.mouseenter) {
                         elements.container.removeEventListener('mouseenter', boundEventHandlers.mouseenter, true);
                     }
@@ -1344,6 +2729,115 @@
             }
         }
         
+        function lookupAtPoint(target, clientX, clientY) {
+            try {
+                var scope = findLookupScope(target);
+                if (!scope) return false;
+                
+                // 选中多个单词时按短语查询，否则取点击位置的单词
+                var token = getSelectedPhrase() || getTokenAtPoint(clientX, clientY);
+                if (!token || !token.word) return false;
+                
+                return self.show(token.word, token.anchor, {
+                    surface: token.word,
+                    sourceElement: token.element,
+                    context: getContextFromElement(token.element),
+                    fuzzy: false,
+                    source: 'lookup'
+                });
+            } catch (error) {
+                DEBUG_ERROR('[GlossaryCore] 单词查询失败:', error);
+                return false;
+            }
+        }
+        
+        function findLookupScope(target) {
+            var element = target && target.nodeType === 3 ? target.parentElement : target;
+            
+            while (element && element !== elements.container) {
+                if (element.matches && element.matches(config.wordLookupSelector)) {
+                    return element;
+                }
+                element = element.parentElement;
+            }
+            
+            return null;
+        }
+        
+        function getSelectedPhrase() {
+            if (typeof window === 'undefined' || !window.getSelection) return null;
+            
+            var selection = window.getSelection();
+            if (!selection || selection.isCollapsed || selection.rangeCount === 0) return null;
+            
+            var range = selection.getRangeAt(0);
+            if (!elements.container.contains(range.commonAncestorContainer)) return null;
+            
+            var phrase = normalizeLookupText(selection.toString());
+            if (!phrase || phrase.split(' ').length > config.maxPhraseWords) return null;
+            
+            var startNode = range.startContainer;
+            return {
+                word: phrase,
+                anchor: range,
+                element: startNode.nodeType === 3 ? startNode.parentElement : startNode
+            };
+        }
+        
+        function getTokenAtPoint(clientX, clientY) {
+            if (typeof document === 'undefined') return null;
+            
+            var node = null;
+            var offset = 0;
+            
+            if (document.caretRangeFromPoint) {
+                var caretRange = document.caretRangeFromPoint(clientX, clientY);
+                if (caretRange) {
+                    node = caretRange.startContainer;
+                    offset = caretRange.startOffset;
+                }
+            } else if (document.caretPositionFromPoint) {
+                var caretPosition = document.caretPositionFromPoint(clientX, clientY);
+                if (caretPosition) {
+                    node = caretPosition.offsetNode;
+                    offset = caretPosition.offset;
+                }
+            }
+            
+            if (!node || node.nodeType !== 3) return null;
+            
+            // 从光标位置向两侧扩展到单词边界
+            var text = node.nodeValue;
+            var start = offset;
+            var end = offset;
+            
+            while (start > 0 && WORD_CHAR_PATTERN.test(text.charAt(start - 1))) start--;
+            while (end < text.length && WORD_CHAR_PATTERN.test(text.charAt(end))) end++;
+            
+            // 去掉首尾的撇号和连字符
+            while (start < end && /['’\-]/.test(text.charAt(start))) start++;
+            while (end > start && /['’\-]/.test(text.charAt(end - 1))) end--;
+            
+            if (start === end) return null;
+            
+            var range = document.createRange();
+            range.setStart(node, start);
+            range.setEnd(node, end);
+            
+            return {
+                word: text.slice(start, end).replace(/['’]s$/i, ''),
+                anchor: range,
+                element: node.parentElement
+            };
+        }
+        
+        function normalizeLookupText(text) {
+            return String(text || '')
+                .replace(/[“”"()\[\],.!?;:–—]/g, ' ')
+                .replace(/\s+/g, ' ')
+                .trim();
+        }
+        
         function findWordElement(target) {
             try {
                 // 查找包含词汇数据的元素
@@ -1371,12 +2865,57 @@
             }
         }
         
-        function getWordFromElement(element) {
+        function getWordFromElement(element) {
+            try {
+                // 提取元素中的词汇
+                return element.getAttribute('data-word') ||
+                       element.getAttribute('data-glossary') ||
+                       element.textContent.trim();
+            } catch (error) {
+                return null;
+            }
+        }
+        
+        function getSourceInfo(element, context) {
+            var sentence = null;
+            var node = element && element.nodeType === 3 ? element.parentElement : element;
+            
+            while (node && node.getAttribute) {
+                if (node.hasAttribute('data-sentence-id')) {
+                    sentence = node;
+                    break;
+                }
+                node = node.parentElement;
+            }
+            
+            return {
+                chapterId: config.chapterId,
+                sentenceId: sentence ? sentence.getAttribute('data-sentence-id') : null,
+                sentence: sentence ? sentence.textContent.replace(/\s+/g, ' ').trim() : null,
+                context: context || null
+            };
+        }
+        
+        function getSurfaceFromElement(element) {
+            try {
+                return element && element.textContent ? element.textContent.trim() : null;
+            } catch (error) {
+                return null;
+            }
+        }
+        
+        function getContextFromElement(element) {
             try {
-                // 提取元素中的词汇
-                return element.getAttribute('data-word') ||
-                       element.getAttribute('data-glossary') ||
-                       element.textContent.trim();
+                // 语境键可标注在词汇元素或其祖先元素上
+                var node = element;
+                while (node && node.getAttribute) {
+                    var context = node.getAttribute('data-context');
+                    if (context) {
+                        return context;
+                    }
+                    node = node.parentElement;
+                }
+                return null;
             } catch (error) {
                 return null;
             }
@@ -1391,6 +2930,27 @@
             });
         }
         
+        // 查词未命中时的弹窗：只有单词本身，可以朗读和收藏
+        function showNotFound(word, triggerElement, options) {
+            if (isVisible) {
+                self.hide();
+            }
+            
+            currentWord = word;
+            currentContext = null;
+            currentSource = getSourceInfo(options.sourceElement || triggerElement, null);
+            currentSource.word = word;
+            
+            if (elements.popup) {
+                queueRender(function() {
+                    elements.popup.innerHTML = templateCache.notFound(word);
+                    bindPopupEvents();
+                });
+            }
+            
+            showPopup(calculatePosition(triggerElement, options.position));
+        }
+        
         function queueRender(renderFunction) {
             renderQueue.push(renderFunction);
             
@@ -1445,6 +3005,33 @@
                     };
                 }
                 
+                // 原文收听按钮
+                var contextBtn = elements.popup.querySelector('.glossary-context-btn');
+                if (contextBtn) {
+                    contextBtn.onclick = function() {
+                        self.playInContext(currentWord);
+                    };
+                }
+                
+                // 译文显示切换
+                elements.popup.classList.toggle('glossary-translations-visible', config.showTranslations);
+                var translationToggle = elements.popup.querySelector('.glossary-translation-toggle');
+                if (translationToggle) {
+                    translationToggle.onclick = function() {
+                        var visible = elements.popup.classList.toggle('glossary-translations-visible');
+                        this.textContent = visible ? '隐藏译文' : '显示译文';
+                    };
+                }
+                
+                // 朗读口音
+                var accentSelect = elements.popup.querySelector('.glossary-accent-select');
+                if (accentSelect) {
+                    accentSelect.onchange = function() {
+                        self.setSpeechAccent(this.value);
+                        self.speak(currentSource && currentSource.word || currentWord);
+                    };
+                }
+                
                 // 书签按钮
                 var bookmarkBtn = elements.popup.querySelector('.glossary-bookmark-btn');
                 if (bookmarkBtn) {
@@ -1792,6 +3379,180 @@
             }
         }
         
+        // 🎯 段落译文
+        
+        function normalizeParagraphTranslations(data) {
+            var result = {};
+            var paragraphs = data && (data.paragraphs || data);
+            var language = data && data.language;
+            
+            if (!paragraphs || typeof paragraphs !== 'object') {
+                return result;
+            }
+            
+            // {paragraphs: {首句ID: '译文'}} 或 {paragraphs: {首句ID: {zh: '译文'}}}
+            for (var id in paragraphs) {
+                if (!paragraphs.hasOwnProperty(id) || id === 'language') continue;
+                
+                var value = paragraphs[id];
+                if (typeof value === 'string') {
+                    if (!language || language === config.translationLanguage) {
+                        result[id] = value;
+                    }
+                } else if (value && typeof value[config.translationLanguage] === 'string') {
+                    result[id] = value[config.translationLanguage];
+                }
+            }
+            
+            return result;
+        }
+        
+        function renderParagraphTranslations() {
+            if (!elements.container || typeof document === 'undefined') return 0;
+            
+            var paragraphs = elements.container.querySelectorAll(config.paragraphSelector);
+            var attribute = 'data-translation-' + config.translationLanguage;
+            var count = 0;
+            
+            for (var i = 0; i < paragraphs.length; i++) {
+                var paragraph = paragraphs[i];
+                var first = paragraph.querySelector('[data-sentence-id]');
+                var id = first ? first.getAttribute('data-sentence-id') : null;
+                
+                // 内联译文优先，其次按段落首句ID查找译文文件
+                var text = paragraph.getAttribute(attribute) || paragraph.getAttribute('data-translation') || 
+                    (paragraphTranslations && id !== null ? paragraphTranslations[id] : null);
+                if (!text) continue;
+                
+                var element = document.createElement('p');
+                element.className = 'paragraph-translation' + (config.showTranslations ? '' : ' translation-hidden');
+                element.setAttribute('lang', getLanguageTag());
+                element.setAttribute('data-translation-auto', '');
+                element.setAttribute('title', '点击显示/隐藏译文');
+                element.textContent = text;
+                
+                paragraph.parentNode.insertBefore(element, paragraph.nextSibling);
+                count++;
+            }
+            
+            if (eventHub) {
+                eventHub.emit('glossary:translationsRendered', {
+                    chapterId: config.chapterId,
+                    language: config.translationLanguage,
+                    paragraphCount: count
+                });
+            }
+            
+            return count;
+        }
+        
+        function clearParagraphTranslations() {
+            if (!elements.container) return;
+            
+            var rendered = elements.container.querySelectorAll('[data-translation-auto]');
+            for (var i = 0; i < rendered.length; i++) {
+                if (rendered[i].parentNode) {
+                    rendered[i].parentNode.removeChild(rendered[i]);
+                }
+            }
+        }
+        
+        function applyTranslationVisibility() {
+            if (elements.popup) {
+                elements.popup.classList.toggle('glossary-translations-visible', config.showTranslations);
+                
+                var toggle = elements.popup.querySelector('.glossary-translation-toggle');
+                if (toggle) {
+                    toggle.textContent = config.showTranslations ? '隐藏译文' : '显示译文';
+                }
+            }
+            
+            if (elements.container) {
+                var rendered = elements.container.querySelectorAll('[data-translation-auto]');
+                for (var i = 0; i < rendered.length; i++) {
+                    rendered[i].classList.toggle('translation-hidden', !config.showTranslations);
+                }
+            }
+        }
+        
+        function handleTranslationClick(e) {
+            var target = e.target && e.target.closest ? e.target.closest('[data-translation-auto]') : null;
+            if (!target) return;
+            
+            target.classList.toggle('translation-hidden');
+        }
+        
+        // 🎯 原文收听和语音合成
+        
+        function getContextSentenceId(word) {
+            if (!audioSync || typeof audioSync.playSentence !== 'function' || 
+                !currentSource || !currentSource.sentenceId) {
+                return null;
+            }
+            
+            // 出处只属于当前弹窗中的词汇
+            return word === currentWord || word === currentSource.word ? currentSource.sentenceId : null;
+        }
+        
+        function getSpeechSynthesis() {
+            return config.enableSpeech && typeof window !== 'undefined' && window.speechSynthesis && 
+                typeof window.SpeechSynthesisUtterance === 'function' ? window.speechSynthesis : null;
+        }
+        
+        function canSpeak() {
+            return !!getSpeechSynthesis();
+        }
+        
+        function normalizeLang(lang) {
+            var parts = String(lang || '').replace('_', '-').split('-');
+            return parts[0].toLowerCase() + (parts[1] ? '-' + parts[1].toUpperCase() : '');
+        }
+        
+        function getEnglishVoices() {
+            var synth = getSpeechSynthesis();
+            if (!synth) return [];
+            
+            return synth.getVoices().filter(function(voice) {
+                return normalizeLang(voice.lang).indexOf('en') === 0;
+            });
+        }
+        
+        function pickVoice() {
+            var voices = getEnglishVoices();
+            var i;
+            
+            if (config.speechVoice) {
+                for (i = 0; i < voices.length; i++) {
+                    if (voices[i].name === config.speechVoice) return voices[i];
+                }
+            }
+            
+            var accent = normalizeLang(config.speechAccent);
+            var matches = voices.filter(function(voice) {
+                return normalizeLang(voice.lang) === accent;
+            });
+            
+            // 优先本地语音，离线可用且延迟更低
+            for (i = 0; i < matches.length; i++) {
+                if (matches[i].localService) return matches[i];
+            }
+            
+            return matches[0] || null;
+        }
+        
+        function saveSpeechSettings() {
+            try {
+                if (stateManager && !isDestroyed) {
+                    stateManager.setState('glossary.speech', {
+                        accent: config.speechAccent,
+                        voice: config.speechVoice
+                    }, true);
+                }
+            } catch (error) {
+                DEBUG_ERROR('[GlossaryCore] 语音设置保存失败:', error);
+            }
+        }
+        
         function updateWordFrequency(word) {
             if (!frequentWords[word]) {
                 frequentWords[word] = 0;
@@ -1799,6 +3560,39 @@
             frequentWords[word]++;
         }
         
+        function recordLookup(word, source) {
+            var now = Date.now();
+            var entry = lookupHistory[word];
+            
+            if (entry) {
+                entry.count++;
+                entry.lastLookedUp = now;
+                entry.source = source || entry.source;
+            } else {
+                lookupHistory[word] = {
+                    word: word,
+                    count: 1,
+                    firstLookedUp: now,
+                    lastLookedUp: now,
+                    source: source || null
+                };
+                trimLookupHistory();
+            }
+        }
+        
+        function trimLookupHistory() {
+            var words = Object.keys(lookupHistory);
+            if (words.length <= config.maxLookupHistory) return;
+            
+            // 超出上限时移除最久未查的词
+            words.sort(function(a, b) {
+                return lookupHistory[a].lastLookedUp - lookupHistory[b].lastLookedUp;
+            });
+            words.slice(0, words.length - config.maxLookupHistory).forEach(function(word) {
+                delete lookupHistory[word];
+            });
+        }
+        
         function startAutoCloseTimer() {
             clearAutoCloseTimer();
             
@@ -1834,12 +3628,26 @@
                 self.hide();
             }
             
+            if (e.ctrlKey || e.metaKey || e.altKey) return; // 保留打印、新标签页、书签等浏览器快捷键
+            
             // P键播放音频
             if (e.keyCode === 80 && currentWord) {
                 e.preventDefault();
                 self.playAudio(currentWord);
             }
             
+            // I键在原文中收听（H键已用于原文遮罩）
+            if (e.keyCode === 73 && currentWord) {
+                e.preventDefault();
+                self.playInContext(currentWord);
+            }
+            
+            // T键切换译文显示
+            if (e.keyCode === 84) {
+                e.preventDefault();
+                self.setShowTranslations(!config.showTranslations);
+            }
+            
             // B键切换书签
             if (e.keyCode === 66 && currentWord) {
                 e.preventDefault();
@@ -1864,6 +3672,7 @@
                 if (stateManager && !isDestroyed) {
                     stateManager.setState('glossary.currentWord', currentWord);
                     stateManager.setState('glossary.frequentWords', frequentWords);
+                    stateManager.setState('glossary.lookupHistory', lookupHistory, true);
                     stateManager.setState('glossary.statistics', statistics);
                 }
             } catch (error) {
@@ -1875,6 +3684,7 @@
             try {
                 if (stateManager && !isDestroyed) {
                     stateManager.setState('glossary.bookmarkedWords', Array.from(bookmarkedWords), true);
+                    stateManager.setState('glossary.bookmarkSources', bookmarkSources, true);
                 }
             } catch (error) {
                 DEBUG_ERROR('[GlossaryCore] 书签保存失败:', error);
@@ -1890,6 +3700,27 @@
                     bookmarkedWords = new Set(savedBookmarks);
                 }
                 
+                var savedSources = stateManager.getState('glossary.bookmarkSources');
+                if (savedSources && typeof savedSources === 'object') {
+                    bookmarkSources = savedSources;
+                }
+                
+                var savedShowTranslations = stateManager.getState('glossary.showTranslations');
+                if (typeof savedShowTranslations === 'boolean') {
+                    config.showTranslations = savedShowTranslations;
+                }
+                
+                var savedSpeech = stateManager.getState('glossary.speech');
+                if (savedSpeech && typeof savedSpeech === 'object') {
+                    config.speechAccent = savedSpeech.accent || config.speechAccent;
+                    config.speechVoice = savedSpeech.voice || null;
+                }
+                
+                var savedHistory = stateManager.getState('glossary.lookupHistory');
+                if (savedHistory && typeof savedHistory === 'object') {
+                    lookupHistory = savedHistory;
+                }
+                
                 var savedFrequent = stateManager.getState('glossary.frequentWords');
                 if (savedFrequent && typeof savedFrequent === 'object') {
                     frequentWords = savedFrequent;
@@ -1939,6 +3770,348 @@
             }
         }
         
+        // 🎯 短语标注
+        
+        function schedulePhraseTagging() {
+            if (phraseTagTimer) {
+                phraseTagTimer.clear();
+            }
+            
+            // 初始化时数据会连续合并多次，合并完成后再统一扫描
+            phraseTagTimer = createSafeTimeout(function() {
+                phraseTagTimer = null;
+                if (!isDestroyed && elements.container) {
+                    runPhraseTagging(elements.container);
+                }
+            }, 50);
+        }
+        
+        function getPhraseIndex() {
+            if (phraseIndex) return phraseIndex;
+            
+            phraseIndex = { byWord: {}, count: 0 };
+            
+            for (var key in glossaryData) {
+                if (!glossaryData.hasOwnProperty(key) || key.indexOf(' ') === -1) continue;
+                
+                var phrase = compilePhrase(key);
+                if (!phrase) continue;
+                
+                // 以首个单词为索引键
+                var head = phrase.tokens[0].word;
+                (phraseIndex.byWord[head] = phraseIndex.byWord[head] || []).push(phrase);
+                phraseIndex.count++;
+            }
+            
+            return phraseIndex;
+        }
+        
+        function compilePhrase(key) {
+            var parts = key.split(/\s+/);
+            var tokens = [];
+            var literalCount = 0;
+            
+            for (var i = 0; i < parts.length; i++) {
+                var part = parts[i].replace(/^\((.*)\)$/, '$1');
+                if (PHRASE_PLACEHOLDERS.indexOf(part) !== -1) {
+                    tokens.push({ gap: true });
+                } else {
+                    tokens.push({ word: parts[i].replace(/[^a-z'’\-]/g, '') });
+                    literalCount++;
+                }
+            }
+            
+            // 至少两个实词，且以实词开头
+            if (literalCount < 2 || tokens[0].gap) {
+                return null;
+            }
+            
+            return { key: key, tokens: tokens };
+        }
+        
+        function runPhraseTagging(root) {
+            if (!root) return null;
+            
+            clearPhraseTags(root);
+            
+            var index = getPhraseIndex();
+            var stats = {
+                phraseCount: index.count,
+                matchedPhrases: 0,
+                occurrences: 0,
+                wrapped: 0,
+                skipped: 0,
+                manual: 0,
+                coverage: 0,
+                phrases: {},
+                missing: []
+            };
+            
+            // 统计人工标注的短语
+            var manualTerms = root.querySelectorAll('.glossary-term[data-word]');
+            for (var m = 0; m < manualTerms.length; m++) {
+                var manualKey = manualTerms[m].getAttribute('data-word').toLowerCase().trim();
+                if (manualKey.indexOf(' ') !== -1 && glossaryData[manualKey]) {
+                    getPhraseStat(stats, manualKey).manual++;
+                    stats.manual++;
+                }
+            }
+            
+            if (index.count > 0) {
+                var scopes = root.matches && root.matches(config.phraseTagSelector) ? 
+                    [root] : root.querySelectorAll(config.phraseTagSelector);
+                
+                for (var i = 0; i < scopes.length; i++) {
+                    tagPhrasesInScope(scopes[i], index, stats);
+                }
+            }
+            
+            for (var key in glossaryData) {
+                if (glossaryData.hasOwnProperty(key) && key.indexOf(' ') !== -1 && compilePhrase(key)) {
+                    if (stats.phrases[key]) {
+                        stats.matchedPhrases++;
+                    } else {
+                        stats.missing.push(key);
+                    }
+                }
+            }
+            
+            stats.coverage = stats.phraseCount > 0 ? stats.matchedPhrases / stats.phraseCount : 0;
+            phraseStats = stats;
+            
+            DEBUG_LOG('[GlossaryCore] 短语标注完成:', stats.matchedPhrases + '/' + stats.phraseCount, 
+                '自动标注', stats.wrapped, '未标注短语', stats.missing);
+            
+            if (eventHub) {
+                eventHub.emit('glossary:phrasesTagged', stats);
+            }
+            
+            return stats;
+        }
+        
+        function getPhraseStat(stats, key) {
+            if (!stats.phrases[key]) {
+                stats.phrases[key] = { occurrences: 0, wrapped: 0, manual: 0 };
+            }
+            return stats.phrases[key];
+        }
+        
+        function tagPhrasesInScope(scope, index, stats) {
+            var segments = [];
+            var text = '';
+            var walker = document.createTreeWalker(scope, NodeFilter.SHOW_TEXT, null, false);
+            
+            while (walker.nextNode()) {
+                var node = walker.currentNode;
+                
+                // 已人工标注的短语不再重复扫描
+                if (isInsideManualPhrase(node, scope)) continue;
+                
+                segments.push({ node: node, start: text.length });
+                text += node.nodeValue;
+            }
+            
+            var tokens = tokenizeForPhrases(text);
+            var matches = [];
+            var i = 0;
+            
+            while (i < tokens.length) {
+                var best = findPhraseAt(tokens, i, index);
+                if (best) {
+                    matches.push(best);
+                    i = best.end + 1;
+                } else {
+                    i++;
+                }
+            }
+            
+            // 倒序包裹，避免前面的偏移失效
+            for (var j = matches.length - 1; j >= 0; j--) {
+                var match = matches[j];
+                var stat = getPhraseStat(stats, match.phrase.key);
+                stat.occurrences++;
+                stats.occurrences++;
+                
+                var start = locateOffset(segments, tokens[match.start].start, false);
+                var end = locateOffset(segments, tokens[match.end].end, true);
+                
+                if (start && end && wrapPhraseRange(start, end, match.phrase.key)) {
+                    stat.wrapped++;
+                    stats.wrapped++;
+                } else {
+                    stats.skipped++;
+                }
+            }
+        }
+        
+        function isInsideManualPhrase(node, scope) {
+            var element = node.parentElement;
+            
+            while (element && element !== scope.parentElement) {
+                if (element.classList.contains('glossary-term')) {
+                    var word = element.getAttribute('data-word') || '';
+                    if (word.indexOf(' ') !== -1) return true;
+                }
+                element = element.parentElement;
+            }
+            
+            return false;
+        }
+        
+        function tokenizeForPhrases(text) {
+            var tokens = [];
+            var pattern = /[A-Za-z]+(?:['’][A-Za-z]+)*/g;
+            var match;
+            var lastEnd = 0;
+            
+            while ((match = pattern.exec(text)) !== null) {
+                var lower = match[0].toLowerCase();
+                var forms = {};
+                forms[lower] = true;
+                
+                var candidates = getLemmaCandidates(lower);
+                for (var i = 0; i < candidates.length; i++) {
+                    forms[candidates[i].lemma] = true;
+                }
+                
+                tokens.push({
+                    start: match.index,
+                    end: match.index + match[0].length,
+                    forms: forms,
+                    // 句读隔开的单词不能组成同一短语
+                    boundaryBefore: /[.,;:!?()\[\]"“”–—]/.test(text.slice(lastEnd, match.index))
+                });
+                lastEnd = match.index + match[0].length;
+            }
+            
+            return tokens;
+        }
+        
+        function findPhraseAt(tokens, start, index) {
+            var best = null;
+            var seen = {};
+            
+            for (var form in tokens[start].forms) {
+                var phrases = index.byWord[form];
+                if (!phrases) continue;
+                
+                for (var i = 0; i < phrases.length; i++) {
+                    var phrase = phrases[i];
+                    if (seen[phrase.key]) continue;
+                    seen[phrase.key] = true;
+                    
+                    // 取最长的匹配
+                    var end = matchPhraseTokens(phrase.tokens, 0, tokens, start);
+                    if (end !== -1 && (!best || end > best.end)) {
+                        best = { phrase: phrase, start: start, end: end };
+                    }
+                }
+            }
+            
+            return best;
+        }
+        
+        function matchPhraseTokens(phraseTokens, pi, tokens, ti) {
+            if (pi === phraseTokens.length) {
+                return ti - 1;
+            }
+            
+            var token = phraseTokens[pi];
+            
+            if (token.gap) {
+                // 占位成分匹配 1 到 phraseMaxGap 个单词
+                for (var n = 1; n <= config.phraseMaxGap; n++) {
+                    var last = ti + n - 1;
+                    if (last >= tokens.length || tokens[last].boundaryBefore) break;
+                    
+                    var end = matchPhraseTokens(phraseTokens, pi + 1, tokens, ti + n);
+                    if (end !== -1) return end;
+                }
+                return -1;
+            }
+            
+            if (ti >= tokens.length) return -1;
+            if (pi > 0 && tokens[ti].boundaryBefore) return -1;
+            if (!tokens[ti].forms[token.word]) return -1;
+            
+            return matchPhraseTokens(phraseTokens, pi + 1, tokens, ti + 1);
+        }
+        
+        function locateOffset(segments, offset, isEnd) {
+            for (var i = 0; i < segments.length; i++) {
+                var segment = segments[i];
+                var length = segment.node.nodeValue.length;
+                
+                if (offset > segment.start + length) continue;
+                if (!isEnd && offset === segment.start + length) continue;
+                
+                return { node: segment.node, offset: offset - segment.start };
+            }
+            return null;
+        }
+        
+        function wrapPhraseRange(start, end, key) {
+            try {
+                var range = document.createRange();
+                range.setStart(start.node, start.offset);
+                range.setEnd(end.node, end.offset);
+                
+                var common = range.commonAncestorContainer;
+                
+                if (common.nodeType !== 3) {
+                    // 跨节点时只能整体包裹边界所在的兄弟节点（如逐词高亮生成的单词元素）
+                    var startTop = getChildOf(common, start.node);
+                    var endTop = getChildOf(common, end.node);
+                    
+                    // 边界外只剩标点时一并包裹（"twist," 拆成的单词元素）
+                    if (startTop !== start.node) {
+                        if (/[A-Za-z0-9]/.test(start.node.nodeValue.slice(0, start.offset))) return false;
+                        range.setStartBefore(startTop);
+                    }
+                    if (endTop !== end.node) {
+                        if (/[A-Za-z0-9]/.test(end.node.nodeValue.slice(end.offset))) return false;
+                        range.setEndAfter(endTop);
+                    }
+                }
+                
+                var span = document.createElement('span');
+                span.className = 'glossary-term glossary-phrase';
+                span.setAttribute('data-word', key);
+                span.setAttribute('data-context', 'default');
+                span.setAttribute('data-phrase-auto', 'true');
+                range.surroundContents(span);
+                
+                return true;
+            } catch (error) {
+                DEBUG_WARN('[GlossaryCore] 短语包裹失败:', key, error.message);
+                return false;
+            }
+        }
+        
+        function getChildOf(ancestor, node) {
+            while (node && node.parentNode !== ancestor) {
+                node = node.parentNode;
+            }
+            return node;
+        }
+        
+        function clearPhraseTags(root) {
+            if (!root || !root.querySelectorAll) return;
+            
+            var tagged = root.querySelectorAll('[data-phrase-auto]');
+            for (var i = 0; i < tagged.length; i++) {
+                var span = tagged[i];
+                var parent = span.parentNode;
+                if (!parent) continue;
+                
+                while (span.firstChild) {
+                    parent.insertBefore(span.firstChild, span);
+                }
+                parent.removeChild(span);
+                parent.normalize();
+            }
+        }
+        
         function handleError(context, error) {
             var errorInfo = {
                 context: 'GlossaryCore:' + context,
@@ -0,0 +1,967 @@
+// js/modules/review-core.js - iOS兼容版词汇复习核心
+// 🚀 基于词汇书签的间隔重复复习（SM-2），确保iOS Safari 12+兼容性
+
+(function(global) {
+    'use strict';
+
+    // 🔧 环境检测和生产环境优化
+    var IS_PRODUCTION = typeof window !== 'undefined' &&
+        (window.location.hostname !== 'localhost' &&
+         window.location.hostname !== '127.0.0.1' &&
+         window.location.hostname !== '' &&
+         !window.location.hostname.startsWith('192.168.') &&
+         !window.location.hostname.startsWith('10.') &&
+         !window.location.hostname.startsWith('172.'));
+
+    var DEBUG_LOG = IS_PRODUCTION ? function(){} : console.log;
+    var DEBUG_WARN = IS_PRODUCTION ? function(){} : console.warn;
+    var DEBUG_ERROR = IS_PRODUCTION ? function(){} : console.error;
+
+    // 🔧 安全工具函数
+    function escapeHTML(str) {
+        return String(str === null || str === undefined ? '' : str)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    function escapeRegExp(str) {
+        return String(str).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    // 🎯 SM-2 调度
+
+    var DAY = 24 * 60 * 60 * 1000;
+
+    // 评分对应 SM-2 的回忆质量（0-5）
+    var GRADES = {
+        again: { quality: 1, label: '重来', key: '1' },
+        hard: { quality: 3, label: '困难', key: '2' },
+        good: { quality: 4, label: '良好', key: '3' },
+        easy: { quality: 5, label: '简单', key: '4' }
+    };
+
+    var GRADE_ORDER = ['again', 'hard', 'good', 'easy'];
+
+    /**
+     * 计算一次评分后的卡片调度（不修改原卡片）
+     * @param {Object} card - 卡片 {ease, interval, repetitions}
+     * @param {string} grade - again | hard | good | easy
+     * @param {number} now - 当前时间戳
+     * @param {Object} settings - 调度参数
+     * @returns {Object} {ease, interval, repetitions, due}
+     */
+    function scheduleCard(card, grade, now, settings) {
+        var quality = GRADES[grade].quality;
+        var penalty = 5 - quality;
+        var ease = card.ease + (0.1 - penalty * (0.08 + penalty * 0.02));
+        ease = Math.max(settings.minEase, Math.round(ease * 100) / 100);
+
+        // 回忆失败：重新学习，短时间后再次出现
+        if (quality < 3) {
+            return {
+                ease: ease,
+                interval: 0,
+                repetitions: 0,
+                due: now + settings.relearnDelay
+            };
+        }
+
+        var repetitions = card.repetitions + 1;
+        var interval;
+
+        if (repetitions === 1) {
+            interval = 1;
+        } else if (repetitions === 2) {
+            interval = 6;
+        } else {
+            interval = Math.round(card.interval * ease);
+        }
+
+        if (grade === 'hard') {
+            interval = Math.max(1, Math.round(interval * settings.hardFactor));
+        } else if (grade === 'easy') {
+            interval = Math.round(interval * settings.easyBonus) + 1;
+        }
+
+        interval = Math.max(1, Math.min(settings.maxInterval, interval));
+
+        return {
+            ease: ease,
+            interval: interval,
+            repetitions: repetitions,
+            due: now + interval * DAY
+        };
+    }
+
+    function getFirstExample(data) {
+        var example = data && data.examples && data.examples[0];
+        if (!example) return null;
+        return typeof example === 'string' ? example : (example.text || null);
+    }
+
+    function formatInterval(ms) {
+        var minutes = Math.round(ms / 60000);
+        if (minutes < 60) return Math.max(1, minutes) + '分钟';
+
+        var days = Math.round(ms / DAY);
+        if (days < 1) return Math.round(ms / 3600000) + '小时';
+        if (days < 30) return days + '天';
+        if (days < 365) return Math.round(days / 30) + '个月';
+        return Math.round(days / 365 * 10) / 10 + '年';
+    }
+
+    /**
+     * 🎯 ReviewCore - 词汇复习核心
+     * 功能：书签转卡片、SM-2 间隔调度、到期队列、复习会话界面、逐卡历史
+     * 兼容：iOS Safari 12+, Android Chrome 80+
+     */
+    function ReviewCore(glossary, options) {
+        options = options || {};
+
+        // 配置参数
+        var config = {
+            panelContainer: options.panelContainer || null,
+            contentArea: options.contentArea || 'content-area',
+            stateKey: options.stateKey || 'review',
+            newPerSession: Math.max(0, Math.min(200, typeof options.newPerSession === 'number' ? options.newPerSession : 20)),
+            maxPerSession: Math.max(1, Math.min(500, options.maxPerSession || 100)),
+            maxHistory: Math.max(5, Math.min(500, options.maxHistory || 50)),
+            autoSync: options.autoSync !== false,
+            enableKeyboard: options.enableKeyboard !== false,
+            schedule: {
+                startEase: options.startEase || 2.5,
+                minEase: options.minEase || 1.3,
+                hardFactor: options.hardFactor || 0.8,
+                easyBonus: options.easyBonus || 1.3,
+                maxInterval: options.maxInterval || 365, // 天
+                relearnDelay: typeof options.relearnDelay === 'number' ? options.relearnDelay : 10 * 60 * 1000
+            }
+        };
+
+        // 私有变量
+        var cards = {};
+        var session = null;
+
+        // 🔧 清理和销毁相关
+        var isDestroyed = false;
+        var boundEventHandlers = {};
+        var eventSubscriptions = [];
+
+        // 依赖注入
+        var stateManager = null;
+        var eventHub = null;
+        var errorBoundary = null;
+
+        var self = this;
+
+        // DOM元素引用
+        var elements = {
+            panel: null,
+            progress: null,
+            card: null,
+            actions: null
+        };
+
+        // 🎯 初始化
+        function initialize() {
+            try {
+                // 注入依赖
+                injectDependencies();
+
+                if (!glossary || typeof glossary.getBookmarks !== 'function') {
+                    throw new Error('GlossaryCore instance is required');
+                }
+
+                loadCards();
+
+                if (config.autoSync) {
+                    self.sync();
+
+                    if (eventHub) {
+                        eventSubscriptions.push(eventHub.on('glossary:bookmarkChanged', handleBookmarkChanged));
+                    }
+                }
+
+                DEBUG_LOG('[ReviewCore] 初始化成功');
+
+                if (eventHub) {
+                    eventHub.emit('review:initialized', {
+                        cardCount: Object.keys(cards).length,
+                        config: config
+                    });
+                }
+            } catch (error) {
+                handleError('initialize', error);
+            }
+        }
+
+        // 🔑 公开API
+
+        /**
+         * 根据词汇书签同步卡片：新增书签建卡，取消书签的卡片暂停
+         * @returns {Object} {added, suspended, restored}
+         */
+        this.sync = function() {
+            if (isDestroyed) return null;
+
+            try {
+                var result = { added: 0, suspended: 0, restored: 0 };
+                var bookmarks = glossary.getBookmarks();
+                var bookmarked = {};
+
+                bookmarks.forEach(function(bookmark) {
+                    bookmarked[bookmark.word] = true;
+                    var change = upsertCard(bookmark.word, bookmark.source);
+                    if (change) result[change]++;
+                });
+
+                Object.keys(cards).forEach(function(word) {
+                    if (!bookmarked[word] && !cards[word].suspended) {
+                        cards[word].suspended = true;
+                        result.suspended++;
+                    }
+                });
+
+                saveCards();
+
+                if (eventHub) {
+                    eventHub.emit('review:synced', result);
+                }
+
+                return result;
+            } catch (error) {
+                handleError('sync', error);
+                return null;
+            }
+        };
+
+        /**
+         * 获取全部卡片
+         * @param {boolean} includeSuspended - 是否包含已暂停的卡片
+         */
+        this.getCards = function(includeSuspended) {
+            return Object.keys(cards).map(function(word) {
+                return cards[word];
+            }).filter(function(card) {
+                return includeSuspended || !card.suspended;
+            });
+        };
+
+        /**
+         * 获取单张卡片
+         * @param {string} word - 词汇
+         */
+        this.getCard = function(word) {
+            return cards[word] || null;
+        };
+
+        /**
+         * 获取到期卡片（按到期时间排序，新卡数量受 newPerSession 限制）
+         * @param {number} limit - 最大数量
+         */
+        this.getDueCards = function(limit) {
+            return buildQueue(Date.now(), limit || config.maxPerSession, config.newPerSession).map(function(word) {
+                return cards[word];
+            });
+        };
+
+        /**
+         * 获取复习统计
+         */
+        this.getStats = function() {
+            var now = Date.now();
+            var stats = { total: 0, new: 0, learning: 0, review: 0, due: 0, suspended: 0, reviews: 0 };
+
+            Object.keys(cards).forEach(function(word) {
+                var card = cards[word];
+                if (card.suspended) {
+                    stats.suspended++;
+                    return;
+                }
+
+                stats.total++;
+                stats.reviews += card.history.length;
+
+                if (!card.history.length) {
+                    stats.new++;
+                } else if (card.repetitions === 0) {
+                    stats.learning++;
+                } else {
+                    stats.review++;
+                }
+
+                if (card.history.length && card.due <= now) {
+                    stats.due++;
+                }
+            });
+
+            return stats;
+        };
+
+        /**
+         * 开始复习会话
+         * @param {Object} sessionOptions - {limit, newLimit}
+         * @returns {number} 本次待复习卡片数
+         */
+        this.startSession = function(sessionOptions) {
+            if (isDestroyed) return 0;
+
+            try {
+                sessionOptions = sessionOptions || {};
+
+                if (session) {
+                    this.stopSession();
+                }
+
+                var queue = buildQueue(
+                    Date.now(),
+                    sessionOptions.limit || config.maxPerSession,
+                    typeof sessionOptions.newLimit === 'number' ? sessionOptions.newLimit : config.newPerSession
+                );
+
+                if (!queue.length) {
+                    if (eventHub) {
+                        eventHub.emit('review:sessionEmpty', this.getStats());
+                    }
+                    return 0;
+                }
+
+                session = {
+                    queue: queue,
+                    index: 0,
+                    revealed: false,
+                    total: queue.length,
+                    reviewed: 0,
+                    grades: { again: 0, hard: 0, good: 0, easy: 0 },
+                    startedAt: Date.now()
+                };
+
+                createPanel();
+                renderCard();
+
+                if (eventHub) {
+                    eventHub.emit('review:sessionStarted', {
+                        cardCount: queue.length
+                    });
+                }
+
+                return queue.length;
+            } catch (error) {
+                handleError('startSession', error);
+                return 0;
+            }
+        };
+
+        /**
+         * 结束复习会话
+         */
+        this.stopSession = function() {
+            if (isDestroyed || !session) return false;
+
+            try {
+                var summary = getSessionSummary();
+                session = null;
+                removePanel();
+
+                if (eventHub) {
+                    eventHub.emit('review:sessionStopped', summary);
+                }
+
+                return true;
+            } catch (error) {
+                handleError('stopSession', error);
+                return false;
+            }
+        };
+
+        /**
+         * 翻面显示答案
+         */
+        this.reveal = function() {
+            if (isDestroyed || !session || session.revealed) return false;
+
+            session.revealed = true;
+            renderCard();
+            return true;
+        };
+
+        /**
+         * 为当前卡片评分
+         * @param {string|number} grade - again | hard | good | easy，或 1-4
+         * @returns {Object|null} 更新后的卡片
+         */
+        this.grade = function(grade) {
+            if (isDestroyed || !session) return null;
+
+            try {
+                if (typeof grade === 'number') {
+                    grade = GRADE_ORDER[grade - 1];
+                }
+                if (!GRADES[grade]) {
+                    throw new Error('Invalid grade: ' + grade);
+                }
+
+                var word = session.queue[session.index];
+                var card = cards[word];
+                if (!card) return null;
+
+                var now = Date.now();
+                var next = scheduleCard(card, grade, now, config.schedule);
+
+                card.history = card.history.concat([{
+                    grade: grade,
+                    reviewedAt: now,
+                    interval: next.interval,
+                    ease: next.ease,
+                    previousInterval: card.interval
+                }]).slice(-config.maxHistory);
+
+                if (grade === 'again' && card.history.length > 1) {
+                    card.lapses++;
+                }
+
+                card.ease = next.ease;
+                card.interval = next.interval;
+                card.repetitions = next.repetitions;
+                card.due = next.due;
+                card.lastReviewed = now;
+
+                saveCards();
+
+                session.reviewed++;
+                session.grades[grade]++;
+
+                // 答错的卡片放回队尾，本次会话内再练一遍
+                if (grade === 'again') {
+                    session.queue.push(word);
+                }
+
+                if (eventHub) {
+                    eventHub.emit('review:graded', {
+                        word: word,
+                        grade: grade,
+                        card: card
+                    });
+                }
+
+                advance();
+                return card;
+            } catch (error) {
+                handleError('grade', error);
+                return null;
+            }
+        };
+
+        /**
+         * 获取卡片复习历史
+         * @param {string} word - 词汇
+         */
+        this.getHistory = function(word) {
+            return cards[word] ? cards[word].history.slice() : [];
+        };
+
+        /**
+         * 重置卡片进度（保留出处）
+         * @param {string} word - 词汇
+         */
+        this.resetCard = function(word) {
+            if (isDestroyed || !cards[word]) return false;
+
+            var card = cards[word];
+            card.ease = config.schedule.startEase;
+            card.interval = 0;
+            card.repetitions = 0;
+            card.lapses = 0;
+            card.due = Date.now();
+            card.history = [];
+            card.lastReviewed = null;
+            saveCards();
+            return true;
+        };
+
+        /**
+         * 删除卡片
+         * @param {string} word - 词汇
+         */
+        this.removeCard = function(word) {
+            if (isDestroyed || !cards[word]) return false;
+
+            delete cards[word];
+            saveCards();
+            return true;
+        };
+
+        /**
+         * 获取当前状态
+         */
+        this.getState = function() {
+            return {
+                inSession: !!session,
+                currentWord: session ? session.queue[session.index] : null,
+                revealed: session ? session.revealed : false,
+                remaining: session ? session.queue.length - session.index : 0,
+                stats: this.getStats(),
+                isDestroyed: isDestroyed
+            };
+        };
+
+        /**
+         * 销毁实例
+         */
+        this.destroy = function() {
+            if (isDestroyed) return true;
+
+            try {
+                if (session) {
+                    this.stopSession();
+                }
+                removePanel();
+
+                eventSubscriptions.forEach(function(unsubscribe) {
+                    if (typeof unsubscribe === 'function') unsubscribe();
+                });
+                eventSubscriptions = [];
+
+                isDestroyed = true;
+
+                if (eventHub) {
+                    eventHub.emit('review:destroyed');
+                }
+
+                DEBUG_LOG('[ReviewCore] 实例已销毁');
+                return true;
+            } catch (error) {
+                handleError('destroy', error);
+                return false;
+            }
+        };
+
+        // 🔧 内部方法
+
+        function injectDependencies() {
+            // 尝试获取全局依赖
+            if (typeof global.EnglishSite !== 'undefined') {
+                stateManager = global.EnglishSite.StateManager ?
+                    new global.EnglishSite.StateManager() : null;
+                eventHub = global.EnglishSite.EventHub ?
+                    new global.EnglishSite.EventHub() : null;
+                errorBoundary = global.EnglishSite.ErrorBoundary ?
+                    new global.EnglishSite.ErrorBoundary() : null;
+            }
+
+            // 如果用户传入了依赖，则使用用户提供的
+            if (options.stateManager) stateManager = options.stateManager;
+            if (options.eventHub) eventHub = options.eventHub;
+            if (options.errorBoundary) errorBoundary = options.errorBoundary;
+        }
+
+        // 🎯 卡片
+
+        function loadCards() {
+            var saved = stateManager && stateManager.getState(config.stateKey + '.cards');
+            cards = saved && typeof saved === 'object' ? saved : {};
+        }
+
+        function saveCards() {
+            if (!stateManager) return;
+
+            stateManager.setState(config.stateKey + '.cards', cards);
+        }
+
+        function upsertCard(word, source) {
+            var card = cards[word];
+
+            if (card) {
+                if (source && source.sentence && !card.source.sentence) {
+                    card.source = source;
+                }
+                if (card.suspended) {
+                    card.suspended = false;
+                    return 'restored';
+                }
+                return null;
+            }
+
+            var data = glossary.getWordData(word, source && source.context) || {};
+            var now = Date.now();
+
+            cards[word] = {
+                word: word,
+                context: (source && source.context) || data.context || null,
+                source: source || {},
+                // 词汇数据快照：章节词汇被释放后仍可复习
+                snapshot: {
+                    word: data.word || word,
+                    partOfSpeech: data.partOfSpeech || null,
+                    definition: (data.definitions || [])[0] || null,
+                    contextualMeaning: data.contextualMeaning || null,
+                    example: getFirstExample(data)
+                },
+                ease: config.schedule.startEase,
+                interval: 0,
+                repetitions: 0,
+                lapses: 0,
+                due: now,
+                createdAt: now,
+                lastReviewed: null,
+                suspended: false,
+                history: []
+            };
+
+            return 'added';
+        }
+
+        function buildQueue(now, limit, newLimit) {
+            var due = [];
+            var fresh = [];
+
+            Object.keys(cards).forEach(function(word) {
+                var card = cards[word];
+                if (card.suspended || card.due > now) return;
+
+                if (card.history.length) {
+                    due.push(card);
+                } else {
+                    fresh.push(card);
+                }
+            });
+
+            due.sort(function(a, b) {
+                return a.due - b.due;
+            });
+            fresh.sort(function(a, b) {
+                return a.createdAt - b.createdAt;
+            });
+
+            return due.concat(fresh.slice(0, newLimit)).slice(0, limit).map(function(card) {
+                return card.word;
+            });
+        }
+
+        function getCardContent(card) {
+            var data = glossary.getWordData(card.word, card.context);
+            var snapshot = card.snapshot || {};
+            var source = card.source || {};
+
+            if (!data) {
+                return {
+                    word: snapshot.word || card.word,
+                    partOfSpeech: snapshot.partOfSpeech,
+                    definition: snapshot.definition,
+                    contextualMeaning: snapshot.contextualMeaning,
+                    example: snapshot.example,
+                    sentence: source.sentence || findSentenceInPage(card.word),
+                    chapterId: source.chapterId || null
+                };
+            }
+
+            return {
+                word: data.word || card.word,
+                partOfSpeech: data.partOfSpeech,
+                definition: (data.definitions || [])[0] || snapshot.definition,
+                contextualMeaning: data.contextualMeaning,
+                example: getFirstExample(data) || snapshot.example,
+                sentence: source.sentence || findSentenceInPage(card.word),
+                chapterId: source.chapterId || null
+            };
+        }
+
+        function findSentenceInPage(word) {
+            if (typeof document === 'undefined') return null;
+
+            var contentArea = typeof config.contentArea === 'string' ?
+                document.getElementById(config.contentArea) : config.contentArea;
+            if (!contentArea) return null;
+
+            var term = contentArea.querySelector('[data-word="' + String(word).replace(/"/g, '\\"') + '"]');
+            var sentence = term && term.closest ? term.closest('[data-sentence-id]') : null;
+
+            return sentence ? sentence.textContent.replace(/\s+/g, ' ').trim() : null;
+        }
+
+        function handleBookmarkChanged(data) {
+            if (isDestroyed || !data || !data.word) return;
+
+            if (data.bookmarked) {
+                upsertCard(data.word, data.source);
+            } else if (cards[data.word]) {
+                cards[data.word].suspended = true;
+            }
+
+            saveCards();
+        }
+
+        // 🎯 会话界面
+
+        function advance() {
+            session.index++;
+            session.revealed = false;
+
+            if (session.index >= session.queue.length) {
+                var summary = getSessionSummary();
+                renderSummary(summary);
+
+                if (eventHub) {
+                    eventHub.emit('review:sessionCompleted', summary);
+                }
+
+                session = null;
+                return;
+            }
+
+            renderCard();
+        }
+
+        function getSessionSummary() {
+            if (!session) return null;
+
+            return {
+                total: session.total,
+                reviewed: session.reviewed,
+                grades: Object.assign({}, session.grades),
+                duration: Date.now() - session.startedAt
+            };
+        }
+
+        function createPanel() {
+            if (elements.panel) return;
+
+            var parent = config.panelContainer ?
+                (typeof config.panelContainer === 'string' ?
+                    document.getElementById(config.panelContainer) : config.panelContainer) :
+                document.body;
+
+            var panel = document.createElement('div');
+            panel.className = 'review-panel';
+            panel.setAttribute('role', 'dialog');
+            panel.setAttribute('aria-label', '词汇复习');
+            panel.innerHTML = [
+                '<div class="review-header">',
+                '  <span class="review-progress"></span>',
+                '  <button type="button" class="review-close" data-action="close" aria-label="结束复习">×</button>',
+                '</div>',
+                '<div class="review-card" aria-live="polite"></div>',
+                '<div class="review-actions"></div>'
+            ].join('');
+
+            parent.appendChild(panel);
+
+            elements.panel = panel;
+            elements.progress = panel.querySelector('.review-progress');
+            elements.card = panel.querySelector('.review-card');
+            elements.actions = panel.querySelector('.review-actions');
+
+            boundEventHandlers.click = handlePanelClick;
+            panel.addEventListener('click', boundEventHandlers.click);
+
+            if (config.enableKeyboard) {
+                // 捕获阶段监听，先于音频等模块的快捷键处理（空格播放等）
+                boundEventHandlers.keydown = handleKeyDown;
+                document.addEventListener('keydown', boundEventHandlers.keydown, true);
+            }
+        }
+
+        function removePanel() {
+            if (!elements.panel) return;
+
+            elements.panel.removeEventListener('click', boundEventHandlers.click);
+            if (boundEventHandlers.keydown) {
+                document.removeEventListener('keydown', boundEventHandlers.keydown, true);
+            }
+
+            if (elements.panel.parentNode) {
+                elements.panel.parentNode.removeChild(elements.panel);
+            }
+
+            elements.panel = null;
+            elements.progress = null;
+            elements.card = null;
+            elements.actions = null;
+            boundEventHandlers = {};
+        }
+
+        function renderCard() {
+            if (!elements.panel || !session) return;
+
+            var word = session.queue[session.index];
+            var card = cards[word];
+            var content = getCardContent(card);
+
+            elements.progress.textContent = (session.index + 1) + ' / ' + session.queue.length;
+
+            var html = [
+                '<div class="review-front">',
+                '<div class="review-word">' + escapeHTML(content.word) + '</div>',
+                content.sentence ?
+                    '<p class="review-sentence">' + highlightWord(content.sentence, card.word) + '</p>' : '',
+                '</div>'
+            ];
+
+            if (session.revealed) {
+                html.push(
+                    '<div class="review-back">',
+                    content.partOfSpeech ? '<span class="review-pos">' + escapeHTML(content.partOfSpeech) + '</span>' : '',
+                    content.definition ? '<p class="review-definition">' + escapeHTML(content.definition) + '</p>' : '',
+                    content.contextualMeaning ?
+                        '<p class="review-contextual">' + escapeHTML(content.contextualMeaning) + '</p>' : '',
+                    content.example ? '<p class="review-example">' + escapeHTML(content.example) + '</p>' : '',
+                    content.chapterId ? '<p class="review-source">出处：' + escapeHTML(content.chapterId) + '</p>' : '',
+                    '</div>'
+                );
+            }
+
+            elements.card.innerHTML = html.join('');
+
+            if (!session.revealed) {
+                elements.actions.innerHTML =
+                    '<button type="button" class="review-reveal" data-action="reveal">显示答案</button>';
+            } else {
+                var now = Date.now();
+                elements.actions.innerHTML = GRADE_ORDER.map(function(grade) {
+                    var next = scheduleCard(card, grade, now, config.schedule);
+                    return '<button type="button" class="review-grade review-grade-' + grade + '" data-action="grade" data-grade="' + grade + '">' +
+                        '<span class="review-grade-label">' + GRADES[grade].label + '</span>' +
+                        '<span class="review-grade-interval">' + formatInterval(next.due - now) + '</span>' +
+                        '</button>';
+                }).join('');
+            }
+
+            if (eventHub) {
+                eventHub.emit('review:cardShown', {
+                    word: word,
+                    revealed: session.revealed
+                });
+            }
+        }
+
+        function renderSummary(summary) {
+            if (!elements.panel) return;
+
+            elements.progress.textContent = '复习完成';
+            elements.card.innerHTML = [
+                '<div class="review-summary">',
+                '<p>本次复习 ' + summary.reviewed + ' 次</p>',
+                '<p>' + GRADE_ORDER.map(function(grade) {
+                    return GRADES[grade].label + ' ' + summary.grades[grade];
+                }).join('　') + '</p>',
+                '</div>'
+            ].join('');
+            elements.actions.innerHTML = '<button type="button" data-action="close">关闭</button>';
+        }
+
+        function highlightWord(sentence, word) {
+            var escaped = escapeHTML(sentence);
+            var pattern = new RegExp('\\b(' + escapeRegExp(escapeHTML(word)) + '[a-z]*)', 'gi');
+            return escaped.replace(pattern, '<mark>$1</mark>');
+        }
+
+        function handlePanelClick(e) {
+            var target = e.target.closest ? e.target.closest('[data-action]') : e.target;
+            if (!target || !target.getAttribute) return;
+
+            switch (target.getAttribute('data-action')) {
+                case 'close':
+                    if (session) {
+                        self.stopSession();
+                    } else {
+                        removePanel();
+                    }
+                    break;
+                case 'reveal':
+                    self.reveal();
+                    break;
+                case 'grade':
+                    self.grade(target.getAttribute('data-grade'));
+                    break;
+            }
+        }
+
+        function handleKeyDown(e) {
+            if (!session) return;
+
+            var tagName = e.target && e.target.tagName;
+            if (tagName === 'INPUT' || tagName === 'TEXTAREA') return;
+            if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+            // Esc：结束复习
+            if (e.key === 'Escape' || e.keyCode === 27) {
+                consumeKey(e);
+                self.stopSession();
+                return;
+            }
+
+            // 空格/回车：翻面
+            if (!session.revealed) {
+                if (e.key === ' ' || e.key === 'Enter' || e.keyCode === 32 || e.keyCode === 13) {
+                    consumeKey(e);
+                    self.reveal();
+                }
+                return;
+            }
+
+            // 1-4：评分
+            for (var i = 0; i < GRADE_ORDER.length; i++) {
+                if (e.key === GRADES[GRADE_ORDER[i]].key) {
+                    consumeKey(e);
+                    self.grade(GRADE_ORDER[i]);
+                    return;
+                }
+            }
+        }
+
+        // 复习时按键只交给复习面板，不再触发其他模块的快捷键
+        function consumeKey(e) {
+            e.preventDefault();
+            e.stopPropagation();
+        }
+
+        function handleError(context, error) {
+            var errorInfo = {
+                context: 'ReviewCore:' + context,
+                message: error.message || String(error),
+                timestamp: Date.now(),
+                inSession: !!session
+            };
+
+            DEBUG_ERROR('[ReviewCore:' + context + ']', error);
+
+            // 使用错误边界处理
+            if (errorBoundary) {
+                errorBoundary.handle(error, errorInfo);
+            }
+
+            // 触发错误事件
+            if (eventHub) {
+                eventHub.emit('review:error', errorInfo);
+            }
+        }
+
+        // 立即初始化
+        initialize();
+    }
+
+    // 🔧 静态方法
+    ReviewCore.schedule = scheduleCard;
+
+    // 🔗 导出
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ReviewCore;
+    } else if (typeof global !== 'undefined') {
+        global.ReviewCore = ReviewCore;
+
+        // 添加到EnglishSite命名空间
+        if (typeof global.EnglishSite === 'undefined') {
+            global.EnglishSite = {};
+        }
+
+        if (!global.EnglishSite.ReviewCore) {
+            global.EnglishSite.ReviewCore = ReviewCore;
+        } else {
+            DEBUG_WARN('[ReviewCore] EnglishSite.ReviewCore 已存在，跳过覆盖');
+        }
+    }
+
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,546 @@
+// js/modules/transcript-mask-core.js - iOS兼容版原文遮罩核心
+// 🚀 听力练习用的渐进式原文显示，确保iOS Safari 12+兼容性
+
+(function(global) {
+    'use strict';
+
+    // 🔧 环境检测和生产环境优化
+    var IS_PRODUCTION = typeof window !== 'undefined' && 
+        (window.location.hostname !== 'localhost' && 
+         window.location.hostname !== '127.0.0.1' && 
+         window.location.hostname !== '' && 
+         !window.location.hostname.startsWith('192.168.') && 
+         !window.location.hostname.startsWith('10.') && 
+         !window.location.hostname.startsWith('172.'));
+
+    var DEBUG_LOG = IS_PRODUCTION ? function(){} : console.log;
+    var DEBUG_WARN = IS_PRODUCTION ? function(){} : console.warn;
+    var DEBUG_ERROR = IS_PRODUCTION ? function(){} : console.error;
+
+    // 可用的显示模式（按提示由少到多排列，循环切换时使用此顺序）
+    var MASK_MODES = ['hidden', 'first-letter', 'gapped', 'full'];
+
+    /**
+     * 🎯 TranscriptMaskCore - 原文遮罩核心
+     * 功能：隐藏/填空/首字母提示/全文 四种模式，按章节记忆，随播放逐句揭示
+     * 兼容：iOS Safari 12+, Android Chrome 80+
+     */
+    function TranscriptMaskCore(contentArea, options) {
+        options = options || {};
+        
+        // 配置参数
+        var config = {
+            mode: MASK_MODES.indexOf(options.mode) !== -1 ? options.mode : 'full',
+            chapterId: options.chapterId || null,
+            sentenceSelector: options.sentenceSelector || '[data-sentence-id]',
+            sentenceIdAttribute: options.sentenceIdAttribute || 'data-sentence-id',
+            termSelector: options.termSelector || '.glossary-term',
+            wordClass: options.wordClass || 'sync-word', // 与AudioSyncCore共用单词包裹
+            revealedClass: options.revealedClass || 'mask-revealed',
+            modeClassPrefix: options.modeClassPrefix || 'transcript-mask-',
+            revealOnPlay: options.revealOnPlay !== false, // hidden模式下句子播放后自动显示
+            enableClickReveal: options.enableClickReveal !== false,
+            enableKeyboard: options.enableKeyboard !== false
+        };
+        
+        // 私有变量
+        var currentMode = 'full';
+        var revealedSentences = {};
+        var audioSync = options.audioSync || null;
+        
+        // 🔧 清理和销毁相关
+        var isDestroyed = false;
+        var boundEventHandlers = {};
+        var eventSubscriptions = [];
+        
+        // 依赖注入
+        var stateManager = null;
+        var eventHub = null;
+        var errorBoundary = null;
+        
+        var self = this;
+        
+        // DOM元素引用
+        var elements = {
+            contentArea: null
+        };
+        
+        // 🎯 初始化
+        function initialize() {
+            try {
+                // 注入依赖
+                injectDependencies();
+                
+                elements.contentArea = typeof contentArea === 'string' ? 
+                    document.getElementById(contentArea) : contentArea;
+                
+                if (!elements.contentArea) {
+                    throw new Error('Content area not found');
+                }
+                
+                // 绑定事件
+                bindEvents();
+                
+                // 恢复本章节的模式
+                applyMode(getSavedMode() || config.mode);
+                
+                DEBUG_LOG('[TranscriptMaskCore] 初始化成功');
+                
+                if (eventHub) {
+                    eventHub.emit('transcriptMask:initialized', {
+                        mode: currentMode,
+                        chapterId: config.chapterId
+                    });
+                }
+            } catch (error) {
+                handleError('initialize', error);
+            }
+        }
+        
+        // 🔑 公开API
+        
+        /**
+         * 设置显示模式
+         * @param {string} mode - hidden | first-letter | gapped | full
+         */
+        this.setMode = function(mode) {
+            if (isDestroyed) return false;
+            
+            try {
+                if (MASK_MODES.indexOf(mode) === -1) {
+                    throw new Error('Unknown mask mode: ' + mode);
+                }
+                
+                applyMode(mode);
+                saveMode(mode);
+                
+                return true;
+            } catch (error) {
+                handleError('setMode', error);
+                return false;
+            }
+        };
+        
+        /**
+         * 切换到下一个模式
+         */
+        this.cycleMode = function() {
+            var index = MASK_MODES.indexOf(currentMode);
+            return this.setMode(MASK_MODES[(index + 1) % MASK_MODES.length]);
+        };
+        
+        /**
+         * 获取当前模式
+         */
+        this.getMode = function() {
+            return currentMode;
+        };
+        
+        /**
+         * 显示当前正在播放的句子
+         */
+        this.revealCurrent = function() {
+            if (isDestroyed || !audioSync) return false;
+            
+            try {
+                var index = audioSync.getState().currentIndex;
+                if (index < 0) return false;
+                
+                return revealSentences(getSentenceIdsForCue(index), 'demand') > 0;
+            } catch (error) {
+                handleError('revealCurrent', error);
+                return false;
+            }
+        };
+        
+        /**
+         * 显示指定句子
+         * @param {string|number} sentenceId - 句子ID
+         */
+        this.revealSentence = function(sentenceId) {
+            if (isDestroyed) return false;
+            
+            return revealSentences([String(sentenceId)], 'demand') > 0;
+        };
+        
+        /**
+         * 显示全部句子（保持当前模式）
+         */
+        this.revealAll = function() {
+            if (isDestroyed) return false;
+            
+            var ids = getSentenceElements().map(function(sentence) {
+                return sentence.getAttribute(config.sentenceIdAttribute);
+            });
+            revealSentences(ids, 'all');
+            return true;
+        };
+        
+        /**
+         * 重新遮住已显示的句子
+         */
+        this.resetReveals = function() {
+            if (isDestroyed) return false;
+            
+            revealedSentences = {};
+            
+            var revealed = elements.contentArea.querySelectorAll('.' + config.revealedClass);
+            Array.prototype.forEach.call(revealed, function(element) {
+                element.classList.remove(config.revealedClass);
+            });
+            
+            return true;
+        };
+        
+        /**
+         * 切换章节：恢复该章节保存的模式
+         * @param {string} chapterId - 章节ID
+         */
+        this.setChapter = function(chapterId) {
+            if (isDestroyed) return false;
+            
+            config.chapterId = chapterId || null;
+            revealedSentences = {};
+            applyMode(getSavedMode() || config.mode);
+            return true;
+        };
+        
+        /**
+         * 内容区域替换后重新应用遮罩
+         */
+        this.refresh = function() {
+            if (isDestroyed) return false;
+            
+            applyMode(currentMode);
+            return true;
+        };
+        
+        /**
+         * 获取当前状态
+         */
+        this.getState = function() {
+            return {
+                mode: currentMode,
+                chapterId: config.chapterId,
+                revealedCount: Object.keys(revealedSentences).length,
+                sentenceCount: getSentenceElements().length
+            };
+        };
+        
+        /**
+         * 销毁实例
+         */
+        this.destroy = function() {
+            if (isDestroyed) return true;
+            
+            try {
+                unbindEvents();
+                clearModeClasses();
+                this.resetReveals();
+                
+                isDestroyed = true;
+                
+                if (eventHub) {
+                    eventHub.emit('transcriptMask:destroyed');
+                }
+                
+                DEBUG_LOG('[TranscriptMaskCore] 实例已销毁');
+                return true;
+            } catch (error) {
+                handleError('destroy', error);
+                return false;
+            }
+        };
+        
+        // 🔧 内部方法
+        
+        function injectDependencies() {
+            // 尝试获取全局依赖
+            if (typeof global.EnglishSite !== 'undefined') {
+                stateManager = global.EnglishSite.StateManager ? 
+                    new global.EnglishSite.StateManager() : null;
+                eventHub = global.EnglishSite.EventHub ? 
+                    new global.EnglishSite.EventHub() : null;
+                errorBoundary = global.EnglishSite.ErrorBoundary ? 
+                    new global.EnglishSite.ErrorBoundary() : null;
+            }
+            
+            // 如果用户传入了依赖，则使用用户提供的
+            if (options.stateManager) stateManager = options.stateManager;
+            if (options.eventHub) eventHub = options.eventHub;
+            if (options.errorBoundary) errorBoundary = options.errorBoundary;
+        }
+        
+        function bindEvents() {
+            if (config.enableClickReveal) {
+                // 捕获阶段处理，避免点击遮住的词时弹出词汇表泄露答案
+                boundEventHandlers.click = handleClick;
+                elements.contentArea.addEventListener('click', boundEventHandlers.click, true);
+            }
+            
+            if (config.enableKeyboard) {
+                boundEventHandlers.keydown = handleKeyDown;
+                document.addEventListener('keydown', boundEventHandlers.keydown);
+            }
+            
+            if (eventHub) {
+                eventSubscriptions.push(eventHub.on('audioSync:highlightUpdated', handleHighlightUpdated));
+            }
+        }
+        
+        function unbindEvents() {
+            if (boundEventHandlers.click) {
+                elements.contentArea.removeEventListener('click', boundEventHandlers.click, true);
+            }
+            if (boundEventHandlers.keydown) {
+                document.removeEventListener('keydown', boundEventHandlers.keydown);
+            }
+            boundEventHandlers = {};
+            
+            eventSubscriptions.forEach(function(unsubscribe) {
+                if (typeof unsubscribe === 'function') {
+                    unsubscribe();
+                }
+            });
+            eventSubscriptions = [];
+        }
+        
+        function applyMode(mode) {
+            var previousMode = currentMode;
+            
+            clearModeClasses();
+            currentMode = mode;
+            
+            if (mode !== 'full') {
+                elements.contentArea.classList.add(config.modeClassPrefix + mode);
+            }
+            
+            // 首字母模式需要逐词包裹
+            if (mode === 'first-letter') {
+                getSentenceElements().forEach(wrapWords);
+            }
+            
+            // 重新应用已揭示的句子（内容区域可能已被替换）
+            Object.keys(revealedSentences).forEach(function(id) {
+                var sentence = findSentence(id);
+                if (sentence) {
+                    sentence.classList.add(config.revealedClass);
+                }
+            });
+            
+            if (eventHub && previousMode !== mode) {
+                eventHub.emit('transcriptMask:modeChanged', {
+                    mode: mode,
+                    previousMode: previousMode,
+                    chapterId: config.chapterId
+                });
+            }
+        }
+        
+        function clearModeClasses() {
+            MASK_MODES.forEach(function(mode) {
+                elements.contentArea.classList.remove(config.modeClassPrefix + mode);
+            });
+        }
+        
+        function revealSentences(ids, reason) {
+            var revealed = [];
+            
+            ids.forEach(function(id) {
+                if (revealedSentences[id]) return;
+                
+                var sentence = findSentence(id);
+                if (!sentence) return;
+                
+                sentence.classList.add(config.revealedClass);
+                revealedSentences[id] = true;
+                revealed.push(id);
+            });
+            
+            if (revealed.length > 0 && eventHub) {
+                eventHub.emit('transcriptMask:revealed', {
+                    sentenceIds: revealed,
+                    reason: reason,
+                    mode: currentMode
+                });
+            }
+            
+            return revealed.length;
+        }
+        
+        function getSentenceIdsForCue(index) {
+            var entries = audioSync.getAlignment().entries;
+            
+            for (var i = 0; i < entries.length; i++) {
+                if (entries[i].index === index) {
+                    return entries[i].sentenceIds;
+                }
+            }
+            
+            return [];
+        }
+        
+        function getSentenceElements() {
+            return Array.prototype.slice.call(
+                elements.contentArea.querySelectorAll(config.sentenceSelector)
+            );
+        }
+        
+        function findSentence(id) {
+            return elements.contentArea.querySelector(
+                '[' + config.sentenceIdAttribute + '="' + String(id).replace(/"/g, '\\"') + '"]'
+            );
+        }
+        
+        function wrapWords(sentence) {
+            if (sentence.querySelector('.' + config.wordClass)) return;
+            
+            var textNodes = [];
+            var walker = document.createTreeWalker(sentence, NodeFilter.SHOW_TEXT, null, false);
+            while (walker.nextNode()) {
+                textNodes.push(walker.currentNode);
+            }
+            
+            textNodes.forEach(function(node) {
+                var parts = node.nodeValue.split(/(\s+)/);
+                if (parts.length === 1 && !parts[0].trim()) return;
+                
+                var fragment = document.createDocumentFragment();
+                parts.forEach(function(part) {
+                    if (!part) return;
+                    if (/^\s+$/.test(part)) {
+                        fragment.appendChild(document.createTextNode(part));
+                    } else {
+                        var span = document.createElement('span');
+                        span.className = config.wordClass;
+                        span.textContent = part;
+                        fragment.appendChild(span);
+                    }
+                });
+                node.parentNode.replaceChild(fragment, node);
+            });
+        }
+        
+        function handleHighlightUpdated(data) {
+            if (isDestroyed || currentMode !== 'hidden' || !config.revealOnPlay) return;
+            if (!data || typeof data.currentIndex !== 'number' || data.currentIndex < 0 || !audioSync) return;
+            
+            revealSentences(getSentenceIdsForCue(data.currentIndex), 'play');
+        }
+        
+        function handleClick(e) {
+            if (currentMode === 'full') return;
+            
+            var target = e.target;
+            var sentence = target.closest ? target.closest(config.sentenceSelector) : null;
+            if (!sentence || sentence.classList.contains(config.revealedClass)) return;
+            
+            // 填空模式：点击空格只揭示该词
+            if (currentMode === 'gapped') {
+                var term = target.closest(config.termSelector);
+                if (!term || term.classList.contains(config.revealedClass)) return;
+                
+                e.preventDefault();
+                e.stopPropagation();
+                term.classList.add(config.revealedClass);
+                
+                if (eventHub) {
+                    eventHub.emit('transcriptMask:termRevealed', {
+                        word: term.getAttribute('data-word') || term.textContent,
+                        sentenceId: sentence.getAttribute(config.sentenceIdAttribute)
+                    });
+                }
+                return;
+            }
+            
+            // 其它模式：点击遮住的句子将其显示
+            e.preventDefault();
+            e.stopPropagation();
+            revealSentences([sentence.getAttribute(config.sentenceIdAttribute)], 'click');
+        }
+        
+        function handleKeyDown(e) {
+            var target = e.target;
+            if (target && target.tagName && (/^(input|textarea|select)$/i.test(target.tagName) || target.isContentEditable)) {
+                return;
+            }
+            
+            // V键：切换显示模式
+            if (e.code === 'KeyV' || e.keyCode === 86) {
+                if (e.ctrlKey || e.metaKey || e.altKey) return; // 保留粘贴等浏览器快捷键
+                e.preventDefault();
+                self.cycleMode();
+            }
+            
+            // H键：显示当前句（提示）
+            if (e.code === 'KeyH' || e.keyCode === 72) {
+                if (e.ctrlKey || e.metaKey || e.altKey) return; // 保留历史记录等浏览器快捷键
+                e.preventDefault();
+                self.revealCurrent();
+            }
+        }
+        
+        // 🎯 按章节持久化
+        
+        function getModeKey() {
+            return 'transcriptMask.modes.' + (config.chapterId || 'default');
+        }
+        
+        function getSavedMode() {
+            var mode = stateManager ? stateManager.getState(getModeKey()) : null;
+            return MASK_MODES.indexOf(mode) !== -1 ? mode : null;
+        }
+        
+        function saveMode(mode) {
+            if (stateManager) {
+                stateManager.setState(getModeKey(), mode);
+            }
+        }
+        
+        function handleError(context, error) {
+            var errorInfo = {
+                context: 'TranscriptMaskCore:' + context,
+                message: error.message || String(error),
+                timestamp: Date.now(),
+                mode: currentMode
+            };
+            
+            DEBUG_ERROR('[TranscriptMaskCore:' + context + ']', error);
+            
+            // 使用错误边界处理
+            if (errorBoundary) {
+                errorBoundary.handle(error, errorInfo);
+            }
+            
+            // 触发错误事件
+            if (eventHub) {
+                eventHub.emit('transcriptMask:error', errorInfo);
+            }
+        }
+        
+        // 立即初始化
+        initialize();
+    }
+
+    // 🔧 静态属性
+    TranscriptMaskCore.MODES = MASK_MODES.slice();
+
+    // 🔗 导出
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = TranscriptMaskCore;
+    } else if (typeof global !== 'undefined') {
+        global.TranscriptMaskCore = TranscriptMaskCore;
+        
+        // 添加到EnglishSite命名空间
+        if (typeof global.EnglishSite === 'undefined') {
+            global.EnglishSite = {};
+        }
+        
+        if (!global.EnglishSite.TranscriptMaskCore) {
+            global.EnglishSite.TranscriptMaskCore = TranscriptMaskCore;
+        } else {
+            DEBUG_WARN('[TranscriptMaskCore] EnglishSite.TranscriptMaskCore 已存在，跳过覆盖');
+        }
+    }
+
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,735 @@
+// js/modules/vocabulary-export-core.js - iOS兼容版生词导出核心
+// 🚀 生词本导出/导入（CSV、TSV、Anki、Quizlet），确保iOS Safari 12+兼容性
+
+(function(global) {
+    'use strict';
+
+    // 🔧 环境检测和生产环境优化
+    var IS_PRODUCTION = typeof window !== 'undefined' &&
+        (window.location.hostname !== 'localhost' &&
+         window.location.hostname !== '127.0.0.1' &&
+         window.location.hostname !== '' &&
+         !window.location.hostname.startsWith('192.168.') &&
+         !window.location.hostname.startsWith('10.') &&
+         !window.location.hostname.startsWith('172.'));
+
+    var DEBUG_LOG = IS_PRODUCTION ? function(){} : console.log;
+    var DEBUG_WARN = IS_PRODUCTION ? function(){} : console.warn;
+    var DEBUG_ERROR = IS_PRODUCTION ? function(){} : console.error;
+
+    // 🎯 字段定义（表头使用 label，导入时 key 和 label 均可识别）
+    var FIELDS = {
+        word: { label: 'Word' },
+        phonetic: { label: 'Phonetic' },
+        partOfSpeech: { label: 'Part of Speech' },
+        definition: { label: 'Definition' },
+        contextualMeaning: { label: 'Contextual Meaning' },
+        example: { label: 'Example' },
+        sentence: { label: 'Sentence' },
+        chapter: { label: 'Chapter' },
+        timestamp: { label: 'Audio Timestamp' }
+    };
+
+    var DEFAULT_FIELDS = ['word', 'phonetic', 'partOfSpeech', 'definition', 'contextualMeaning', 'example', 'sentence', 'chapter', 'timestamp'];
+
+    // 各格式的默认设置
+    var FORMATS = {
+        csv: { delimiter: ',', header: true, extension: 'csv', mimeType: 'text/csv' },
+        tsv: { delimiter: '\t', header: true, extension: 'tsv', mimeType: 'text/tab-separated-values' },
+        anki: { delimiter: '\t', header: false, extension: 'txt', mimeType: 'text/plain' },
+        quizlet: { delimiter: '\t', header: false, extension: 'txt', mimeType: 'text/plain', fields: ['word', 'definition'] }
+    };
+
+    var ANKI_SEPARATORS = {
+        tab: '\t',
+        comma: ',',
+        semicolon: ';',
+        pipe: '|',
+        space: ' '
+    };
+
+    // 🔧 工具函数
+
+    function normalizeFieldName(name) {
+        return String(name || '').toLowerCase().replace(/[^a-z]/g, '');
+    }
+
+    var FIELD_LOOKUP = (function() {
+        var lookup = {};
+        Object.keys(FIELDS).forEach(function(key) {
+            lookup[normalizeFieldName(key)] = key;
+            lookup[normalizeFieldName(FIELDS[key].label)] = key;
+        });
+        lookup.pos = 'partOfSpeech';
+        lookup.term = 'word';
+        lookup.front = 'word';
+        lookup.back = 'definition';
+        lookup.meaning = 'definition';
+        lookup.source = 'chapter';
+        lookup.time = 'timestamp';
+        return lookup;
+    })();
+
+    function formatTimestamp(ms) {
+        var totalSeconds = Math.max(0, Math.floor(ms / 1000));
+        var hours = Math.floor(totalSeconds / 3600);
+        var minutes = Math.floor(totalSeconds % 3600 / 60);
+        var seconds = totalSeconds % 60;
+
+        return (hours > 0 ? hours + ':' + pad(minutes) : String(minutes)) + ':' + pad(seconds);
+    }
+
+    function parseTimestamp(value) {
+        if (!value) return null;
+
+        var parts = String(value).trim().split(':');
+        var total = 0;
+
+        for (var i = 0; i < parts.length; i++) {
+            var number = parseFloat(parts[i]);
+            if (isNaN(number)) return null;
+            total = total * 60 + number;
+        }
+
+        return Math.round(total * 1000);
+    }
+
+    function pad(value) {
+        return value < 10 ? '0' + value : String(value);
+    }
+
+    function escapeCSVCell(value) {
+        var str = String(value);
+        return /[",\r\n]/.test(str) ? '"' + str.replace(/"/g, '""') + '"' : str;
+    }
+
+    // 制表符格式不支持转义：把制表符和换行折叠为空格
+    function escapeTabCell(value) {
+        return String(value).replace(/[\t\r\n]+/g, ' ');
+    }
+
+    /**
+     * 解析分隔文本（支持 CSV 双引号转义）
+     * @param {string} text - 文本
+     * @param {string} delimiter - 分隔符
+     * @returns {Array} 行数组，每行为单元格数组
+     */
+    function parseDelimited(text, delimiter) {
+        var rows = [];
+        var row = [];
+        var cell = '';
+        var inQuotes = false;
+        var i = 0;
+
+        while (i < text.length) {
+            var ch = text.charAt(i);
+
+            if (inQuotes) {
+                if (ch === '"') {
+                    if (text.charAt(i + 1) === '"') {
+                        cell += '"';
+                        i++;
+                    } else {
+                        inQuotes = false;
+                    }
+                } else {
+                    cell += ch;
+                }
+            } else if (ch === '"' && cell === '') {
+                inQuotes = true;
+            } else if (ch === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && text.charAt(i + 1) === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += ch;
+            }
+
+            i++;
+        }
+
+        if (cell !== '' || row.length) {
+            row.push(cell);
+            rows.push(row);
+        }
+
+        return rows.filter(function(cells) {
+            return cells.some(function(value) {
+                return value.trim() !== '';
+            });
+        });
+    }
+
+    /**
+     * 🎯 VocabularyExportCore - 生词导出核心
+     * 功能：书签/查词历史导出为 CSV、TSV、Anki、Quizlet，并从同样的文件恢复书签
+     * 兼容：iOS Safari 12+, Android Chrome 80+
+     */
+    function VocabularyExportCore(glossary, options) {
+        options = options || {};
+
+        // 配置参数
+        var config = {
+            fields: Array.isArray(options.fields) ? options.fields : DEFAULT_FIELDS,
+            scope: options.scope || 'bookmarks', // bookmarks | history | all
+            tagPrefix: typeof options.tagPrefix === 'string' ? options.tagPrefix : 'learner::',
+            ankiTags: Array.isArray(options.ankiTags) ? options.ankiTags : [],
+            fileName: options.fileName || 'vocabulary'
+        };
+
+        // 🔧 清理和销毁相关
+        var isDestroyed = false;
+
+        // 依赖注入
+        var audioSync = options.audioSync || null;
+        var eventHub = null;
+        var errorBoundary = null;
+
+        // 🎯 初始化
+        function initialize() {
+            try {
+                // 注入依赖
+                injectDependencies();
+
+                if (!glossary || typeof glossary.getBookmarks !== 'function') {
+                    throw new Error('GlossaryCore instance is required');
+                }
+
+                config.fields = validateFields(config.fields);
+
+                DEBUG_LOG('[VocabularyExportCore] 初始化成功');
+
+                if (eventHub) {
+                    eventHub.emit('vocabulary:initialized', { config: config });
+                }
+            } catch (error) {
+                handleError('initialize', error);
+            }
+        }
+
+        // 🔑 公开API
+
+        /**
+         * 导出生词
+         * @param {string} format - csv | tsv | anki | quizlet
+         * @param {Object} exportOptions - {fields, scope, header, tagPrefix, tags}
+         * @returns {string|null}
+         */
+        this.export = function(format, exportOptions) {
+            if (isDestroyed) return null;
+
+            try {
+                exportOptions = exportOptions || {};
+                format = (format || 'csv').toLowerCase();
+
+                var preset = FORMATS[format];
+                if (!preset) {
+                    throw new Error('Unsupported vocabulary export format: ' + format);
+                }
+
+                var fields = validateFields(exportOptions.fields || preset.fields || config.fields);
+                var entries = collectEntries(exportOptions.scope || config.scope);
+                var rows = entries.map(function(entry) {
+                    return fields.map(function(field) {
+                        var value = entry[field];
+                        return value === null || value === undefined ? '' : value;
+                    });
+                });
+
+                var content = format === 'anki' ?
+                    serializeAnki(fields, rows, entries, exportOptions) :
+                    serializeRows(fields, rows, preset.delimiter,
+                        exportOptions.header !== undefined ? exportOptions.header : preset.header);
+
+                if (eventHub) {
+                    eventHub.emit('vocabulary:exported', {
+                        format: format,
+                        fields: fields,
+                        wordCount: entries.length
+                    });
+                }
+
+                return content;
+            } catch (error) {
+                handleError('export', error);
+                return null;
+            }
+        };
+
+        /**
+         * 导出并下载文件
+         * @param {string} format - csv | tsv | anki | quizlet
+         * @param {Object} exportOptions - 同 export
+         */
+        this.download = function(format, exportOptions) {
+            format = (format || 'csv').toLowerCase();
+
+            var content = this.export(format, exportOptions);
+            if (content === null || typeof Blob === 'undefined' || !global.URL || !URL.createObjectURL) {
+                return false;
+            }
+
+            var preset = FORMATS[format];
+            // CSV 加 BOM，避免 Excel 打开时中文乱码
+            var blob = new Blob([format === 'csv' ? '\ufeff' + content : content], {
+                type: preset.mimeType + ';charset=utf-8'
+            });
+            var link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = config.fileName + '-' + format + '.' + preset.extension;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+
+            setTimeout(function() {
+                URL.revokeObjectURL(link.href);
+            }, 0);
+
+            return true;
+        };
+
+        /**
+         * 从导出文件恢复书签
+         * @param {string} text - 文件内容（CSV、TSV、Anki 或 Quizlet）
+         * @param {Object} importOptions - {format, fields}
+         * @returns {Object|null} {total, imported, skipped, invalid}
+         */
+        this.import = function(text, importOptions) {
+            if (isDestroyed) return null;
+
+            try {
+                importOptions = importOptions || {};
+
+                var parsed = parseImport(String(text || '').replace(/^\ufeff/, ''), importOptions);
+                var bookmarked = {};
+                var result = { total: parsed.entries.length, imported: 0, skipped: 0, invalid: parsed.invalid };
+
+                glossary.getBookmarks().forEach(function(bookmark) {
+                    bookmarked[bookmark.word] = true;
+                });
+
+                parsed.entries.forEach(function(entry) {
+                    if (bookmarked[entry.word]) {
+                        result.skipped++;
+                        return;
+                    }
+
+                    if (glossary.toggleBookmark(entry.word, entry.source)) {
+                        bookmarked[entry.word] = true;
+                        result.imported++;
+                    } else {
+                        result.invalid++;
+                    }
+                });
+
+                if (eventHub) {
+                    eventHub.emit('vocabulary:imported', result);
+                }
+
+                return result;
+            } catch (error) {
+                handleError('import', error);
+                return null;
+            }
+        };
+
+        /**
+         * 读取文件并恢复书签
+         * @param {File} file - 用户选择的文件
+         * @param {Object} importOptions - 同 import
+         * @returns {Promise}
+         */
+        this.importFile = function(file, importOptions) {
+            var self = this;
+
+            return new Promise(function(resolve, reject) {
+                if (!file || typeof FileReader === 'undefined') {
+                    reject(new Error('FileReader is not available'));
+                    return;
+                }
+
+                var reader = new FileReader();
+                reader.onload = function() {
+                    var result = self.import(reader.result, importOptions);
+                    if (result) {
+                        resolve(result);
+                    } else {
+                        reject(new Error('Vocabulary import failed'));
+                    }
+                };
+                reader.onerror = function() {
+                    reject(reader.error || new Error('File read failed'));
+                };
+                reader.readAsText(file);
+            });
+        };
+
+        /**
+         * 获取可导出的字段
+         * @returns {Array} [{key, label, default}]
+         */
+        this.getFields = function() {
+            return Object.keys(FIELDS).map(function(key) {
+                return {
+                    key: key,
+                    label: FIELDS[key].label,
+                    default: DEFAULT_FIELDS.indexOf(key) !== -1
+                };
+            });
+        };
+
+        /**
+         * 设置默认导出字段
+         * @param {Array} fields - 字段 key 数组
+         */
+        this.setFields = function(fields) {
+            if (isDestroyed) return false;
+
+            try {
+                config.fields = validateFields(fields);
+                return true;
+            } catch (error) {
+                handleError('setFields', error);
+                return false;
+            }
+        };
+
+        /**
+         * 销毁实例
+         */
+        this.destroy = function() {
+            if (isDestroyed) return true;
+
+            isDestroyed = true;
+            audioSync = null;
+
+            if (eventHub) {
+                eventHub.emit('vocabulary:destroyed');
+            }
+
+            DEBUG_LOG('[VocabularyExportCore] 实例已销毁');
+            return true;
+        };
+
+        // 🔧 内部方法
+
+        function injectDependencies() {
+            // 尝试获取全局依赖
+            if (typeof global.EnglishSite !== 'undefined') {
+                eventHub = global.EnglishSite.EventHub ?
+                    new global.EnglishSite.EventHub() : null;
+                errorBoundary = global.EnglishSite.ErrorBoundary ?
+                    new global.EnglishSite.ErrorBoundary() : null;
+            }
+
+            // 如果用户传入了依赖，则使用用户提供的
+            if (options.eventHub) eventHub = options.eventHub;
+            if (options.errorBoundary) errorBoundary = options.errorBoundary;
+        }
+
+        function validateFields(fields) {
+            var valid = (fields || []).filter(function(field) {
+                if (FIELDS[field]) return true;
+                DEBUG_WARN('[VocabularyExportCore] 未知字段:', field);
+                return false;
+            });
+
+            if (valid.indexOf('word') === -1) {
+                valid.unshift('word');
+            }
+
+            return valid;
+        }
+
+        // 🎯 导出
+
+        function collectEntries(scope) {
+            var sources = {};
+            var order = [];
+
+            function add(word, source) {
+                if (!word || sources.hasOwnProperty(word)) return;
+                sources[word] = source || null;
+                order.push(word);
+            }
+
+            if (scope === 'bookmarks' || scope === 'all') {
+                glossary.getBookmarks().forEach(function(bookmark) {
+                    add(bookmark.word, bookmark.source);
+                });
+            }
+
+            if ((scope === 'history' || scope === 'all') && typeof glossary.getLookupHistory === 'function') {
+                glossary.getLookupHistory().forEach(function(entry) {
+                    add(entry.word, entry.source);
+                });
+            }
+
+            var cueTimes = getCueTimesBySentence();
+
+            return order.map(function(word) {
+                return buildEntry(word, sources[word] || {}, cueTimes);
+            });
+        }
+
+        function buildEntry(word, source, cueTimes) {
+            var data = glossary.getWordData(word, source.context) || {};
+            var example = data.examples && data.examples[0];
+            var audioTime = typeof source.audioTime === 'number' ? source.audioTime :
+                (source.sentenceId && cueTimes.starts.hasOwnProperty(source.sentenceId) &&
+                    (!source.chapterId || source.chapterId === cueTimes.chapterId) ?
+                    cueTimes.starts[source.sentenceId] : null);
+
+            // word 列保留书签原词（可能是变形），导入时才能对上同一个书签
+            return {
+                word: word,
+                phonetic: data.phonetic || null,
+                partOfSpeech: data.partOfSpeech || null,
+                definition: (data.definitions || []).join('; ') || null,
+                contextualMeaning: data.contextualMeaning || null,
+                example: example ? (typeof example === 'string' ? example : example.text) : (source.sentence || null),
+                sentence: source.sentence || null,
+                chapter: source.chapterId || null,
+                timestamp: audioTime !== null ? formatTimestamp(audioTime) : null
+            };
+        }
+
+        // 句子ID → 字幕开始时间（仅对音频同步当前加载的章节有效）
+        function getCueTimesBySentence() {
+            var cueTimes = { chapterId: null, starts: {} };
+            var starts = cueTimes.starts;
+
+            if (!audioSync || typeof audioSync.getAlignment !== 'function') {
+                return cueTimes;
+            }
+
+            try {
+                var cues = {};
+                audioSync.getSRTData().forEach(function(subtitle) {
+                    cues[subtitle.index] = subtitle.start;
+                });
+
+                audioSync.getAlignment().entries.forEach(function(entry) {
+                    entry.sentenceIds.forEach(function(sentenceId) {
+                        if (!starts.hasOwnProperty(sentenceId) && typeof cues[entry.index] === 'number') {
+                            starts[sentenceId] = cues[entry.index];
+                        }
+                    });
+                });
+
+                cueTimes.chapterId = audioSync.getState().chapterId;
+            } catch (error) {
+                DEBUG_WARN('[VocabularyExportCore] 无法读取音频时间:', error);
+            }
+
+            return cueTimes;
+        }
+
+        function serializeRows(fields, rows, delimiter, header) {
+            var escape = delimiter === '\t' ? escapeTabCell : escapeCSVCell;
+            var lines = [];
+
+            if (header) {
+                lines.push(fields.map(function(field) {
+                    return escape(FIELDS[field].label);
+                }).join(delimiter));
+            }
+
+            rows.forEach(function(row) {
+                lines.push(row.map(escape).join(delimiter));
+            });
+
+            return lines.join('\n') + '\n';
+        }
+
+        // Anki 文本导入格式：文件头声明分隔符、列名和标签列
+        function serializeAnki(fields, rows, entries, exportOptions) {
+            var prefix = typeof exportOptions.tagPrefix === 'string' ? exportOptions.tagPrefix : config.tagPrefix;
+            var extraTags = config.ankiTags.concat(exportOptions.tags || []);
+            var lines = [
+                '#separator:tab',
+                '#html:false',
+                '#columns:' + fields.map(function(field) {
+                    return FIELDS[field].label;
+                }).concat(['Tags']).join('\t'),
+                '#tags column:' + (fields.length + 1)
+            ];
+
+            rows.forEach(function(row, index) {
+                var tags = extraTags.slice();
+                if (entries[index].chapter) {
+                    tags.push(prefix + entries[index].chapter);
+                }
+
+                lines.push(row.concat([tags.map(toAnkiTag).join(' ')]).map(escapeTabCell).join('\t'));
+            });
+
+            return lines.join('\n') + '\n';
+        }
+
+        function toAnkiTag(tag) {
+            return String(tag).trim().replace(/\s+/g, '_');
+        }
+
+        // 🎯 导入
+
+        function parseImport(text, importOptions) {
+            var format = importOptions.format ? importOptions.format.toLowerCase() : null;
+            var delimiter = null;
+            var columns = null;
+            var tagsColumn = -1;
+
+            // Anki 文件头
+            var lines = text.split(/\r?\n/);
+            var headerLines = 0;
+
+            while (headerLines < lines.length && lines[headerLines].charAt(0) === '#') {
+                var match = lines[headerLines].match(/^#([a-z ]+):(.*)$/i);
+
+                if (match) {
+                    var key = match[1].toLowerCase();
+                    var value = match[2];
+
+                    if (key === 'separator') {
+                        delimiter = ANKI_SEPARATORS[value.trim().toLowerCase()] || value;
+                    } else if (key === 'columns') {
+                        columns = value;
+                    } else if (key === 'tags column') {
+                        tagsColumn = parseInt(value, 10) - 1;
+                    }
+                }
+
+                headerLines++;
+            }
+
+            var body = lines.slice(headerLines).join('\n');
+
+            if (!delimiter) {
+                delimiter = format && FORMATS[format] ? FORMATS[format].delimiter :
+                    (body.split('\n')[0].indexOf('\t') !== -1 ? '\t' : ',');
+            }
+
+            var rows = parseDelimited(body, delimiter);
+            var fieldMap = null;
+
+            if (columns !== null) {
+                fieldMap = mapColumns(columns.split(delimiter));
+                if (tagsColumn === -1) {
+                    tagsColumn = columns.split(delimiter).map(normalizeFieldName).indexOf('tags');
+                }
+            } else if (rows.length && isHeaderRow(rows[0])) {
+                fieldMap = mapColumns(rows.shift());
+            } else {
+                // 无表头：按格式预设或指定字段解析
+                fieldMap = validateFields(importOptions.fields ||
+                    (format && FORMATS[format] && FORMATS[format].fields) ||
+                    (format === 'anki' ? config.fields : ['word', 'definition']));
+            }
+
+            var prefix = typeof importOptions.tagPrefix === 'string' ? importOptions.tagPrefix : config.tagPrefix;
+            var entries = [];
+            var invalid = 0;
+
+            rows.forEach(function(row) {
+                var values = {};
+
+                fieldMap.forEach(function(field, index) {
+                    if (field && row[index] !== undefined) {
+                        values[field] = row[index].trim();
+                    }
+                });
+
+                if (!values.word) {
+                    invalid++;
+                    return;
+                }
+
+                var chapterId = values.chapter ||
+                    (tagsColumn >= 0 ? getChapterFromTags(row[tagsColumn], prefix) : null);
+                var source = { chapterId: chapterId || null };
+
+                if (values.sentence) source.sentence = values.sentence;
+
+                var audioTime = parseTimestamp(values.timestamp);
+                if (audioTime !== null) source.audioTime = audioTime;
+
+                entries.push({ word: values.word, source: source });
+            });
+
+            return { entries: entries, invalid: invalid };
+        }
+
+        function mapColumns(names) {
+            return names.map(function(name) {
+                return FIELD_LOOKUP[normalizeFieldName(name)] || null;
+            });
+        }
+
+        function isHeaderRow(cells) {
+            var mapped = mapColumns(cells);
+            return mapped.indexOf('word') !== -1 && mapped.filter(Boolean).length >= Math.min(2, cells.length);
+        }
+
+        function getChapterFromTags(value, prefix) {
+            if (!value || !prefix) return null;
+
+            var tags = value.split(/\s+/);
+            for (var i = 0; i < tags.length; i++) {
+                if (tags[i].indexOf(prefix) === 0 && tags[i].length > prefix.length) {
+                    return tags[i].slice(prefix.length);
+                }
+            }
+            return null;
+        }
+
+        function handleError(context, error) {
+            var errorInfo = {
+                context: 'VocabularyExportCore:' + context,
+                message: error.message || String(error),
+                timestamp: Date.now()
+            };
+
+            DEBUG_ERROR('[VocabularyExportCore:' + context + ']', error);
+
+            // 使用错误边界处理
+            if (errorBoundary) {
+                errorBoundary.handle(error, errorInfo);
+            }
+
+            // 触发错误事件
+            if (eventHub) {
+                eventHub.emit('vocabulary:error', errorInfo);
+            }
+        }
+
+        // 立即初始化
+        initialize();
+    }
+
+    // 🔧 静态方法
+    VocabularyExportCore.parseDelimited = parseDelimited;
+
+    // 🔗 导出
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = VocabularyExportCore;
+    } else if (typeof global !== 'undefined') {
+        global.VocabularyExportCore = VocabularyExportCore;
+
+        // 添加到EnglishSite命名空间
+        if (typeof global.EnglishSite === 'undefined') {
+            global.EnglishSite = {};
+        }
+
+        if (!global.EnglishSite.VocabularyExportCore) {
+            global.EnglishSite.VocabularyExportCore = VocabularyExportCore;
+        } else {
+            DEBUG_WARN('[VocabularyExportCore] EnglishSite.VocabularyExportCore 已存在，跳过覆盖');
+        }
+    }
+
+})(typeof window !== 'undefined' ? window : this);
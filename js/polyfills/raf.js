@@ -76,6 +76,10 @@
         };
     }
 
+    // 保存基础实现：下方会用管理器包装 global.requestAnimationFrame，
+    // 调度器必须用原始实现驱动，否则请求会回到自身而永远不执行
+    var baseRequestAnimationFrame = global.requestAnimationFrame;
+
     /**
      * 🎯 增强版动画帧调度器
      * 功能：智能帧率控制、性能监控、电池优化
@@ -111,7 +115,7 @@
                 return;
             }
             
-            global.requestAnimationFrame(function(timestamp) {
+            baseRequestAnimationFrame.call(global, function(timestamp) {
                 processFrame(timestamp);
                 scheduleFrame();
             });
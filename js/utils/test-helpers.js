@@ -0,0 +1,127 @@
+// js/utils/test-helpers.js - 测试页面共用工具
+// 🧪 断言、结果汇总、异步等待与模拟播放器，供根目录下的 test-*.html 使用
+// 页面需提供 #test-result（汇总，完成后带 data-failures）与 #test-cases（逐项结果）
+
+(function(global) {
+    'use strict';
+
+    var failures = 0;
+
+    /**
+     * 记录一项检查结果
+     * @param {string} name - 检查项名称
+     * @param {boolean} passed - 是否通过
+     * @param {*} detail - 附加说明，失败时便于排查
+     */
+    function check(name, passed, detail) {
+        var item = document.createElement('li');
+        item.textContent = (passed ? '✅ ' : '❌ ') + name + (detail !== undefined ? '：' + detail : '');
+        item.style.color = passed ? 'green' : 'red';
+        document.getElementById('test-cases').appendChild(item);
+        if (!passed) failures++;
+    }
+
+    /**
+     * 汇总结果；传入错误时记为一项失败
+     * @param {Error} error - 测试执行中抛出的错误
+     */
+    function finish(error) {
+        if (error) {
+            check('测试执行', false, error.message);
+        }
+
+        var result = document.getElementById('test-result');
+        result.innerHTML = failures === 0 ? '✅ 全部通过' : '❌ ' + failures + ' 项失败';
+        result.style.color = failures === 0 ? 'green' : 'red';
+        result.setAttribute('data-failures', failures);
+    }
+
+    /**
+     * 轮询等待条件成立
+     * @param {Function} condition - 返回true时结束等待
+     * @param {number} timeout - 超时毫秒数
+     * @returns {Promise}
+     */
+    function waitUntil(condition, timeout) {
+        return new Promise(function(resolve, reject) {
+            var startedAt = Date.now();
+            (function poll() {
+                if (condition()) return resolve();
+                if (Date.now() - startedAt > timeout) return reject(new Error('等待超时'));
+                setTimeout(poll, 20);
+            })();
+        });
+    }
+
+    /**
+     * 等待固定时间，用于等动画或延迟任务结束
+     * @param {number} ms - 毫秒数
+     * @returns {Promise}
+     */
+    function delay(ms) {
+        return new Promise(function(resolve) {
+            setTimeout(resolve, ms);
+        });
+    }
+
+    /**
+     * 不依赖真实媒体文件的播放器适配器：时长固定，元数据立即就绪
+     * @param {Object} options - {duration: 时长秒数（默认120）, element: 叠加字幕用的元素}
+     * @returns {Object} 播放器适配器，另提供 emit(type) 模拟播放器事件
+     */
+    function createFakePlayer(options) {
+        options = options || {};
+
+        var time = 0;
+        var handlers = {};
+
+        return {
+            element: options.element || null,
+            play: function() { return Promise.resolve(); },
+            pause: function() {},
+            getCurrentTime: function() { return time; },
+            setCurrentTime: function(value) { time = value; },
+            getDuration: function() { return options.duration || 120; },
+            on: function(type, handler) {
+                (handlers[type] = handlers[type] || []).push(handler);
+            },
+            off: function(type, handler) {
+                handlers[type] = (handlers[type] || []).filter(function(h) { return h !== handler; });
+            },
+            emit: function(type) {
+                (handlers[type] || []).slice().forEach(function(handler) {
+                    handler({ type: type });
+                });
+            }
+        };
+    }
+
+    /**
+     * 以文本读取导出的文件内容
+     * @param {Blob} blob - 文件或Blob
+     * @returns {Promise<string>}
+     */
+    function readBlob(blob) {
+        return new Promise(function(resolve, reject) {
+            var reader = new FileReader();
+            reader.onload = function() { resolve(reader.result); };
+            reader.onerror = function() { reject(reader.error); };
+            reader.readAsText(blob);
+        });
+    }
+
+    // 🔗 导出
+    if (typeof global.EnglishSite === 'undefined') {
+        global.EnglishSite = {};
+    }
+
+    global.EnglishSite.TestHelpers = {
+        check: check,
+        finish: finish,
+        waitUntil: waitUntil,
+        delay: delay,
+        createFakePlayer: createFakePlayer,
+        readBlob: readBlob
+    };
+
+})(typeof window !== 'undefined' ? window : this);